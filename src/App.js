@@ -1,8 +1,51 @@
 /* global __app_id, __firebase_config, __api_key, __initial_auth_token */
-import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useMemo, createContext, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, collection, query, onSnapshot, deleteDoc, addDoc, serverTimestamp } from 'firebase/firestore';
+import { getFirestore } from 'firebase/firestore';
+import DraftManager from './components/DraftManager';
+import CharacterLibrary from './components/CharacterLibrary';
+import StoryboardPanel from './components/StoryboardPanel';
+import LlmSettings from './components/LlmSettings';
+import LookPresets from './components/LookPresets';
+import OptionsEditor from './components/OptionsEditor';
+import PromptVariants from './components/PromptVariants';
+import VersionHistory from './components/VersionHistory';
+import LintPanel from './components/LintPanel';
+import StorageNotice from './components/StorageNotice';
+import SessionRecovery from './components/SessionRecovery';
+import DialogueTimeline from './components/DialogueTimeline';
+import CameraBlock from './components/CameraBlock';
+import SharedProjectView from './components/SharedProjectView';
+import TemplateGallery from './components/TemplateGallery';
+import { compileIndonesianStoryboard, compileStoryboard, sceneHeading, splitScenePrompts, templateLanguage } from './promptCompiler';
+import { toPromptJson, fromPromptJson } from './promptJson';
+import { loadStarterTemplate } from './templates';
+import { createLookPreset, findLookByName, fromLooksFile, isEmptyLook, normalizeLookPreset, planLookImport, toLooksFile } from './lookPresets';
+import { mergeOptionLists, normalizeCustomOptions, shownOptions } from './customOptions';
+import { DIALOGUE_AS_TYPED, defaultLanguageSettings, findOutputLanguage, outputLanguages } from './promptLanguages';
+import { lintProject } from './veoLint';
+import { createDialogueLine, migrateSceneDialogue, moveDialogueLine } from './dialogueTimeline';
+import { createCameraMove, moveCameraMove } from './cameraMoves';
+import { DRAFT_SCHEMA_VERSION, createEmptyScene, upgradeDraft, describeDraftProblems } from './draftSchema';
+import { createFirestoreStorage } from './storage/firestoreStorage';
+import { createOfflineStorage } from './storage/localStore';
+import { countLocalItems, syncLocalItems } from './storage/syncLocalItems';
+import { useFormHistory } from './formHistory';
+import { I18nProvider, optionLabel, translate, uiLanguages, useI18n } from './i18n/i18n';
+import { ShareLinkError, decodeShareData, encodeShareData, readShareFragment, shareFragment } from './shareLink';
+import { versionLabel, versionLabelFields } from './promptVersions';
+import { RECOVERY_PATH, RECOVERY_SLOT_ID, RECOVERY_DEBOUNCE_MS, isEmptySession } from './sessionRecovery';
+import { createLlmClient, defaultLlmSettings, normalizeLlmSettings } from './llm/providers';
+import { buildMaximizePrompt, promptVariantStyles, defaultVariantStyleIds } from './llm/prompts';
+import {
+  AbortedError,
+  AuthError,
+  NetworkError,
+  QuotaError,
+  SafetyBlockError,
+  TimeoutError,
+} from './llm/errors';
 
 // Global variables provided by the Canvas environment or environment variables (for Firebase Hosting)
 const appId = typeof __app_id !== 'undefined' ? __app_id : (typeof process !== 'undefined' && process.env.REACT_APP_APP_ID ? process.env.REACT_APP_APP_ID : 'default-app-id');
@@ -17,65 +60,104 @@ const geminiApiKey = typeof __api_key !== 'undefined'
 
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
+// Without a Firebase config (e.g. self-hosted builds) everything is stored in this browser
+const isFirebaseConfigured = Object.keys(firebaseConfig || {}).length > 0;
 
-// Context for Firebase and User
+// Appended to MAKSIMALKAN output that was stopped or cut off, so it is never mistaken for a finished prompt
+const incompletePromptMarker = '[INCOMPLETE: the LLM output stopped here. Press MAKSIMALKAN again or finish the prompt by hand.]';
+
+// API keys typed into AI Settings stay in this browser ({ providerId: key }); they are never written to Firestore
+const llmApiKeysStorageKey = 'veo3-prompter:llm-api-keys';
+
+const readStoredLlmApiKeys = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(llmApiKeysStorageKey)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+
+// Context for Firebase and User. `storage` is Firestore when Firebase works and the browser's
+// offline storage otherwise; `offlineStorage` is always the browser's, for syncing its items up.
 const FirebaseContext = createContext(null);
 
 const FirebaseProvider = ({ children }) => {
-  const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
+  const [storage, setStorage] = useState(null);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [offlineStorage] = useState(createOfflineStorage);
 
   useEffect(() => {
+    const fallBackToOfflineStorage = () => {
+      setStorage(offlineStorage);
+      setUserId('local');
+      setIsAuthReady(true);
+    };
+    const connectFirestore = (firestore, uid) => {
+      setStorage(createFirestoreStorage(firestore, `artifacts/${appId}/users/${uid}`));
+      setUserId(uid);
+      setIsAuthReady(true);
+    };
+
+    if (!isFirebaseConfigured) {
+      fallBackToOfflineStorage();
+      return undefined;
+    }
+
     try {
       const app = initializeApp(firebaseConfig);
       const firestore = getFirestore(app);
       const firebaseAuth = getAuth(app);
 
-      setDb(firestore);
       setAuth(firebaseAuth);
 
       const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
         if (user) {
-          setUserId(user.uid);
-        } else {
-          // Sign in anonymously if no token is provided or if it fails
-          try {
-            if (initialAuthToken) {
-              await signInWithCustomToken(firebaseAuth, initialAuthToken);
-            } else {
-              await signInAnonymously(firebaseAuth);
-            }
-            setUserId(firebaseAuth.currentUser?.uid || crypto.randomUUID()); // Fallback for anonymous
-          } catch (error) {
-            console.error("Firebase authentication failed:", error);
-            setUserId(crypto.randomUUID()); // Fallback to a random ID if auth fails
+          connectFirestore(firestore, user.uid);
+          return;
+        }
+        // Sign in anonymously if no token is provided or if it fails
+        try {
+          if (initialAuthToken) {
+            await signInWithCustomToken(firebaseAuth, initialAuthToken);
+          } else {
+            await signInAnonymously(firebaseAuth);
+          }
+          if (firebaseAuth.currentUser) {
+            connectFirestore(firestore, firebaseAuth.currentUser.uid);
+          } else {
+            fallBackToOfflineStorage();
           }
+        } catch (error) {
+          console.error("Firebase authentication failed:", error);
+          fallBackToOfflineStorage(); // Firestore rules reject unauthenticated users
         }
-        setIsAuthReady(true);
       });
 
       return () => unsubscribe();
     } catch (error) {
       console.error("Failed to initialize Firebase:", error);
-      setIsAuthReady(true); // Ensure app can still render even if Firebase fails
+      fallBackToOfflineStorage();
+      return undefined;
     }
-  }, []);
+  }, [offlineStorage]);
 
   return (
-    <FirebaseContext.Provider value={{ db, auth, userId, isAuthReady }}>
+    <FirebaseContext.Provider value={{ auth, storage, offlineStorage, userId, isAuthReady }}>
       {children}
     </FirebaseContext.Provider>
   );
 };
 
 // Reusable Section Wrapper for Collapsible Sections
-const SectionWrapper = ({ title, children, defaultOpen = false }) => {
+// `formHistory` marks a section that edits the undoable form store, so Ctrl+Z inside it undoes the form
+const SectionWrapper = ({ title, children, defaultOpen = false, id, formHistory = false }) => {
   const [isOpen, setIsOpen] = useState(defaultOpen);
 
   return (
-    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+    <div id={id} className="bg-white p-6 rounded-lg shadow-md mb-6" data-form-history={formHistory ? '' : undefined}>
       <button
         className="w-full flex justify-between items-center text-xl font-semibold text-gray-800 focus:outline-none"
         onClick={() => setIsOpen(!isOpen)}
@@ -103,147 +185,315 @@ const SectionWrapper = ({ title, children, defaultOpen = false }) => {
   );
 };
 
-// Dropdown Data
-const dropdownData = {
-  gender: ['Male', 'Female', 'Non-binary', 'Other'], // Re-using existing gender options
-  faceShape: ['Round', 'Oval', 'Square', 'Heart', 'Diamond'],
-  skinColor: ['Fair', 'Light', 'Medium', 'Olive', 'Dark'],
-  bodyTypePosture: ['Slim', 'Athletic', 'Average', 'Curvy', 'Muscular', 'Elderly', 'Slouching', 'Upright'],
-  // Updated age options for human characters
-  // age: ['Bayi', 'Belasan', 'Remaja', 'Dewasa', 'Tua'], // Now a text input
-  // Updated age options for animal characters with detailed prompts
-  animalAge: [
-    { label: 'Bayi (0–2 tahun)', value: 'baby-like, tiny proportions, big eyes, oversized head' },
-    { label: 'Balita (3–5 tahun)', value: 'toddler-style, playful and chubby, short legs' },
-    { label: 'Anak Kecil (6–8 tahun)', value: 'childlike, energetic, round face, cheerful' },
-    { label: 'Pra-Remaja (9–12 tahun)', value: 'youthful, slightly mischievous, small and lanky' },
-    { label: 'Remaja Awal (13–15 tahun)', value: 'awkward teen, slim build, growing up phase' },
-    { label: 'Remaja (16–18 tahun)', value: 'confident teenager, casual style, expressive' },
-    { label: 'Dewasa Muda (19–30 tahun)', value: 'young adult, well-proportioned, stylish' },
-    { label: 'Dewasa (31–50 tahun)', value: 'mature character, balanced, calm expression' },
-    { label: 'Lansia (50+ tahun)', value: 'elderly, gray fur, wrinkles, gentle demeanor' },
-    { label: 'Karakter Tua & Bijak (Fabel)', value: 'ancient creature, long beard, wise eyes, walking cane' },
-  ],
-  animalBodyShape: ['Slim', 'Chubby Round', 'Muscular', 'Graceful', 'Stocky'],
-  faceFeature: ['Chubby', 'Cute', 'Sharp', 'Angular', 'Soft'],
-  earFeature: ['Pointy', 'Rounded', 'Floppy', 'Large', 'Small'],
-  furCharacteristic: ['Soft', 'Fluffy', 'Short', 'Long', 'Wiry', 'Smooth', 'Patterned'],
-  expression: ['Happy', 'Angry', 'Sad', 'Confused', 'Surprised', 'Neutral', 'Excited', 'Worried', 'Determined'],
-  timeOfDay: ['Morning', 'Afternoon', 'Evening', 'Night', 'Golden Hour', 'Blue Hour', 'Dawn', 'Dusk'],
-  cameraMotion: [
-    { en: 'Static Shot', id: 'Bidikan Statis' },
-    { en: 'Pan Left', id: 'Geser Kiri' },
-    { en: 'Pan Right', id: 'Geser Kanan' },
-    { en: 'Tilt Up', id: 'Miring ke Atas' },
-    { en: 'Tilt Down', id: 'Miring ke Bawah' },
-    { en: 'Zoom In', id: 'Perbesar' },
-    { en: 'Zoom Out', id: 'Perkecil' },
-    { en: 'Dolly In', id: 'Gerakan Dolly Masuk' },
-    { en: 'Dolly Out', id: 'Gerakan Dolly Keluar' },
-    { en: 'Dolly Left', id: 'Gerakan Dolly Kiri' },
-    { en: 'Dolly Right', id: 'Gerakan Dolly Kanan' },
-    { en: 'Pedestal Up', id: 'Angkat Kamera ke Atas' },
-    { en: 'Pedestal Down', id: 'Turunkan Kamera ke Bawah' },
-    { en: 'Truck Left', id: 'Gerakan Truk Kiri' },
-    { en: 'Truck Right', id: 'Gerakan Truk Kanan' },
-    { en: 'Arc Left', id: 'Busur Kiri' },
-    { en: 'Arc Right', id: 'Busur Kanan' },
-    { en: 'Whip Pan', id: 'Geser Cepat' },
-    { en: 'Crash Zoom', id: 'Perbesar Mendadak' },
-    { en: 'Bullet Time', id: 'Waktu Peluru' },
-    { en: 'FPV Drone', id: 'Drone Sudut Pandang Orang Pertama' },
-    { en: 'Aerial Perspective', id: 'Perspektif Udara' },
-    { en: 'Tracking Shot', id: 'Bidikan Mengikuti' },
-    { en: '360 Orbit', id: 'Orbit 360 Derajat' },
-    { en: 'Crane Up', id: 'Angkat Derek ke Atas' },
-    { en: 'Crane Down', id: 'Turunkan Derek ke Bawah' },
-    { en: 'Dolly Zoom', id: 'Efek Vertigo' },
-    { en: 'Robo Arm', id: 'Lengan Robot' },
-    { en: 'Super Dolly In', id: 'Gerakan Dolly Sangat Dekat' },
-    { en: 'Focus Change', id: 'Perubahan Fokus' },
-    { en: 'Through Object', id: 'Melalui Objek' },
-    { en: 'Lazy Susan', id: 'Putaran Lambat' },
-    { en: 'Action Run', id: 'Lari Aksi' },
-    { en: 'Handheld', id: 'Genggam Tangan' },
-    { en: 'Dutch Angle', id: 'Sudut Belanda' },
-    { en: 'Car Grip', id: 'Genggam Mobil' },
-    { en: 'Hyperlapse', id: 'Hiperlapse' },
-    { en: 'Low Shutter', id: 'Rana Lambat' },
-    { en: 'Fisheye', id: 'Mata Ikan' },
-  ],
-  lighting: ['Soft lighting', 'Harsh light', 'Backlight', 'Cinematic lighting', 'Natural light', 'Dramatic lighting', 'Studio lighting', 'Ambient light'],
-  videoMood: ['Aesthetic', 'Cheerful', 'Cozy', 'Dark', 'Mysterious', 'Dramatic', 'Magical', 'Energetic', 'Calm', 'Suspenseful', 'Whimsical', 'Gritty', 'Dreamy'],
+// Drop "#share=..." from the address bar without reloading or adding a history entry
+const clearShareFragment = () => window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+// Offer JSON text as a file download; `name` is cleaned up into the file name
+const downloadJsonFile = (json, name) => {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name.replace(/[^\w-]+/g, '_')}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
 };
 
-const visualStyles = {
-  visualTechnique: ['2D', '2.5D', '3D', 'Stop-motion', 'Claymation', 'Pixel Art', 'Rotoscoping'],
-  artisticStyle: ['Cinematic', 'Realistic', 'Semi-realistic', 'Cartoon', 'Anime', 'Silhouette', 'Line Art', 'Flat Design', 'Papercut Style', 'Sketch/Doodle Style', 'Minimalist', 'Surrealistic', 'Vaporwave', 'Cyberpunk', 'Retro Futurism', 'Noir', 'Steampunk'],
-  studioBrandStyle: ['Disney Style', 'Pixar Style', 'DreamWorks Style', 'Illumination Style', 'Ghibli Style', 'Laika Style', 'Nickelodeon Style', 'Cartoon Network Style', 'Webtoon Style', 'Marvel/Comic Book Style', 'Roblox/Low Poly Style'],
+// Everything the form store holds, i.e. everything Undo/Redo covers
+const createInitialFormFields = (firstSceneTitle) => ({
+  // Character form
+  characterName: '',
+  characterType: '', // human, animal4, animal2, fantasy
+  humanDetails: {},
+  animal4Details: {},
+  animal2Details: {},
+  fantasyDetails: '',
+  editingCharacterId: null, // Saved character currently loaded in the form
+
+  savedCharacters: [], // [{ id, name, type, details, libraryId (optional) }]
+  selectedVisualStyles: [], // Array of selected styles
+
+  // The selected scene, edited through these per-scene fields
+  selectedCharactersForActions: [], // Array of character IDs
+  characterActions: [], // [{ charId, action, isMain }]
+  expressions: {}, // {charId: 'happy'}
+  location: '',
+  timeOfDay: '',
+  cameraMoves: [], // Camera block, see cameraMoves.js: [{ id, motion, startTime }] in the order they happen
+  shotSize: '',
+  cameraAngle: '',
+  focalLength: '',
+  focusBehavior: '',
+  lighting: '',
+  videoMood: '',
+  soundMusic: '',
+  spokenDialogue: [], // Dialogue timeline: [{ id, charId, type, sentence, targetCharId, startTime }]
+  additionalDetails: '',
+
+  // Storyboard
+  scenes: [createEmptyScene(firstSceneTitle)],
+  activeSceneIndex: 0,
+
+  // Languages of the final prompt and its spoken dialogue, see promptLanguages.js
+  promptLanguage: defaultLanguageSettings.promptLanguage,
+  dialogueLanguage: defaultLanguageSettings.dialogueLanguage,
+
+  // Output
+  indonesianPrompt: '',
+  englishPrompt: '', // The final prompt, in promptLanguage despite the name (kept for stored drafts)
+  englishPromptSource: '', // 'template' (offline compiler), 'llm' (MAKSIMALKAN) or 'llm-partial' (stream cut off)
+
+  // The open draft, kept with the form so undoing past opening a draft also forgets which draft it was
+  draftTitle: '',
+  currentDraftId: null, // "Save Changes" updates this draft
+  unrecoveredFields: {}, // Values of the open draft that failed validation, saved back as they were
+});
+
+// Drop every action, expression and dialogue reference to a character from one scene
+const removeCharacterFromScene = (scene, charId) => {
+  const { [charId]: removedExpression, ...expressions } = scene.expressions || {};
+  return {
+    ...scene,
+    selectedCharactersForActions: (scene.selectedCharactersForActions || []).filter(id => id !== charId),
+    characterActions: (scene.characterActions || []).filter(action => action.charId !== charId),
+    expressions,
+    spokenDialogue: (scene.spokenDialogue || [])
+      .filter(sd => sd.charId !== charId)
+      .map(sd => (sd.targetCharId === charId ? { ...sd, targetCharId: '' } : sd)),
+  };
 };
 
-// Main App Component
-const App = () => {
-  const { db, userId, isAuthReady } = useContext(FirebaseContext);
-
-  // Form States
-  const [characterName, setCharacterName] = useState('');
-  const [characterType, setCharacterType] = useState(''); // human, animal4, animal2, fantasy
-  const [humanDetails, setHumanDetails] = useState({});
-  const [animal4Details, setAnimal4Details] = useState({});
-  const [animal2Details, setAnimal2Details] = useState({});
-  const [fantasyDetails, setFantasyDetails] = useState('');
-
-  const [savedCharacters, setSavedCharacters] = useState([]);
-  const [selectedCharactersForActions, setSelectedCharactersForActions] = useState([]); // Array of character IDs
-  const [characterActions, setCharacterActions] = useState([]); // [{ charId, action, isMain, dialogueLines: [{type, sentence}] }]
-
-  const [expressions, setExpressions] = useState({}); // {charId: 'happy'}
-  const [location, setLocation] = useState('');
-  const [timeOfDay, setTimeOfDay] = useState('');
-  const [cameraMotion, setCameraMotion] = useState('');
-  const [lighting, setLighting] = useState('');
-  const [selectedVisualStyles, setSelectedVisualStyles] = useState([]); // Array of selected styles
-  const [videoMood, setVideoMood] = useState('');
-  const [soundMusic, setSoundMusic] = useState('');
-  const [spokenDialogue, setSpokenDialogue] = useState([]); // [{ charId, type, sentence, targetCharId (optional) }]
-  const [additionalDetails, setAdditionalDetails] = useState('');
+// Main App Component. `llmClient` replaces the Gemini client, e.g. with createFakeLlmClient in tests.
+const App = ({ llmClient: injectedLlmClient = null }) => {
+  const { storage, offlineStorage, isAuthReady } = useContext(FirebaseContext);
+  const { t, language, setLanguage } = useI18n();
+  // For messages shown from long-lived effects, which shouldn't re-run when the language changes
+  const languageRef = useRef(language);
+  languageRef.current = language;
+
+  // Form States: one undoable store (see formHistory.js) with a useState-style setter per field
+  const { fields: formFields, setters: formSetters, rebind, undo, redo, canUndo, canRedo } = useFormHistory(
+    () => createInitialFormFields(t('scenes.defaultTitle', { number: 1 }))
+  );
+  const {
+    characterName, characterType, humanDetails, animal4Details, animal2Details, fantasyDetails, editingCharacterId,
+    savedCharacters, selectedCharactersForActions, characterActions, expressions, location, timeOfDay, cameraMoves,
+    shotSize, cameraAngle, focalLength, focusBehavior, lighting, selectedVisualStyles, videoMood, soundMusic, spokenDialogue, additionalDetails, scenes, activeSceneIndex,
+    promptLanguage, dialogueLanguage, indonesianPrompt, englishPrompt, englishPromptSource, draftTitle, currentDraftId,
+    unrecoveredFields,
+  } = formFields;
+  const {
+    setCharacterName, setCharacterType, setHumanDetails, setAnimal4Details, setAnimal2Details, setFantasyDetails,
+    setEditingCharacterId, setSavedCharacters, setSelectedCharactersForActions, setCharacterActions, setExpressions,
+    setLocation, setTimeOfDay, setCameraMoves, setShotSize, setCameraAngle, setFocalLength, setFocusBehavior, setLighting, setSelectedVisualStyles, setVideoMood, setSoundMusic,
+    setSpokenDialogue, setAdditionalDetails, setScenes, setActiveSceneIndex, setPromptLanguage, setDialogueLanguage,
+    setIndonesianPrompt, setEnglishPrompt, setEnglishPromptSource, setDraftTitle, setCurrentDraftId, setUnrecoveredFields,
+  } = formSetters;
+
+  const [libraryCharacters, setLibraryCharacters] = useState([]); // Firestore character library, shared across drafts
+  const [looks, setLooks] = useState([]); // Look presets (see lookPresets.js), shared across drafts
 
   // Output States
-  const [indonesianPrompt, setIndonesianPrompt] = useState('');
-  const [englishPrompt, setEnglishPrompt] = useState('');
+  const [jsonPrompt, setJsonPrompt] = useState('');
+  const [outputTab, setOutputTab] = useState('text'); // 'text' (Indonesian + English) or 'json'
   const [isLoadingPrompt, setIsLoadingPrompt] = useState(false);
+  const [promptVariants, setPromptVariants] = useState([]); // [{ id, styleId, label, text, status: 'streaming' | 'done' | 'partial' | 'failed', source }]
+  const [variantBasePrompt, setVariantBasePrompt] = useState(''); // The final prompt the batch started from, for the variant diffs
+  const [starredVariantId, setStarredVariantId] = useState(null);
+  const [variantStyleIds, setVariantStyleIds] = useState(defaultVariantStyleIds);
+  const [isGeneratingVariants, setIsGeneratingVariants] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [modalMessage, setModalMessage] = useState('');
 
   // LLM Loading States for new features
   const [isLoadingActionSuggestion, setIsLoadingActionSuggestion] = useState({}); // {charId: true/false}
-  const [isLoadingDialogueSuggestion, setIsLoadingDialogueSuggestion] = useState({}); // {index: true/false}
+  const [isLoadingDialogueSuggestion, setIsLoadingDialogueSuggestion] = useState({}); // {lineId: true/false}
+
+  // LLM Client: every LLM feature goes through llmClient.generateText
+  const [llmSettings, setLlmSettings] = useState(() => defaultLlmSettings()); // { provider, baseUrl, model }, saved per user
+  const [llmApiKeys, setLlmApiKeys] = useState(readStoredLlmApiKeys);
+  const [isSavingLlmSettings, setIsSavingLlmSettings] = useState(false);
+  // The Gemini key built into the bundle is only a fallback for the Gemini provider
+  const llmApiKey = llmApiKeys[llmSettings.provider] || (llmSettings.provider === 'gemini' ? geminiApiKey : '');
+  const llmClient = useMemo(
+    () => injectedLlmClient || createLlmClient(llmSettings, { apiKey: llmApiKey }),
+    [injectedLlmClient, llmSettings, llmApiKey]
+  );
+  const llmRequestsRef = useRef({}); // {requestKey: AbortController} for the Stop buttons
+
+  // Choice lists: the user's own entries (see customOptions.js) merged into the built-in dropdown data
+  const [customOptions, setCustomOptions] = useState({});
+  const [isSavingCustomOptions, setIsSavingCustomOptions] = useState(false);
+  const { dropdownData, visualStyles } = useMemo(() => mergeOptionLists(customOptions), [customOptions]);
+
+  const jsonFileInputRef = useRef(null);
 
-  // Draft Management States (Removed from UI, but logic remains for potential future use or if user wants to re-add)
+  // Confirmation Modal State: { message, onConfirm }
+  const [confirmDialog, setConfirmDialog] = useState(null);
+
+  // Draft Management States
   const [drafts, setDrafts] = useState([]);
-  const [currentDraftId, setCurrentDraftId] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
 
+  // Version History States: prompt versions of the open draft
+  const [promptVersions, setPromptVersions] = useState([]);
+  const [isSavingVersion, setIsSavingVersion] = useState(false);
+
+  // Offline storage: items saved in this browser before Firebase was available ({ collection path: count })
+  const [localItemCounts, setLocalItemCounts] = useState({});
+  const [isSyncingLocalItems, setIsSyncingLocalItems] = useState(false);
+
+  // Crash recovery: the session autosaved during the last visit is offered before autosave starts
+  const [recoveryStatus, setRecoveryStatus] = useState('checking'); // 'checking' | 'offered' | 'idle'
+  const [recoverableSession, setRecoverableSession] = useState(null);
+  const [resetUndoSession, setResetUndoSession] = useState(null); // The form as it was before the last reset
+  const savedSessionJsonRef = useRef(null); // Form content as last saved to or opened from a draft
+  const markSessionSavedRef = useRef(false); // Set when a draft is opened; the next autosave pass records it
+
+  // Share Link States
+  const [sharedProject, setSharedProject] = useState(null); // { draft, problems } decoded from a share link in the URL
+
   // Fetch drafts on component mount and when auth is ready
   useEffect(() => {
-    if (db && userId && isAuthReady) {
-      const q = query(collection(db, `artifacts/${appId}/users/${userId}/prompt_drafts`));
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const fetchedDrafts = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setDrafts(fetchedDrafts);
-      }, (error) => {
+    if (storage && isAuthReady) {
+      return storage.subscribeCollection('prompt_drafts', setDrafts, (error) => {
         console.error("Error fetching drafts:", error);
-        setModalMessage("Error loading drafts. Please try again.");
+        setModalMessage(translate(languageRef.current, 'drafts.loadError'));
         setShowModal(true);
       });
+    }
+  }, [storage, isAuthReady]);
 
-      return () => unsubscribe();
+  // Fetch the versions of the open draft
+  useEffect(() => {
+    if (storage && isAuthReady && currentDraftId) {
+      return storage.subscribeCollection(`prompt_drafts/${currentDraftId}/versions`, setPromptVersions, (error) => {
+        console.error("Error fetching prompt versions:", error);
+        setModalMessage(translate(languageRef.current, 'versions.loadError'));
+        setShowModal(true);
+      });
+    }
+    setPromptVersions([]);
+  }, [storage, isAuthReady, currentDraftId]);
+
+  // Fetch the character library on component mount and when auth is ready
+  useEffect(() => {
+    if (storage && isAuthReady) {
+      return storage.subscribeCollection('characters', setLibraryCharacters, (error) => {
+        console.error("Error fetching character library:", error);
+        setModalMessage(translate(languageRef.current, 'library.loadError'));
+        setShowModal(true);
+      });
+    }
+  }, [storage, isAuthReady]);
+
+  // Fetch the look presets on component mount and when auth is ready
+  useEffect(() => {
+    if (storage && isAuthReady) {
+      return storage.subscribeCollection('looks', setLooks, (error) => {
+        console.error("Error fetching looks:", error);
+        setModalMessage(translate(languageRef.current, 'looks.loadError'));
+        setShowModal(true);
+      });
+    }
+  }, [storage, isAuthReady]);
+
+  // Fetch the LLM provider settings on component mount and when auth is ready
+  useEffect(() => {
+    if (storage && isAuthReady) {
+      return storage.subscribeItem('settings', 'llm', (settings) => {
+        setLlmSettings(normalizeLlmSettings(settings));
+      }, (error) => {
+        console.error("Error fetching AI settings:", error);
+        setModalMessage(translate(languageRef.current, 'llmSettings.loadError'));
+        setShowModal(true);
+      });
     }
-  }, [db, userId, isAuthReady]);
+  }, [storage, isAuthReady]);
+
+  // Fetch the user's choice lists on component mount and when auth is ready
+  useEffect(() => {
+    if (storage && isAuthReady) {
+      return storage.subscribeItem('settings', 'options', (options) => {
+        setCustomOptions(normalizeCustomOptions(options));
+      }, (error) => {
+        console.error("Error fetching choice lists:", error);
+        setModalMessage(translate(languageRef.current, 'options.loadError'));
+        setShowModal(true);
+      });
+    }
+  }, [storage, isAuthReady]);
+
+  // Offer to upload what was saved in this browser while Firebase was unavailable
+  useEffect(() => {
+    if (!storage || storage.kind !== 'firestore' || !isAuthReady) return undefined;
+    let active = true;
+    countLocalItems(offlineStorage)
+      .then(counts => {
+        if (active) setLocalItemCounts(counts);
+      })
+      .catch(error => console.error("Error reading local drafts:", error));
+    return () => {
+      active = false;
+    };
+  }, [storage, offlineStorage, isAuthReady]);
+
+  // Read the recovery slot once; sessions with unsaved changes are offered back
+  useEffect(() => {
+    let active = true;
+    offlineStorage.listItems(RECOVERY_PATH)
+      .then(items => {
+        if (!active) return;
+        const session = items.find(item => item.id === RECOVERY_SLOT_ID);
+        if (session && session.hasUnsavedChanges && !isEmptySession(session)) {
+          setRecoverableSession(session);
+          setRecoveryStatus('offered');
+        } else {
+          setRecoveryStatus('idle');
+        }
+      })
+      .catch(error => {
+        console.error("Error reading the autosaved form:", error);
+        if (active) setRecoveryStatus('idle');
+      });
+    return () => {
+      active = false;
+    };
+  }, [offlineStorage]);
+
+  // Open share links, on load and when a link is pasted into the address bar of an open tab
+  useEffect(() => {
+    let active = true;
+    const openShareFragment = () => {
+      const encoded = readShareFragment(window.location.hash);
+      if (encoded === null) return;
+      decodeShareData(encoded)
+        .then(shared => {
+          if (active) setSharedProject(shared);
+        })
+        .catch(error => {
+          console.error("Error opening share link:", error);
+          if (!active) return;
+          clearShareFragment();
+          setModalMessage(error instanceof ShareLinkError ? translate(languageRef.current, `share.error.${error.code}`) : translate(languageRef.current, 'share.openError'));
+          setShowModal(true);
+        });
+    };
+    openShareFragment();
+    window.addEventListener('hashchange', openShareFragment);
+    return () => {
+      active = false;
+      window.removeEventListener('hashchange', openShareFragment);
+    };
+  }, []);
+
+  // Cancel every running LLM request when the app unmounts
+  useEffect(() => {
+    const requests = llmRequestsRef.current;
+    return () => Object.values(requests).forEach(controller => controller.abort());
+  }, []);
 
   // Function to show custom modal
   const showCustomModal = (message) => {
@@ -251,141 +501,519 @@ const App = () => {
     setShowModal(true);
   };
 
-  // Function to save a prompt draft
-  const savePromptDraft = async () => {
-    if (!db || !userId) {
-      showCustomModal("Firebase not initialized or user not authenticated. Cannot save draft.");
+  // Function to ask for confirmation before a destructive action
+  const showConfirmModal = (message, onConfirm) => {
+    setConfirmDialog({ message, onConfirm });
+  };
+
+  // LLM requests: one AbortController per key, so each spinner can stop its own request
+  const startLlmRequest = (key) => {
+    if (llmRequestsRef.current[key]) llmRequestsRef.current[key].abort();
+    const controller = new AbortController();
+    llmRequestsRef.current[key] = controller;
+    return controller;
+  };
+
+  const finishLlmRequest = (key, controller) => {
+    if (llmRequestsRef.current[key] === controller) delete llmRequestsRef.current[key];
+  };
+
+  const abortLlmRequest = (key) => {
+    if (llmRequestsRef.current[key]) llmRequestsRef.current[key].abort();
+  };
+
+  // One error modal for every LLM feature; a cancelled request needs no message
+  const showLlmError = (error, failureMessage) => {
+    if (error instanceof AbortedError) return;
+    console.error(failureMessage, error);
+    let reason = t('llmError.unexpected');
+    if (error instanceof AuthError) {
+      reason = t('llmError.auth');
+    } else if (error instanceof QuotaError) {
+      reason = t('llmError.quota');
+    } else if (error instanceof SafetyBlockError) {
+      reason = t('llmError.safety');
+    } else if (error instanceof NetworkError) {
+      reason = t('llmError.network');
+    } else if (error instanceof TimeoutError) {
+      reason = t('llmError.timeout');
+    } else if (error && error.status) {
+      reason = t('llmError.status', { status: error.status, detail: (error.detail || '').substring(0, 100) });
+    }
+    showCustomModal(`${failureMessage} ${reason}`);
+  };
+
+  const draftsPath = 'prompt_drafts';
+  const charactersPath = 'characters';
+  const looksPath = 'looks';
+
+  // Snapshot of the whole form as stored in a draft document
+  const buildPromptData = (title) => ({
+    title: title || t('drafts.untitled'),
+    characterName,
+    characterType,
+    humanDetails,
+    animal4Details,
+    animal2Details,
+    fantasyDetails,
+    savedCharacters,
+    selectedVisualStyles,
+    scenes: buildScenes(),
+    activeSceneIndex,
+    promptLanguage,
+    dialogueLanguage,
+    indonesianPrompt,
+    englishPrompt,
+    schemaVersion: DRAFT_SCHEMA_VERSION,
+    ...(Object.keys(unrecoveredFields).length > 0 && { unrecoveredFields }),
+    timestamp: storage.timestamp(),
+  });
+
+  // Function to save a prompt draft (updates the open draft unless asNew is set)
+  const savePromptDraft = async (asNew = false) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.saveDraft'));
       return;
     }
 
     setIsSaving(true);
     try {
-      const promptData = {
-        characterName,
-        characterType,
-        humanDetails,
-        animal4Details,
-        animal2Details,
-        fantasyDetails,
-        savedCharacters,
-        selectedCharactersForActions,
-        characterActions,
-        expressions,
-        location,
-        timeOfDay,
-        cameraMotion,
-        lighting,
-        selectedVisualStyles,
-        videoMood,
-        soundMusic,
-        spokenDialogue,
-        additionalDetails,
-        indonesianPrompt,
-        englishPrompt,
-        timestamp: serverTimestamp(),
-      };
+      const promptData = buildPromptData(draftTitle.trim());
 
-      if (currentDraftId) {
-        await setDoc(doc(db, `artifacts/${appId}/users/${userId}/prompt_drafts`, currentDraftId), promptData);
-        showCustomModal("Draft updated successfully!");
+      if (currentDraftId && !asNew) {
+        await storage.setItem(draftsPath, currentDraftId, promptData);
+        savedSessionJsonRef.current = sessionJson;
+        showCustomModal(t('drafts.updated'));
       } else {
-        const docRef = await addDoc(collection(db, `artifacts/${appId}/users/${userId}/prompt_drafts`), promptData);
-        setCurrentDraftId(docRef.id);
-        showCustomModal("Draft saved successfully!");
+        rebind('currentDraftId', await storage.addItem(draftsPath, promptData)); // Not an undo step, see formHistory.js
+        savedSessionJsonRef.current = sessionJson;
+        setDraftTitle(promptData.title);
+        showCustomModal(t('drafts.saved'));
       }
     } catch (error) {
       console.error("Error saving draft:", error);
-      showCustomModal("Error saving draft. Please try again.");
+      showCustomModal(t('drafts.saveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Function to replace an existing draft with the current form
+  const overwritePromptDraft = (draft) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.saveDraft'));
+      return;
+    }
+
+    showConfirmModal(t('drafts.confirmOverwrite', { title: draft.title || t('drafts.untitled') }), async () => {
+      setIsSaving(true);
+      try {
+        await storage.setItem(draftsPath, draft.id, buildPromptData(draft.title));
+        savedSessionJsonRef.current = sessionJson;
+        rebind('currentDraftId', draft.id);
+        setDraftTitle(draft.title || '');
+        showCustomModal(t('drafts.overwritten'));
+      } catch (error) {
+        console.error("Error overwriting draft:", error);
+        showCustomModal(t('drafts.overwriteError'));
+      } finally {
+        setIsSaving(false);
+      }
+    });
+  };
+
+  // Function to rename a draft without touching its content
+  const renamePromptDraft = async (id, title) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.renameDraft'));
+      return;
+    }
+    try {
+      await storage.updateItem(draftsPath, id, { title });
+      if (currentDraftId === id) {
+        setDraftTitle(title);
+      }
+    } catch (error) {
+      console.error("Error renaming draft:", error);
+      showCustomModal(t('drafts.renameError'));
+    }
+  };
+
+  // Function to copy a draft into a new document
+  const duplicatePromptDraft = async (draft) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.duplicateDraft'));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const { id, ...draftData } = draft;
+      await storage.addItem(draftsPath, {
+        ...draftData,
+        title: t('common.copyTitle', { title: draft.title || t('drafts.untitled') }),
+        timestamp: storage.timestamp(),
+      });
+      showCustomModal(t('drafts.duplicated'));
+    } catch (error) {
+      console.error("Error duplicating draft:", error);
+      showCustomModal(t('drafts.duplicateError'));
     } finally {
       setIsSaving(false);
     }
   };
 
-  // Function to load a prompt draft
-  const loadPromptDraft = (draft) => {
-    setCharacterName(draft.characterName || '');
-    setCharacterType(draft.characterType || '');
-    setHumanDetails(draft.humanDetails || {});
-    setAnimal4Details(draft.animal4Details || {});
-    setAnimal2Details(draft.animal2Details || {});
-    setFantasyDetails(draft.fantasyDetails || '');
-    setSavedCharacters(draft.savedCharacters || []);
-    setSelectedCharactersForActions(draft.selectedCharactersForActions || []);
-    setCharacterActions(draft.characterActions || []);
-    setExpressions(draft.expressions || {});
-    setLocation(draft.location || '');
-    setTimeOfDay(draft.timeOfDay || '');
-    setCameraMotion(draft.cameraMotion || '');
-    setLighting(draft.lighting || '');
-    setSelectedVisualStyles(draft.selectedVisualStyles || []);
-    setVideoMood(draft.videoMood || '');
-    setSoundMusic(draft.soundMusic || '');
-    setSpokenDialogue(draft.spokenDialogue || []);
-    setAdditionalDetails(draft.additionalDetails || '');
-    setIndonesianPrompt(draft.indonesianPrompt || '');
-    setEnglishPrompt(draft.englishPrompt || '');
-    setCurrentDraftId(null); // Clear current draft ID after loading, so saving creates a new one
-    showCustomModal("Draft loaded successfully!");
+  // Put the characters, scenes and prompts of a draft or prompt version into the form.
+  // `data` comes from upgradeDraft, so it has the current schema.
+  const applyProjectData = (data, englishSource = '') => {
+    setSavedCharacters(data.savedCharacters);
+    setSelectedVisualStyles(data.selectedVisualStyles);
+    setScenes(data.scenes);
+    setActiveSceneIndex(data.activeSceneIndex);
+    applySceneFields(data.scenes[data.activeSceneIndex]);
+    setPromptLanguage(data.promptLanguage);
+    setDialogueLanguage(data.dialogueLanguage);
+    setIndonesianPrompt(data.indonesianPrompt);
+    setEnglishPrompt(data.englishPrompt);
+    setEnglishPromptSource(englishSource);
+    setJsonPrompt('');
+    setPromptVariants([]);
+    setStarredVariantId(null);
+  };
+
+  // Put a whole upgraded draft or autosaved session into the form, character form included
+  const applyFormData = (data, englishSource = '') => {
+    setCharacterName(data.characterName);
+    setCharacterType(data.characterType);
+    setHumanDetails(data.humanDetails);
+    setAnimal4Details(data.animal4Details);
+    setAnimal2Details(data.animal2Details);
+    setFantasyDetails(data.fantasyDetails);
+    setEditingCharacterId(null);
+    applyProjectData(data, englishSource);
+    setUnrecoveredFields(data.unrecoveredFields || {});
+  };
+
+  const loadPromptDraft = (storedDraft) => {
+    const { draft, problems } = upgradeDraft(storedDraft);
+    applyFormData(draft);
+    markSessionSavedRef.current = true;
+    setCurrentDraftId(draft.id || null); // "Save Changes" updates the opened draft, "Save as New Draft" forks it
+    setDraftTitle(draft.title);
+    showCustomModal(problems.length === 0
+      ? t('drafts.loaded')
+      : t('drafts.loadedWithProblems', { problems: describeDraftProblems(problems).join('\n') }));
   };
 
   // Function to delete a prompt draft
   const deletePromptDraft = async (id) => {
-    if (!db || !userId) {
-      showCustomModal("Firebase not initialized or user not authenticated. Cannot delete draft.");
+    if (!storage) {
+      showCustomModal(t('storage.notReady.deleteDraft'));
       return;
     }
     setIsDeleting(true);
     try {
-      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/prompt_drafts`, id));
+      // Neither storage deletes subcollections with their parent, so versions go first
+      const versionsPath = `${draftsPath}/${id}/versions`;
+      const versions = await storage.listItems(versionsPath);
+      await Promise.all(versions.map(version => storage.deleteItem(versionsPath, version.id)));
+      await storage.deleteItem(draftsPath, id);
       if (currentDraftId === id) {
         setCurrentDraftId(null); // Clear current draft if deleted
         resetForm();
       }
-      showCustomModal("Draft deleted successfully!");
+      showCustomModal(t('drafts.deleted'));
     } catch (error) {
       console.error("Error deleting draft:", error);
-      showCustomModal("Error deleting draft. Please try again.");
+      showCustomModal(t('drafts.deleteError'));
     } finally {
       setIsDeleting(false);
     }
   };
 
-  // Function to reset the form
+  // Offline storage: move the items saved in this browser to Firestore
+  const uploadLocalItems = async () => {
+    setIsSyncingLocalItems(true);
+    try {
+      const uploaded = await syncLocalItems(offlineStorage, storage);
+      showCustomModal(t('storage.uploaded', { count: uploaded }));
+    } catch (error) {
+      console.error("Error uploading local items:", error);
+      showCustomModal(t('storage.uploadError'));
+    } finally {
+      setLocalItemCounts(await countLocalItems(offlineStorage).catch(() => ({})));
+      setIsSyncingLocalItems(false);
+    }
+  };
+
+  // Version History: store prompts together with the form that produced them under the open draft.
+  // Generations are recorded automatically; without an open draft there is nowhere to keep them.
+  // `label` comes from versionLabelFields (see promptVersions.js), translated when the history is shown.
+  const recordPromptVersion = async (label, prompts, note = '') => {
+    if (!storage || !currentDraftId) return;
+    try {
+      await storage.addItem(`${draftsPath}/${currentDraftId}/versions`, {
+        ...label,
+        note,
+        indonesianPrompt: prompts.indonesianPrompt,
+        englishPrompt: prompts.englishPrompt,
+        englishPromptSource: prompts.englishPromptSource || '',
+        savedCharacters,
+        selectedVisualStyles,
+        scenes: buildScenes(),
+        activeSceneIndex,
+        promptLanguage,
+        dialogueLanguage,
+        schemaVersion: DRAFT_SCHEMA_VERSION,
+        timestamp: storage.timestamp(),
+      });
+    } catch (error) {
+      console.error("Error saving prompt version:", error);
+      showCustomModal(t('versions.saveError'));
+    }
+  };
+
+  const saveManualPromptVersion = async (note) => {
+    if (!storage || !currentDraftId) {
+      showCustomModal(t('versions.needsDraft'));
+      return;
+    }
+    setIsSavingVersion(true);
+    await recordPromptVersion(versionLabelFields('versions.label.manual'), { indonesianPrompt, englishPrompt, englishPromptSource }, note);
+    setIsSavingVersion(false);
+  };
+
+  const updatePromptVersionNote = async (versionId, note) => {
+    try {
+      await storage.updateItem(`${draftsPath}/${currentDraftId}/versions`, versionId, { note });
+    } catch (error) {
+      console.error("Error updating version note:", error);
+      showCustomModal(t('versions.noteError'));
+    }
+  };
+
+  const restorePromptVersion = (version) => {
+    showConfirmModal(t('versions.confirmRestore'), () => {
+      const { draft, problems } = upgradeDraft(version);
+      applyProjectData(draft, version.englishPromptSource || '');
+      showCustomModal(problems.length === 0
+        ? t('versions.restored')
+        : t('versions.restoredWithProblems', { problems: describeDraftProblems(problems).join('\n') }));
+    });
+  };
+
+  const deletePromptVersion = (version) => {
+    showConfirmModal(t('versions.confirmDelete', { label: versionLabel(version, t) }), async () => {
+      try {
+        await storage.deleteItem(`${draftsPath}/${currentDraftId}/versions`, version.id);
+      } catch (error) {
+        console.error("Error deleting version:", error);
+        showCustomModal(t('versions.deleteError'));
+      }
+    });
+  };
+
+  // Storyboard: the per-scene fields of a scene-like object, with defaults for missing ones
+  const getSceneFields = (source) => ({
+    selectedCharactersForActions: source.selectedCharactersForActions || [],
+    characterActions: source.characterActions || [],
+    expressions: source.expressions || {},
+    location: source.location || '',
+    timeOfDay: source.timeOfDay || '',
+    cameraMoves: source.cameraMoves || [],
+    shotSize: source.shotSize || '',
+    cameraAngle: source.cameraAngle || '',
+    focalLength: source.focalLength || '',
+    focusBehavior: source.focusBehavior || '',
+    lighting: source.lighting || '',
+    videoMood: source.videoMood || '',
+    soundMusic: source.soundMusic || '',
+    spokenDialogue: source.spokenDialogue || [],
+    additionalDetails: source.additionalDetails || '',
+  });
+
+  // Storyboard: load a scene into the per-scene form states
+  const applySceneFields = (scene) => {
+    const fields = getSceneFields(scene);
+    setSelectedCharactersForActions(fields.selectedCharactersForActions);
+    setCharacterActions(fields.characterActions);
+    setExpressions(fields.expressions);
+    setLocation(fields.location);
+    setTimeOfDay(fields.timeOfDay);
+    setCameraMoves(fields.cameraMoves);
+    setShotSize(fields.shotSize);
+    setCameraAngle(fields.cameraAngle);
+    setFocalLength(fields.focalLength);
+    setFocusBehavior(fields.focusBehavior);
+    setLighting(fields.lighting);
+    setVideoMood(fields.videoMood);
+    setSoundMusic(fields.soundMusic);
+    setSpokenDialogue(fields.spokenDialogue);
+    setAdditionalDetails(fields.additionalDetails);
+  };
+
+  // Storyboard: all scenes, with the selected one brought up to date from the form
+  const buildScenes = () => scenes.map((scene, index) => (
+    index === activeSceneIndex
+      ? {
+        ...scene,
+        ...getSceneFields({
+          selectedCharactersForActions,
+          characterActions,
+          expressions,
+          location,
+          timeOfDay,
+          cameraMoves,
+          shotSize,
+          cameraAngle,
+          focalLength,
+          focusBehavior,
+          lighting,
+          videoMood,
+          soundMusic,
+          spokenDialogue,
+          additionalDetails,
+        }),
+      }
+      : scene
+  ));
+
+  const handleSelectScene = (index) => {
+    const updatedScenes = buildScenes();
+    setScenes(updatedScenes);
+    setActiveSceneIndex(index);
+    applySceneFields(updatedScenes[index]);
+  };
+
+  const handleAddScene = () => {
+    const newScene = createEmptyScene(t('scenes.defaultTitle', { number: scenes.length + 1 }));
+    const updatedScenes = [...buildScenes(), newScene];
+    setScenes(updatedScenes);
+    setActiveSceneIndex(updatedScenes.length - 1);
+    applySceneFields(newScene);
+  };
+
+  const handleDuplicateScene = (index) => {
+    const updatedScenes = buildScenes();
+    const sceneCopy = {
+      ...JSON.parse(JSON.stringify(updatedScenes[index])), // Deep copy so edits don't leak between scenes
+      id: createEmptyScene('').id,
+      title: t('common.copyTitle', { title: updatedScenes[index].title || t('scenes.defaultTitle', { number: index + 1 }) }),
+    };
+    sceneCopy.spokenDialogue = (sceneCopy.spokenDialogue || []).map(({ id, ...line }) => createDialogueLine(line));
+    sceneCopy.cameraMoves = (sceneCopy.cameraMoves || []).map(({ id, ...move }) => createCameraMove(move));
+    updatedScenes.splice(index + 1, 0, sceneCopy);
+    setScenes(updatedScenes);
+    setActiveSceneIndex(index + 1);
+    applySceneFields(sceneCopy);
+  };
+
+  const handleMoveScene = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= scenes.length) return;
+    const updatedScenes = buildScenes();
+    [updatedScenes[index], updatedScenes[targetIndex]] = [updatedScenes[targetIndex], updatedScenes[index]];
+    setScenes(updatedScenes);
+    if (activeSceneIndex === index) {
+      setActiveSceneIndex(targetIndex);
+    } else if (activeSceneIndex === targetIndex) {
+      setActiveSceneIndex(index);
+    }
+  };
+
+  const handleDeleteScene = (index) => {
+    if (scenes.length === 1) return;
+    const updatedScenes = buildScenes().filter((scene, i) => i !== index);
+    const nextActiveIndex = activeSceneIndex > index
+      ? activeSceneIndex - 1
+      : Math.min(activeSceneIndex, updatedScenes.length - 1);
+    setScenes(updatedScenes);
+    setActiveSceneIndex(nextActiveIndex);
+    applySceneFields(updatedScenes[nextActiveIndex]);
+  };
+
+  const handleRenameScene = (index, title) => {
+    setScenes(prevScenes => prevScenes.map((scene, i) => (i === index ? { ...scene, title } : scene)));
+  };
+
+  // Crash recovery and reset undo: put a session (see sessionRecovery.js) back into the form.
+  // A session of a draft deleted since then continues as an unsaved form (the list may still be loading).
+  const applySession = (session) => {
+    const { draft } = upgradeDraft(session);
+    const draftExists = drafts.length === 0 || drafts.some(d => d.id === session.currentDraftId);
+    applyFormData(draft, session.englishPromptSource || '');
+    setCurrentDraftId(draftExists ? session.currentDraftId || null : null);
+    setDraftTitle(session.draftTitle || '');
+  };
+
+  const restoreRecoveredSession = () => {
+    applySession(recoverableSession);
+    setRecoverableSession(null);
+    setRecoveryStatus('idle');
+  };
+
+  const discardRecoveredSession = () => {
+    offlineStorage.deleteItem(RECOVERY_PATH, RECOVERY_SLOT_ID)
+      .catch(error => console.error("Error discarding the autosaved form:", error));
+    setRecoverableSession(null);
+    setRecoveryStatus('idle');
+  };
+
+  const undoReset = () => {
+    applySession(resetUndoSession);
+    setResetUndoSession(null);
+  };
+
+  // Function to reset the form; the form before the reset can be brought back with Undo
   const resetForm = () => {
+    const previousSession = { ...sessionContent, currentDraftId, draftTitle };
+    setResetUndoSession(isEmptySession(previousSession) ? null : previousSession);
     setCharacterName('');
     setCharacterType('');
     setHumanDetails({});
     setAnimal4Details({});
     setAnimal2Details({});
     setFantasyDetails('');
+    setEditingCharacterId(null);
     setSavedCharacters([]);
-    setSelectedCharactersForActions([]);
-    setCharacterActions([]);
-    setExpressions({});
-    setLocation('');
-    setTimeOfDay('');
-    setCameraMotion('');
-    setLighting('');
     setSelectedVisualStyles([]);
-    setVideoMood('');
-    setSoundMusic('');
-    setSpokenDialogue([]);
-    setAdditionalDetails('');
+    const firstScene = createEmptyScene(t('scenes.defaultTitle', { number: 1 }));
+    setScenes([firstScene]);
+    setActiveSceneIndex(0);
+    applySceneFields(firstScene);
+    setPromptLanguage(defaultLanguageSettings.promptLanguage);
+    setDialogueLanguage(defaultLanguageSettings.dialogueLanguage);
     setIndonesianPrompt('');
     setEnglishPrompt('');
+    setEnglishPromptSource('');
+    setJsonPrompt('');
+    setPromptVariants([]);
+    setStarredVariantId(null);
     setCurrentDraftId(null);
-    showCustomModal("Form reset successfully!");
+    setDraftTitle('');
+    setUnrecoveredFields({});
   };
 
   // Character Management
+  const clearCharacterForm = () => {
+    setCharacterName('');
+    setCharacterType('');
+    setHumanDetails({});
+    setAnimal4Details({});
+    setAnimal2Details({});
+    setFantasyDetails('');
+    setEditingCharacterId(null);
+  };
+
   const handleSaveCharacter = () => {
     if (!characterName) {
-      showCustomModal("Character Name is required to save a character.");
+      showCustomModal(t('characters.nameRequired'));
       return;
     }
 
+    const editedCharacter = editingCharacterId && savedCharacters.find(sc => sc.id === editingCharacterId);
     const newCharacter = {
-      id: Date.now().toString(), // Simple unique ID
+      ...editedCharacter, // Keeps the id and library link when editing
+      id: editedCharacter ? editedCharacter.id : Date.now().toString(), // Simple unique ID
       name: characterName,
       type: characterType,
       details: {},
@@ -405,18 +1033,274 @@ const App = () => {
         newCharacter.details = fantasyDetails;
         break;
       default:
-        showCustomModal("Please select a character type.");
+        showCustomModal(t('characters.typeRequired'));
         return;
     }
 
-    setSavedCharacters([...savedCharacters, newCharacter]);
-    setCharacterName(''); // Clear character name after saving
-    setCharacterType(''); // Clear character type
-    setHumanDetails({});
-    setAnimal4Details({});
-    setAnimal2Details({});
-    setFantasyDetails('');
-    showCustomModal(`Character "${newCharacter.name}" saved!`);
+    if (editedCharacter) {
+      setSavedCharacters(savedCharacters.map(sc => (sc.id === newCharacter.id ? newCharacter : sc)));
+      showCustomModal(t('characters.updated', { name: newCharacter.name }));
+    } else {
+      setSavedCharacters([...savedCharacters, newCharacter]);
+      showCustomModal(t('characters.saved', { name: newCharacter.name }));
+    }
+    clearCharacterForm(); // Clear the character form after saving
+  };
+
+  // Load a saved character back into its type-specific form
+  const handleEditCharacter = (character) => {
+    setCharacterName(character.name);
+    setCharacterType(character.type);
+    setHumanDetails(character.type === 'human' ? { ...character.details } : {});
+    setAnimal4Details(character.type === 'animal4' ? { ...character.details } : {});
+    setAnimal2Details(character.type === 'animal2' ? { ...character.details } : {});
+    setFantasyDetails(character.type === 'fantasy' ? character.details || '' : '');
+    setEditingCharacterId(character.id);
+  };
+
+  // Copy a saved character as a new variant and open it for editing
+  const handleDuplicateCharacter = (character) => {
+    const { libraryId, ...characterData } = character; // A variant is not the library entry
+    const variant = {
+      ...characterData,
+      id: Date.now().toString(),
+      name: t('characters.variantName', { name: character.name }),
+      details: typeof character.details === 'string' ? character.details : { ...character.details },
+    };
+    setSavedCharacters([...savedCharacters, variant]);
+    handleEditCharacter(variant);
+  };
+
+  // Remove a saved character together with every action, expression and dialogue line that refers to it
+  const handleDeleteCharacter = (charId) => {
+    const character = savedCharacters.find(sc => sc.id === charId);
+    setSavedCharacters(prevCharacters => prevCharacters.filter(sc => sc.id !== charId));
+    // The cast is shared, so the character leaves every scene of the storyboard
+    const updatedScenes = buildScenes().map(scene => removeCharacterFromScene(scene, charId));
+    setScenes(updatedScenes);
+    applySceneFields(updatedScenes[activeSceneIndex]);
+    if (editingCharacterId === charId) {
+      clearCharacterForm();
+    }
+    if (character) {
+      showCustomModal(t('characters.deleted', { name: character.name }));
+    }
+  };
+
+  // Character Library: store a scene character so other drafts can import it
+  const saveCharacterToLibrary = async (character) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.saveCharacter'));
+      return;
+    }
+    try {
+      const characterData = {
+        name: character.name,
+        type: character.type,
+        details: character.details,
+        timestamp: storage.timestamp(),
+      };
+      const libraryEntry = character.libraryId && libraryCharacters.find(lc => lc.id === character.libraryId);
+      if (libraryEntry) {
+        await storage.setItem(charactersPath, character.libraryId, characterData);
+        showCustomModal(t('library.updated', { name: character.name }));
+      } else {
+        const libraryId = await storage.addItem(charactersPath, characterData);
+        setSavedCharacters(prevCharacters => prevCharacters.map(sc =>
+          sc.id === character.id ? { ...sc, libraryId } : sc
+        ));
+        showCustomModal(t('library.added', { name: character.name }));
+      }
+    } catch (error) {
+      console.error("Error saving character to library:", error);
+      showCustomModal(t('library.saveError'));
+    }
+  };
+
+  // Character Library: copy a library character into the current scene
+  const importLibraryCharacter = (libraryCharacter) => {
+    if (savedCharacters.some(sc => sc.libraryId === libraryCharacter.id)) {
+      showCustomModal(t('library.alreadyImported', { name: libraryCharacter.name }));
+      return;
+    }
+    const importedCharacter = {
+      id: Date.now().toString(),
+      name: libraryCharacter.name,
+      type: libraryCharacter.type,
+      details: libraryCharacter.details,
+      libraryId: libraryCharacter.id,
+    };
+    setSavedCharacters(prevCharacters => [...prevCharacters, importedCharacter]);
+    showCustomModal(t('library.imported', { name: libraryCharacter.name }));
+  };
+
+  // Character Library: delete a library entry (scene copies are kept)
+  const removeLibraryCharacter = async (libraryCharacter) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.deleteCharacter'));
+      return;
+    }
+    try {
+      await storage.deleteItem(charactersPath, libraryCharacter.id);
+      setSavedCharacters(prevCharacters => prevCharacters.map(sc => {
+        if (sc.libraryId !== libraryCharacter.id) return sc;
+        const { libraryId, ...sceneCharacter } = sc;
+        return sceneCharacter;
+      }));
+    } catch (error) {
+      console.error("Error deleting library character:", error);
+      showCustomModal(t('library.deleteError'));
+    }
+  };
+
+  // Look Presets: store the current visual style and scene look under a name; saving a name again updates it.
+  // Resolves to true when the look was stored, so the name field can be cleared.
+  const saveLookPreset = async (name) => {
+    const look = createLookPreset(name, { selectedVisualStyles, lighting, videoMood, cameraMoves, timeOfDay });
+    if (!look) {
+      showCustomModal(t('looks.needsName'));
+      return false;
+    }
+    if (isEmptyLook(look)) {
+      showCustomModal(t('looks.nothingToSave'));
+      return false;
+    }
+    if (!storage) {
+      showCustomModal(t('storage.notReady.saveLook'));
+      return false;
+    }
+    try {
+      const existing = findLookByName(looks, look.name);
+      if (existing) {
+        await storage.setItem(looksPath, existing.id, { ...look, name: existing.name, timestamp: storage.timestamp() });
+        showCustomModal(t('looks.updated', { name: existing.name }));
+      } else {
+        await storage.addItem(looksPath, { ...look, timestamp: storage.timestamp() });
+        showCustomModal(t('looks.saved', { name: look.name }));
+      }
+      return true;
+    } catch (error) {
+      console.error("Error saving look:", error);
+      showCustomModal(t('looks.saveError'));
+      return false;
+    }
+  };
+
+  // Look Presets: put a look on the selected scene in one (undoable) step. Fields the look leaves empty
+  // keep the scene's value, so a look without camera moves doesn't clear the shot's camera.
+  const applyLookPreset = (storedLook) => {
+    const look = normalizeLookPreset(storedLook);
+    if (!look) return;
+    if (look.visualStyles.length > 0) setSelectedVisualStyles(look.visualStyles);
+    if (look.lighting) setLighting(look.lighting);
+    if (look.videoMood) setVideoMood(look.videoMood);
+    if (look.cameraMoves.length > 0) setCameraMoves(look.cameraMoves.map(motion => createCameraMove({ motion })));
+    if (look.timeOfDay) setTimeOfDay(look.timeOfDay);
+  };
+
+  const deleteLookPreset = async (look) => {
+    if (!storage) {
+      showCustomModal(t('storage.notReady.deleteLook'));
+      return;
+    }
+    try {
+      await storage.deleteItem(looksPath, look.id);
+    } catch (error) {
+      console.error("Error deleting look:", error);
+      showCustomModal(t('looks.deleteError'));
+    }
+  };
+
+  const exportLookPresets = (looksToExport) => {
+    const json = JSON.stringify(toLooksFile(looksToExport), null, 2);
+    downloadJsonFile(json, looksToExport.length === 1 ? looksToExport[0].name : 'veo3-looks');
+  };
+
+  // Look Presets: add the looks of a file; looks with a name already stored replace it
+  const importLookPresets = async (file) => {
+    let imported;
+    try {
+      imported = fromLooksFile(await file.text());
+    } catch (error) {
+      console.error("Error importing looks:", error);
+      showCustomModal(t('looks.importError', { reason: error.message }));
+      return;
+    }
+    if (!storage) {
+      showCustomModal(t('storage.notReady.saveLook'));
+      return;
+    }
+    const { added, updated } = planLookImport(looks, imported);
+    try {
+      for (const look of added) {
+        await storage.addItem(looksPath, { ...look, timestamp: storage.timestamp() });
+      }
+      for (const { id, look } of updated) {
+        await storage.setItem(looksPath, id, { ...look, timestamp: storage.timestamp() });
+      }
+      showCustomModal(t('looks.imported', {
+        added: t('count.looks', { count: added.length }),
+        updated: t('count.looks', { count: updated.length }),
+      }));
+    } catch (error) {
+      console.error("Error importing looks:", error);
+      showCustomModal(t('looks.saveError'));
+    }
+  };
+
+  // AI Settings: the provider, endpoint and model are saved per user; the API key stays in this browser
+  const saveLlmSettings = async (settings, apiKey) => {
+    const normalized = normalizeLlmSettings(settings);
+    const nextApiKeys = { ...llmApiKeys, [normalized.provider]: apiKey.trim() };
+    if (!nextApiKeys[normalized.provider]) delete nextApiKeys[normalized.provider];
+    setLlmApiKeys(nextApiKeys);
+    try {
+      window.localStorage.setItem(llmApiKeysStorageKey, JSON.stringify(nextApiKeys));
+    } catch (error) {
+      console.error("Error storing the API key:", error);
+    }
+
+    setLlmSettings(normalized);
+    if (!storage) {
+      showCustomModal(t('storage.notReady.llmSettings'));
+      return;
+    }
+    setIsSavingLlmSettings(true);
+    try {
+      await storage.setItem('settings', 'llm', {
+        ...normalized,
+        timestamp: storage.timestamp(),
+      });
+      showCustomModal(t('llmSettings.saved'));
+    } catch (error) {
+      console.error("Error saving AI settings:", error);
+      showCustomModal(t('llmSettings.saveError'));
+    } finally {
+      setIsSavingLlmSettings(false);
+    }
+  };
+
+  // Choice lists are saved per user, like the AI settings
+  const saveCustomOptions = async (options) => {
+    const normalized = normalizeCustomOptions(options);
+    setCustomOptions(normalized);
+    if (!storage) {
+      showCustomModal(t('storage.notReady.options'));
+      return;
+    }
+    setIsSavingCustomOptions(true);
+    try {
+      await storage.setItem('settings', 'options', {
+        ...normalized,
+        timestamp: storage.timestamp(),
+      });
+      showCustomModal(t('options.saved'));
+    } catch (error) {
+      console.error("Error saving choice lists:", error);
+      showCustomModal(t('options.saveError'));
+    } finally {
+      setIsSavingCustomOptions(false);
+    }
   };
 
   // LLM Feature: Suggest Character Actions
@@ -424,116 +1308,71 @@ const App = () => {
     setIsLoadingActionSuggestion(prev => ({ ...prev, [charId]: true }));
     const character = savedCharacters.find(sc => sc.id === charId);
     if (!character) {
-      showCustomModal("Karakter tidak ditemukan.");
+      showCustomModal(t('characters.notFound'));
       setIsLoadingActionSuggestion(prev => ({ ...prev, [charId]: false }));
       return;
     }
 
-    const prompt = `Sarankan satu aksi singkat dan dinamis untuk karakter ${character.name} yang berjenis ${character.type}. Contoh: berlari, melompat, berbicara. Output hanya aksinya saja dalam bahasa Indonesia.`;
+    // Actions are part of the scene description, so they come back in the final prompt's language
+    const actionLanguage = findOutputLanguage(promptLanguage) || findOutputLanguage('en');
+    const prompt = `Sarankan satu aksi singkat dan dinamis untuk karakter ${character.name} yang berjenis ${character.type}. Contoh: berlari, melompat, berbicara. Output hanya aksinya saja dalam bahasa ${actionLanguage.id}.`;
 
+    const requestKey = `action-${charId}`;
+    const controller = startLlmRequest(requestKey);
     try {
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      // Gunakan geminiApiKey yang sudah disesuaikan
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("API Error (suggestCharacterAction):", response.status, errorText);
-        showCustomModal(`Gagal menyarankan aksi. Status: ${response.status}. Detail: ${errorText.substring(0, 100)}...`);
-        return;
-      }
-
-      const result = await response.json();
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const generatedAction = result.candidates[0].content.parts[0].text.trim();
-        handleCharacterActionChange(charId, 'action', generatedAction);
-        showCustomModal(`Aksi untuk ${character.name} disarankan: "${generatedAction}"`);
-      } else {
-        showCustomModal("Gagal menyarankan aksi. Respon API tidak terduga.");
-        console.error("API response error:", result);
-      }
+      const generatedAction = (await llmClient.generateText(prompt, { signal: controller.signal })).trim();
+      handleCharacterActionChange(charId, 'action', generatedAction);
+      showCustomModal(t('suggest.actionSuggested', { name: character.name, action: generatedAction }));
     } catch (error) {
-      console.error("Error calling Gemini API for action suggestion:", error);
-      showCustomModal("Terjadi kesalahan saat menyarankan aksi. Coba lagi.");
+      showLlmError(error, t('suggest.actionFailed'));
     } finally {
+      finishLlmRequest(requestKey, controller);
       setIsLoadingActionSuggestion(prev => ({ ...prev, [charId]: false }));
     }
   };
 
   // LLM Feature: Suggest Dialogue
-  const suggestDialogueSentence = async (dialogueIndex) => {
-    setIsLoadingDialogueSuggestion(prev => ({ ...prev, [dialogueIndex]: true }));
-    const dialogue = spokenDialogue[dialogueIndex];
-    const character = savedCharacters.find(sc => sc.id === dialogue.charId);
+  const suggestDialogueSentence = async (lineId) => {
+    const dialogue = spokenDialogue.find(line => line.id === lineId);
+    const character = dialogue && savedCharacters.find(sc => sc.id === dialogue.charId);
 
     if (!character || !dialogue.type) {
-      showCustomModal("Pilih karakter dan jenis dialog terlebih dahulu.");
-      setIsLoadingDialogueSuggestion(prev => ({ ...prev, [dialogueIndex]: false }));
+      showCustomModal(t('suggest.dialogueNeedsSpeaker'));
       return;
     }
+    setIsLoadingDialogueSuggestion(prev => ({ ...prev, [lineId]: true }));
 
-    let prompt = `Sarankan kalimat dialog untuk karakter ${character.name}. Jenis dialog: ${dialogue.type === 'Ask a question' ? 'pertanyaan' : 'jawaban'}. Konteks umum: ${location || 'tidak ada lokasi'}, ${timeOfDay || 'tidak ada waktu'}. Output hanya kalimat dialognya saja dalam bahasa Indonesia.`;
+    // Lines kept as typed are suggested in Indonesian, the language of the form
+    const spokenLanguage = findOutputLanguage(dialogueLanguage) || findOutputLanguage('id');
+    const suggestionContext = `Konteks umum: ${location || 'tidak ada lokasi'}, ${timeOfDay || 'tidak ada waktu'}. Output hanya kalimat dialognya saja dalam bahasa ${spokenLanguage.id}.`;
+    let prompt = `Sarankan kalimat dialog untuk karakter ${character.name}. Jenis dialog: ${dialogue.type === 'Ask a question' ? 'pertanyaan' : 'jawaban'}. ${suggestionContext}`;
     if (dialogue.type === 'Ask a question' && dialogue.targetCharId) {
       const targetChar = savedCharacters.find(sc => sc.id === dialogue.targetCharId);
       if (targetChar) {
-        prompt = `Sarankan pertanyaan yang diajukan oleh ${character.name} kepada ${targetChar.name}. Konteks umum: ${location || 'tidak ada lokasi'}, ${timeOfDay || 'tidak ada waktu'}. Output hanya kalimat dialognya saja dalam bahasa Indonesia.`;
+        prompt = `Sarankan pertanyaan yang diajukan oleh ${character.name} kepada ${targetChar.name}. ${suggestionContext}`;
       }
     } else if (dialogue.type === 'Give an answer' && dialogue.targetCharId) {
       const targetChar = savedCharacters.find(sc => sc.id === dialogue.targetCharId);
       if (targetChar) {
-        prompt = `Sarankan jawaban yang diberikan oleh ${character.name} kepada ${targetChar.name}. Konteks umum: ${location || 'tidak ada lokasi'}, ${timeOfDay || 'tidak ada waktu'}. Output hanya kalimat dialognya saja dalam bahasa Indonesia.`;
+        prompt = `Sarankan jawaban yang diberikan oleh ${character.name} kepada ${targetChar.name}. ${suggestionContext}`;
       }
     } else if (dialogue.type === 'Berbicara ke Audiens') {
-      prompt = `Sarankan kalimat yang diucapkan oleh ${character.name} langsung ke kamera (seolah berbicara kepada penonton). Konteks umum: ${location || 'tidak ada lokasi'}, ${timeOfDay || 'tidak ada waktu'}. Output hanya kalimat dialognya saja dalam bahasa Indonesia.`;
+      prompt = `Sarankan kalimat yang diucapkan oleh ${character.name} langsung ke kamera (seolah berbicara kepada penonton). ${suggestionContext}`;
     }
 
 
+    const requestKey = `dialogue-${lineId}`;
+    const controller = startLlmRequest(requestKey);
     try {
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-      const payload = { contents: chatHistory };
-      // Gunakan geminiApiKey yang sudah disesuaikan
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("API Error (suggestDialogueSentence):", response.status, errorText);
-        showCustomModal(`Gagal menyarankan dialog. Status: ${response.status}. Detail: ${errorText.substring(0, 100)}...`);
-        return;
-      }
-
-      const result = await response.json();
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const generatedSentence = result.candidates[0].content.parts[0].text.trim().replace(/^"|"$/g, ''); // Remove quotes if LLM adds them
-        handleSpokenDialogueChange(dialogueIndex, 'sentence', generatedSentence);
-        showCustomModal(`Kalimat dialog disarankan untuk ${character.name}: "${generatedSentence}"`);
-      } else {
-        showCustomModal("Gagal menyarankan dialog. Respon API tidak terduga.");
-        console.error("API response error:", result);
-      }
+      const generatedSentence = (await llmClient.generateText(prompt, { signal: controller.signal })).trim().replace(/^"|"$/g, ''); // Remove quotes if LLM adds them
+      // The line may have moved while the request ran, so update it by id
+      setSpokenDialogue(prev => prev.map(line => (line.id === lineId ? { ...line, sentence: generatedSentence } : line)));
+      showCustomModal(t('suggest.dialogueSuggested', { name: character.name, sentence: generatedSentence }));
     } catch (error) {
-      console.error("Error calling Gemini API for dialogue suggestion:", error);
-      showCustomModal("Terjadi kesalahan saat menyarankan dialog. Coba lagi.");
+      showLlmError(error, t('suggest.dialogueFailed'));
     } finally {
-      setIsLoadingDialogueSuggestion(prev => ({ ...prev, [dialogueIndex]: false }));
+      finishLlmRequest(requestKey, controller);
+      setIsLoadingDialogueSuggestion(prev => ({ ...prev, [lineId]: false }));
     }
   };
 
@@ -550,7 +1389,7 @@ const App = () => {
         };
         return updatedActions;
       } else {
-        return [...prevActions, { charId, action: '', isMain: false, dialogueLines: [], [field]: value }];
+        return [...prevActions, { charId, action: '', isMain: false, [field]: value }];
       }
     });
   };
@@ -566,65 +1405,49 @@ const App = () => {
         };
         return updatedActions;
       } else {
-        return [...prevActions, { charId, action: '', isMain: true, dialogueLines: [] }];
+        return [...prevActions, { charId, action: '', isMain: true }];
       }
     });
   };
 
-  const handleAddDialogueLine = (charId) => {
-    setCharacterActions(prevActions => {
-      const existingActionIndex = prevActions.findIndex(action => action.charId === charId);
-      if (existingActionIndex > -1) {
-        const updatedActions = [...prevActions];
-        updatedActions[existingActionIndex].dialogueLines.push({ type: '', sentence: '' });
-        return updatedActions;
-      } else {
-        return [...prevActions, { charId, action: '', isMain: false, dialogueLines: [{ type: '', sentence: '' }] }];
-      }
-    });
+  // Dialogue timeline: one ordered list of lines per scene. `charId` preselects the speaker.
+  const handleAddDialogueLine = (charId = '') => {
+    setSpokenDialogue(prev => [...prev, createDialogueLine({ charId })]);
   };
 
-  const handleDialogueLineChange = (charId, lineIndex, field, value) => {
-    setCharacterActions(prevActions => {
-      const existingActionIndex = prevActions.findIndex(action => action.charId === charId);
-      if (existingActionIndex > -1) {
-        const updatedActions = [...prevActions];
-        updatedActions[existingActionIndex].dialogueLines[lineIndex][field] = value;
-        return updatedActions;
-      }
-      return prevActions;
-    });
+  const handleDialogueLineChange = (index, field, value) => {
+    setSpokenDialogue(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleRemoveDialogueLine = (index) => {
+    const line = spokenDialogue[index];
+    if (line) abortLlmRequest(`dialogue-${line.id}`);
+    setSpokenDialogue(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleMoveDialogueLine = (from, to) => {
+    setSpokenDialogue(prev => moveDialogueLine(prev, from, to));
   };
 
-  const handleRemoveDialogueLine = (charId, lineIndex) => {
-    setCharacterActions(prevActions => {
-      const existingActionIndex = prevActions.findIndex(action => action.charId === charId);
-      if (existingActionIndex > -1) {
-        const updatedActions = [...prevActions];
-        updatedActions[existingActionIndex].dialogueLines.splice(lineIndex, 1);
-        return updatedActions;
-      }
-      return prevActions;
-    });
+  // Camera block: the moves of the scene in the order they happen, each with an optional start time
+  const handleAddCameraMove = () => {
+    setCameraMoves(prev => [...prev, createCameraMove()]);
   };
 
-  // Spoken Dialogue Logic (Separate from Character Actions dialogue)
-  const handleAddSpokenDialogue = () => {
-    setSpokenDialogue([...spokenDialogue, { charId: '', type: '', sentence: '', targetCharId: '' }]);
+  const handleCameraMoveChange = (index, field, value) => {
+    setCameraMoves(prev => prev.map((move, i) => (i === index ? { ...move, [field]: value } : move)));
   };
 
-  const handleSpokenDialogueChange = (index, field, value) => {
-    const updatedDialogue = [...spokenDialogue];
-    updatedDialogue[index][field] = value;
-    setSpokenDialogue(updatedDialogue);
+  const handleRemoveCameraMove = (index) => {
+    setCameraMoves(prev => prev.filter((_, i) => i !== index));
   };
 
-  const handleRemoveSpokenDialogue = (index) => {
-    const updatedDialogue = [...spokenDialogue];
-    updatedDialogue.splice(index, 1);
-    setSpokenDialogue(updatedDialogue);
+  const handleMoveCameraMove = (from, to) => {
+    setCameraMoves(prev => moveCameraMove(prev, from, to));
   };
 
+  const cameraShotSetters = { shotSize: setShotSize, cameraAngle: setCameraAngle, focalLength: setFocalLength, focusBehavior: setFocusBehavior };
+
   // Visual Style Checkbox Handler
   const handleVisualStyleChange = (style) => {
     setSelectedVisualStyles(prevStyles =>
@@ -635,193 +1458,232 @@ const App = () => {
   };
 
   // Prompt Generation
-  const generateIndonesianPromptText = () => {
-    let prompt = [];
-
-    // Character Name & Description
-    if (savedCharacters.length > 0) {
-      const mainCharacters = characterActions.filter(ca => ca.isMain).map(ca => savedCharacters.find(sc => sc.id === ca.charId)?.name).filter(Boolean);
-      if (mainCharacters.length > 0) {
-        prompt.push(`Karakter utama adalah ${mainCharacters.join(' dan ')}.`);
-      }
-
-      savedCharacters.forEach(char => {
-        let charDesc = `${char.name} adalah ${char.type === 'human' ? 'seorang' : 'seekor'} `;
-        switch (char.type) {
-          case 'human':
-            charDesc += `manusia ${char.details.gender ? char.details.gender.toLowerCase() : ''}`;
-            if (char.details.age) charDesc += ` berusia ${char.details.age.toLowerCase()}`; // Use text input for age
-            if (char.details.skinColor) charDesc += ` dengan kulit ${char.details.skinColor.toLowerCase()}`;
-            if (char.details.bodyTypePosture) charDesc += ` berbadan ${char.details.bodyTypePosture.toLowerCase()}`;
-            if (char.details.clothingAccessories) charDesc += ` mengenakan ${char.details.clothingAccessories.toLowerCase()}`;
-            if (char.details.additionalDetail) charDesc += `, ${char.details.additionalDetail.toLowerCase()}`;
-            break;
-          case 'animal4':
-            charDesc += `hewan ${char.details.animalType ? char.details.animalType.toLowerCase() : ''}`;
-            if (char.details.clothingAccessories) charDesc += ` mengenakan ${char.details.clothingAccessories.toLowerCase()}`;
-            break;
-          case 'animal2':
-            charDesc += `hewan ${char.details.animalType ? char.details.animalType.toLowerCase() : ''} berjalan dengan dua kaki`;
-            if (char.details.gender) charDesc += ` berjenis kelamin ${char.details.gender.toLowerCase()}`; // Add gender for animal2
-            // For animal2, use the detailed age value for prompt injection
-            const selectedAnimalAge = dropdownData.animalAge.find(opt => opt.value === animal2Details.age);
-            if (selectedAnimalAge) charDesc += ` (${selectedAnimalAge.value})`;
-            if (char.details.bodyShapePosture) charDesc += ` berbadan ${char.details.bodyShapePosture.toLowerCase()}`;
-            if (char.details.furColors) charDesc += ` dengan bulu ${char.details.furColors.toLowerCase()}`;
-            if (char.details.furCharacteristic) charDesc += ` yang ${char.details.furCharacteristic.toLowerCase()}`;
-            if (char.details.clothingAccessories) charDesc += ` mengenakan ${char.details.clothingAccessories.toLowerCase()}`;
-            break;
-          case 'fantasy':
-            charDesc += `makhluk fantasi. ${char.details ? char.details.toLowerCase() : ''}`;
-            break;
-        }
-        prompt.push(charDesc + '.');
-      });
-    }
+  // Both prompts are compiled locally; MAKSIMALKAN is an optional LLM polish on top. The final prompt uses
+  // the template in promptLanguage, or the English one where there is none yet (MAKSIMALKAN writes it then).
+  const generatePromptTexts = () => {
+    const project = {
+      characters: savedCharacters,
+      visualStyles: selectedVisualStyles,
+      scenes: buildScenes(),
+      promptLanguage,
+      dialogueLanguage,
+      customOptions,
+    };
+    const prompts = {
+      indonesianPrompt: compileIndonesianStoryboard(project).prompt,
+      englishPrompt: compileStoryboard(project, templateLanguage(promptLanguage)).prompt,
+      englishPromptSource: 'template',
+    };
+    setIndonesianPrompt(prompts.indonesianPrompt);
+    setEnglishPrompt(prompts.englishPrompt);
+    setEnglishPromptSource(prompts.englishPromptSource);
+    setJsonPrompt(JSON.stringify(toPromptJson(project), null, 2));
+    recordPromptVersion(versionLabelFields('versions.label.generated'), prompts);
+  };
 
-    // Character Actions & Expressions
-    characterActions.forEach(ca => {
-      const character = savedCharacters.find(sc => sc.id === ca.charId);
-      if (character) {
-        let actionDesc = `${character.name} sedang ${ca.action.toLowerCase()}`;
-        const charExpression = expressions[ca.charId];
-        if (charExpression) {
-          actionDesc += ` dengan ekspresi ${charExpression.toLowerCase()}`;
-        }
-        prompt.push(actionDesc + '.');
+  // Runs the optimizer over every scene of the Indonesian prompt, streaming; onText(textSoFar) gets the whole output so far.
+  // A failed run rejects with `partialText` set to whatever arrived, so callers can keep it.
+  const runPromptOptimizer = async ({ styleInstruction = '', signal, onText }) => {
+    // Storyboards are optimized one scene at a time so every scene keeps its own prompt
+    const scenePrompts = splitScenePrompts(indonesianPrompt);
+    const isStoryboard = scenePrompts.length > 1;
+    // The template prompt is the structural starting point, when it still lines up scene by scene
+    const templatePrompts = englishPromptSource === 'template' ? splitScenePrompts(englishPrompt) : [];
+    const hasTemplate = templatePrompts.length === scenePrompts.length;
+    const headingLanguage = templateLanguage(promptLanguage);
+    const formatScene = (index, text) => (isStoryboard ? `${sceneHeading(index, scenePrompts[index].title, headingLanguage)}\n${text.trim()}` : text);
+    const optimizedPrompts = [];
+    const streamed = { index: 0, text: '' }; // The scene currently streaming and its text so far
 
-        ca.dialogueLines.forEach(line => {
-          if (line.sentence) {
-            prompt.push(`${character.name} ${line.type === 'Ask a question' ? 'bertanya' : 'menjawab'}: "${line.sentence}"`);
-          }
+    try {
+      for (const [index, scenePrompt] of scenePrompts.entries()) {
+        streamed.index = index;
+        streamed.text = '';
+        const promptText = buildMaximizePrompt({
+          sceneBody: scenePrompt.body,
+          templateBody: hasTemplate ? templatePrompts[index].body : '',
+          sceneIndex: index,
+          sceneCount: scenePrompts.length,
+          styleInstruction,
+          promptLanguage,
+          dialogueLanguage,
+          templateLanguage: headingLanguage,
+        });
+        const text = await llmClient.streamText(promptText, {
+          signal,
+          onText: (textSoFar) => {
+            streamed.text = textSoFar;
+            onText([...optimizedPrompts, formatScene(index, textSoFar)].join('\n\n'));
+          },
         });
+        optimizedPrompts.push(formatScene(index, text));
       }
-    });
-
-    // Location
-    if (location) {
-      prompt.push(`Adegan berlangsung di ${location.toLowerCase()}.`);
+      return optimizedPrompts.join('\n\n');
+    } catch (error) {
+      const keptPrompts = streamed.text ? [...optimizedPrompts, formatScene(streamed.index, streamed.text)] : optimizedPrompts;
+      error.partialText = keptPrompts.join('\n\n');
+      throw error;
     }
+  };
 
-    // Time of Day
-    if (timeOfDay) {
-      prompt.push(`Waktu kejadian adalah ${timeOfDay.toLowerCase()}.`);
+  const maximizeEnglishPrompt = async () => {
+    if (!indonesianPrompt) {
+      showCustomModal(t('output.needsIndonesianPrompt'));
+      return;
     }
 
-    // Camera Motion
-    if (cameraMotion) {
-      const motion = dropdownData.cameraMotion.find(m => m.en === cameraMotion);
-      if (motion) {
-        prompt.push(`Gerakan kamera: ${motion.id}.`);
+    setIsLoadingPrompt(true);
+    const controller = startLlmRequest('maximize');
+    try {
+      // The textarea fills as the text arrives
+      const text = await runPromptOptimizer({ signal: controller.signal, onText: setEnglishPrompt });
+      setEnglishPrompt(text);
+      setEnglishPromptSource('llm');
+      recordPromptVersion(versionLabelFields('versions.label.maximized'), { indonesianPrompt, englishPrompt: text, englishPromptSource: 'llm' });
+    } catch (error) {
+      // Keep whatever arrived before Stop or the failure, marked so it isn't mistaken for a finished prompt
+      if (error.partialText) {
+        const partialPrompt = `${error.partialText}\n\n${incompletePromptMarker}`;
+        setEnglishPrompt(partialPrompt);
+        setEnglishPromptSource('llm-partial');
+        recordPromptVersion(versionLabelFields('versions.label.maximizedPartial'), { indonesianPrompt, englishPrompt: partialPrompt, englishPromptSource: 'llm-partial' });
       }
+      showLlmError(error, t('output.maximizeFailed'));
+    } finally {
+      finishLlmRequest('maximize', controller);
+      setIsLoadingPrompt(false);
     }
+  };
 
-    // Lighting
-    if (lighting) {
-      prompt.push(`Pencahayaan: ${lighting.toLowerCase()}.`);
-    }
-
-    // Visual/Video Style
-    if (selectedVisualStyles.length > 0) {
-      prompt.push(`Gaya visual video adalah ${selectedVisualStyles.map(s => s.toLowerCase()).join(', ')}.`);
+  // Prompt Variants: one optimizer run per selected phrasing, side by side. The current English prompt
+  // is kept as the first card so a new batch never loses it.
+  const generatePromptVariants = async () => {
+    if (!indonesianPrompt) {
+      showCustomModal(t('output.needsIndonesianPrompt'));
+      return;
     }
-
-    // Video Mood / Atmosphere
-    if (videoMood) {
-      prompt.push(`Suasana video: ${videoMood.toLowerCase()}.`);
+    const styles = promptVariantStyles.filter(style => variantStyleIds.includes(style.id));
+    if (styles.length === 0) {
+      showCustomModal(t('variants.needsStyle'));
+      return;
     }
 
-    // Sound / Music
-    if (soundMusic) {
-      prompt.push(`Latar belakang musik/suara: ${soundMusic.toLowerCase()}.`);
-    }
+    // Variants are diffed against the final prompt as it was, or the offline template when there is none
+    setVariantBasePrompt(englishPrompt.trim() ? englishPrompt : compileStoryboard({
+      characters: savedCharacters,
+      visualStyles: selectedVisualStyles,
+      scenes: buildScenes(),
+      dialogueLanguage,
+      customOptions,
+    }, templateLanguage(promptLanguage)).prompt);
+
+    const batchId = Date.now();
+    const currentVariant = englishPrompt.trim()
+      ? [{ id: `${batchId}-current`, styleId: 'current', label: t('variants.current'), text: englishPrompt, source: englishPromptSource, status: englishPromptSource === 'llm-partial' ? 'partial' : 'done' }]
+      : [];
+    setPromptVariants([
+      ...currentVariant,
+      ...styles.map(style => ({ id: `${batchId}-${style.id}`, styleId: style.id, label: t(`variants.style.${style.id}`), text: '', status: 'streaming' })),
+    ]);
+    setStarredVariantId(currentVariant.length > 0 ? currentVariant[0].id : null);
+
+    const updateVariant = (id, changes) => {
+      setPromptVariants(prevVariants => prevVariants.map(variant => (variant.id === id ? { ...variant, ...changes } : variant)));
+    };
 
-    // Spoken Dialogue (global, if any)
-    spokenDialogue.forEach(sd => {
-      const speaker = savedCharacters.find(sc => sc.id === sd.charId);
-      if (speaker && sd.sentence) {
-        let dialogueText = `${speaker.name} `;
-        if (sd.type === 'Ask a question') {
-            dialogueText += `bertanya`;
-            const targetChar = savedCharacters.find(char => char.id === sd.targetCharId);
-            if (targetChar) dialogueText += ` kepada ${targetChar.name}`;
-            dialogueText += `: "${sd.sentence}"`;
-        } else if (sd.type === 'Give an answer') {
-            dialogueText += `menjawab`;
-            const targetChar = savedCharacters.find(char => char.id === sd.targetCharId);
-            if (targetChar) dialogueText += ` kepada ${targetChar.name}`;
-            dialogueText += `: "${sd.sentence}"`;
-        } else if (sd.type === 'Berbicara ke Audiens') {
-            dialogueText += `berbicara kepada audiens: "${sd.sentence}"`;
-        }
-        prompt.push(dialogueText);
+    setIsGeneratingVariants(true);
+    const controller = startLlmRequest('variants');
+    const errors = [];
+    await Promise.all(styles.map(async (style) => {
+      const id = `${batchId}-${style.id}`;
+      try {
+        const text = await runPromptOptimizer({
+          styleInstruction: style.instruction,
+          signal: controller.signal,
+          onText: (textSoFar) => updateVariant(id, { text: textSoFar }),
+        });
+        updateVariant(id, { text, status: 'done' });
+      } catch (error) {
+        updateVariant(id, { text: error.partialText || '', status: error.partialText ? 'partial' : 'failed' });
+        errors.push(error);
       }
-    });
-
-    // Additional Details
-    if (additionalDetails) {
-      prompt.push(`Detail tambahan: ${additionalDetails}.`);
+    }));
+    finishLlmRequest('variants', controller);
+    setIsGeneratingVariants(false);
+    const failures = errors.filter(error => !(error instanceof AbortedError));
+    if (failures.length > 0) {
+      showLlmError(failures[0], t('variants.failed', { failed: failures.length, total: styles.length }));
     }
-
-    setIndonesianPrompt(prompt.join(' '));
   };
 
-  const maximizeEnglishPrompt = async () => {
-    if (!indonesianPrompt) {
-      showCustomModal("Generate the Indonesian prompt first.");
-      return;
+  // Starring a variant makes it the final English prompt
+  const starPromptVariant = (variant) => {
+    const isPartial = variant.status === 'partial';
+    const text = isPartial && !variant.text.endsWith(incompletePromptMarker) ? `${variant.text}\n\n${incompletePromptMarker}` : variant.text;
+    const source = isPartial ? 'llm-partial' : variant.source || 'llm';
+    setStarredVariantId(variant.id);
+    setEnglishPrompt(text);
+    setEnglishPromptSource(source);
+    if (variant.styleId !== 'current') {
+      recordPromptVersion(versionLabelFields('versions.label.starred', { styleId: variant.styleId }), { indonesianPrompt, englishPrompt: text, englishPromptSource: source });
     }
+  };
 
-    setIsLoadingPrompt(true);
-    try {
-      const promptText = `Optimize the following Indonesian animation prompt for Google Veo 3. Ensure the output is clean, polished, detailed, and follows a Veo-style structure. Keep any direct dialogue sentences in their original Indonesian.
-
-      Indonesian Prompt:
-      ${indonesianPrompt}
-
-      Veo 3 Optimized English Prompt:`;
-
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: promptText }] });
-      const payload = { contents: chatHistory };
-      // Gunakan geminiApiKey yang sudah disesuaikan
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("API Error (maximizeEnglishPrompt):", response.status, errorText);
-        showCustomModal(`Gagal mengoptimalkan prompt. Status: ${response.status}. Detail: ${errorText.substring(0, 100)}...`);
-        return;
-      }
+  // JSON Prompt: download the current project in the structured JSON format
+  const downloadPromptJson = () => {
+    const project = {
+      characters: savedCharacters,
+      visualStyles: selectedVisualStyles,
+      scenes: buildScenes(),
+      promptLanguage,
+      dialogueLanguage,
+      customOptions,
+    };
+    const json = JSON.stringify(toPromptJson(project), null, 2);
+    setJsonPrompt(json);
+    downloadJsonFile(json, draftTitle.trim() || 'veo3-prompt');
+  };
 
-      const result = await response.json();
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        const text = result.candidates[0].content.parts[0].text;
-        setEnglishPrompt(text);
-      } else {
-        showCustomModal("Failed to generate English prompt. Unexpected API response.");
-        console.error("API response error:", result);
-      }
+  // JSON Prompt: replace the form with an imported project
+  const importPromptJson = async (file) => {
+    let project;
+    try {
+      project = fromPromptJson(await file.text());
     } catch (error) {
-      console.error("Error calling Gemini API:", error);
-      showCustomModal("Error optimizing prompt. Please try again.");
-    } finally {
-      setIsLoadingPrompt(false);
+      console.error("Error importing JSON prompt:", error);
+      showCustomModal(t('json.importError', { reason: error.message }));
+      return;
     }
+    showConfirmModal(t('json.confirmImport', { fileName: file.name }), () => {
+      const importedScenes = project.scenes.map(scene => migrateSceneDialogue({ ...createEmptyScene(scene.title), ...scene }));
+      clearCharacterForm();
+      setSavedCharacters(project.characters);
+      setSelectedVisualStyles(project.visualStyles);
+      setScenes(importedScenes);
+      setActiveSceneIndex(0);
+      applySceneFields(importedScenes[0]);
+      setPromptLanguage(project.promptLanguage);
+      setDialogueLanguage(project.dialogueLanguage);
+      setIndonesianPrompt('');
+      setEnglishPrompt('');
+      setEnglishPromptSource('');
+      setJsonPrompt('');
+      setPromptVariants([]);
+      setStarredVariantId(null);
+      setCurrentDraftId(null); // Imported content is saved as a new draft
+      setUnrecoveredFields({});
+      setDraftTitle(file.name.replace(/\.json$/i, ''));
+      showCustomModal(t('json.imported', {
+        characters: t('count.characters', { count: project.characters.length }),
+        scenes: t('count.scenes', { count: importedScenes.length }),
+      }));
+    });
   };
 
-  // Copy to clipboard function
-  const copyToClipboard = (text) => {
+  // Copy to clipboard function; `kind` picks the messages ('prompt' or 'shareLink')
+  const copyToClipboard = (text, kind = 'prompt') => {
     if (!text) {
-      showCustomModal("Nothing to copy!");
+      showCustomModal(t('clipboard.empty'));
       return;
     }
     const textarea = document.createElement('textarea');
@@ -830,14 +1692,151 @@ const App = () => {
     textarea.select();
     try {
       document.execCommand('copy');
-      showCustomModal('Prompt copied to clipboard!');
+      showCustomModal(t(`clipboard.copied.${kind}`));
     } catch (err) {
       console.error('Failed to copy text: ', err);
-      showCustomModal('Failed to copy prompt. Please try manually.');
+      showCustomModal(t(`clipboard.failed.${kind}`));
     }
     document.body.removeChild(textarea);
   };
 
+  // Put the whole form into a link; it carries no draft id, so it also works for people outside this Firebase project
+  const copyShareLink = async () => {
+    try {
+      const encoded = await encodeShareData({ ...sessionContent, title: draftTitle });
+      copyToClipboard(`${window.location.origin}${window.location.pathname}${window.location.search}${shareFragment(encoded)}`, 'shareLink');
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      showCustomModal(t('share.createError'));
+    }
+  };
+
+  // Replace the form with the shared one. It isn't saved anywhere yet, and Undo restores the previous form.
+  const copySharedProject = () => {
+    const { draft } = sharedProject;
+    applyFormData(draft);
+    setCurrentDraftId(null);
+    setDraftTitle(draft.title ? t('share.copyTitle', { title: draft.title }) : '');
+    setSharedProject(null);
+    clearShareFragment();
+    showCustomModal(t('share.copied'));
+  };
+
+  // Replace the form with a starter template as a new, unsaved draft; a filled-in form is only replaced
+  // after confirming, and Undo restores it either way
+  const applyStarterTemplate = (template) => {
+    const name = optionLabel(template.name, language);
+    const apply = () => {
+      const { draft } = loadStarterTemplate(template);
+      applyFormData(draft);
+      setCurrentDraftId(null);
+      setDraftTitle(name);
+      showCustomModal(t('templates.applied', { name }));
+    };
+    if (isEmptySession(sessionContent)) apply();
+    else showConfirmModal(t('templates.confirmUse', { name }), apply);
+  };
+
+  const closeSharedProject = () => {
+    setSharedProject(null);
+    clearShareFragment();
+  };
+
+  // Per-scene sections show which storyboard scene they are editing
+  const activeScene = scenes[activeSceneIndex];
+  const sceneLabel = scenes.length > 1 ? ` - ${activeScene.title || t('scenes.defaultTitle', { number: activeSceneIndex + 1 })}` : '';
+
+  // Veo constraint check over every scene, with the selected scene taken from the live form
+  const currentScenes = buildScenes();
+  // Name of the final prompt's language in the interface language, e.g. "Inggris"
+  const promptLanguageName = optionLabel(findOutputLanguage(promptLanguage) || findOutputLanguage('en'), language);
+
+  const lintIssues = lintProject({
+    characters: savedCharacters,
+    visualStyles: selectedVisualStyles,
+    scenes: currentScenes,
+    promptLanguage,
+    dialogueLanguage,
+    customOptions,
+  });
+
+  // Crash recovery: everything the form holds, compared as JSON to tell unsaved changes apart
+  const sessionContent = {
+    characterName,
+    characterType,
+    humanDetails,
+    animal4Details,
+    animal2Details,
+    fantasyDetails,
+    savedCharacters,
+    selectedVisualStyles,
+    scenes: currentScenes,
+    activeSceneIndex,
+    promptLanguage,
+    dialogueLanguage,
+    indonesianPrompt,
+    englishPrompt,
+    englishPromptSource,
+    unrecoveredFields,
+  };
+  const sessionJson = JSON.stringify(sessionContent);
+
+  // Autosave the form to the recovery slot, debounced. Nothing is written until the last visit's
+  // session has been offered and then restored or dismissed, so typing meanwhile can't replace it.
+  useEffect(() => {
+    if (markSessionSavedRef.current) {
+      savedSessionJsonRef.current = sessionJson;
+      markSessionSavedRef.current = false;
+    }
+    if (recoveryStatus !== 'idle') return undefined;
+    const timer = setTimeout(() => {
+      const content = JSON.parse(sessionJson);
+      const write = isEmptySession(content)
+        ? offlineStorage.deleteItem(RECOVERY_PATH, RECOVERY_SLOT_ID)
+        : offlineStorage.setItem(RECOVERY_PATH, RECOVERY_SLOT_ID, {
+          ...content,
+          schemaVersion: DRAFT_SCHEMA_VERSION,
+          currentDraftId,
+          draftTitle,
+          hasUnsavedChanges: sessionJson !== savedSessionJsonRef.current,
+          savedAt: Date.now(),
+        });
+      write.catch(error => console.error("Error autosaving the form:", error));
+    }, RECOVERY_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [sessionJson, currentDraftId, draftTitle, recoveryStatus, offlineStorage]);
+
+  const goToLintIssue = (issue) => {
+    if (issue.sceneIndex !== null && issue.sceneIndex !== activeSceneIndex) {
+      handleSelectScene(issue.sceneIndex);
+    }
+    // Wait for the selected scene to render before scrolling
+    setTimeout(() => {
+      const section = document.getElementById(`section-${issue.section}`);
+      if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 0);
+  };
+
+  // A share link shows the shared form read-only in place of the app until it is copied or closed
+  if (sharedProject) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-4 font-sans text-gray-800">
+        <div className="max-w-4xl mx-auto">
+          <h1 className="text-4xl font-bold text-center text-blue-700 mb-2 uppercase">
+            {t('app.title')}
+          </h1>
+          <p className="text-xl font-bold italic text-center text-gray-600 mb-8">{t('app.byline')}</p>
+          <SharedProjectView
+            project={sharedProject.draft}
+            problems={sharedProject.problems}
+            onCopy={copySharedProject}
+            onClose={closeSharedProject}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-100 p-4 font-sans text-gray-800">
       <style>{`
@@ -848,14 +1847,125 @@ const App = () => {
       `}</style>
       <div className="max-w-4xl mx-auto">
         <h1 className="text-4xl font-bold text-center text-blue-700 mb-2 uppercase">
-          VEO 3 ANIMATION PROMPTER
+          {t('app.title')}
         </h1>
-        <p className="text-xl font-bold italic text-center text-gray-600 mb-8">[BY ANAK BOJONEGORO]</p>
+        <p className="text-xl font-bold italic text-center text-gray-600 mb-8">{t('app.byline')}</p>
+
+        {/* Undo/Redo for every form edit (also Ctrl+Z and Ctrl+Shift+Z in the form sections), and sharing */}
+        <div className="sticky top-0 z-30 flex justify-end gap-2 py-2 mb-4 bg-gray-100" data-form-history>
+          <button
+            onClick={copyShareLink}
+            title={t('toolbar.shareHint')}
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-50 transition-colors shadow-sm mr-auto"
+          >
+            🔗 {t('toolbar.share')}
+          </button>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            aria-label={t('toolbar.language')}
+            className="bg-white border border-gray-300 text-gray-800 px-2 py-2 rounded-lg font-semibold shadow-sm"
+          >
+            {uiLanguages.map(({ code, label }) => <option key={code} value={code}>{label}</option>)}
+          </select>
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title={t('toolbar.undoHint')}
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-50 transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↶ {t('toolbar.undo')}
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title={t('toolbar.redoHint')}
+            className="bg-white border border-gray-300 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-50 transition-colors shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ↷ {t('toolbar.redo')}
+          </button>
+        </div>
+
+        <StorageNotice
+          storageKind={storage && storage.kind}
+          localItemCounts={localItemCounts}
+          onUpload={uploadLocalItems}
+          onDismiss={() => setLocalItemCounts({})}
+          isUploading={isSyncingLocalItems}
+        />
+
+        {recoveryStatus === 'offered' && recoverableSession && (
+          <SessionRecovery
+            session={recoverableSession}
+            onRestore={() => showConfirmModal(t('recovery.confirmRestore'), restoreRecoveredSession)}
+            onDiscard={discardRecoveredSession}
+          />
+        )}
+
+        {/* Drafts */}
+        <SectionWrapper title={t('section.drafts')} defaultOpen={true}>
+          <DraftManager
+            drafts={drafts}
+            currentDraftId={currentDraftId}
+            draftTitle={draftTitle}
+            onDraftTitleChange={setDraftTitle}
+            onSave={savePromptDraft}
+            onOpen={loadPromptDraft}
+            onOverwrite={overwritePromptDraft}
+            onRename={renamePromptDraft}
+            onDuplicate={duplicatePromptDraft}
+            onReset={resetForm}
+            onDelete={(draft) => showConfirmModal(
+              t('drafts.confirmDelete', { title: draft.title || t('drafts.untitled') }),
+              () => deletePromptDraft(draft.id)
+            )}
+            isSaving={isSaving}
+            isDeleting={isDeleting}
+          />
+        </SectionWrapper>
+
+        {/* Starter Templates */}
+        <SectionWrapper title={t('section.templates')} defaultOpen={isEmptySession(sessionContent)}>
+          <TemplateGallery customOptions={customOptions} onUse={applyStarterTemplate} />
+        </SectionWrapper>
+
+        {/* Storyboard */}
+        <SectionWrapper title={t('section.storyboard')} defaultOpen={true} formHistory>
+          <StoryboardPanel
+            scenes={scenes}
+            activeSceneIndex={activeSceneIndex}
+            onSelect={handleSelectScene}
+            onRename={handleRenameScene}
+            onAdd={handleAddScene}
+            onDuplicate={handleDuplicateScene}
+            onMove={handleMoveScene}
+            onDelete={(index) => showConfirmModal(
+              t('scenes.confirmDelete', { title: scenes[index].title || t('scenes.defaultTitle', { number: index + 1 }) }),
+              () => handleDeleteScene(index)
+            )}
+          />
+        </SectionWrapper>
+
+        {/* Look Presets */}
+        <SectionWrapper title={`${t('section.looks')}${sceneLabel}`}>
+          <LookPresets
+            looks={looks}
+            sceneTitle={activeScene.title || t('scenes.defaultTitle', { number: activeSceneIndex + 1 })}
+            onSave={saveLookPreset}
+            onApply={applyLookPreset}
+            onDelete={(look) => showConfirmModal(
+              t('looks.confirmDelete', { name: look.name }),
+              () => deleteLookPreset(look)
+            )}
+            onExport={exportLookPresets}
+            onImport={importLookPresets}
+          />
+        </SectionWrapper>
 
         {/* Character Name */}
-        <SectionWrapper title="1. Character Name" defaultOpen={true}>
+        <SectionWrapper title={`1. ${t('section.characterName')}`} defaultOpen={true} formHistory>
           <label htmlFor="characterName" className="block text-gray-700 text-sm font-bold mb-2">
-            Character Name (optional)
+            {t('characterForm.name')}
           </label>
           <input
             type="text"
@@ -863,112 +1973,112 @@ const App = () => {
             className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
             value={characterName}
             onChange={(e) => setCharacterName(e.target.value)}
-            placeholder="e.g., Kucing Ajaib, Pahlawan Super"
+            placeholder={t('characterForm.namePlaceholder')}
           />
         </SectionWrapper>
 
         {/* Character Description */}
-        <SectionWrapper title="2. Character Description" defaultOpen={true}>
+        <SectionWrapper title={`2. ${t('section.characterDescription')}`} defaultOpen={true} formHistory>
           <div className="mb-4">
             <label className="block text-gray-700 text-sm font-bold mb-2">
-              Character Type
+              {t('characterForm.type')}
             </label>
             <select
               className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
               value={characterType}
               onChange={(e) => setCharacterType(e.target.value)}
             >
-              <option value="">Select Character Type</option>
-              <option value="human">Human</option>
-              <option value="animal4">Animals (normal four-legged walking)</option>
-              <option value="animal2">Animals (realistic body/posture but walks on two legs)</option>
-              <option value="fantasy">Fantasy Creature</option>
+              <option value="">{t('characterForm.typeSelect')}</option>
+              <option value="human">{t('characterForm.type.human')}</option>
+              <option value="animal4">{t('characterForm.type.animal4')}</option>
+              <option value="animal2">{t('characterForm.type.animal2')}</option>
+              <option value="fantasy">{t('characterForm.type.fantasy')}</option>
             </select>
           </div>
 
           {characterType === 'human' && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Gender</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.gender')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.gender || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, gender: e.target.value })}
                 >
-                  <option value="">Select Gender</option>
-                  {dropdownData.gender.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.genderSelect')}</option>
+                  {dropdownData.gender.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Face Shape</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.faceShape')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.faceShape || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, faceShape: e.target.value })}
                 >
-                  <option value="">Select Face Shape</option>
-                  {dropdownData.faceShape.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.faceShapeSelect')}</option>
+                  {dropdownData.faceShape.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Skin Color</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.skinColor')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.skinColor || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, skinColor: e.target.value })}
                 >
-                  <option value="">Select Skin Color</option>
-                  {dropdownData.skinColor.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.skinColorSelect')}</option>
+                  {dropdownData.skinColor.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Body Type/Posture</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.bodyTypePosture')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.bodyTypePosture || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, bodyTypePosture: e.target.value })}
                 >
-                  <option value="">Select Body Type/Posture</option>
-                  {dropdownData.bodyTypePosture.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.bodyTypePostureSelect')}</option>
+                  {dropdownData.bodyTypePosture.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Age (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.age')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.age || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, age: e.target.value })}
-                  placeholder="e.g., 22 tahun"
+                  placeholder={t('characterForm.agePlaceholder')}
                 />
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Height (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.height')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.height || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, height: e.target.value })}
-                  placeholder="e.g., 170cm"
+                  placeholder={t('characterForm.heightPlaceholder')}
                 />
               </div>
               <div className="md:col-span-2">
-                <label className="block text-gray-700 text-sm font-bold mb-2">Clothing/Accessories (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.clothingAccessories')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.clothingAccessories || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, clothingAccessories: e.target.value })}
-                  placeholder="e.g., blue t-shirt, glasses"
+                  placeholder={t('characterForm.clothingPlaceholder.human')}
                 />
               </div>
               <div className="md:col-span-2">
-                <label className="block text-gray-700 text-sm font-bold mb-2">Additional Detail (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.additionalDetail')}</label>
                 <textarea
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={humanDetails.additionalDetail || ''}
                   onChange={(e) => setHumanDetails({ ...humanDetails, additionalDetail: e.target.value })}
-                  placeholder="e.g., has a scar on left cheek"
+                  placeholder={t('characterForm.additionalDetailPlaceholder')}
                   rows="2"
                 ></textarea>
               </div>
@@ -978,23 +2088,23 @@ const App = () => {
           {characterType === 'animal4' && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Animal Type (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.animalTypeOptional')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal4Details.animalType || ''}
                   onChange={(e) => setAnimal4Details({ ...animal4Details, animalType: e.target.value })}
-                  placeholder="e.g., Golden Retriever"
+                  placeholder={t('characterForm.animalTypePlaceholder.animal4')}
                 />
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Clothing/Accessories (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.clothingAccessories')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal4Details.clothingAccessories || ''}
                   onChange={(e) => setAnimal4Details({ ...animal4Details, clothingAccessories: e.target.value })}
-                  placeholder="e.g., small red collar"
+                  placeholder={t('characterForm.clothingPlaceholder.animal4')}
                 />
               </div>
             </div>
@@ -1003,120 +2113,120 @@ const App = () => {
           {characterType === 'animal2' && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Animal Type</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.animalType')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.animalType || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, animalType: e.target.value })}
-                  placeholder="e.g., Bear"
+                  placeholder={t('characterForm.animalTypePlaceholder.animal2')}
                   required
                 />
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Gender</label> {/* New Gender field for animal2 */}
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.gender')}</label> {/* New Gender field for animal2 */}
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.gender || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, gender: e.target.value })}
                 >
-                  <option value="">Select Gender</option>
-                  {dropdownData.gender.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.genderSelect')}</option>
+                  {dropdownData.gender.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Usia Karakter</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.animalAge')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.age || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, age: e.target.value })}
                   required
                 >
-                  <option value="">Select Usia Karakter</option>
+                  <option value="">{t('characterForm.animalAgeSelect')}</option>
                   {dropdownData.animalAge.map(option => (
                     <option key={option.value} value={option.value}>
-                      {option.label}
+                      {optionLabel(option, language)}
                     </option>
                   ))}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Body Shape/Posture</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.bodyShapePosture')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.bodyShapePosture || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, bodyShapePosture: e.target.value })}
                   required
                 >
-                  <option value="">Select Body Shape/Posture</option>
-                  {dropdownData.animalBodyShape.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.bodyShapePostureSelect')}</option>
+                  {dropdownData.animalBodyShape.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Nose Shape (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.noseShape')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.noseShape || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, noseShape: e.target.value })}
-                  placeholder="e.g., button nose"
+                  placeholder={t('characterForm.noseShapePlaceholder')}
                 />
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Face Feature</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.faceFeature')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.faceFeature || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, faceFeature: e.target.value })}
                   required
                 >
-                  <option value="">Select Face Feature</option>
-                  {dropdownData.faceFeature.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.faceFeatureSelect')}</option>
+                  {dropdownData.faceFeature.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Ear Feature</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.earFeature')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.earFeature || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, earFeature: e.target.value })}
                   required
                 >
-                  <option value="">Select Ear Feature</option>
-                  {dropdownData.earFeature.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.earFeatureSelect')}</option>
+                  {dropdownData.earFeature.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Fur Characteristic</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.furCharacteristic')}</label>
                 <select
                   className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.furCharacteristic || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, furCharacteristic: e.target.value })}
                   required
                 >
-                  <option value="">Select Fur Characteristic</option>
-                  {dropdownData.furCharacteristic.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('characterForm.furCharacteristicSelect')}</option>
+                  {dropdownData.furCharacteristic.map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
               <div>
-                <label className="block text-gray-700 text-sm font-bold mb-2">Fur Colors (main + secondary)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.furColors')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.furColors || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, furColors: e.target.value })}
-                  placeholder="e.g., brown and white"
+                  placeholder={t('characterForm.furColorsPlaceholder')}
                   required
                 />
               </div>
               <div className="md:col-span-2">
-                <label className="block text-gray-700 text-sm font-bold mb-2">Clothing/Accessories (optional)</label>
+                <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.clothingAccessories')}</label>
                 <input
                   type="text"
                   className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                   value={animal2Details.clothingAccessories || ''}
                   onChange={(e) => setAnimal2Details({ ...animal2Details, clothingAccessories: e.target.value })}
-                  placeholder="e.g., small hat"
+                  placeholder={t('characterForm.clothingPlaceholder.animal2')}
                 />
               </div>
             </div>
@@ -1124,47 +2234,102 @@ const App = () => {
 
           {characterType === 'fantasy' && (
             <div className="mt-4">
-              <label className="block text-gray-700 text-sm font-bold mb-2">Manual Description Input (optional)</label>
+              <label className="block text-gray-700 text-sm font-bold mb-2">{t('characterForm.fantasyDescription')}</label>
               <textarea
                 className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                 value={fantasyDetails}
                 onChange={(e) => setFantasyDetails(e.target.value)}
-                placeholder="e.g., A dragon with shimmering scales and four wings."
+                placeholder={t('characterForm.fantasyPlaceholder')}
                 rows="3"
               ></textarea>
             </div>
           )}
 
-          <button
-            onClick={handleSaveCharacter}
-            className="mt-6 bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
-          >
-            Save Character
-          </button>
+          <div className="mt-6 flex flex-wrap gap-2">
+            <button
+              onClick={handleSaveCharacter}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+            >
+              {editingCharacterId ? t('characterForm.update') : t('characterForm.save')}
+            </button>
+            {editingCharacterId && (
+              <button
+                onClick={clearCharacterForm}
+                className="bg-gray-400 text-white px-6 py-3 rounded-lg font-semibold hover:bg-gray-500 transition-colors shadow-md"
+              >
+                {t('characterForm.cancelEdit')}
+              </button>
+            )}
+          </div>
 
           {savedCharacters.length > 0 && (
             <div className="mt-6">
-              <h3 className="text-lg font-semibold mb-2">Saved Characters:</h3>
-              <ul className="list-disc list-inside space-y-1">
+              <h3 className="text-lg font-semibold mb-2">{t('characters.savedHeading')}</h3>
+              <ul className="space-y-1">
                 {savedCharacters.map(char => (
-                  <li key={char.id} className="text-gray-700">
-                    {char.name} ({char.type})
+                  <li
+                    key={char.id}
+                    className={`flex flex-wrap items-center justify-between gap-2 text-gray-700 ${char.id === editingCharacterId ? 'font-semibold text-blue-700' : ''}`}
+                  >
+                    <span>{char.name} ({t(`characterType.${char.type}`)}){char.id === editingCharacterId && ` - ${t('characters.editing')}`}</span>
+                    <div className="flex flex-wrap gap-1">
+                      <button
+                        onClick={() => handleEditCharacter(char)}
+                        className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm"
+                      >
+                        {t('common.edit')}
+                      </button>
+                      <button
+                        onClick={() => handleDuplicateCharacter(char)}
+                        className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+                      >
+                        {t('common.duplicate')}
+                      </button>
+                      <button
+                        onClick={() => saveCharacterToLibrary(char)}
+                        className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+                      >
+                        {char.libraryId ? t('characters.updateLibrary') : t('characters.saveToLibrary')}
+                      </button>
+                      <button
+                        onClick={() => showConfirmModal(
+                          t('characters.confirmDelete', { name: char.name }),
+                          () => handleDeleteCharacter(char.id)
+                        )}
+                        className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm"
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </div>
                   </li>
                 ))}
               </ul>
             </div>
           )}
+
+          <div className="mt-6" data-form-history="off">
+            <h3 className="text-lg font-semibold mb-2">{t('library.heading')}</h3>
+            <CharacterLibrary
+              libraryCharacters={libraryCharacters}
+              sceneCharacters={savedCharacters}
+              onImport={importLibraryCharacter}
+              onRemove={(character) => showConfirmModal(
+                t('library.confirmRemove', { name: character.name }),
+                () => removeLibraryCharacter(character)
+              )}
+            />
+          </div>
         </SectionWrapper>
 
         {/* Character Actions */}
-        <SectionWrapper title="3. Character Actions" defaultOpen={true}>
+        <SectionWrapper title={`3. ${t('section.characterActions')}${sceneLabel}`} defaultOpen={true} formHistory id="section-actions">
           <div className="mb-4">
             <label className="block text-gray-700 text-sm font-bold mb-2">
-              Select Characters for Actions
+              {t('actions.selectCharacters')}
             </label>
             <div className="flex flex-wrap gap-4">
               {savedCharacters.length === 0 ? (
-                <p className="text-gray-600">No characters saved yet. Please save characters in the section above.</p>
+                <p className="text-gray-600">{t('actions.noCharacters')}</p>
               ) : (
                 savedCharacters.map(char => (
                   <label key={char.id} className="inline-flex items-center">
@@ -1177,8 +2342,11 @@ const App = () => {
                           setSelectedCharactersForActions([...selectedCharactersForActions, char.id]);
                         } else {
                           setSelectedCharactersForActions(selectedCharactersForActions.filter(id => id !== char.id));
-                          // Remove actions and dialogue for deselected character
+                          // Remove actions and dialogue lines of the deselected character; lines spoken to it lose their target
                           setCharacterActions(prevActions => prevActions.filter(action => action.charId !== char.id));
+                          setSpokenDialogue(prevLines => prevLines
+                            .filter(line => line.charId !== char.id)
+                            .map(line => (line.targetCharId === char.id ? { ...line, targetCharId: '' } : line)));
                         }
                       }}
                     />
@@ -1193,19 +2361,19 @@ const App = () => {
             <div className="mt-6 space-y-6">
               {selectedCharactersForActions.map(charId => {
                 const character = savedCharacters.find(sc => sc.id === charId);
-                const currentAction = characterActions.find(ca => ca.charId === charId) || { action: '', isMain: false, dialogueLines: [] };
+                const currentAction = characterActions.find(ca => ca.charId === charId) || { action: '', isMain: false };
 
                 if (!character) return null;
 
                 return (
                   <div key={charId} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
                     <h4 className="text-md font-semibold mb-3 text-gray-800">
-                      Actions for {character.name}
+                      {t('actions.heading', { name: character.name })}
                     </h4>
                     <div className="mb-3 flex items-end gap-2">
                       <div className="flex-grow">
                         <label htmlFor={`action-${charId}`} className="block text-gray-700 text-sm font-bold mb-2">
-                          Individual Action
+                          {t('actions.individualAction')}
                         </label>
                         <input
                           type="text"
@@ -1213,7 +2381,7 @@ const App = () => {
                           className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
                           value={currentAction.action}
                           onChange={(e) => handleCharacterActionChange(charId, 'action', e.target.value)}
-                          placeholder={`e.g., berlari, terbang, berbicara`}
+                          placeholder={t('actions.actionPlaceholder')}
                         />
                       </div>
                       <button
@@ -1226,8 +2394,16 @@ const App = () => {
                             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                           </svg>
-                        ) : '✨'} Sarankan Aksi
+                        ) : '✨'} {t('actions.suggest')}
                       </button>
+                      {isLoadingActionSuggestion[charId] && (
+                        <button
+                          onClick={() => abortLlmRequest(`action-${charId}`)}
+                          className="bg-red-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-600 transition-colors shadow-md h-10"
+                        >
+                          {t('common.stop')}
+                        </button>
+                      )}
                     </div>
                     <div className="mb-4">
                       <label className="inline-flex items-center">
@@ -1237,57 +2413,20 @@ const App = () => {
                           checked={currentAction.isMain}
                           onChange={() => handleToggleMainCharacter(charId)}
                         />
-                        <span className="ml-2 text-gray-700">Main Character</span>
+                        <span className="ml-2 text-gray-700">{t('actions.mainCharacter')}</span>
                       </label>
                     </div>
 
-                    {/* Dialogue Lines for this character */}
-                    <div className="mb-3">
-                      <h5 className="text-sm font-semibold mb-2 text-gray-700">Dialogue Lines for {character.name}:</h5>
-                      {currentAction.dialogueLines.map((line, lineIndex) => (
-                        <div key={lineIndex} className="flex items-center space-x-2 mb-2">
-                          <select
-                            className="shadow border rounded-lg py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 w-1/3 bg-gray-50"
-                            value={line.type}
-                            onChange={(e) => handleDialogueLineChange(charId, lineIndex, 'type', e.target.value)}
-                          >
-                            <option value="">Select Type</option>
-                            <option value="Ask a question">Ask a question</option>
-                            <option value="Give an answer">Give an answer</option>
-                            <option value="Berbicara ke Audiens">Berbicara ke Audiens</option>
-                          </select>
-                          {(line.type === 'Ask a question' || line.type === 'Give an answer') && (
-                            <select
-                              className="shadow border rounded-lg py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 w-1/3 bg-gray-50"
-                              value={line.targetCharId || ''}
-                              onChange={(e) => handleDialogueLineChange(charId, lineIndex, 'targetCharId', e.target.value)}
-                            >
-                              <option value="">To whom?</option>
-                              {savedCharacters.filter(c => c.id !== charId).map(c => ( // Exclude self
-                                <option key={c.id} value={c.id}>{c.name}</option>
-                              ))}
-                            </select>
-                          )}
-                          <input
-                            type="text"
-                            className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow bg-gray-50"
-                            value={line.sentence}
-                            onChange={(e) => handleDialogueLineChange(charId, lineIndex, 'sentence', e.target.value)}
-                            placeholder="Enter dialogue sentence"
-                          />
-                          <button
-                            onClick={() => handleRemoveDialogueLine(charId, lineIndex)}
-                            className="bg-red-500 text-white p-2 rounded-md hover:bg-red-600 transition-colors"
-                          >
-                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
-                          </button>
-                        </div>
-                      ))}
+                    {/* Dialogue lines of this character live in the dialogue timeline */}
+                    <div className="mb-3 flex flex-wrap items-center gap-2">
+                      <span className="text-sm text-gray-700">
+                        {t('actions.dialogueLineCount', { count: spokenDialogue.filter(line => line.charId === charId).length })}
+                      </span>
                       <button
                         onClick={() => handleAddDialogueLine(charId)}
-                        className="mt-2 bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 transition-colors text-sm"
+                        className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 transition-colors text-sm"
                       >
-                        Add Dialogue Line
+                        {t('dialogue.addLine')}
                       </button>
                     </div>
                   </div>
@@ -1298,14 +2437,14 @@ const App = () => {
         </SectionWrapper>
 
         {/* Expression */}
-        <SectionWrapper title="4. Expression (optional)" defaultOpen={true}>
+        <SectionWrapper title={`4. ${t('section.expression')}${sceneLabel}`} defaultOpen={true} formHistory>
           {savedCharacters.length === 0 ? (
-            <p className="text-gray-600">No characters saved yet to set expressions for.</p>
+            <p className="text-gray-600">{t('expressions.noCharacters')}</p>
           ) : (
             savedCharacters.map(char => (
               <div key={`exp-${char.id}`} className="mb-4">
                 <label htmlFor={`expression-${char.id}`} className="block text-gray-700 text-sm font-bold mb-2">
-                  {char.name}'s Expression
+                  {t('expressions.label', { name: char.name })}
                 </label>
                 <select
                   id={`expression-${char.id}`}
@@ -1313,8 +2452,8 @@ const App = () => {
                   value={expressions[char.id] || ''}
                   onChange={(e) => setExpressions({ ...expressions, [char.id]: e.target.value })}
                 >
-                  <option value="">Select Expression</option>
-                  {dropdownData.expression.map(option => <option key={option} value={option}>{option}</option>)}
+                  <option value="">{t('expressions.select')}</option>
+                  {shownOptions(dropdownData.expression, expressions[char.id]).map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
                 </select>
               </div>
             ))
@@ -1322,9 +2461,9 @@ const App = () => {
         </SectionWrapper>
 
         {/* Location */}
-        <SectionWrapper title="5. Location" defaultOpen={true}>
+        <SectionWrapper title={`5. ${t('section.location')}${sceneLabel}`} defaultOpen={true} formHistory id="section-location">
           <label htmlFor="location" className="block text-gray-700 text-sm font-bold mb-2">
-            Location
+            {t('section.location')}
           </label>
           <input
             type="text"
@@ -1332,14 +2471,14 @@ const App = () => {
             className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
             value={location}
             onChange={(e) => setLocation(e.target.value)}
-            placeholder="e.g., di hutan lebat, di kota futuristik, di dalam gua"
+            placeholder={t('location.placeholder')}
           />
         </SectionWrapper>
 
         {/* Time of Day */}
-        <SectionWrapper title="6. Time of Day" defaultOpen={true}>
+        <SectionWrapper title={`6. ${t('section.timeOfDay')}${sceneLabel}`} defaultOpen={true} formHistory id="section-time">
           <label htmlFor="timeOfDay" className="block text-gray-700 text-sm font-bold mb-2">
-            Time of Day
+            {t('section.timeOfDay')}
           </label>
           <select
             id="timeOfDay"
@@ -1347,35 +2486,29 @@ const App = () => {
             value={timeOfDay}
             onChange={(e) => setTimeOfDay(e.target.value)}
           >
-            <option value="">Select Time of Day</option>
-            {dropdownData.timeOfDay.map(option => <option key={option} value={option}>{option}</option>)}
+            <option value="">{t('timeOfDay.select')}</option>
+            {shownOptions(dropdownData.timeOfDay, timeOfDay).map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
           </select>
         </SectionWrapper>
 
-        {/* Camera Motion */}
-        <SectionWrapper title="7. Camera Motion" defaultOpen={true}>
-          <label htmlFor="cameraMotion" className="block text-gray-700 text-sm font-bold mb-2">
-            Camera Motion
-          </label>
-          <select
-            id="cameraMotion"
-            className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
-            value={cameraMotion}
-            onChange={(e) => setCameraMotion(e.target.value)}
-          >
-            <option value="">Select Camera Motion</option>
-            {dropdownData.cameraMotion.map(option => (
-              <option key={option.en} value={option.en}>
-                {option.en} ({option.id})
-              </option>
-            ))}
-          </select>
+        {/* Camera */}
+        <SectionWrapper title={`7. ${t('section.camera')}${sceneLabel}`} defaultOpen={true} formHistory id="section-camera">
+          <CameraBlock
+            moves={cameraMoves}
+            shot={{ shotSize, cameraAngle, focalLength, focusBehavior }}
+            dropdownData={dropdownData}
+            onMoveChange={handleCameraMoveChange}
+            onAddMove={handleAddCameraMove}
+            onRemoveMove={handleRemoveCameraMove}
+            onMoveMove={handleMoveCameraMove}
+            onShotChange={(field, value) => cameraShotSetters[field](value)}
+          />
         </SectionWrapper>
 
         {/* Lighting */}
-        <SectionWrapper title="8. Lighting" defaultOpen={true}>
+        <SectionWrapper title={`8. ${t('section.lighting')}${sceneLabel}`} defaultOpen={true} formHistory id="section-lighting">
           <label htmlFor="lighting" className="block text-gray-700 text-sm font-bold mb-2">
-            Lighting
+            {t('section.lighting')}
           </label>
           <select
             id="lighting"
@@ -1383,59 +2516,59 @@ const App = () => {
             value={lighting}
             onChange={(e) => setLighting(e.target.value)}
           >
-            <option value="">Select Lighting</option>
-            {dropdownData.lighting.map(option => <option key={option} value={option}>{option}</option>)}
+            <option value="">{t('lighting.select')}</option>
+            {shownOptions(dropdownData.lighting, lighting).map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
           </select>
         </SectionWrapper>
 
         {/* Visual/Video Style */}
-        <SectionWrapper title="9. Visual/Video Style" defaultOpen={true}>
+        <SectionWrapper title={`9. ${t('section.visualStyle')}`} defaultOpen={true} formHistory id="section-style">
           <div className="mb-4">
-            <h3 className="text-lg font-semibold mb-2">By Visual Technique</h3>
+            <h3 className="text-lg font-semibold mb-2">{t('visualStyle.technique')}</h3>
             <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-              {visualStyles.visualTechnique.map(style => (
-                <label key={style} className="inline-flex items-center">
+              {shownOptions(visualStyles.visualTechnique, selectedVisualStyles).map(option => (
+                <label key={option.en} className="inline-flex items-center">
                   <input
                     type="checkbox"
                     className="form-checkbox text-blue-600 h-5 w-5 rounded"
-                    checked={selectedVisualStyles.includes(style)}
-                    onChange={() => handleVisualStyleChange(style)}
+                    checked={selectedVisualStyles.includes(option.en)}
+                    onChange={() => handleVisualStyleChange(option.en)}
                   />
-                  <span className="ml-2 text-gray-700">{style}</span>
+                  <span className="ml-2 text-gray-700">{optionLabel(option, language)}</span>
                 </label>
               ))}
             </div>
           </div>
 
           <div className="mb-4">
-            <h3 className="text-lg font-semibold mb-2">By Artistic Style</h3>
+            <h3 className="text-lg font-semibold mb-2">{t('visualStyle.artistic')}</h3>
             <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-              {visualStyles.artisticStyle.map(style => (
-                <label key={style} className="inline-flex items-center">
+              {shownOptions(visualStyles.artisticStyle, selectedVisualStyles).map(option => (
+                <label key={option.en} className="inline-flex items-center">
                   <input
                     type="checkbox"
                     className="form-checkbox text-blue-600 h-5 w-5 rounded"
-                    checked={selectedVisualStyles.includes(style)}
-                    onChange={() => handleVisualStyleChange(style)}
+                    checked={selectedVisualStyles.includes(option.en)}
+                    onChange={() => handleVisualStyleChange(option.en)}
                   />
-                  <span className="ml-2 text-gray-700">{style}</span>
+                  <span className="ml-2 text-gray-700">{optionLabel(option, language)}</span>
                 </label>
               ))}
             </div>
           </div>
 
           <div>
-            <h3 className="text-lg font-semibold mb-2">By Studio/Brand Style</h3>
+            <h3 className="text-lg font-semibold mb-2">{t('visualStyle.studio')}</h3>
             <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-              {visualStyles.studioBrandStyle.map(style => (
-                <label key={style} className="inline-flex items-center">
+              {shownOptions(visualStyles.studioBrandStyle, selectedVisualStyles).map(option => (
+                <label key={option.en} className="inline-flex items-center">
                   <input
                     type="checkbox"
                     className="form-checkbox text-blue-600 h-5 w-5 rounded"
-                    checked={selectedVisualStyles.includes(style)}
-                    onChange={() => handleVisualStyleChange(style)}
+                    checked={selectedVisualStyles.includes(option.en)}
+                    onChange={() => handleVisualStyleChange(option.en)}
                   />
-                  <span className="ml-2 text-gray-700">{style}</span>
+                  <span className="ml-2 text-gray-700">{optionLabel(option, language)}</span>
                 </label>
               ))}
             </div>
@@ -1443,9 +2576,9 @@ const App = () => {
         </SectionWrapper>
 
         {/* Video Mood / Atmosphere */}
-        <SectionWrapper title="10. Video Mood / Atmosphere" defaultOpen={true}>
+        <SectionWrapper title={`10. ${t('section.videoMood')}${sceneLabel}`} defaultOpen={true} formHistory>
           <label htmlFor="videoMood" className="block text-gray-700 text-sm font-bold mb-2">
-            Video Mood / Atmosphere
+            {t('section.videoMood')}
           </label>
           <select
             id="videoMood"
@@ -1453,15 +2586,15 @@ const App = () => {
             value={videoMood}
             onChange={(e) => setVideoMood(e.target.value)}
           >
-            <option value="">Select Mood</option>
-            {dropdownData.videoMood.map(option => <option key={option} value={option}>{option}</option>)}
+            <option value="">{t('videoMood.select')}</option>
+            {shownOptions(dropdownData.videoMood, videoMood).map(option => <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>)}
           </select>
         </SectionWrapper>
 
         {/* Sound / Music */}
-        <SectionWrapper title="11. Sound / Music (optional)" defaultOpen={true}>
+        <SectionWrapper title={`11. ${t('section.soundMusic')}${sceneLabel}`} defaultOpen={true} formHistory>
           <label htmlFor="soundMusic" className="block text-gray-700 text-sm font-bold mb-2">
-            Background Music or Sound Effects
+            {t('soundMusic.label')}
           </label>
           <input
             type="text"
@@ -1469,179 +2602,277 @@ const App = () => {
             className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
             value={soundMusic}
             onChange={(e) => setSoundMusic(e.target.value)}
-            placeholder="e.g., cheerful piano music, sound of rain"
+            placeholder={t('soundMusic.placeholder')}
           />
         </SectionWrapper>
 
         {/* Spoken Dialogue */}
-        <SectionWrapper title="12. Spoken Dialogue" defaultOpen={true}>
+        <SectionWrapper title={`12. ${t('section.spokenDialogue')}${sceneLabel}`} defaultOpen={true} formHistory id="section-dialogue">
           {savedCharacters.length === 0 ? (
-            <p className="text-gray-600">No characters saved yet to add dialogue for.</p>
+            <p className="text-gray-600">{t('dialogue.noCharacters')}</p>
           ) : (
-            <>
-              {spokenDialogue.map((dialogue, index) => (
-                <div key={index} className="bg-gray-50 p-4 rounded-lg border border-gray-200 mb-4">
-                  <div className="flex items-center space-x-2 mb-2">
-                    <label className="block text-gray-700 text-sm font-bold w-1/4">Speaker:</label>
-                    <select
-                      className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow bg-gray-50"
-                      value={dialogue.charId}
-                      onChange={(e) => handleSpokenDialogueChange(index, 'charId', e.target.value)}
-                    >
-                      <option value="">Select Character</option>
-                      {savedCharacters.map(char => (
-                        <option key={char.id} value={char.id}>{char.name}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="flex items-center space-x-2 mb-2">
-                    <label className="block text-gray-700 text-sm font-bold w-1/4">Type:</label>
-                    <select
-                      className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow bg-gray-50"
-                      value={dialogue.type}
-                      onChange={(e) => handleSpokenDialogueChange(index, 'type', e.target.value)}
-                    >
-                      <option value="">Select Type</option>
-                      <option value="Ask a question">Ask a question</option>
-                      <option value="Give an answer">Give an answer</option>
-                      <option value="Berbicara ke Audiens">Berbicara ke Audiens</option>
-                    </select>
-                  </div>
-                  {(dialogue.type === 'Ask a question' || dialogue.type === 'Give an answer') && (
-                    <div className="flex items-center space-x-2 mb-2">
-                      <label className="block text-gray-700 text-sm font-bold w-1/4">To:</label>
-                      <select
-                        className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow bg-gray-50"
-                        value={dialogue.targetCharId || ''}
-                        onChange={(e) => handleSpokenDialogueChange(index, 'targetCharId', e.target.value)}
-                      >
-                        <option value="">Select Target Character</option>
-                        {savedCharacters.filter(c => c.id !== dialogue.charId).map(c => ( // Exclude self
-                          <option key={c.id} value={c.id}>{c.name}</option>
-                        ))}
-                      </select>
-                    </div>
-                  )}
-                  <div className="flex items-end space-x-2 mb-2">
-                    <div className="flex-grow">
-                      <label className="block text-gray-700 text-sm font-bold w-1/4">Sentence:</label>
-                      <input
-                        type="text"
-                        className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 flex-grow bg-gray-50"
-                        value={dialogue.sentence}
-                        onChange={(e) => handleSpokenDialogueChange(index, 'sentence', e.target.value)}
-                        placeholder="Enter dialogue sentence"
-                      />
-                    </div>
-                    <button
-                      onClick={() => suggestDialogueSentence(index)}
-                      className="bg-purple-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-700 transition-colors shadow-md flex items-center justify-center h-10"
-                      disabled={isLoadingDialogueSuggestion[index]}
-                    >
-                      {isLoadingDialogueSuggestion[index] ? (
-                        <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                        </svg>
-                      ) : '✨'} Sarankan Kalimat
-                    </button>
-                  </div>
-                  <button
-                    onClick={() => handleRemoveSpokenDialogue(index)}
-                    className="mt-2 bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600 transition-colors text-sm"
-                  >
-                    Remove Dialogue
-                  </button>
-                </div>
-              ))}
-              <button
-                onClick={handleAddSpokenDialogue}
-                className="mt-4 bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
-              >
-                Add Spoken Dialogue
-              </button>
-            </>
+            <DialogueTimeline
+              lines={spokenDialogue}
+              characters={savedCharacters}
+              onChange={handleDialogueLineChange}
+              onAdd={() => handleAddDialogueLine()}
+              onRemove={handleRemoveDialogueLine}
+              onMove={handleMoveDialogueLine}
+              onSuggest={suggestDialogueSentence}
+              onStopSuggest={(lineId) => abortLlmRequest(`dialogue-${lineId}`)}
+              loadingLineIds={isLoadingDialogueSuggestion}
+            />
           )}
         </SectionWrapper>
 
         {/* Additional Details */}
-        <SectionWrapper title="13. Additional Details (optional)" defaultOpen={true}>
+        <SectionWrapper title={`13. ${t('section.additionalDetails')}${sceneLabel}`} defaultOpen={true} formHistory id="section-notes">
           <label htmlFor="additionalDetails" className="block text-gray-700 text-sm font-bold mb-2">
-            Other Notes
+            {t('additionalDetails.label')}
           </label>
           <textarea
             id="additionalDetails"
             className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
             value={additionalDetails}
             onChange={(e) => setAdditionalDetails(e.target.value)}
-            placeholder="e.g., The video should have a fast pace. Ensure smooth transitions."
+            placeholder={t('additionalDetails.placeholder')}
             rows="3"
           ></textarea>
         </SectionWrapper>
 
+        {/* Prompt & Dialogue Language */}
+        <SectionWrapper title={`14. ${t('section.promptLanguage')}`} defaultOpen={true} formHistory>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="promptLanguage" className="block text-gray-700 text-sm font-bold mb-2">
+                {t('promptLanguage.label')}
+              </label>
+              <select
+                id="promptLanguage"
+                className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+                value={promptLanguage}
+                onChange={(e) => setPromptLanguage(e.target.value)}
+              >
+                {outputLanguages.map(option => <option key={option.code} value={option.code}>{optionLabel(option, language)}</option>)}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">{t('promptLanguage.help')}</p>
+            </div>
+            <div>
+              <label htmlFor="dialogueLanguage" className="block text-gray-700 text-sm font-bold mb-2">
+                {t('dialogueLanguage.label')}
+              </label>
+              <select
+                id="dialogueLanguage"
+                className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+                value={dialogueLanguage}
+                onChange={(e) => setDialogueLanguage(e.target.value)}
+              >
+                <option value={DIALOGUE_AS_TYPED}>{t('dialogueLanguage.asTyped')}</option>
+                {outputLanguages.map(option => <option key={option.code} value={option.code}>{optionLabel(option, language)}</option>)}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">{t('dialogueLanguage.help')}</p>
+            </div>
+          </div>
+        </SectionWrapper>
+
+        {/* AI Settings Section */}
+        <SectionWrapper title={t('section.llmSettings')}>
+          <LlmSettings
+            settings={llmSettings}
+            apiKeys={llmApiKeys}
+            hasBundledGeminiKey={Boolean(geminiApiKey)}
+            onSave={saveLlmSettings}
+            isSaving={isSavingLlmSettings}
+          />
+        </SectionWrapper>
+
+        {/* Choice Lists */}
+        <SectionWrapper title={t('section.options')}>
+          <OptionsEditor options={customOptions} onSave={saveCustomOptions} isSaving={isSavingCustomOptions} />
+        </SectionWrapper>
+
+        {/* Veo Constraint Check */}
+        <LintPanel issues={lintIssues} scenes={currentScenes} onSelectIssue={goToLintIssue} />
+
         {/* Generate Prompt Button */}
         <div className="text-center my-8">
           <button
-            onClick={generateIndonesianPromptText}
+            onClick={generatePromptTexts}
             className="bg-purple-600 text-white px-8 py-4 rounded-lg font-bold text-xl hover:bg-purple-700 transition-colors shadow-lg"
           >
-            Generate Indonesian Prompt
+            {scenes.length > 1 ? t('output.generateScenes', { count: scenes.length }) : t('output.generate')}
           </button>
         </div>
 
         {/* Output Section */}
-        <SectionWrapper title="Output Prompts" defaultOpen={true}>
-          <h2 className="text-2xl font-bold text-gray-800 mb-4">Generated Prompts</h2>
-
-          <div className="mb-8">
-            <h3 className="text-xl font-semibold mb-2">Editable Prompt in Bahasa Indonesia</h3>
-            <textarea
-              className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
-              rows="8"
-              value={indonesianPrompt}
-              onChange={(e) => setIndonesianPrompt(e.target.value)}
-              placeholder="Your generated Indonesian prompt will appear here. You can edit it."
-            ></textarea>
-            <button
-              onClick={() => copyToClipboard(indonesianPrompt)}
-              className="mt-2 bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm"
-            >
-              Copy Indonesian Prompt
-            </button>
-          </div>
+        <SectionWrapper title={t('section.output')} defaultOpen={true}>
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('output.heading')}</h2>
 
-          <div className="text-center my-6">
-            <button
-              onClick={maximizeEnglishPrompt}
-              className="bg-orange-600 text-white px-8 py-4 rounded-lg font-bold text-xl hover:bg-orange-700 transition-colors shadow-lg flex items-center justify-center mx-auto"
-              disabled={isLoadingPrompt}
-            >
-              {isLoadingPrompt && (
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-              )}
-              {isLoadingPrompt ? 'Optimizing...' : '✨ MAKSIMALKAN'}
-            </button>
+          <div className="flex gap-2 mb-6 border-b border-gray-200">
+            {[['text', t('output.tab.text')], ['json', t('output.tab.json')]].map(([tab, label]) => (
+              <button
+                key={tab}
+                onClick={() => setOutputTab(tab)}
+                className={`px-4 py-2 font-semibold -mb-px border-b-2 transition-colors ${outputTab === tab ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
 
-          <div>
-            <h3 className="text-xl font-semibold mb-2">FINAL ENGLISH PROMPT (optimized for Veo 3)</h3>
-            <textarea
-              className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-900 leading-tight bg-gray-100 cursor-not-allowed"
-              rows="10"
-              value={englishPrompt}
-              readOnly
-              placeholder="Your optimized English prompt will appear here."
-            ></textarea>
-            <button
-              onClick={() => copyToClipboard(englishPrompt)}
-              className="mt-2 bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm"
-            >
-              Copy English Prompt
-            </button>
-          </div>
+          {outputTab === 'json' && (
+            <div>
+              <h3 className="text-xl font-semibold mb-2">{t('json.heading')}</h3>
+              <p className="text-sm text-gray-600 mb-2">
+                {t('json.description')}
+              </p>
+              <textarea
+                className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-900 leading-tight font-mono text-sm bg-gray-100"
+                rows="16"
+                value={jsonPrompt}
+                readOnly
+                placeholder={t('json.placeholder')}
+              ></textarea>
+              <div className="flex flex-wrap gap-2 mt-2">
+                <button
+                  onClick={() => copyToClipboard(jsonPrompt)}
+                  className="bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm"
+                >
+                  {t('json.copy')}
+                </button>
+                <button
+                  onClick={downloadPromptJson}
+                  className="bg-blue-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-600 transition-colors text-sm"
+                >
+                  {t('json.download')}
+                </button>
+                <button
+                  onClick={() => jsonFileInputRef.current && jsonFileInputRef.current.click()}
+                  className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors text-sm"
+                >
+                  {t('json.import')}
+                </button>
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  ref={jsonFileInputRef}
+                  onChange={(e) => {
+                    if (e.target.files[0]) importPromptJson(e.target.files[0]);
+                    e.target.value = ''; // Allow importing the same file again
+                  }}
+                />
+              </div>
+            </div>
+          )}
+
+          {outputTab === 'text' && (
+            <>
+              <div className="mb-8">
+                <h3 className="text-xl font-semibold mb-2">{t('output.indonesianHeading')}</h3>
+                <textarea
+                  className="shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+                  rows="8"
+                  value={indonesianPrompt}
+                  onChange={(e) => setIndonesianPrompt(e.target.value)}
+                  data-form-history
+                  placeholder={t('output.indonesianPlaceholder')}
+                ></textarea>
+                <button
+                  onClick={() => copyToClipboard(indonesianPrompt)}
+                  className="mt-2 bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm"
+                >
+                  {t('output.copyIndonesian')}
+                </button>
+              </div>
+
+              <div className="flex flex-wrap items-center justify-center gap-4 my-6">
+                <button
+                  onClick={maximizeEnglishPrompt}
+                  className="bg-orange-600 text-white px-8 py-4 rounded-lg font-bold text-xl hover:bg-orange-700 transition-colors shadow-lg flex items-center justify-center"
+                  disabled={isLoadingPrompt}
+                >
+                  {isLoadingPrompt && (
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                  )}
+                  {isLoadingPrompt ? t('output.streaming') : `✨ ${t('output.maximize')}`}
+                </button>
+                {isLoadingPrompt && (
+                  <button
+                    onClick={() => abortLlmRequest('maximize')}
+                    className="bg-red-500 text-white px-6 py-4 rounded-lg font-bold text-xl hover:bg-red-600 transition-colors shadow-lg"
+                  >
+                    {t('common.stop')}
+                  </button>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-xl font-semibold mb-2">{t('output.finalHeading', { language: promptLanguageName.toUpperCase() })}</h3>
+                {englishPromptSource === 'llm-partial' ? (
+                  <p className="text-sm font-semibold text-red-700 bg-red-50 border border-red-300 rounded-lg p-2 mb-2">
+                    {t('output.incomplete')}
+                  </p>
+                ) : englishPromptSource && (
+                  <p className="text-sm text-gray-600 mb-2">
+                    {englishPromptSource !== 'template'
+                      ? t('output.source.llm')
+                      : templateLanguage(promptLanguage) === promptLanguage
+                        ? t('output.source.template')
+                        : t('output.source.templateFallback', { language: promptLanguageName })}
+                  </p>
+                )}
+                <textarea
+                  className={`shadow appearance-none border rounded-lg w-full py-3 px-4 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 ${englishPromptSource === 'llm-partial' ? 'border-red-400 bg-red-50' : 'bg-gray-50'}`}
+                  rows="10"
+                  value={englishPrompt}
+                  readOnly={isLoadingPrompt} // Streamed text would overwrite edits
+                  onChange={(e) => setEnglishPrompt(e.target.value)}
+                  data-form-history
+                  placeholder={t('output.finalPlaceholder', { language: promptLanguageName })}
+                ></textarea>
+                <button
+                  onClick={() => copyToClipboard(englishPrompt)}
+                  className="mt-2 bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm"
+                >
+                  {t('output.copyFinal', { language: promptLanguageName })}
+                </button>
+              </div>
+
+              <PromptVariants
+                styles={promptVariantStyles}
+                selectedStyleIds={variantStyleIds}
+                onToggleStyle={(styleId) => setVariantStyleIds(prevIds => (
+                  prevIds.includes(styleId) ? prevIds.filter(id => id !== styleId) : [...prevIds, styleId]
+                ))}
+                onGenerate={generatePromptVariants}
+                onStop={() => abortLlmRequest('variants')}
+                isGenerating={isGeneratingVariants}
+                variants={promptVariants}
+                starredVariantId={starredVariantId}
+                onStar={starPromptVariant}
+                onCopy={copyToClipboard}
+                basePrompt={variantBasePrompt}
+              />
+            </>
+          )}
+        </SectionWrapper>
+
+        {/* Version History Section */}
+        <SectionWrapper title={t('section.versionHistory')} defaultOpen={true}>
+          <VersionHistory
+            versions={promptVersions}
+            hasDraft={Boolean(currentDraftId)}
+            currentOutput={{ indonesianPrompt, englishPrompt }}
+            onSaveVersion={saveManualPromptVersion}
+            onUpdateNote={updatePromptVersionNote}
+            onRestore={restorePromptVersion}
+            onDelete={deletePromptVersion}
+            isSaving={isSavingVersion}
+          />
         </SectionWrapper>
       </div>
 
@@ -1649,18 +2880,67 @@ const App = () => {
       {showModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white p-6 rounded-lg shadow-xl max-w-sm w-full text-center">
-            <p className="text-gray-800 text-lg mb-4">{modalMessage}</p>
+            <p className="text-gray-800 text-lg mb-4 whitespace-pre-line">{modalMessage}</p>
             <button
               onClick={() => setShowModal(false)}
               className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
             >
-              OK
+              {t('common.ok')}
             </button>
           </div>
         </div>
       )}
+
+      {/* Undo for Reset Form */}
+      {resetUndoSession && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-900 text-white px-4 py-3 rounded-lg shadow-xl flex items-center gap-4 z-40">
+          <span>{t('reset.done')}</span>
+          <button onClick={undoReset} className="font-semibold text-yellow-300 hover:text-yellow-200">
+            {t('toolbar.undo')}
+          </button>
+          <button onClick={() => setResetUndoSession(null)} className="text-gray-400 hover:text-white" aria-label={t('common.dismiss')}>
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Confirmation Modal */}
+      {confirmDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg shadow-xl max-w-sm w-full text-center">
+            <p className="text-gray-800 text-lg mb-4">{confirmDialog.message}</p>
+            <div className="flex justify-center gap-2">
+              <button
+                onClick={() => setConfirmDialog(null)}
+                className="bg-gray-400 text-white px-6 py-2 rounded-lg hover:bg-gray-500 transition-colors"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={() => {
+                  const { onConfirm } = confirmDialog;
+                  setConfirmDialog(null);
+                  onConfirm();
+                }}
+                className="bg-red-600 text-white px-6 py-2 rounded-lg hover:bg-red-700 transition-colors"
+              >
+                {t('common.confirm')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default App;
+// App wrapped in the Firebase provider so drafts can reach Firestore, and in the interface language
+const WrappedApp = (props) => (
+  <FirebaseProvider>
+    <I18nProvider>
+      <App {...props} />
+    </I18nProvider>
+  </FirebaseProvider>
+);
+
+export default WrappedApp;
@@ -0,0 +1,51 @@
+import { formatStartTime, moveDialogueLine, parseStartTime } from './dialogueTimeline';
+
+// The camera block of a scene:
+//   cameraMoves: [{ id, motion: 'Dolly In', startTime: '' }, { id, motion: 'Whip Pan', startTime: '3' }],
+//   shotSize: 'Medium Shot (MS)', cameraAngle: 'Low Angle', focalLength: '35mm', focusBehavior: 'Rack focus'
+// Moves run in list order; `motion` is a value of dropdownData.cameraMotion and `startTime` is optional
+// rough timing, written like dialogue start times (see dialogueTimeline.js). The other fields hold the
+// English value of the dropdownData list of the same name.
+// Scenes saved before the camera block had a single `cameraMotion`; it reads as a one-move list.
+
+export const cameraShotFields = ['shotSize', 'cameraAngle', 'focalLength', 'focusBehavior'];
+
+export const createCameraMoveId = () => `move-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createCameraMove = (fields = {}) => ({
+  id: createCameraMoveId(),
+  motion: '',
+  startTime: '',
+  ...fields,
+});
+
+const normalizeMove = (move) => ({
+  id: move.id || createCameraMoveId(),
+  motion: move.motion || '',
+  startTime: move.startTime == null ? '' : String(move.startTime),
+});
+
+// The ordered moves of a scene-like object, including a legacy single cameraMotion
+export const sceneCameraMoves = (scene) => {
+  if (Array.isArray(scene.cameraMoves)) return scene.cameraMoves.map(normalizeMove);
+  return scene.cameraMotion ? [normalizeMove({ motion: scene.cameraMotion })] : [];
+};
+
+// Replace a legacy cameraMotion with the move list; scenes already migrated come back unchanged
+export const migrateSceneCamera = (scene) => {
+  if (!('cameraMotion' in scene)) return scene;
+  const { cameraMotion, ...rest } = scene;
+  return { ...rest, cameraMoves: sceneCameraMoves({ cameraMotion }) };
+};
+
+// Reorder: the move at `from` ends up at index `to`
+export const moveCameraMove = moveDialogueLine;
+
+// "Dolly In → Whip Pan (0:03)", for summaries; moves without a motion are left out
+export const summarizeCameraMoves = (moves) => moves
+  .filter(move => move.motion)
+  .map(move => {
+    const start = parseStartTime(move.startTime);
+    return Number.isFinite(start) ? `${move.motion} (${formatStartTime(start)})` : move.motion;
+  })
+  .join(' → ');
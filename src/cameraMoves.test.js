@@ -0,0 +1,49 @@
+import { createCameraMove, migrateSceneCamera, moveCameraMove, sceneCameraMoves, summarizeCameraMoves } from './cameraMoves';
+
+describe('sceneCameraMoves', () => {
+  it('normalizes the move list, giving moves without an id one', () => {
+    const moves = sceneCameraMoves({ cameraMoves: [{ motion: 'Dolly In', startTime: 0 }, { id: 'move-1', motion: 'Whip Pan' }] });
+    expect(moves).toEqual([
+      { id: expect.stringMatching(/^move-/), motion: 'Dolly In', startTime: '0' },
+      { id: 'move-1', motion: 'Whip Pan', startTime: '' },
+    ]);
+  });
+
+  it('reads a legacy single camera motion as one move', () => {
+    expect(sceneCameraMoves({ cameraMotion: 'Dolly In' })).toEqual([expect.objectContaining({ motion: 'Dolly In', startTime: '' })]);
+    expect(sceneCameraMoves({ cameraMotion: '' })).toEqual([]);
+    expect(sceneCameraMoves({})).toEqual([]);
+  });
+});
+
+describe('migrateSceneCamera', () => {
+  it('replaces cameraMotion with the move list', () => {
+    const scene = migrateSceneCamera({ id: 'scene-1', location: 'Pasar', cameraMotion: 'Pan Left', cameraMoves: [] });
+    expect(scene.cameraMotion).toBeUndefined();
+    expect(scene.location).toBe('Pasar');
+    expect(scene.cameraMoves.map(move => move.motion)).toEqual(['Pan Left']);
+  });
+
+  it('returns migrated scenes unchanged', () => {
+    const scene = { id: 'scene-1', cameraMoves: [createCameraMove({ motion: 'Pan Left' })] };
+    expect(migrateSceneCamera(scene)).toBe(scene);
+  });
+});
+
+describe('moveCameraMove', () => {
+  it('moves one entry to a new position', () => {
+    const moves = ['a', 'b', 'c'].map(motion => ({ id: motion, motion, startTime: '' }));
+    expect(moveCameraMove(moves, 2, 0).map(move => move.id)).toEqual(['c', 'a', 'b']);
+  });
+});
+
+describe('summarizeCameraMoves', () => {
+  it('lists the motions in order with valid start times', () => {
+    expect(summarizeCameraMoves([
+      { motion: 'Dolly In', startTime: '' },
+      { motion: '', startTime: '2' },
+      { motion: 'Whip Pan', startTime: '3' },
+      { motion: 'Crash Zoom', startTime: 'soon' },
+    ])).toBe('Dolly In → Whip Pan (0:03) → Crash Zoom');
+  });
+});
@@ -0,0 +1,109 @@
+import React from 'react';
+import { parseStartTime } from '../dialogueTimeline';
+import { cameraShotFields } from '../cameraMoves';
+import { shownOptions } from '../customOptions';
+import { optionLabel, useI18n } from '../i18n/i18n';
+
+// Label and empty choice of each framing field
+const shotFieldKeys = {
+  shotSize: { label: 'camera.shotSize', select: 'camera.shotSizeSelect' },
+  cameraAngle: { label: 'camera.angle', select: 'camera.angleSelect' },
+  focalLength: { label: 'camera.focalLength', select: 'camera.focalLengthSelect' },
+  focusBehavior: { label: 'camera.focus', select: 'camera.focusSelect' },
+};
+
+const inputClass = 'shadow border rounded-lg py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50';
+
+// The camera block of the scene (see cameraMoves.js): the moves in the order they happen, then the framing.
+// `dropdownData` is the merged choice lists, so the user's own entries show up too.
+// All persistence lives in App; this component only renders and collects input.
+const CameraBlock = ({ moves, shot, dropdownData, onMoveChange, onAddMove, onRemoveMove, onMoveMove, onShotChange }) => {
+  const { t, language } = useI18n();
+
+  return (
+    <>
+      <h3 className="text-lg font-semibold mb-2">{t('camera.moves')}</h3>
+      <p className="text-sm text-gray-600 mb-3">{t('camera.movesHelp')}</p>
+      <ol className="space-y-2 mb-3">
+        {moves.map((move, index) => {
+          const startTime = parseStartTime(move.startTime);
+          return (
+            <li key={move.id} className="flex items-center gap-2 bg-gray-50 p-2 rounded-lg border border-gray-200">
+              <span className="text-xs font-bold text-gray-500 w-5 text-center">{index + 1}</span>
+              <select
+                className={`${inputClass} flex-grow min-w-0`}
+                value={move.motion}
+                onChange={(e) => onMoveChange(index, 'motion', e.target.value)}
+                aria-label={t('section.cameraMotion')}
+              >
+                <option value="">{t('cameraMotion.select')}</option>
+                {shownOptions(dropdownData.cameraMotion, move.motion).map(option => (
+                  <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className={`${inputClass} w-24 ${Number.isNaN(startTime) ? 'border-red-500' : ''}`}
+                value={move.startTime}
+                onChange={(e) => onMoveChange(index, 'startTime', e.target.value)}
+                placeholder={t('dialogue.startPlaceholder')}
+                aria-label={t('camera.startTime')}
+              />
+              <button
+                onClick={() => onMoveMove(index, index - 1)}
+                disabled={index === 0}
+                className="text-sm text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                aria-label={t('camera.moveUp')}
+              >
+                ▲
+              </button>
+              <button
+                onClick={() => onMoveMove(index, index + 1)}
+                disabled={index === moves.length - 1}
+                className="text-sm text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                aria-label={t('camera.moveDown')}
+              >
+                ▼
+              </button>
+              <button
+                onClick={() => onRemoveMove(index)}
+                className="bg-red-500 text-white p-2 rounded-md hover:bg-red-600 transition-colors"
+                aria-label={t('camera.removeMove')}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+      <button
+        onClick={onAddMove}
+        className="bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md mb-6"
+      >
+        {t('camera.addMove')}
+      </button>
+
+      <h3 className="text-lg font-semibold mb-2">{t('camera.framing')}</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {cameraShotFields.map(field => (
+          <div key={field}>
+            <label htmlFor={field} className="block text-gray-700 text-sm font-bold mb-2">{t(shotFieldKeys[field].label)}</label>
+            <select
+              id={field}
+              className={`${inputClass} w-full`}
+              value={shot[field]}
+              onChange={(e) => onShotChange(field, e.target.value)}
+            >
+              <option value="">{t(shotFieldKeys[field].select)}</option>
+              {shownOptions(dropdownData[field], shot[field]).map(option => (
+                <option key={option.en} value={option.en}>{optionLabel(option, language)}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default CameraBlock;
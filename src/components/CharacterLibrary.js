@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+
+// Short one-line summary so similar characters can be told apart in the picker
+const summarizeCharacter = (character) => {
+  if (character.type === 'fantasy') {
+    return typeof character.details === 'string' ? character.details : '';
+  }
+  const details = character.details || {};
+  return [details.animalType, details.gender, details.furColors, details.clothingAccessories]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Picker for the Firestore character library shared across drafts
+const CharacterLibrary = ({ libraryCharacters, sceneCharacters, onImport, onRemove }) => {
+  const { t } = useI18n();
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const visibleCharacters = libraryCharacters
+    .filter(c => (c.name || '').toLowerCase().includes(searchTerm.trim().toLowerCase()))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  if (libraryCharacters.length === 0) {
+    return (
+      <p className="text-gray-600 text-sm">
+        {t('library.empty')}
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        type="text"
+        className="shadow appearance-none border rounded-lg w-full py-2 px-3 mb-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+        value={searchTerm}
+        onChange={(e) => setSearchTerm(e.target.value)}
+        placeholder={t('library.search')}
+      />
+      <ul className="space-y-2 max-h-64 overflow-y-auto">
+        {visibleCharacters.map(character => {
+          const isInScene = sceneCharacters.some(sc => sc.libraryId === character.id);
+          const summary = summarizeCharacter(character);
+          return (
+            <li key={character.id} className="flex items-center justify-between gap-2 p-2 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 truncate">
+                  {character.name} <span className="font-normal text-gray-500">({t(`characterType.${character.type}`)})</span>
+                </p>
+                {summary && <p className="text-xs text-gray-500 truncate">{summary}</p>}
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => onImport(character)}
+                  className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm disabled:opacity-50"
+                  disabled={isInScene}
+                >
+                  {isInScene ? t('library.inScene') : t('library.import')}
+                </button>
+                <button
+                  onClick={() => onRemove(character)}
+                  className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm"
+                >
+                  {t('library.remove')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default CharacterLibrary;
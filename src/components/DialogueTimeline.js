@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { parseStartTime } from '../dialogueTimeline';
+import { optionLabel, useI18n } from '../i18n/i18n';
+
+// `value` is what the line stores and the prompt compiler reads; en/id are the labels
+const dialogueTypes = [
+  { value: 'Ask a question', en: 'Ask a question', id: 'Mengajukan pertanyaan' },
+  { value: 'Give an answer', en: 'Give an answer', id: 'Memberi jawaban' },
+  { value: 'Berbicara ke Audiens', en: 'Speak to the audience', id: 'Berbicara ke Audiens' },
+];
+
+const inputClass = 'shadow border rounded-lg py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50';
+
+// Every spoken line of the scene in speaking order. Lines are reordered by dragging the handle or with the arrows.
+// All persistence lives in App; this component only renders and collects input.
+const DialogueTimeline = ({
+  lines,
+  characters,
+  onChange,
+  onAdd,
+  onRemove,
+  onMove,
+  onSuggest,
+  onStopSuggest,
+  loadingLineIds,
+}) => {
+  const { t, language } = useI18n();
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const endDrag = () => {
+    setDraggedIndex(null);
+    setDropIndex(null);
+  };
+
+  const handleDrop = (index) => {
+    if (draggedIndex !== null) onMove(draggedIndex, index);
+    endDrag();
+  };
+
+  return (
+    <>
+      {lines.length > 0 && (
+        <p className="text-sm text-gray-600 mb-3">
+          {t('dialogue.help')}
+        </p>
+      )}
+      <ol className="space-y-3 mb-4">
+        {lines.map((line, index) => {
+          const isLoading = !!loadingLineIds[line.id];
+          const startTime = parseStartTime(line.startTime);
+          return (
+            <li
+              key={line.id}
+              onDragOver={(e) => {
+                if (draggedIndex === null) return;
+                e.preventDefault();
+                setDropIndex(index);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                handleDrop(index);
+              }}
+              className={`bg-gray-50 p-4 rounded-lg border flex gap-3 ${dropIndex === index && draggedIndex !== index ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'} ${draggedIndex === index ? 'opacity-50' : ''}`}
+            >
+              <div className="flex flex-col items-center gap-1 text-gray-500">
+                <span
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', line.id);
+                    setDraggedIndex(index);
+                  }}
+                  onDragEnd={endDrag}
+                  className="cursor-move select-none text-xl leading-none px-1"
+                  title={t('dialogue.dragHint')}
+                >
+                  ⠿
+                </span>
+                <span className="text-xs font-bold">{index + 1}</span>
+                <button
+                  onClick={() => onMove(index, index - 1)}
+                  disabled={index === 0}
+                  className="text-sm hover:text-blue-600 disabled:opacity-30"
+                  aria-label={t('dialogue.moveUp')}
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => onMove(index, index + 1)}
+                  disabled={index === lines.length - 1}
+                  className="text-sm hover:text-blue-600 disabled:opacity-30"
+                  aria-label={t('dialogue.moveDown')}
+                >
+                  ▼
+                </button>
+              </div>
+
+              <div className="flex-grow space-y-2">
+                <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                  <select
+                    className={inputClass}
+                    value={line.charId}
+                    onChange={(e) => onChange(index, 'charId', e.target.value)}
+                    aria-label={t('dialogue.speaker')}
+                  >
+                    <option value="">{t('dialogue.speaker')}</option>
+                    {characters.map(char => (
+                      <option key={char.id} value={char.id}>{char.name}</option>
+                    ))}
+                  </select>
+                  <select
+                    className={inputClass}
+                    value={line.type}
+                    onChange={(e) => onChange(index, 'type', e.target.value)}
+                    aria-label={t('dialogue.type')}
+                  >
+                    <option value="">{t('dialogue.typeSelect')}</option>
+                    {dialogueTypes.map(type => (
+                      <option key={type.value} value={type.value}>{optionLabel(type, language)}</option>
+                    ))}
+                  </select>
+                  {(line.type === 'Ask a question' || line.type === 'Give an answer') ? (
+                    <select
+                      className={inputClass}
+                      value={line.targetCharId || ''}
+                      onChange={(e) => onChange(index, 'targetCharId', e.target.value)}
+                      aria-label={t('dialogue.target')}
+                    >
+                      <option value="">{t('dialogue.targetSelect')}</option>
+                      {characters.filter(c => c.id !== line.charId).map(c => ( // Exclude self
+                        <option key={c.id} value={c.id}>{c.name}</option>
+                      ))}
+                    </select>
+                  ) : <div className="hidden sm:block" />}
+                  <input
+                    type="text"
+                    className={`${inputClass} ${Number.isNaN(startTime) ? 'border-red-500' : ''}`}
+                    value={line.startTime}
+                    onChange={(e) => onChange(index, 'startTime', e.target.value)}
+                    placeholder={t('dialogue.startPlaceholder')}
+                    aria-label={t('dialogue.startTime')}
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    className={`${inputClass} appearance-none w-full flex-grow`}
+                    value={line.sentence}
+                    onChange={(e) => onChange(index, 'sentence', e.target.value)}
+                    placeholder={t('dialogue.sentencePlaceholder')}
+                  />
+                  <button
+                    onClick={() => onSuggest(line.id)}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-700 transition-colors shadow-md flex items-center justify-center h-10 whitespace-nowrap"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? (
+                      <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                    ) : '✨'} {t('dialogue.suggest')}
+                  </button>
+                  {isLoading && (
+                    <button
+                      onClick={() => onStopSuggest(line.id)}
+                      className="bg-red-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-600 transition-colors shadow-md h-10"
+                    >
+                      {t('common.stop')}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onRemove(index)}
+                    className="bg-red-500 text-white p-2 rounded-md hover:bg-red-600 transition-colors"
+                    aria-label={t('dialogue.remove')}
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                  </button>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      <button
+        onClick={onAdd}
+        className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+      >
+        {t('dialogue.addLine')}
+      </button>
+    </>
+  );
+};
+
+export default DialogueTimeline;
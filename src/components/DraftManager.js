@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { formatTimestamp, timestampValue } from '../timestamps';
+import { useI18n } from '../i18n/i18n';
+
+// Lists the stored prompt drafts and exposes every draft operation.
+// All persistence lives in App; this component only renders and collects input.
+const DraftManager = ({
+  drafts,
+  currentDraftId,
+  draftTitle,
+  onDraftTitleChange,
+  onSave,
+  onOpen,
+  onOverwrite,
+  onRename,
+  onDuplicate,
+  onReset,
+  onDelete,
+  isSaving,
+  isDeleting,
+}) => {
+  const { t } = useI18n();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const currentDraft = drafts.find(d => d.id === currentDraftId);
+
+  const visibleDrafts = drafts
+    .filter(d => (d.title || t('drafts.untitled')).toLowerCase().includes(searchTerm.trim().toLowerCase()))
+    .sort((a, b) => timestampValue(b.timestamp) - timestampValue(a.timestamp));
+
+  const startRename = (draft) => {
+    setRenamingId(draft.id);
+    setRenameValue(draft.title || '');
+  };
+
+  const submitRename = () => {
+    if (renameValue.trim()) {
+      onRename(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+    setRenameValue('');
+  };
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label htmlFor="draftTitle" className="block text-gray-700 text-sm font-bold mb-2">
+          {t('drafts.title')}
+        </label>
+        <input
+          type="text"
+          id="draftTitle"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={draftTitle}
+          onChange={(e) => onDraftTitleChange(e.target.value)}
+          placeholder={t('drafts.titlePlaceholder')}
+        />
+        {currentDraft && (
+          <p className="text-sm text-gray-600 mt-2">
+            {t('drafts.editing')} <span className="font-semibold">{currentDraft.title || t('drafts.untitled')}</span>
+          </p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-3">
+          {currentDraftId && (
+            <button
+              onClick={() => onSave(false)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md disabled:opacity-50"
+              disabled={isSaving}
+            >
+              {isSaving ? t('drafts.saving') : t('drafts.saveChanges')}
+            </button>
+          )}
+          <button
+            onClick={() => onSave(true)}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors shadow-md disabled:opacity-50"
+            disabled={isSaving}
+          >
+            {t('drafts.saveAsNew')}
+          </button>
+          <button
+            onClick={onReset}
+            className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            {t('drafts.resetForm')}
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-3">
+        <input
+          type="text"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder={t('drafts.search')}
+        />
+      </div>
+
+      {drafts.length === 0 ? (
+        <p className="text-gray-600">{t('drafts.empty')}</p>
+      ) : visibleDrafts.length === 0 ? (
+        <p className="text-gray-600">{t('drafts.noMatch', { term: searchTerm })}</p>
+      ) : (
+        <ul className="space-y-2">
+          {visibleDrafts.map(draft => (
+            <li
+              key={draft.id}
+              className={`p-3 rounded-lg border ${draft.id === currentDraftId ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex-grow min-w-0">
+                  {renamingId === draft.id ? (
+                    <input
+                      type="text"
+                      className="shadow appearance-none border rounded-lg w-full py-1 px-2 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') submitRename();
+                        if (e.key === 'Escape') setRenamingId(null);
+                      }}
+                      autoFocus
+                    />
+                  ) : (
+                    <p className="font-semibold text-gray-800 truncate">{draft.title || t('drafts.untitled')}</p>
+                  )}
+                  <p className="text-xs text-gray-500">{formatTimestamp(draft.timestamp, t)}</p>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {renamingId === draft.id ? (
+                    <>
+                      <button onClick={submitRename} className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm">
+                        {t('drafts.saveName')}
+                      </button>
+                      <button onClick={() => setRenamingId(null)} className="bg-gray-400 text-white px-3 py-1 rounded-md hover:bg-gray-500 transition-colors text-sm">
+                        {t('common.cancel')}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => onOpen(draft)} className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm">
+                        {t('drafts.open')}
+                      </button>
+                      <button
+                        onClick={() => onOverwrite(draft)}
+                        className="bg-orange-500 text-white px-3 py-1 rounded-md hover:bg-orange-600 transition-colors text-sm disabled:opacity-50"
+                        disabled={isSaving}
+                      >
+                        {t('drafts.overwrite')}
+                      </button>
+                      <button onClick={() => startRename(draft)} className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm">
+                        {t('drafts.rename')}
+                      </button>
+                      <button
+                        onClick={() => onDuplicate(draft)}
+                        className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                        disabled={isSaving}
+                      >
+                        {t('common.duplicate')}
+                      </button>
+                      <button
+                        onClick={() => onDelete(draft)}
+                        className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm disabled:opacity-50"
+                        disabled={isDeleting}
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DraftManager;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useI18n } from '../i18n/i18n';
+
+const severityStyles = {
+  error: { badge: 'bg-red-600', row: 'border-red-200 bg-red-50' },
+  warning: { badge: 'bg-yellow-500', row: 'border-yellow-200 bg-yellow-50' },
+};
+
+// Veo constraint issues of the whole project; each one jumps to its scene and form section
+const LintPanel = ({ issues, scenes, onSelectIssue }) => {
+  const { t } = useI18n();
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">{t('lint.heading')}</h2>
+      {issues.length === 0 ? (
+        <p className="text-green-700">{t('lint.none')}</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            {t('lint.summary', { errors: t('lint.count.errors', { count: errorCount }), warnings: t('lint.count.warnings', { count: warningCount }) })}
+          </p>
+          <ul className="space-y-2">
+            {issues.map((issue, index) => {
+              const style = severityStyles[issue.severity];
+              const scene = issue.sceneIndex === null ? null : scenes[issue.sceneIndex];
+              return (
+                <li key={`${issue.rule}-${issue.sceneIndex}-${index}`}>
+                  <button
+                    onClick={() => onSelectIssue(issue)}
+                    className={`w-full text-left p-2 rounded-lg border flex flex-wrap items-start gap-2 hover:shadow ${style.row}`}
+                  >
+                    <span className={`text-xs font-bold text-white px-2 py-0.5 rounded ${style.badge}`}>{t(`lint.severity.${issue.severity}`)}</span>
+                    <span className="text-sm text-gray-500">
+                      {scene ? `${scene.title || t('scenes.defaultTitle', { number: issue.sceneIndex + 1 })} · ` : ''}{t(`lint.section.${issue.section}`)}
+                    </span>
+                    <span className="text-sm text-gray-900 w-full">{t(issue.messageKey, issue.params)}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LintPanel;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { llmProviders, getLlmProvider, defaultLlmSettings } from '../llm/providers';
+import { useI18n } from '../i18n/i18n';
+
+// Chooses the backend for the LLM features (Sarankan Aksi, Sarankan Kalimat, MAKSIMALKAN).
+// Edits stay local until Save; App persists them.
+const LlmSettings = ({ settings, apiKeys, hasBundledGeminiKey, onSave, isSaving }) => {
+  const { t } = useI18n();
+  const [form, setForm] = useState(settings);
+  const [apiKey, setApiKey] = useState(apiKeys[settings.provider] || '');
+
+  // Follow the saved settings when they change (first load from Firestore, another tab)
+  useEffect(() => {
+    setForm(settings);
+    setApiKey(apiKeys[settings.provider] || '');
+  }, [settings, apiKeys]);
+
+  const provider = getLlmProvider(form.provider);
+
+  const handleProviderChange = (providerId) => {
+    setForm(providerId === settings.provider ? settings : defaultLlmSettings(providerId));
+    setApiKey(apiKeys[providerId] || '');
+  };
+
+  const apiKeyHint = provider.id === 'gemini'
+    ? (hasBundledGeminiKey ? t('llmSettings.keyHint.bundled') : t('llmSettings.keyHint.noBundled'))
+    : provider.requiresApiKey ? t('llmSettings.keyHint.required') : t('llmSettings.keyHint.local');
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label htmlFor="llmProvider" className="block text-gray-700 text-sm font-bold mb-2">{t('llmSettings.provider')}</label>
+        <select
+          id="llmProvider"
+          className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={form.provider}
+          onChange={(e) => handleProviderChange(e.target.value)}
+        >
+          {llmProviders.map(p => (
+            <option key={p.id} value={p.id}>{t(`llmSettings.provider.${p.id}`)}</option>
+          ))}
+        </select>
+      </div>
+
+      {provider.hasBaseUrl && (
+        <div className="mb-4">
+          <label htmlFor="llmBaseUrl" className="block text-gray-700 text-sm font-bold mb-2">{t('llmSettings.endpoint')}</label>
+          <input
+            type="text"
+            id="llmBaseUrl"
+            className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+            value={form.baseUrl}
+            onChange={(e) => setForm({ ...form, baseUrl: e.target.value })}
+            placeholder={provider.baseUrl}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {t(provider.id === 'local' ? 'llmSettings.endpointHint.local' : 'llmSettings.endpointHint', { url: provider.baseUrl })}
+          </p>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <label htmlFor="llmModel" className="block text-gray-700 text-sm font-bold mb-2">{t('llmSettings.model')}</label>
+        <input
+          type="text"
+          id="llmModel"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={form.model}
+          onChange={(e) => setForm({ ...form, model: e.target.value })}
+          placeholder={provider.model}
+        />
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="llmApiKey" className="block text-gray-700 text-sm font-bold mb-2">{t('llmSettings.apiKey')}</label>
+        <input
+          type="password"
+          id="llmApiKey"
+          autoComplete="off"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          {apiKeyHint} {t('llmSettings.keyStorage')}
+        </p>
+      </div>
+
+      <button
+        onClick={() => onSave(form, apiKey)}
+        className="bg-blue-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+        disabled={isSaving}
+      >
+        {isSaving ? t('drafts.saving') : t('llmSettings.save')}
+      </button>
+      <p className="text-sm text-gray-600 mt-2">
+        {t('llmSettings.retryNote')}
+      </p>
+    </div>
+  );
+};
+
+export default LlmSettings;
@@ -0,0 +1,103 @@
+import React, { useRef, useState } from 'react';
+import { summarizeLook } from '../lookPresets';
+import { useI18n } from '../i18n/i18n';
+
+// Named looks (see lookPresets.js): save the current visual style, lighting, mood, camera motion and
+// time of day, apply one to the selected scene, and share them as files.
+// All persistence lives in App; this component only renders and collects input.
+const LookPresets = ({ looks, sceneTitle, onSave, onApply, onDelete, onExport, onImport }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState('');
+  const fileInputRef = useRef(null);
+
+  const sortedLooks = [...looks].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const handleSave = async () => {
+    if (await onSave(name)) setName('');
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">{t('looks.help')}</p>
+      <div className="flex flex-col sm:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          className="shadow appearance-none border rounded-lg flex-grow py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('looks.namePlaceholder')}
+        />
+        <button
+          onClick={handleSave}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+        >
+          {t('looks.save')}
+        </button>
+      </div>
+
+      {sortedLooks.length === 0 ? (
+        <p className="text-gray-600 text-sm mb-4">{t('looks.empty')}</p>
+      ) : (
+        <ul className="space-y-2 max-h-64 overflow-y-auto mb-4">
+          {sortedLooks.map(look => (
+            <li key={look.id} className="flex items-center justify-between gap-2 p-2 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 truncate">{look.name}</p>
+                <p className="text-xs text-gray-500 truncate">{summarizeLook(look) || t('looks.nothingSet')}</p>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => onApply(look)}
+                  className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm"
+                  title={t('looks.applyTitle', { scene: sceneTitle })}
+                >
+                  {t('looks.apply')}
+                </button>
+                <button
+                  onClick={() => onExport([look])}
+                  className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+                >
+                  {t('looks.export')}
+                </button>
+                <button
+                  onClick={() => onDelete(look)}
+                  className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm"
+                >
+                  {t('common.delete')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onExport(sortedLooks)}
+          className="bg-gray-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+          disabled={sortedLooks.length === 0}
+        >
+          {t('looks.exportAll')}
+        </button>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors text-sm"
+        >
+          {t('looks.import')}
+        </button>
+        <input
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          ref={fileInputRef}
+          onChange={(e) => {
+            if (e.target.files[0]) onImport(e.target.files[0]);
+            e.target.value = ''; // Allow importing the same file again
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default LookPresets;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import {
+  customizableCategories,
+  categoryOptions,
+  findOption,
+  addCustomOption,
+  removeCustomOption,
+  setOptionHidden,
+  moveOption,
+  resetCategory,
+} from '../customOptions';
+import { optionLabel, useI18n } from '../i18n/i18n';
+
+// Heading of each category, reusing the form's section titles
+const categoryLabelKeys = {
+  expression: 'section.expression',
+  timeOfDay: 'section.timeOfDay',
+  cameraMotion: 'section.cameraMotion',
+  shotSize: 'camera.shotSize',
+  cameraAngle: 'camera.angle',
+  focalLength: 'camera.focalLength',
+  focusBehavior: 'camera.focus',
+  lighting: 'section.lighting',
+  videoMood: 'section.videoMood',
+  visualTechnique: 'visualStyle.technique',
+  artisticStyle: 'visualStyle.artistic',
+  studioBrandStyle: 'visualStyle.studio',
+};
+
+// Editor for the user's own choice-list entries (see customOptions.js): add, hide and reorder per category.
+// Edits stay local until Save; App persists them.
+const OptionsEditor = ({ options, onSave, isSaving }) => {
+  const { t, language } = useI18n();
+  const [form, setForm] = useState(options);
+  const [category, setCategory] = useState(customizableCategories[0]);
+  const [newEntry, setNewEntry] = useState({ en: '', id: '' });
+  const [addError, setAddError] = useState('');
+
+  // Follow the saved options when they change (first load, another tab)
+  useEffect(() => {
+    setForm(options);
+  }, [options]);
+
+  const entries = categoryOptions(form, category);
+
+  const handleCategoryChange = (nextCategory) => {
+    setCategory(nextCategory);
+    setNewEntry({ en: '', id: '' });
+    setAddError('');
+  };
+
+  const handleAdd = () => {
+    const en = newEntry.en.trim();
+    if (!en) {
+      setAddError(t('options.needsEnglish'));
+      return;
+    }
+    if (entries.some(option => option.en.toLowerCase() === en.toLowerCase())) {
+      setAddError(t('options.duplicate', { label: en }));
+      return;
+    }
+    const next = addCustomOption(form, category, { en, id: newEntry.id.trim() });
+    if (!findOption(next, category, en)) {
+      setAddError(t('options.tooMany'));
+      return;
+    }
+    setForm(next);
+    setNewEntry({ en: '', id: '' });
+    setAddError('');
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">{t('options.help')}</p>
+
+      <div className="mb-4">
+        <label htmlFor="optionsCategory" className="block text-gray-700 text-sm font-bold mb-2">{t('options.category')}</label>
+        <select
+          id="optionsCategory"
+          className="shadow border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={category}
+          onChange={(e) => handleCategoryChange(e.target.value)}
+        >
+          {customizableCategories.map(key => <option key={key} value={key}>{t(categoryLabelKeys[key])}</option>)}
+        </select>
+      </div>
+
+      <ul className="space-y-2 max-h-80 overflow-y-auto mb-4">
+        {entries.map((option, index) => (
+          <li
+            key={option.en}
+            className={`flex items-center justify-between gap-2 p-2 rounded-lg border border-gray-200 ${option.hidden ? 'bg-gray-100' : 'bg-gray-50'}`}
+          >
+            <div className="min-w-0">
+              <p className={`font-semibold truncate ${option.hidden ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                {optionLabel(option, language)}
+                {option.custom && <span className="ml-2 text-xs font-normal text-blue-700 bg-blue-100 rounded px-1">{t('options.customBadge')}</span>}
+              </p>
+              <p className="text-xs text-gray-500 truncate">{option.en} / {option.id}</p>
+            </div>
+            <div className="flex gap-1 shrink-0">
+              <button
+                onClick={() => setForm(moveOption(form, category, option.en, -1))}
+                className="bg-gray-500 text-white px-2 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                disabled={index === 0}
+                title={t('options.moveUp')}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => setForm(moveOption(form, category, option.en, 1))}
+                className="bg-gray-500 text-white px-2 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                disabled={index === entries.length - 1}
+                title={t('options.moveDown')}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => setForm(setOptionHidden(form, category, option.en, !option.hidden))}
+                className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+              >
+                {option.hidden ? t('options.show') : t('options.hide')}
+              </button>
+              {option.custom && (
+                <button
+                  onClick={() => setForm(removeCustomOption(form, category, option.en))}
+                  className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm"
+                >
+                  {t('common.delete')}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+        <input
+          type="text"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={newEntry.en}
+          onChange={(e) => setNewEntry({ ...newEntry, en: e.target.value })}
+          placeholder={t('options.englishPlaceholder')}
+        />
+        <input
+          type="text"
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={newEntry.id}
+          onChange={(e) => setNewEntry({ ...newEntry, id: e.target.value })}
+          placeholder={t('options.indonesianPlaceholder')}
+        />
+      </div>
+      {addError && <p className="text-sm text-red-600 mb-2">{addError}</p>}
+      <p className="text-xs text-gray-500 mb-2">{t('options.valueNote')}</p>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={handleAdd}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors"
+        >
+          {t('options.add')}
+        </button>
+        <button
+          onClick={() => setForm(resetCategory(form, category))}
+          className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+        >
+          {t('options.resetCategory')}
+        </button>
+      </div>
+
+      <button
+        onClick={() => onSave(form)}
+        className="bg-blue-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+        disabled={isSaving}
+      >
+        {isSaving ? t('drafts.saving') : t('options.save')}
+      </button>
+    </div>
+  );
+};
+
+export default OptionsEditor;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import WordDiffView from './WordDiffView';
+import { useI18n } from '../i18n/i18n';
+
+const statusesWithLabel = ['streaming', 'partial', 'failed'];
+
+// N English prompt variants side by side; the starred one becomes the final English prompt.
+// Each variant can be shown as a word diff against `basePrompt`, the final prompt the batch started from.
+// Generation lives in App; this component only renders and collects input.
+const PromptVariants = ({
+  styles,
+  selectedStyleIds,
+  onToggleStyle,
+  onGenerate,
+  onStop,
+  isGenerating,
+  variants,
+  starredVariantId,
+  onStar,
+  onCopy,
+  basePrompt,
+}) => {
+  const { t } = useI18n();
+  const [diffVariantIds, setDiffVariantIds] = useState([]);
+
+  const toggleDiff = (id) => {
+    setDiffVariantIds(prevIds => (prevIds.includes(id) ? prevIds.filter(prevId => prevId !== id) : [...prevIds, id]));
+  };
+
+  return (
+    <div className="mt-8">
+      <h3 className="text-xl font-semibold mb-2">{t('variants.heading')}</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        {t('variants.help')}
+      </p>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        {styles.map(style => (
+          <label key={style.id} className="inline-flex items-center" title={style.instruction}>
+            <input
+              type="checkbox"
+              className="form-checkbox text-blue-600 h-5 w-5"
+              checked={selectedStyleIds.includes(style.id)}
+              onChange={() => onToggleStyle(style.id)}
+              disabled={isGenerating}
+            />
+            <span className="ml-2 text-gray-700">{t(`variants.style.${style.id}`)}</span>
+          </label>
+        ))}
+        <button
+          onClick={onGenerate}
+          className="bg-orange-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-orange-700 transition-colors shadow-md"
+          disabled={isGenerating || selectedStyleIds.length === 0}
+        >
+          {isGenerating ? t('variants.status.streaming') : `✨ ${t('variants.generate', { count: selectedStyleIds.length })}`}
+        </button>
+        {isGenerating && (
+          <button
+            onClick={onStop}
+            className="bg-red-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-600 transition-colors shadow-md"
+          >
+            {t('common.stop')}
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+          {variants.map(variant => {
+            const isStarred = variant.id === starredVariantId;
+            // A streaming variant shows its text; the diff waits until it stops changing
+            const showDiff = diffVariantIds.includes(variant.id) && variant.status !== 'streaming';
+            return (
+              <div
+                key={variant.id}
+                className={`p-4 rounded-lg border flex flex-col ${isStarred ? 'border-yellow-400 bg-yellow-50' : 'border-gray-200 bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between gap-2 mb-2">
+                  <h4 className="font-semibold text-gray-800">
+                    {variant.label}
+                    {statusesWithLabel.includes(variant.status) && (
+                      <span className={`ml-2 text-xs font-normal ${variant.status === 'streaming' ? 'text-gray-500' : 'text-red-600'}`}>
+                        {t(`variants.status.${variant.status}`)}
+                      </span>
+                    )}
+                  </h4>
+                  <button
+                    onClick={() => onStar(variant)}
+                    className={`text-2xl leading-none ${isStarred ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}`}
+                    disabled={variant.status === 'streaming' || variant.status === 'failed' || !variant.text}
+                    title={isStarred ? t('variants.starred') : t('variants.star')}
+                  >
+                    {isStarred ? '★' : '☆'}
+                  </button>
+                </div>
+                <div className="flex-grow">
+                  {showDiff ? (
+                    <WordDiffView
+                      before={basePrompt}
+                      after={variant.text}
+                      summary={(ratio) => t('variants.diffSummary', { percent: Math.round(ratio * 100) })}
+                    />
+                  ) : (
+                    <p className="whitespace-pre-wrap text-sm text-gray-900 max-h-80 overflow-y-auto">
+                      {variant.text || (variant.status === 'failed' ? t('variants.noText') : '')}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2 mt-3">
+                  <button
+                    onClick={() => toggleDiff(variant.id)}
+                    className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+                    disabled={!variant.text}
+                  >
+                    {showDiff ? t('variants.showText') : t('variants.showDiff')}
+                  </button>
+                  <button
+                    onClick={() => onCopy(variant.text)}
+                    className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+                    disabled={!variant.text}
+                  >
+                    {t('common.copy')}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromptVariants;
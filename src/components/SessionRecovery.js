@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { summarizeSession } from '../sessionRecovery';
+import { formatTimestamp } from '../timestamps';
+import { useI18n } from '../i18n/i18n';
+
+// Offer to restore the form autosaved during an earlier visit, with a preview of what comes back.
+// All persistence lives in App; this component only renders and collects input.
+const SessionRecovery = ({ session, onRestore, onDiscard }) => {
+  const { t } = useI18n();
+  const [showPreview, setShowPreview] = useState(false);
+  const summary = summarizeSession(session);
+
+  return (
+    <div className="bg-amber-50 border border-amber-300 text-amber-900 p-4 rounded-lg mb-6">
+      <p className="font-semibold">
+        {summary.draftTitle
+          ? t('recovery.foundForDraft', { time: formatTimestamp(summary.savedAt, t), title: summary.draftTitle })
+          : t('recovery.found', { time: formatTimestamp(summary.savedAt, t) })}
+      </p>
+      <p className="text-sm mt-1">
+        {t(summary.promptExcerpt ? 'recovery.contentsWithPrompts' : 'recovery.contents', {
+          characters: t('count.characters', { count: summary.characterNames.length }),
+          scenes: t('count.scenes', { count: summary.scenes.length }),
+        })}
+      </p>
+
+      {showPreview && (
+        <div className="bg-white border border-amber-200 rounded-lg p-3 mt-3 text-sm text-gray-800 space-y-2">
+          {summary.characterNames.length > 0 && (
+            <p><span className="font-semibold">{t('recovery.characters')}</span> {summary.characterNames.map(name => name || t('recovery.unnamedCharacter')).join(', ')}</p>
+          )}
+          {summary.unsavedCharacterName && (
+            <p><span className="font-semibold">{t('recovery.characterForm')}</span> {t('recovery.notAdded', { name: summary.unsavedCharacterName })}</p>
+          )}
+          {summary.visualStyles.length > 0 && (
+            <p><span className="font-semibold">{t('recovery.visualStyle')}</span> {summary.visualStyles.join(', ')}</p>
+          )}
+          <ol className="list-decimal list-inside">
+            {summary.scenes.map((scene, index) => (
+              <li key={index}>
+                <span className="font-semibold">{scene.title || t('scenes.defaultTitle', { number: index + 1 })}</span>
+                {scene.location && ` — ${scene.location}`}
+                {` (${t('count.characters', { count: scene.characterCount })}, ${t('count.dialogueLines', { count: scene.dialogueLineCount })})`}
+              </li>
+            ))}
+          </ol>
+          {summary.promptExcerpt && (
+            <p className="text-gray-600 italic">"{summary.promptExcerpt}"</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button
+          onClick={onRestore}
+          className="bg-amber-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-amber-700 transition-colors shadow-md"
+        >
+          {t('recovery.restore')}
+        </button>
+        <button
+          onClick={() => setShowPreview(!showPreview)}
+          className="bg-white border border-amber-400 text-amber-900 px-4 py-2 rounded-lg font-semibold hover:bg-amber-100 transition-colors"
+        >
+          {showPreview ? t('recovery.hidePreview') : t('recovery.preview')}
+        </button>
+        <button
+          onClick={onDiscard}
+          className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+        >
+          {t('recovery.discard')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionRecovery;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { compileEnglishPrompt, compileIndonesianStoryboard, compileStoryboard, templateLanguage } from '../promptCompiler';
+import { describeDraftProblems } from '../draftSchema';
+import { sceneCameraMoves, summarizeCameraMoves } from '../cameraMoves';
+import { optionLabel, useI18n } from '../i18n/i18n';
+import { findOutputLanguage } from '../promptLanguages';
+
+// Scene fields shown, labelled by shared.field.<name>
+const sceneFields = [
+  'location', 'timeOfDay', 'cameraMoves', 'shotSize', 'cameraAngle', 'focalLength', 'focusBehavior',
+  'lighting', 'videoMood', 'soundMusic', 'additionalDetails',
+];
+
+// The shown text of a scene field; the camera moves read as one line
+const sceneFieldText = (scene, key) => (key === 'cameraMoves' ? summarizeCameraMoves(sceneCameraMoves(scene)) : scene[key]);
+
+// Read-only view of a form opened from a share link (see shareLink.js), with the action that copies it
+// into the recipient's own form. The project comes out of decodeShareData, so every shown value is text.
+// All persistence lives in App; this component only renders and collects input.
+const SharedProjectView = ({ project, problems, onCopy, onClose }) => {
+  const { t, language } = useI18n();
+  const characterName = (charId) => (project.savedCharacters.find(c => c.id === charId) || {}).name || t('shared.unknownCharacter');
+  const projectSpec = {
+    characters: project.savedCharacters,
+    visualStyles: project.selectedVisualStyles,
+    scenes: project.scenes,
+    dialogueLanguage: project.dialogueLanguage,
+  };
+  const finalPrompt = project.englishPrompt || compileStoryboard(projectSpec, templateLanguage(project.promptLanguage)).prompt;
+  const promptLanguageName = optionLabel(findOutputLanguage(project.promptLanguage) || findOutputLanguage('en'), language);
+  const indonesianPrompt = project.indonesianPrompt || compileIndonesianStoryboard(projectSpec).prompt;
+
+  return (
+    <div>
+      <div className="bg-blue-50 border border-blue-300 text-blue-900 p-4 rounded-lg mb-6">
+        <p className="text-sm font-semibold uppercase tracking-wide">{t('shared.banner')}</p>
+        <h2 className="text-2xl font-bold mt-1">{project.title || t('drafts.untitled')}</h2>
+        <p className="text-sm mt-1">
+          {t('shared.help')}
+        </p>
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button
+            onClick={onCopy}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+          >
+            {t('shared.copy')}
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            {t('shared.close')}
+          </button>
+        </div>
+      </div>
+
+      {problems.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-900 p-4 rounded-lg mb-6 text-sm">
+          <p className="font-semibold">{t('shared.problems')}</p>
+          <ul className="list-disc list-inside mt-1">
+            {describeDraftProblems(problems).map((problem, index) => <li key={index}>{problem}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+        <h3 className="text-xl font-semibold text-gray-800 mb-3">{t('shared.characters')}</h3>
+        {project.savedCharacters.length === 0 ? (
+          <p className="text-gray-600 text-sm">{t('shared.noCharacters')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {project.savedCharacters.map(character => (
+              <li key={character.id} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+                <p className="font-semibold text-gray-800">
+                  {character.name} <span className="font-normal text-gray-500">({t(`characterType.${character.type}`)})</span>
+                </p>
+                <p className="text-sm text-gray-600">{compileEnglishPrompt({ characters: [character] }).sections.characters}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+        {project.selectedVisualStyles.length > 0 && (
+          <p className="text-sm text-gray-700 mt-3">
+            <span className="font-semibold">{t('recovery.visualStyle')}</span> {project.selectedVisualStyles.join(', ')}
+          </p>
+        )}
+      </div>
+
+      {project.scenes.map((scene, index) => (
+        <div key={scene.id} className="bg-white p-6 rounded-lg shadow-md mb-6">
+          <h3 className="text-xl font-semibold text-gray-800 mb-3">
+            {project.scenes.length > 1 ? `${t('scenes.defaultTitle', { number: index + 1 })}: ` : ''}{scene.title || t('scenes.defaultTitle', { number: index + 1 })}
+          </h3>
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {sceneFields.filter(key => sceneFieldText(scene, key)).map(key => (
+              <div key={key}>
+                <dt className="inline font-semibold text-gray-700">{t(`shared.field.${key}`)}: </dt>
+                <dd className="inline text-gray-800">{sceneFieldText(scene, key)}</dd>
+              </div>
+            ))}
+          </dl>
+
+          {scene.characterActions.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-700 mt-4 mb-1">{t('shared.actions')}</h4>
+              <ul className="list-disc list-inside text-sm text-gray-800">
+                {scene.characterActions.map(ca => (
+                  <li key={ca.charId}>
+                    <span className="font-semibold">{characterName(ca.charId)}</span>
+                    {ca.isMain && ` (${t('shared.main')})`}
+                    {ca.action && `: ${ca.action}`}
+                    {scene.expressions[ca.charId] && ` — ${scene.expressions[ca.charId]}`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {scene.spokenDialogue.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-700 mt-4 mb-1">{t('shared.dialogue')}</h4>
+              <ol className="space-y-1 text-sm text-gray-800">
+                {scene.spokenDialogue.map(line => (
+                  <li key={line.id}>
+                    {line.startTime && <span className="text-gray-500 mr-1">[{line.startTime}s]</span>}
+                    <span className="font-semibold">{characterName(line.charId)}</span>
+                    {line.targetCharId && ` → ${characterName(line.targetCharId)}`}
+                    {`: "${line.sentence}"`}
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      ))}
+
+      <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+        <h3 className="text-xl font-semibold text-gray-800 mb-3">{t('shared.prompts')}</h3>
+        <label className="block text-gray-700 text-sm font-bold mb-2">{t('shared.indonesianPrompt')}</label>
+        <textarea
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 mb-4 text-gray-900 leading-tight bg-gray-50 h-32"
+          value={indonesianPrompt}
+          readOnly
+        />
+        <label className="block text-gray-700 text-sm font-bold mb-2">{t('shared.finalPrompt', { language: promptLanguageName })}</label>
+        <textarea
+          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-900 leading-tight bg-gray-50 h-32"
+          value={finalPrompt}
+          readOnly
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SharedProjectView;
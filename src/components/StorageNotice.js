@@ -0,0 +1,44 @@
+import React from 'react';
+import { describeLocalItemCounts } from '../storage/syncLocalItems';
+import { useI18n } from '../i18n/i18n';
+
+// Where drafts are stored: a note while the app runs on browser storage, and an offer to upload
+// the items saved in this browser once Firebase is available.
+// All persistence lives in App; this component only renders and collects input.
+const StorageNotice = ({ storageKind, localItemCounts, onUpload, onDismiss, isUploading }) => {
+  const { t } = useI18n();
+  const localItemSummary = describeLocalItemCounts(localItemCounts, t);
+
+  if (storageKind === 'local') {
+    return (
+      <div className="bg-yellow-50 border border-yellow-300 text-yellow-900 p-4 rounded-lg mb-6">
+        {t('storage.localNotice')}
+      </div>
+    );
+  }
+  if (storageKind !== 'firestore' || !localItemSummary) return null;
+
+  return (
+    <div className="bg-blue-50 border border-blue-300 text-blue-900 p-4 rounded-lg mb-6 flex flex-wrap items-center gap-3">
+      <p className="flex-grow">
+        {t('storage.uploadOffer', { items: localItemSummary })}
+      </p>
+      <button
+        onClick={onUpload}
+        disabled={isUploading}
+        className="bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md disabled:opacity-50"
+      >
+        {isUploading ? t('storage.uploading') : t('storage.upload')}
+      </button>
+      <button
+        onClick={onDismiss}
+        disabled={isUploading}
+        className="bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+      >
+        {t('storage.notNow')}
+      </button>
+    </div>
+  );
+};
+
+export default StorageNotice;
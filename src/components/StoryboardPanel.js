@@ -0,0 +1,87 @@
+import React from 'react';
+import { useI18n } from '../i18n/i18n';
+
+// Ordered list of storyboard scenes; the selected scene is the one edited by the per-scene sections
+const StoryboardPanel = ({
+  scenes,
+  activeSceneIndex,
+  onSelect,
+  onRename,
+  onAdd,
+  onDuplicate,
+  onMove,
+  onDelete,
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('storyboard.help')}
+      </p>
+      <ol className="space-y-2">
+        {scenes.map((scene, index) => (
+          <li
+            key={scene.id}
+            className={`flex flex-wrap items-center gap-2 p-3 rounded-lg border ${index === activeSceneIndex ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}
+          >
+            <span className="text-sm font-bold text-gray-500 w-6">{index + 1}.</span>
+            <input
+              type="text"
+              className="shadow appearance-none border rounded-lg flex-grow py-1 px-2 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+              value={scene.title}
+              onChange={(e) => onRename(index, e.target.value)}
+              placeholder={t('scenes.defaultTitle', { number: index + 1 })}
+            />
+            <div className="flex flex-wrap gap-1">
+              <button
+                onClick={() => onSelect(index)}
+                className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm disabled:opacity-50"
+                disabled={index === activeSceneIndex}
+              >
+                {index === activeSceneIndex ? t('storyboard.editing') : t('common.edit')}
+              </button>
+              <button
+                onClick={() => onMove(index, -1)}
+                className="bg-gray-500 text-white px-2 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                disabled={index === 0}
+                title={t('storyboard.moveUp')}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => onMove(index, 1)}
+                className="bg-gray-500 text-white px-2 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm disabled:opacity-50"
+                disabled={index === scenes.length - 1}
+                title={t('storyboard.moveDown')}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => onDuplicate(index)}
+                className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm"
+              >
+                {t('common.duplicate')}
+              </button>
+              <button
+                onClick={() => onDelete(index)}
+                className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm disabled:opacity-50"
+                disabled={scenes.length === 1}
+              >
+                {t('common.delete')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <button
+        onClick={onAdd}
+        className="mt-4 bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md"
+      >
+        {t('storyboard.addScene')}
+      </button>
+    </div>
+  );
+};
+
+export default StoryboardPanel;
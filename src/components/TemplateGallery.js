@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import { compileStoryboard, templateLanguage } from '../promptCompiler';
+import { loadStarterTemplate, starterTemplates, templateProject } from '../templates';
+import { optionLabel, useI18n } from '../i18n/i18n';
+
+// Gallery of starter templates (see templates/index.js): each card shows the template's description,
+// what it contains and a preview of the prompt it generates, with the action that loads it into the form.
+// All persistence lives in App; this component only renders and collects input.
+const TemplateGallery = ({ customOptions, onUse }) => {
+  const { t, language } = useI18n();
+
+  const previews = useMemo(() => starterTemplates.map(template => {
+    const { draft } = loadStarterTemplate(template);
+    return {
+      template,
+      characters: draft.savedCharacters.map(character => character.name).join(', '),
+      sceneCount: draft.scenes.length,
+      prompt: compileStoryboard(templateProject(draft, customOptions), templateLanguage(draft.promptLanguage)).prompt,
+    };
+  }), [customOptions]);
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">{t('templates.help')}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {previews.map(({ template, characters, sceneCount, prompt }) => (
+          <div key={template.id} className="flex flex-col p-4 rounded-lg border border-gray-200 bg-gray-50">
+            <h3 className="font-semibold text-gray-800">{optionLabel(template.name, language)}</h3>
+            <p className="text-sm text-gray-600 mt-1">{optionLabel(template.description, language)}</p>
+            <p className="text-xs text-gray-500 mt-2">
+              {t('templates.contents', { characters, scenes: t('count.scenes', { count: sceneCount }) })}
+            </p>
+            <details className="mt-2 mb-3">
+              <summary className="cursor-pointer text-sm text-blue-700 hover:underline">{t('templates.preview')}</summary>
+              <pre className="mt-2 max-h-48 overflow-y-auto whitespace-pre-wrap text-xs text-gray-700 bg-white border border-gray-200 rounded p-2">
+                {prompt}
+              </pre>
+            </details>
+            <button
+              onClick={() => onUse(template)}
+              className="mt-auto self-start bg-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-blue-700 transition-colors shadow-md text-sm"
+            >
+              {t('templates.use')}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
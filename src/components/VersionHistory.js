@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import WordDiffView from './WordDiffView';
+import { formatTimestamp, timestampValue } from '../timestamps';
+import { versionLabel } from '../promptVersions';
+import { useI18n } from '../i18n/i18n';
+
+const CURRENT_OUTPUT = 'current';
+
+// Prompt versions stored under the open draft: browse, annotate, diff and restore.
+// All persistence lives in App; this component only renders and collects input.
+const VersionHistory = ({
+  versions,
+  hasDraft,
+  currentOutput,
+  onSaveVersion,
+  onUpdateNote,
+  onRestore,
+  onDelete,
+  isSaving,
+}) => {
+  const { t } = useI18n();
+  const [newNote, setNewNote] = useState('');
+  const [comparingId, setComparingId] = useState(null);
+  const [compareWithId, setCompareWithId] = useState(CURRENT_OUTPUT);
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteValue, setNoteValue] = useState('');
+
+  if (!hasDraft) {
+    return (
+      <p className="text-gray-600">
+        {t('versions.needsDraftHelp')}
+      </p>
+    );
+  }
+
+  const sortedVersions = [...versions].sort((a, b) => timestampValue(b.timestamp) - timestampValue(a.timestamp));
+
+  const startCompare = (version) => {
+    const index = sortedVersions.findIndex(v => v.id === version.id);
+    const previous = sortedVersions[index + 1];
+    setComparingId(comparingId === version.id ? null : version.id);
+    setCompareWithId(previous ? previous.id : CURRENT_OUTPUT);
+  };
+
+  const startEditNote = (version) => {
+    setEditingNoteId(version.id);
+    setNoteValue(version.note || '');
+  };
+
+  const submitNote = () => {
+    onUpdateNote(editingNoteId, noteValue.trim());
+    setEditingNoteId(null);
+    setNoteValue('');
+  };
+
+  const comparisonFor = () => {
+    if (compareWithId === CURRENT_OUTPUT) return { label: t('versions.theCurrentOutput'), ...currentOutput };
+    const other = versions.find(v => v.id === compareWithId);
+    return other
+      ? { label: `${versionLabel(other, t)} (${formatTimestamp(other.timestamp, t)})`, indonesianPrompt: other.indonesianPrompt, englishPrompt: other.englishPrompt }
+      : { label: t('versions.theCurrentOutput'), ...currentOutput };
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          className="shadow appearance-none border rounded-lg flex-grow py-2 px-3 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 bg-gray-50"
+          value={newNote}
+          onChange={(e) => setNewNote(e.target.value)}
+          placeholder={t('versions.notePlaceholder')}
+        />
+        <button
+          onClick={() => {
+            onSaveVersion(newNote.trim());
+            setNewNote('');
+          }}
+          className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors shadow-md disabled:opacity-50"
+          disabled={isSaving || (!currentOutput.indonesianPrompt && !currentOutput.englishPrompt)}
+        >
+          {t('versions.saveCurrent')}
+        </button>
+      </div>
+
+      {sortedVersions.length === 0 ? (
+        <p className="text-gray-600">{t('versions.empty')}</p>
+      ) : (
+        <ul className="space-y-2">
+          {sortedVersions.map(version => {
+            const comparison = comparingId === version.id ? comparisonFor() : null;
+            return (
+              <li key={version.id} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex-grow min-w-0">
+                    <p className="font-semibold text-gray-800 truncate">{versionLabel(version, t)}</p>
+                    <p className="text-xs text-gray-500">{formatTimestamp(version.timestamp, t)}</p>
+                    {editingNoteId === version.id ? (
+                      <input
+                        type="text"
+                        className="shadow appearance-none border rounded-lg w-full mt-1 py-1 px-2 text-gray-900 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        value={noteValue}
+                        onChange={(e) => setNoteValue(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') submitNote();
+                          if (e.key === 'Escape') setEditingNoteId(null);
+                        }}
+                        autoFocus
+                      />
+                    ) : version.note && (
+                      <p className="text-sm text-gray-700 italic mt-1">{version.note}</p>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {editingNoteId === version.id ? (
+                      <>
+                        <button onClick={submitNote} className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm">
+                          {t('versions.saveNote')}
+                        </button>
+                        <button onClick={() => setEditingNoteId(null)} className="bg-gray-400 text-white px-3 py-1 rounded-md hover:bg-gray-500 transition-colors text-sm">
+                          {t('common.cancel')}
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startCompare(version)} className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm">
+                          {comparingId === version.id ? t('versions.hideDiff') : t('versions.diff')}
+                        </button>
+                        <button onClick={() => onRestore(version)} className="bg-blue-500 text-white px-3 py-1 rounded-md hover:bg-blue-600 transition-colors text-sm">
+                          {t('versions.restore')}
+                        </button>
+                        <button onClick={() => startEditNote(version)} className="bg-gray-500 text-white px-3 py-1 rounded-md hover:bg-gray-600 transition-colors text-sm">
+                          {version.note ? t('versions.editNote') : t('versions.addNote')}
+                        </button>
+                        <button onClick={() => onDelete(version)} className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-600 transition-colors text-sm">
+                          {t('common.delete')}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {comparison && (
+                  <div className="mt-3 border-t border-gray-200 pt-3">
+                    <label className="block text-gray-700 text-sm font-bold mb-2">
+                      {t('versions.compareWith')}
+                      <select
+                        className="ml-2 shadow border rounded-lg py-1 px-2 text-gray-900 font-normal focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                        value={compareWithId}
+                        onChange={(e) => setCompareWithId(e.target.value)}
+                      >
+                        <option value={CURRENT_OUTPUT}>{t('versions.currentOutput')}</option>
+                        {sortedVersions.filter(v => v.id !== version.id).map(v => (
+                          <option key={v.id} value={v.id}>{versionLabel(v, t)} ({formatTimestamp(v.timestamp, t)})</option>
+                        ))}
+                      </select>
+                    </label>
+                    <p className="text-xs text-gray-500 mb-2">
+                      {t('versions.diffLegend', { label: comparison.label })}
+                    </p>
+                    <h5 className="text-sm font-semibold text-gray-800 mb-1">{t('versions.indonesian')}</h5>
+                    <WordDiffView before={comparison.indonesianPrompt || ''} after={version.indonesianPrompt || ''} />
+                    <h5 className="text-sm font-semibold text-gray-800 mt-3 mb-1">{t('versions.english')}</h5>
+                    <WordDiffView before={comparison.englishPrompt || ''} after={version.englishPrompt || ''} />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
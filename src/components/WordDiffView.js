@@ -0,0 +1,29 @@
+import React, { useMemo } from 'react';
+import { diffWords, sharedWordRatio } from '../wordDiff';
+import { useI18n } from '../i18n/i18n';
+
+const diffClasses = {
+  same: '',
+  added: 'bg-green-100 text-green-900',
+  removed: 'bg-red-100 text-red-800 line-through',
+};
+
+// Inline word diff: removed words struck through in red, added words in green.
+// `summary(ratio)` renders a caption from the share of words kept from `before`.
+const WordDiffView = ({ before, after, summary }) => {
+  const { t } = useI18n();
+  const runs = useMemo(() => diffWords(before, after), [before, after]);
+  return (
+    <div>
+      {summary && <p className="text-xs text-gray-500 mb-1">{summary(sharedWordRatio(runs))}</p>}
+      <div className="whitespace-pre-wrap text-sm text-gray-900 max-h-80 overflow-y-auto">
+        {runs.length === 0 && <span className="text-gray-500">{t('diff.bothEmpty')}</span>}
+        {runs.map((run, index) => (
+          <span key={index} className={diffClasses[run.type]}>{run.text}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WordDiffView;
@@ -0,0 +1,123 @@
+import { dropdownData, visualStyles } from './dropdownData';
+
+// User-defined vocabularies for the choice lists, saved per user as one settings document:
+//   {
+//     lighting: {
+//       custom: [{ en: 'Neon rim light', id: 'Cahaya tepi neon' }],   // added entries, same shape as dropdownData
+//       hidden: ['Harsh light'],                                       // entries left out of the form
+//       order: ['Neon rim light', 'Soft lighting', ...],              // optional; unlisted entries follow
+//     },
+//     ...
+//   }
+// Entries are identified by their English label, the value drafts store, so built-in and custom
+// entries mix freely. mergeOptionLists() turns the document into lists shaped like dropdownData and
+// visualStyles; hidden entries stay in them, flagged, so stored values still compile and display.
+
+export const customizableCategories = [
+  'expression', 'timeOfDay', 'cameraMotion', 'shotSize', 'cameraAngle', 'focalLength', 'focusBehavior',
+  'lighting', 'videoMood', 'visualTechnique', 'artisticStyle', 'studioBrandStyle',
+];
+
+export const MAX_CUSTOM_OPTIONS = 100; // Per category
+
+export const builtInOptions = (category) => dropdownData[category] || visualStyles[category] || [];
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const sameLabel = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const uniqueTexts = (values) => (Array.isArray(values) ? values : [])
+  .map(asText)
+  .filter((value, index, all) => value && all.findIndex(other => sameLabel(other, value)) === index);
+
+// Keep only known categories and well-formed entries; custom entries can't shadow built-in ones
+export const normalizeCustomOptions = (settings) => {
+  const normalized = {};
+  customizableCategories.forEach(category => {
+    const stored = settings && typeof settings[category] === 'object' && settings[category] ? settings[category] : {};
+    const builtIn = builtInOptions(category);
+    const custom = [];
+    (Array.isArray(stored.custom) ? stored.custom : []).forEach(entry => {
+      const en = asText(entry && entry.en);
+      if (!en || custom.length >= MAX_CUSTOM_OPTIONS) return;
+      if ([...builtIn, ...custom].some(option => sameLabel(option.en, en))) return;
+      custom.push({ en, id: asText(entry.id) || en });
+    });
+    const known = [...builtIn, ...custom].map(option => option.en);
+    const hidden = uniqueTexts(stored.hidden).filter(en => known.includes(en));
+    const order = uniqueTexts(stored.order).filter(en => known.includes(en));
+    if (custom.length > 0 || hidden.length > 0 || order.length > 0) {
+      normalized[category] = { custom, hidden, order };
+    }
+  });
+  return normalized;
+};
+
+// Every entry of a category in display order, as { en, id, custom, hidden }
+export const categoryOptions = (settings, category) => {
+  const { custom = [], hidden = [], order = [] } = (settings && settings[category]) || {};
+  const entries = [
+    ...builtInOptions(category).map(option => ({ ...option, custom: false })),
+    ...custom.map(option => ({ ...option, custom: true })),
+  ].map(option => ({ ...option, hidden: hidden.includes(option.en) }));
+  const position = (option) => {
+    const index = order.indexOf(option.en);
+    return index === -1 ? order.length + entries.indexOf(option) : index;
+  };
+  return [...entries].sort((a, b) => position(a) - position(b));
+};
+
+// Built-in lists with the user's entries merged in: { dropdownData, visualStyles }
+export const mergeOptionLists = (settings) => {
+  const merge = (lists) => Object.fromEntries(Object.entries(lists).map(([category, options]) => [
+    category,
+    customizableCategories.includes(category) ? categoryOptions(settings, category) : options,
+  ]));
+  return { dropdownData: merge(dropdownData), visualStyles: merge(visualStyles) };
+};
+
+// The entries to offer in the form: visible ones plus hidden ones still selected (a value or a list of values)
+export const shownOptions = (options, selected = []) => {
+  const selectedValues = [].concat(selected);
+  return options.filter(option => !option.hidden || selectedValues.includes(option.en));
+};
+
+// The entry for a stored value, hidden or not, or null for free text
+export const findOption = (settings, category, value) => (
+  categoryOptions(settings, category).find(option => option.en === value) || null
+);
+
+// Edits, each returning a new normalized document
+
+const updateCategory = (settings, category, update) => {
+  const current = { custom: [], hidden: [], order: [], ...((settings && settings[category]) || {}) };
+  return normalizeCustomOptions({ ...settings, [category]: { ...current, ...update(current) } });
+};
+
+export const addCustomOption = (settings, category, { en, id }) => updateCategory(settings, category, current => ({
+  custom: [...current.custom, { en, id }],
+}));
+
+export const removeCustomOption = (settings, category, en) => updateCategory(settings, category, current => ({
+  custom: current.custom.filter(option => option.en !== en),
+}));
+
+export const setOptionHidden = (settings, category, en, hidden) => updateCategory(settings, category, current => ({
+  hidden: hidden ? [...current.hidden, en] : current.hidden.filter(value => value !== en),
+}));
+
+// Move an entry `offset` places up (negative) or down the list
+export const moveOption = (settings, category, en, offset) => {
+  const order = categoryOptions(settings, category).map(option => option.en);
+  const from = order.indexOf(en);
+  const to = Math.min(Math.max(from + offset, 0), order.length - 1);
+  if (from === -1 || from === to) return normalizeCustomOptions(settings);
+  order.splice(to, 0, ...order.splice(from, 1));
+  return updateCategory(settings, category, () => ({ order }));
+};
+
+// Back to the built-in list for one category
+export const resetCategory = (settings, category) => {
+  const { [category]: removed, ...rest } = settings || {};
+  return normalizeCustomOptions(rest);
+};
@@ -0,0 +1,89 @@
+import {
+  addCustomOption,
+  categoryOptions,
+  findOption,
+  mergeOptionLists,
+  moveOption,
+  normalizeCustomOptions,
+  removeCustomOption,
+  resetCategory,
+  setOptionHidden,
+  shownOptions,
+} from './customOptions';
+import { dropdownData, visualStyles } from './dropdownData';
+
+const neonRim = { en: 'Neon rim light', id: 'Cahaya tepi neon' };
+
+describe('normalizeCustomOptions', () => {
+  it('keeps known categories and well-formed entries only', () => {
+    expect(normalizeCustomOptions({
+      lighting: {
+        custom: [neonRim, { en: '  ' }, { en: 'soft LIGHTING', id: 'x' }, { en: 'Neon rim light' }, { en: 'Moonlight' }],
+        hidden: ['Harsh light', 'No such light'],
+        order: 'not a list',
+      },
+      gender: { custom: [{ en: 'Robot' }] },
+      timestamp: 123,
+    })).toEqual({
+      lighting: { custom: [neonRim, { en: 'Moonlight', id: 'Moonlight' }], hidden: ['Harsh light'], order: [] },
+    });
+  });
+
+  it('treats missing settings as no changes', () => {
+    expect(normalizeCustomOptions(null)).toEqual({});
+  });
+});
+
+describe('categoryOptions', () => {
+  it('lists the built-in entries, then the custom ones, flagged', () => {
+    const options = categoryOptions({ lighting: { custom: [neonRim], hidden: ['Backlight'], order: [] } }, 'lighting');
+    expect(options).toHaveLength(dropdownData.lighting.length + 1);
+    expect(options[0]).toEqual({ ...dropdownData.lighting[0], custom: false, hidden: false });
+    expect(options.find(option => option.en === 'Backlight').hidden).toBe(true);
+    expect(options[options.length - 1]).toEqual({ ...neonRim, custom: true, hidden: false });
+  });
+
+  it('follows the saved order and appends unlisted entries', () => {
+    const options = categoryOptions({ timeOfDay: { custom: [], hidden: [], order: ['Night', 'Dawn'] } }, 'timeOfDay');
+    expect(options.map(option => option.en).slice(0, 4)).toEqual(['Night', 'Dawn', 'Morning', 'Afternoon']);
+  });
+});
+
+describe('edits', () => {
+  it('adds, hides, moves and removes entries', () => {
+    let settings = addCustomOption({}, 'videoMood', { en: 'Wistful', id: 'Sendu' });
+    expect(findOption(settings, 'videoMood', 'Wistful')).toEqual({ en: 'Wistful', id: 'Sendu', custom: true, hidden: false });
+
+    settings = moveOption(settings, 'videoMood', 'Wistful', -100);
+    expect(categoryOptions(settings, 'videoMood')[0].en).toBe('Wistful');
+
+    settings = setOptionHidden(settings, 'videoMood', 'Aesthetic', true);
+    expect(shownOptions(categoryOptions(settings, 'videoMood')).some(option => option.en === 'Aesthetic')).toBe(false);
+    expect(shownOptions(categoryOptions(settings, 'videoMood'), 'Aesthetic').some(option => option.en === 'Aesthetic')).toBe(true);
+
+    settings = setOptionHidden(settings, 'videoMood', 'Aesthetic', false);
+    settings = removeCustomOption(settings, 'videoMood', 'Wistful');
+    expect(findOption(settings, 'videoMood', 'Wistful')).toBeNull();
+    expect(categoryOptions(settings, 'videoMood').map(option => option.en)).toEqual(dropdownData.videoMood.map(option => option.en));
+  });
+
+  it('ignores duplicates of built-in entries', () => {
+    expect(addCustomOption({}, 'expression', { en: 'happy', id: 'Gembira' })).toEqual({});
+  });
+
+  it('resets one category', () => {
+    const settings = { ...addCustomOption({}, 'lighting', neonRim), ...addCustomOption({}, 'videoMood', { en: 'Wistful' }) };
+    expect(Object.keys(resetCategory(settings, 'lighting'))).toEqual(['videoMood']);
+  });
+});
+
+describe('mergeOptionLists', () => {
+  it('merges custom entries into the customizable lists and leaves the others alone', () => {
+    const { dropdownData: merged, visualStyles: mergedStyles } = mergeOptionLists({
+      artisticStyle: { custom: [{ en: 'Batik', id: 'Batik' }], hidden: [], order: [] },
+    });
+    expect(merged.gender).toBe(dropdownData.gender);
+    expect(mergedStyles.visualTechnique.map(option => option.en)).toEqual(visualStyles.visualTechnique.map(option => option.en));
+    expect(mergedStyles.artisticStyle.map(option => option.en)).toContain('Batik');
+  });
+});
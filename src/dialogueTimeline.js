@@ -0,0 +1,72 @@
+// The dialogue timeline: every spoken line of a scene, in speaking order, stored in scene.spokenDialogue as
+//   [{ id, charId, targetCharId, type, sentence, startTime }]
+// `startTime` is optional text such as "3", "3.5" or "0:03" (seconds into the clip).
+// Scenes saved before the timeline also kept lines per character in characterActions[].dialogueLines;
+// those are folded in ahead of the spoken dialogue, the order the compiler used to emit them in.
+
+export const createDialogueLineId = () => `line-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createDialogueLine = (fields = {}) => ({
+  id: createDialogueLineId(),
+  charId: '',
+  targetCharId: '',
+  type: '',
+  sentence: '',
+  startTime: '',
+  ...fields,
+});
+
+const normalizeLine = (line) => ({
+  id: line.id || createDialogueLineId(),
+  charId: line.charId || '',
+  targetCharId: line.targetCharId || '',
+  type: line.type || '',
+  sentence: line.sentence || '',
+  startTime: line.startTime == null ? '' : String(line.startTime),
+});
+
+// The ordered timeline of a scene-like object, including lines still stored per character
+export const sceneDialogueTimeline = (scene) => [
+  ...(scene.characterActions || []).flatMap(ca => (ca.dialogueLines || []).map(line => ({ ...line, charId: ca.charId }))),
+  ...(scene.spokenDialogue || []),
+].map(normalizeLine);
+
+// Move per-character dialogue lines into the timeline; scenes already migrated come back unchanged
+export const migrateSceneDialogue = (scene) => {
+  const hasLegacyLines = (scene.characterActions || []).some(ca => ca.dialogueLines !== undefined);
+  const needsIds = (scene.spokenDialogue || []).some(line => !line.id || line.startTime === undefined);
+  if (!hasLegacyLines && !needsIds) return scene;
+  return {
+    ...scene,
+    characterActions: (scene.characterActions || []).map(({ dialogueLines, ...action }) => action),
+    spokenDialogue: sceneDialogueTimeline(scene),
+  };
+};
+
+// Reorder: the line at `from` ends up at index `to`
+export const moveDialogueLine = (lines, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= lines.length || to >= lines.length) return lines;
+  const updated = [...lines];
+  const [line] = updated.splice(from, 1);
+  updated.splice(to, 0, line);
+  return updated;
+};
+
+// "3", "3.5", "0:03", "1:02.5" -> seconds; empty -> null; anything else -> NaN
+export const parseStartTime = (value) => {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return null;
+  const match = text.match(/^(?:(\d+):)?(\d+(?:[.,]\d+)?)s?$/);
+  if (!match) return NaN;
+  const seconds = parseFloat(match[2].replace(',', '.'));
+  if (match[1] !== undefined && seconds >= 60) return NaN;
+  return (match[1] ? parseInt(match[1], 10) * 60 : 0) + seconds;
+};
+
+// Seconds -> "0:03" / "0:03.5" timecode for the prompt
+export const formatStartTime = (seconds) => {
+  const tenths = Math.round(seconds * 10);
+  const minutes = Math.floor(tenths / 600);
+  const [whole, fraction] = String((tenths - minutes * 600) / 10).split('.');
+  return `${minutes}:${whole.padStart(2, '0')}${fraction ? `.${fraction}` : ''}`;
+};
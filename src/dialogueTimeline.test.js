@@ -0,0 +1,66 @@
+import {
+  sceneDialogueTimeline,
+  migrateSceneDialogue,
+  moveDialogueLine,
+  parseStartTime,
+  formatStartTime,
+} from './dialogueTimeline';
+
+const legacyScene = {
+  characterActions: [
+    { charId: 'a', action: 'melambai', isMain: true, dialogueLines: [{ type: 'Ask a question', sentence: 'Mau ke mana?', targetCharId: 'b' }] },
+    { charId: 'b', action: '', isMain: false, dialogueLines: [{ type: '', sentence: 'Hmm.' }] },
+  ],
+  spokenDialogue: [{ charId: 'b', type: 'Give an answer', sentence: 'Ke pasar.', targetCharId: 'a' }],
+};
+
+describe('migrateSceneDialogue', () => {
+  it('folds per-character lines into the timeline ahead of spoken dialogue', () => {
+    const migrated = migrateSceneDialogue(legacyScene);
+    expect(migrated.characterActions).toEqual([
+      { charId: 'a', action: 'melambai', isMain: true },
+      { charId: 'b', action: '', isMain: false },
+    ]);
+    expect(migrated.spokenDialogue.map(line => [line.charId, line.sentence, line.targetCharId, line.startTime])).toEqual([
+      ['a', 'Mau ke mana?', 'b', ''],
+      ['b', 'Hmm.', '', ''],
+      ['b', 'Ke pasar.', 'a', ''],
+    ]);
+    expect(migrated.spokenDialogue.every(line => line.id.startsWith('line-'))).toBe(true);
+  });
+
+  it('leaves migrated scenes untouched', () => {
+    const migrated = migrateSceneDialogue(legacyScene);
+    expect(migrateSceneDialogue(migrated)).toBe(migrated);
+  });
+
+  it('reads a scene without dialogue', () => {
+    expect(sceneDialogueTimeline({})).toEqual([]);
+  });
+});
+
+describe('moveDialogueLine', () => {
+  it('moves a line to a new position', () => {
+    expect(moveDialogueLine(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+    expect(moveDialogueLine(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+    expect(moveDialogueLine(['a', 'b'], 0, 5)).toEqual(['a', 'b']);
+  });
+});
+
+describe('start times', () => {
+  it('parses seconds and timecodes', () => {
+    expect(parseStartTime('')).toBeNull();
+    expect(parseStartTime('3')).toBe(3);
+    expect(parseStartTime('3,5s')).toBe(3.5);
+    expect(parseStartTime('0:04')).toBe(4);
+    expect(parseStartTime('1:02.5')).toBe(62.5);
+    expect(parseStartTime('0:75')).toBeNaN();
+    expect(parseStartTime('soon')).toBeNaN();
+  });
+
+  it('formats timecodes', () => {
+    expect(formatStartTime(3)).toBe('0:03');
+    expect(formatStartTime(3.5)).toBe('0:03.5');
+    expect(formatStartTime(62.25)).toBe('1:02.3');
+  });
+});
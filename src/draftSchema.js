@@ -0,0 +1,270 @@
+import { migrateSceneDialogue, sceneDialogueTimeline } from './dialogueTimeline';
+import { cameraShotFields, migrateSceneCamera, sceneCameraMoves } from './cameraMoves';
+import { DIALOGUE_AS_TYPED, defaultLanguageSettings, findOutputLanguage } from './promptLanguages';
+
+// Schema of the prompt drafts (and prompt versions) stored in Firestore. Every save writes
+// `schemaVersion`; loading runs older drafts through `draftMigrations` one version at a time and then
+// validates the result, so the form always receives the current shape.
+//
+//   1  flat: a single scene kept in top-level fields (selectedCharactersForActions, characterActions, location, ...)
+//   2  storyboard: scenes: [{ id, title, ...scene fields }] plus activeSceneIndex;
+//      dialogue lines partly kept per character in characterActions[].dialogueLines
+//   3  dialogue timeline: every line in scene.spokenDialogue, with id and startTime
+//   4  languages: promptLanguage and dialogueLanguage (see promptLanguages.js)
+//   5  camera block: scene.cameraMotion became the cameraMoves list, plus shotSize, cameraAngle,
+//      focalLength and focusBehavior (see cameraMoves.js)
+//
+// Drafts saved before the version field existed are recognized by their shape.
+// To change the shape: bump DRAFT_SCHEMA_VERSION, add the step from the previous version to
+// draftMigrations, update validateDraft and add a fixture to draftSchema.test.js.
+
+export const DRAFT_SCHEMA_VERSION = 5;
+
+const characterTypes = ['human', 'animal4', 'animal2', 'fantasy'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Storyboard: everything except the cast and the visual style belongs to a single scene
+const emptySceneFields = () => ({
+  selectedCharactersForActions: [],
+  characterActions: [],
+  expressions: {},
+  location: '',
+  timeOfDay: '',
+  cameraMoves: [],
+  shotSize: '',
+  cameraAngle: '',
+  focalLength: '',
+  focusBehavior: '',
+  lighting: '',
+  videoMood: '',
+  soundMusic: '',
+  spokenDialogue: [],
+  additionalDetails: '',
+});
+
+export const createEmptyScene = (title) => ({
+  id: `scene-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  title,
+  ...emptySceneFields(),
+});
+
+// Step from version N to N + 1, keyed by N. Steps only reshape; validateDraft repairs values.
+export const draftMigrations = {
+  // Move the top-level scene fields into the first scene of a storyboard. cameraMotion was a scene
+  // field then; step 4 turns it into cameraMoves. The scene is left untitled so the interface shows
+  // its "Scene 1" in the interface language.
+  1: (draft) => {
+    const sceneKeys = [...Object.keys(emptySceneFields()), 'cameraMotion'];
+    const scene = createEmptyScene('');
+    const rest = {};
+    Object.entries(draft).forEach(([key, value]) => {
+      if (!sceneKeys.includes(key)) rest[key] = value;
+      else if (value !== undefined && value !== null) scene[key] = value;
+    });
+    return { ...rest, scenes: [scene], activeSceneIndex: 0 };
+  },
+  // Fold per-character dialogue lines into each scene's dialogue timeline
+  2: (draft) => ({
+    ...draft,
+    scenes: Array.isArray(draft.scenes)
+      ? draft.scenes.map(scene => (isPlainObject(scene) ? migrateSceneDialogue(scene) : scene))
+      : draft.scenes,
+  }),
+  // Earlier drafts always produced an English prompt and kept the dialogue as typed
+  3: (draft) => ({ ...defaultLanguageSettings, ...draft }),
+  // A scene's single camera motion becomes the first entry of its move list
+  4: (draft) => ({
+    ...draft,
+    scenes: Array.isArray(draft.scenes)
+      ? draft.scenes.map(scene => (isPlainObject(scene) ? migrateSceneCamera(scene) : scene))
+      : draft.scenes,
+  }),
+};
+
+// The stored version, or the version whose shape an unversioned draft has
+export const draftSchemaVersion = (draft) => {
+  if (Number.isInteger(draft.schemaVersion) && draft.schemaVersion >= 1) return draft.schemaVersion;
+  if (!Array.isArray(draft.scenes) || draft.scenes.length === 0) return 1;
+  const hasLegacyDialogue = draft.scenes.some(scene => isPlainObject(scene) && migrateSceneDialogue(scene) !== scene);
+  return hasLegacyDialogue ? 2 : 3;
+};
+
+// Validation helpers: each returns a usable value and records what it had to give up on
+const createChecker = () => {
+  const problems = [];
+  const report = (path, message, value) => problems.push({ path, message, value });
+
+  const text = (value, path) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    report(path, 'expected text', value);
+    return '';
+  };
+
+  const object = (value, path) => {
+    if (value === undefined || value === null) return {};
+    if (isPlainObject(value)) return value;
+    report(path, 'expected an object', value);
+    return {};
+  };
+
+  // Keeps the entries `item` accepts; `item` returns undefined for entries it reported
+  const list = (value, path, item) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) {
+      report(path, 'expected a list', value);
+      return [];
+    }
+    return value.map((entry, index) => item(entry, `${path}[${index}]`)).filter(entry => entry !== undefined);
+  };
+
+  // One of `allowed`, or `fallback` when the value is missing or unknown
+  const choice = (value, path, allowed, fallback) => {
+    if (value === undefined || value === null) return fallback;
+    if (allowed(value)) return value;
+    report(path, `unknown value "${value}"`, value);
+    return fallback;
+  };
+
+  return { problems, report, text, object, list, choice };
+};
+
+const validateCharacter = (check) => (character, path) => {
+  if (!isPlainObject(character)) {
+    check.report(path, 'not a character', character);
+    return undefined;
+  }
+  const id = check.text(character.id, `${path}.id`);
+  if (!id) {
+    check.report(path, 'character without an id', character);
+    return undefined;
+  }
+  let type = check.text(character.type, `${path}.type`);
+  if (type && !characterTypes.includes(type)) {
+    check.report(`${path}.type`, `unknown character type "${type}"`, type);
+    type = '';
+  }
+  return {
+    ...character,
+    id,
+    name: check.text(character.name, `${path}.name`),
+    type,
+    details: type === 'fantasy'
+      ? check.text(character.details, `${path}.details`)
+      : check.object(character.details, `${path}.details`),
+  };
+};
+
+const validateScene = (check) => (scene, path) => {
+  if (!isPlainObject(scene)) {
+    check.report(path, 'not a scene', scene);
+    return undefined;
+  }
+  const fields = { ...createEmptyScene(''), ...scene };
+  const id = check.text(scene.id, `${path}.id`);
+  return {
+    ...fields,
+    id: id || fields.id,
+    title: check.text(scene.title, `${path}.title`),
+    selectedCharactersForActions: check.list(scene.selectedCharactersForActions, `${path}.selectedCharactersForActions`,
+      (charId, itemPath) => (check.text(charId, itemPath) || undefined)),
+    characterActions: check.list(scene.characterActions, `${path}.characterActions`, (action, itemPath) => {
+      if (!isPlainObject(action) || !action.charId) {
+        check.report(itemPath, 'character action without a character', action);
+        return undefined;
+      }
+      return { ...action, charId: String(action.charId), action: check.text(action.action, `${itemPath}.action`), isMain: !!action.isMain };
+    }),
+    expressions: check.object(scene.expressions, `${path}.expressions`),
+    location: check.text(scene.location, `${path}.location`),
+    timeOfDay: check.text(scene.timeOfDay, `${path}.timeOfDay`),
+    cameraMoves: sceneCameraMoves({
+      cameraMoves: check.list(scene.cameraMoves, `${path}.cameraMoves`, (move, itemPath) => {
+        if (!isPlainObject(move)) {
+          check.report(itemPath, 'not a camera move', move);
+          return undefined;
+        }
+        return { id: move.id, motion: check.text(move.motion, `${itemPath}.motion`), startTime: move.startTime };
+      }),
+    }),
+    ...Object.fromEntries(cameraShotFields.map(field => [field, check.text(scene[field], `${path}.${field}`)])),
+    lighting: check.text(scene.lighting, `${path}.lighting`),
+    videoMood: check.text(scene.videoMood, `${path}.videoMood`),
+    soundMusic: check.text(scene.soundMusic, `${path}.soundMusic`),
+    spokenDialogue: sceneDialogueTimeline({
+      spokenDialogue: check.list(scene.spokenDialogue, `${path}.spokenDialogue`, (line, itemPath) => {
+        if (!isPlainObject(line)) {
+          check.report(itemPath, 'not a dialogue line', line);
+          return undefined;
+        }
+        return { ...line, sentence: check.text(line.sentence, `${itemPath}.sentence`) };
+      }),
+    }),
+    additionalDetails: check.text(scene.additionalDetails, `${path}.additionalDetails`),
+  };
+};
+
+// Repair a current-version draft. Values that can't be used are reported and kept, keyed by path,
+// in `unrecoveredFields` so saving the draft again doesn't lose them.
+export const validateDraft = (draft) => {
+  const check = createChecker();
+  const validated = {
+    ...draft,
+    title: check.text(draft.title, 'title'),
+    characterName: check.text(draft.characterName, 'characterName'),
+    characterType: check.text(draft.characterType, 'characterType'),
+    humanDetails: check.object(draft.humanDetails, 'humanDetails'),
+    animal4Details: check.object(draft.animal4Details, 'animal4Details'),
+    animal2Details: check.object(draft.animal2Details, 'animal2Details'),
+    fantasyDetails: check.text(draft.fantasyDetails, 'fantasyDetails'),
+    savedCharacters: check.list(draft.savedCharacters, 'savedCharacters', validateCharacter(check)),
+    selectedVisualStyles: check.list(draft.selectedVisualStyles, 'selectedVisualStyles',
+      (style, path) => (check.text(style, path) || undefined)),
+    scenes: check.list(draft.scenes, 'scenes', validateScene(check)),
+    indonesianPrompt: check.text(draft.indonesianPrompt, 'indonesianPrompt'),
+    englishPrompt: check.text(draft.englishPrompt, 'englishPrompt'),
+    promptLanguage: check.choice(draft.promptLanguage, 'promptLanguage',
+      code => !!findOutputLanguage(code), defaultLanguageSettings.promptLanguage),
+    dialogueLanguage: check.choice(draft.dialogueLanguage, 'dialogueLanguage',
+      code => code === DIALOGUE_AS_TYPED || !!findOutputLanguage(code), defaultLanguageSettings.dialogueLanguage),
+  };
+  if (validated.scenes.length === 0) validated.scenes = [createEmptyScene('')];
+  validated.activeSceneIndex = Number.isInteger(draft.activeSceneIndex)
+    ? Math.min(Math.max(draft.activeSceneIndex, 0), validated.scenes.length - 1)
+    : 0;
+
+  const previouslyUnrecovered = isPlainObject(draft.unrecoveredFields) ? draft.unrecoveredFields : {};
+  const unrecoveredFields = { ...previouslyUnrecovered };
+  check.problems.forEach(({ path, value }) => {
+    if (value !== undefined) unrecoveredFields[path] = value;
+  });
+  if (Object.keys(unrecoveredFields).length > 0) validated.unrecoveredFields = unrecoveredFields;
+  else delete validated.unrecoveredFields;
+
+  return { draft: validated, problems: check.problems };
+};
+
+// Bring a stored draft of any version up to DRAFT_SCHEMA_VERSION and validate it.
+// Drafts from a newer app version are validated as they are and reported.
+export const upgradeDraft = (data) => {
+  const fromVersion = draftSchemaVersion(data);
+  let draft = data;
+  for (let version = fromVersion; version < DRAFT_SCHEMA_VERSION; version++) {
+    draft = draftMigrations[version](draft);
+  }
+  const { draft: validated, problems } = validateDraft(draft);
+  if (fromVersion > DRAFT_SCHEMA_VERSION) {
+    problems.unshift({
+      path: 'schemaVersion',
+      message: `saved by a newer version of the app (schema ${fromVersion}); fields it added may be ignored`,
+    });
+  } else {
+    validated.schemaVersion = DRAFT_SCHEMA_VERSION;
+  }
+  return { draft: validated, fromVersion, problems };
+};
+
+// One line per problem, for messages to the user
+export const describeDraftProblems = (problems) => problems.map(({ path, message }) => `${path}: ${message}`);
@@ -0,0 +1,230 @@
+import { DRAFT_SCHEMA_VERSION, draftSchemaVersion, upgradeDraft, validateDraft, describeDraftProblems } from './draftSchema';
+
+const budi = { id: '1718000000000', name: 'Budi', type: 'human', details: { gender: 'Male', age: 'Adult' } };
+const kiki = { id: '1718000000001', name: 'Kiki', type: 'animal4', details: { animalType: 'Cat' } };
+
+// Version 1: the original flat draft, one scene in top-level fields (no title, no scenes)
+const flatDraft = {
+  characterName: '',
+  characterType: '',
+  humanDetails: {},
+  animal4Details: {},
+  animal2Details: {},
+  fantasyDetails: '',
+  savedCharacters: [budi, kiki],
+  selectedCharactersForActions: [budi.id, kiki.id],
+  characterActions: [
+    { charId: budi.id, action: 'berlari', isMain: true, dialogueLines: [{ type: 'Ask a question', sentence: 'Kiki, tunggu!', targetCharId: kiki.id }] },
+    { charId: kiki.id, action: 'melompat', isMain: false, dialogueLines: [] },
+  ],
+  expressions: { [budi.id]: 'Happy' },
+  location: 'di taman',
+  timeOfDay: 'Morning',
+  cameraMotion: 'Dolly In',
+  lighting: 'Soft lighting',
+  selectedVisualStyles: ['3D'],
+  videoMood: 'Cozy',
+  soundMusic: '',
+  spokenDialogue: [{ charId: kiki.id, type: 'Give an answer', sentence: 'Meong!', targetCharId: budi.id }],
+  additionalDetails: '',
+  indonesianPrompt: 'Budi berlari.',
+  englishPrompt: 'Budi runs.',
+};
+
+// Version 2: the storyboard draft, dialogue still partly kept per character
+const storyboardDraft = {
+  title: 'Taman',
+  ...Object.fromEntries(['characterName', 'characterType', 'humanDetails', 'animal4Details', 'animal2Details', 'fantasyDetails']
+    .map(key => [key, flatDraft[key]])),
+  savedCharacters: [budi, kiki],
+  selectedVisualStyles: ['3D'],
+  scenes: [
+    {
+      id: 'scene-1', title: 'Pagi',
+      selectedCharactersForActions: [budi.id],
+      characterActions: [{ charId: budi.id, action: 'berlari', isMain: true, dialogueLines: [{ type: '', sentence: 'Ayo!' }] }],
+      expressions: {}, location: 'di taman', timeOfDay: 'Morning', cameraMotion: '', lighting: '', videoMood: '', soundMusic: '',
+      spokenDialogue: [{ charId: budi.id, type: '', sentence: 'Cepat!', targetCharId: '' }],
+      additionalDetails: '',
+    },
+    {
+      id: 'scene-2', title: 'Sore',
+      selectedCharactersForActions: [kiki.id],
+      characterActions: [{ charId: kiki.id, action: 'tidur', isMain: true, dialogueLines: [] }],
+      expressions: {}, location: 'di rumah', timeOfDay: 'Afternoon', cameraMotion: '', lighting: '', videoMood: '', soundMusic: '',
+      spokenDialogue: [], additionalDetails: '',
+    },
+  ],
+  activeSceneIndex: 1,
+  indonesianPrompt: '',
+  englishPrompt: '',
+};
+
+// Version 3: the dialogue timeline, as saved before drafts carried schemaVersion
+const timelineDraft = {
+  ...storyboardDraft,
+  scenes: [{
+    ...storyboardDraft.scenes[0],
+    characterActions: [{ charId: budi.id, action: 'berlari', isMain: true }],
+    spokenDialogue: [
+      { id: 'line-1', charId: budi.id, targetCharId: '', type: '', sentence: 'Ayo!', startTime: '0:01' },
+      { id: 'line-2', charId: budi.id, targetCharId: '', type: '', sentence: 'Cepat!', startTime: '' },
+    ],
+  }],
+  activeSceneIndex: 0,
+};
+
+// Version 4: language settings, one camera motion per scene
+const languagesDraft = {
+  ...timelineDraft,
+  schemaVersion: 4,
+  scenes: [
+    { ...timelineDraft.scenes[0], cameraMotion: 'Whip Pan' },
+    { ...storyboardDraft.scenes[1], characterActions: [{ charId: kiki.id, action: 'tidur', isMain: true }] },
+  ],
+  promptLanguage: 'en',
+  dialogueLanguage: 'asTyped',
+};
+
+const lines = (scene) => scene.spokenDialogue.map(line => [line.charId, line.sentence, line.targetCharId]);
+
+describe('draftSchemaVersion', () => {
+  it('recognizes unversioned drafts by their shape', () => {
+    expect(draftSchemaVersion(flatDraft)).toBe(1);
+    expect(draftSchemaVersion({ ...storyboardDraft, scenes: [] })).toBe(1);
+    expect(draftSchemaVersion(storyboardDraft)).toBe(2);
+    expect(draftSchemaVersion(timelineDraft)).toBe(3);
+    expect(draftSchemaVersion({ ...flatDraft, schemaVersion: 3 })).toBe(3);
+  });
+});
+
+describe('upgradeDraft', () => {
+  it('moves a flat draft into one scene with a dialogue timeline', () => {
+    const { draft, fromVersion, problems } = upgradeDraft(flatDraft);
+    expect(fromVersion).toBe(1);
+    expect(problems).toEqual([]);
+    expect(draft.schemaVersion).toBe(DRAFT_SCHEMA_VERSION);
+    expect(draft.location).toBeUndefined();
+    expect(draft.scenes).toHaveLength(1);
+    const [scene] = draft.scenes;
+    expect(scene).toEqual(expect.objectContaining({ title: '', location: 'di taman', expressions: { [budi.id]: 'Happy' } }));
+    expect(scene.cameraMoves).toEqual([expect.objectContaining({ motion: 'Dolly In', startTime: '' })]);
+    expect(scene.cameraMotion).toBeUndefined();
+    expect(scene.characterActions).toEqual([
+      { charId: budi.id, action: 'berlari', isMain: true },
+      { charId: kiki.id, action: 'melompat', isMain: false },
+    ]);
+    expect(lines(scene)).toEqual([[budi.id, 'Kiki, tunggu!', kiki.id], [kiki.id, 'Meong!', budi.id]]);
+    expect(draft.savedCharacters).toEqual([budi, kiki]);
+    expect(draft.englishPrompt).toBe('Budi runs.');
+  });
+
+  it('folds per-character lines of every storyboard scene into its timeline', () => {
+    const { draft, fromVersion, problems } = upgradeDraft(storyboardDraft);
+    expect(fromVersion).toBe(2);
+    expect(problems).toEqual([]);
+    expect(draft.activeSceneIndex).toBe(1);
+    expect(draft.scenes.map(scene => scene.id)).toEqual(['scene-1', 'scene-2']);
+    expect(lines(draft.scenes[0])).toEqual([[budi.id, 'Ayo!', ''], [budi.id, 'Cepat!', '']]);
+    expect(draft.scenes[0].characterActions[0].dialogueLines).toBeUndefined();
+  });
+
+  it('keeps an unversioned timeline draft as it is', () => {
+    const { draft, fromVersion, problems } = upgradeDraft(timelineDraft);
+    expect(fromVersion).toBe(3);
+    expect(problems).toEqual([]);
+    expect(draft.scenes[0].spokenDialogue).toEqual(timelineDraft.scenes[0].spokenDialogue);
+    expect(draft.schemaVersion).toBe(DRAFT_SCHEMA_VERSION);
+  });
+
+  it('gives drafts from before the language settings an English prompt with the dialogue as typed', () => {
+    const { draft, problems } = upgradeDraft({ ...timelineDraft, schemaVersion: 3 });
+    expect(problems).toEqual([]);
+    expect([draft.promptLanguage, draft.dialogueLanguage]).toEqual(['en', 'asTyped']);
+    const javanese = upgradeDraft({ ...timelineDraft, schemaVersion: 4, promptLanguage: 'id', dialogueLanguage: 'jv' }).draft;
+    expect([javanese.promptLanguage, javanese.dialogueLanguage]).toEqual(['id', 'jv']);
+  });
+
+  it('turns the camera motion of every scene into a camera move list', () => {
+    const { draft, fromVersion, problems } = upgradeDraft(languagesDraft);
+    expect(fromVersion).toBe(4);
+    expect(problems).toEqual([]);
+    expect(draft.scenes.map(scene => scene.cameraMoves.map(move => move.motion))).toEqual([['Whip Pan'], []]);
+    expect(draft.scenes[0].cameraMoves[0].id).toBeTruthy();
+    draft.scenes.forEach(scene => {
+      expect(scene.cameraMotion).toBeUndefined();
+      expect([scene.shotSize, scene.cameraAngle, scene.focalLength, scene.focusBehavior]).toEqual(['', '', '', '']);
+    });
+  });
+
+  it('reports drafts from a newer app version without downgrading them', () => {
+    const { draft, problems } = upgradeDraft({ ...timelineDraft, schemaVersion: DRAFT_SCHEMA_VERSION + 1, camera: { moves: [] } });
+    expect(draft.schemaVersion).toBe(DRAFT_SCHEMA_VERSION + 1);
+    expect(draft.camera).toEqual({ moves: [] });
+    expect(problems).toEqual([expect.objectContaining({ path: 'schemaVersion' })]);
+  });
+});
+
+describe('validateDraft', () => {
+  it('reports and keeps values it cannot use', () => {
+    const { draft, problems } = validateDraft({
+      ...timelineDraft,
+      title: 42,
+      selectedVisualStyles: '3D',
+      savedCharacters: [budi, { name: 'Tanpa ID' }, { ...kiki, type: 'robot' }],
+      scenes: [timelineDraft.scenes[0], 'scene'],
+      activeSceneIndex: 7,
+      dialogueLanguage: 'klingon',
+    });
+    expect(describeDraftProblems(problems)).toEqual([
+      'savedCharacters[1]: character without an id',
+      'savedCharacters[2].type: unknown character type "robot"',
+      'selectedVisualStyles: expected a list',
+      'scenes[1]: not a scene',
+      'dialogueLanguage: unknown value "klingon"',
+    ]);
+    expect(draft.dialogueLanguage).toBe('asTyped');
+    expect(draft.title).toBe('42');
+    expect(draft.selectedVisualStyles).toEqual([]);
+    expect(draft.savedCharacters.map(c => [c.name, c.type])).toEqual([['Budi', 'human'], ['Kiki', '']]);
+    expect(draft.scenes).toHaveLength(1);
+    expect(draft.activeSceneIndex).toBe(0);
+    expect(draft.unrecoveredFields).toEqual({
+      selectedVisualStyles: '3D',
+      'savedCharacters[1]': { name: 'Tanpa ID' },
+      'savedCharacters[2].type': 'robot',
+      'scenes[1]': 'scene',
+      dialogueLanguage: 'klingon',
+    });
+  });
+
+  it('repairs camera moves and keeps the ones it cannot use', () => {
+    const { draft, problems } = validateDraft({
+      ...timelineDraft,
+      scenes: [{
+        ...timelineDraft.scenes[0],
+        cameraMoves: [{ motion: 'Dolly In', startTime: 0 }, 'Whip Pan', { id: 'move-1', motion: 'Whip Pan' }],
+        shotSize: 'Close-Up (CU)',
+      }],
+    });
+    expect(describeDraftProblems(problems)).toEqual(['scenes[0].cameraMoves[1]: not a camera move']);
+    expect(draft.scenes[0].cameraMoves).toEqual([
+      { id: expect.any(String), motion: 'Dolly In', startTime: '0' },
+      { id: 'move-1', motion: 'Whip Pan', startTime: '' },
+    ]);
+    expect(draft.scenes[0].shotSize).toBe('Close-Up (CU)');
+    expect(draft.unrecoveredFields).toEqual({ 'scenes[0].cameraMoves[1]': 'Whip Pan' });
+  });
+
+  it('keeps values that earlier loads could not recover', () => {
+    const { draft, problems } = validateDraft({ ...timelineDraft, unrecoveredFields: { 'scenes[3]': 'old' } });
+    expect(problems).toEqual([]);
+    expect(draft.unrecoveredFields).toEqual({ 'scenes[3]': 'old' });
+  });
+
+  it('fills a draft without scenes with an empty one', () => {
+    const { draft } = validateDraft({});
+    expect(draft.scenes).toEqual([expect.objectContaining({ title: '', spokenDialogue: [] })]);
+    expect(draft.savedCharacters).toEqual([]);
+  });
+});
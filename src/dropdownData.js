@@ -0,0 +1,249 @@
+// Dropdown Data. Options are { en, id } label pairs; the English label is the value stored in drafts
+// and read by the prompt compiler, except for animalAge, whose value is the detailed prompt phrase.
+export const dropdownData = {
+  gender: [
+    { en: 'Male', id: 'Laki-laki' },
+    { en: 'Female', id: 'Perempuan' },
+    { en: 'Non-binary', id: 'Non-biner' },
+    { en: 'Other', id: 'Lainnya' },
+  ],
+  faceShape: [
+    { en: 'Round', id: 'Bulat' },
+    { en: 'Oval', id: 'Oval' },
+    { en: 'Square', id: 'Persegi' },
+    { en: 'Heart', id: 'Hati' },
+    { en: 'Diamond', id: 'Berlian' },
+  ],
+  skinColor: [
+    { en: 'Fair', id: 'Putih' },
+    { en: 'Light', id: 'Cerah' },
+    { en: 'Medium', id: 'Sedang' },
+    { en: 'Olive', id: 'Zaitun' },
+    { en: 'Dark', id: 'Gelap' },
+  ],
+  bodyTypePosture: [
+    { en: 'Slim', id: 'Langsing' },
+    { en: 'Athletic', id: 'Atletis' },
+    { en: 'Average', id: 'Rata-rata' },
+    { en: 'Curvy', id: 'Berlekuk' },
+    { en: 'Muscular', id: 'Berotot' },
+    { en: 'Elderly', id: 'Lanjut usia' },
+    { en: 'Slouching', id: 'Membungkuk' },
+    { en: 'Upright', id: 'Tegak' },
+  ],
+  // Updated age options for human characters
+  // age: ['Bayi', 'Belasan', 'Remaja', 'Dewasa', 'Tua'], // Now a text input
+  // Age options for animal characters with detailed prompts
+  animalAge: [
+    { en: 'Baby (0–2 years)', id: 'Bayi (0–2 tahun)', value: 'baby-like, tiny proportions, big eyes, oversized head' },
+    { en: 'Toddler (3–5 years)', id: 'Balita (3–5 tahun)', value: 'toddler-style, playful and chubby, short legs' },
+    { en: 'Young Child (6–8 years)', id: 'Anak Kecil (6–8 tahun)', value: 'childlike, energetic, round face, cheerful' },
+    { en: 'Preteen (9–12 years)', id: 'Pra-Remaja (9–12 tahun)', value: 'youthful, slightly mischievous, small and lanky' },
+    { en: 'Early Teen (13–15 years)', id: 'Remaja Awal (13–15 tahun)', value: 'awkward teen, slim build, growing up phase' },
+    { en: 'Teen (16–18 years)', id: 'Remaja (16–18 tahun)', value: 'confident teenager, casual style, expressive' },
+    { en: 'Young Adult (19–30 years)', id: 'Dewasa Muda (19–30 tahun)', value: 'young adult, well-proportioned, stylish' },
+    { en: 'Adult (31–50 years)', id: 'Dewasa (31–50 tahun)', value: 'mature character, balanced, calm expression' },
+    { en: 'Senior (50+ years)', id: 'Lansia (50+ tahun)', value: 'elderly, gray fur, wrinkles, gentle demeanor' },
+    { en: 'Old & Wise Character (Fable)', id: 'Karakter Tua & Bijak (Fabel)', value: 'ancient creature, long beard, wise eyes, walking cane' },
+  ],
+  animalBodyShape: [
+    { en: 'Slim', id: 'Langsing' },
+    { en: 'Chubby Round', id: 'Gemuk Bulat' },
+    { en: 'Muscular', id: 'Berotot' },
+    { en: 'Graceful', id: 'Anggun' },
+    { en: 'Stocky', id: 'Kekar' },
+  ],
+  faceFeature: [
+    { en: 'Chubby', id: 'Tembam' },
+    { en: 'Cute', id: 'Imut' },
+    { en: 'Sharp', id: 'Tajam' },
+    { en: 'Angular', id: 'Bersudut' },
+    { en: 'Soft', id: 'Lembut' },
+  ],
+  earFeature: [
+    { en: 'Pointy', id: 'Runcing' },
+    { en: 'Rounded', id: 'Membulat' },
+    { en: 'Floppy', id: 'Terkulai' },
+    { en: 'Large', id: 'Besar' },
+    { en: 'Small', id: 'Kecil' },
+  ],
+  furCharacteristic: [
+    { en: 'Soft', id: 'Lembut' },
+    { en: 'Fluffy', id: 'Mengembang' },
+    { en: 'Short', id: 'Pendek' },
+    { en: 'Long', id: 'Panjang' },
+    { en: 'Wiry', id: 'Kasar' },
+    { en: 'Smooth', id: 'Halus' },
+    { en: 'Patterned', id: 'Bermotif' },
+  ],
+  expression: [
+    { en: 'Happy', id: 'Senang' },
+    { en: 'Angry', id: 'Marah' },
+    { en: 'Sad', id: 'Sedih' },
+    { en: 'Confused', id: 'Bingung' },
+    { en: 'Surprised', id: 'Terkejut' },
+    { en: 'Neutral', id: 'Netral' },
+    { en: 'Excited', id: 'Bersemangat' },
+    { en: 'Worried', id: 'Khawatir' },
+    { en: 'Determined', id: 'Bertekad' },
+  ],
+  timeOfDay: [
+    { en: 'Morning', id: 'Pagi' },
+    { en: 'Afternoon', id: 'Siang' },
+    { en: 'Evening', id: 'Sore' },
+    { en: 'Night', id: 'Malam' },
+    { en: 'Golden Hour', id: 'Jam Emas (Golden Hour)' },
+    { en: 'Blue Hour', id: 'Jam Biru (Blue Hour)' },
+    { en: 'Dawn', id: 'Fajar' },
+    { en: 'Dusk', id: 'Senja' },
+  ],
+  cameraMotion: [
+    { en: 'Static Shot', id: 'Bidikan Statis' },
+    { en: 'Pan Left', id: 'Geser Kiri' },
+    { en: 'Pan Right', id: 'Geser Kanan' },
+    { en: 'Tilt Up', id: 'Miring ke Atas' },
+    { en: 'Tilt Down', id: 'Miring ke Bawah' },
+    { en: 'Zoom In', id: 'Perbesar' },
+    { en: 'Zoom Out', id: 'Perkecil' },
+    { en: 'Dolly In', id: 'Gerakan Dolly Masuk' },
+    { en: 'Dolly Out', id: 'Gerakan Dolly Keluar' },
+    { en: 'Dolly Left', id: 'Gerakan Dolly Kiri' },
+    { en: 'Dolly Right', id: 'Gerakan Dolly Kanan' },
+    { en: 'Pedestal Up', id: 'Angkat Kamera ke Atas' },
+    { en: 'Pedestal Down', id: 'Turunkan Kamera ke Bawah' },
+    { en: 'Truck Left', id: 'Gerakan Truk Kiri' },
+    { en: 'Truck Right', id: 'Gerakan Truk Kanan' },
+    { en: 'Arc Left', id: 'Busur Kiri' },
+    { en: 'Arc Right', id: 'Busur Kanan' },
+    { en: 'Whip Pan', id: 'Geser Cepat' },
+    { en: 'Crash Zoom', id: 'Perbesar Mendadak' },
+    { en: 'Bullet Time', id: 'Waktu Peluru' },
+    { en: 'FPV Drone', id: 'Drone Sudut Pandang Orang Pertama' },
+    { en: 'Aerial Perspective', id: 'Perspektif Udara' },
+    { en: 'Tracking Shot', id: 'Bidikan Mengikuti' },
+    { en: '360 Orbit', id: 'Orbit 360 Derajat' },
+    { en: 'Crane Up', id: 'Angkat Derek ke Atas' },
+    { en: 'Crane Down', id: 'Turunkan Derek ke Bawah' },
+    { en: 'Dolly Zoom', id: 'Efek Vertigo' },
+    { en: 'Robo Arm', id: 'Lengan Robot' },
+    { en: 'Super Dolly In', id: 'Gerakan Dolly Sangat Dekat' },
+    { en: 'Focus Change', id: 'Perubahan Fokus' },
+    { en: 'Through Object', id: 'Melalui Objek' },
+    { en: 'Lazy Susan', id: 'Putaran Lambat' },
+    { en: 'Action Run', id: 'Lari Aksi' },
+    { en: 'Handheld', id: 'Genggam Tangan' },
+    { en: 'Dutch Angle', id: 'Sudut Belanda' },
+    { en: 'Car Grip', id: 'Genggam Mobil' },
+    { en: 'Hyperlapse', id: 'Hiperlapse' },
+    { en: 'Low Shutter', id: 'Rana Lambat' },
+    { en: 'Fisheye', id: 'Mata Ikan' },
+  ],
+  // Camera block (see cameraMoves.js), from the closest shot to the widest
+  shotSize: [
+    { en: 'Extreme Close-Up (ECU)', id: 'Sangat Dekat (ECU)' },
+    { en: 'Close-Up (CU)', id: 'Dekat (CU)' },
+    { en: 'Medium Close-Up (MCU)', id: 'Setengah Dekat (MCU)' },
+    { en: 'Medium Shot (MS)', id: 'Setengah Badan (MS)' },
+    { en: 'Cowboy Shot', id: 'Sebatas Paha (Cowboy Shot)' },
+    { en: 'Full Shot (FS)', id: 'Seluruh Badan (FS)' },
+    { en: 'Wide Shot (WS)', id: 'Lebar (WS)' },
+    { en: 'Extreme Wide Shot (EWS)', id: 'Sangat Lebar (EWS)' },
+  ],
+  cameraAngle: [
+    { en: 'Eye Level', id: 'Sejajar Mata' },
+    { en: 'Low Angle', id: 'Sudut Rendah' },
+    { en: 'High Angle', id: 'Sudut Tinggi' },
+    { en: "Bird's-Eye View", id: 'Pandangan Mata Burung' },
+    { en: "Worm's-Eye View", id: 'Pandangan Mata Cacing' },
+    { en: 'Over the Shoulder', id: 'Dari Balik Bahu' },
+    { en: 'Point of View (POV)', id: 'Sudut Pandang Karakter (POV)' },
+  ],
+  focalLength: [
+    { en: '14mm ultra-wide', id: '14mm sangat lebar' },
+    { en: '24mm wide', id: '24mm lebar' },
+    { en: '35mm', id: '35mm' },
+    { en: '50mm standard', id: '50mm standar' },
+    { en: '85mm portrait', id: '85mm potret' },
+    { en: '135mm telephoto', id: '135mm telefoto' },
+    { en: 'Macro', id: 'Makro' },
+    { en: 'Anamorphic', id: 'Anamorfik' },
+  ],
+  focusBehavior: [
+    { en: 'Deep focus', id: 'Fokus dalam (semua tajam)' },
+    { en: 'Shallow depth of field', id: 'Ruang tajam sempit' },
+    { en: 'Background bokeh', id: 'Latar bokeh' },
+    { en: 'Rack focus', id: 'Pindah fokus (rack focus)' },
+    { en: 'Follow focus', id: 'Fokus mengikuti subjek' },
+    { en: 'Soft focus', id: 'Fokus lembut' },
+    { en: 'Tilt-shift miniature', id: 'Efek miniatur tilt-shift' },
+  ],
+  lighting: [
+    { en: 'Soft lighting', id: 'Pencahayaan lembut' },
+    { en: 'Harsh light', id: 'Cahaya keras' },
+    { en: 'Backlight', id: 'Cahaya dari belakang' },
+    { en: 'Cinematic lighting', id: 'Pencahayaan sinematik' },
+    { en: 'Natural light', id: 'Cahaya alami' },
+    { en: 'Dramatic lighting', id: 'Pencahayaan dramatis' },
+    { en: 'Studio lighting', id: 'Pencahayaan studio' },
+    { en: 'Ambient light', id: 'Cahaya sekitar' },
+  ],
+  videoMood: [
+    { en: 'Aesthetic', id: 'Estetik' },
+    { en: 'Cheerful', id: 'Ceria' },
+    { en: 'Cozy', id: 'Hangat' },
+    { en: 'Dark', id: 'Gelap' },
+    { en: 'Mysterious', id: 'Misterius' },
+    { en: 'Dramatic', id: 'Dramatis' },
+    { en: 'Magical', id: 'Magis' },
+    { en: 'Energetic', id: 'Energik' },
+    { en: 'Calm', id: 'Tenang' },
+    { en: 'Suspenseful', id: 'Menegangkan' },
+    { en: 'Whimsical', id: 'Jenaka' },
+    { en: 'Gritty', id: 'Kelam' },
+    { en: 'Dreamy', id: 'Seperti Mimpi' },
+  ],
+};
+
+export const visualStyles = {
+  visualTechnique: [
+    { en: '2D', id: '2D' },
+    { en: '2.5D', id: '2.5D' },
+    { en: '3D', id: '3D' },
+    { en: 'Stop-motion', id: 'Stop-motion' },
+    { en: 'Claymation', id: 'Animasi Tanah Liat' },
+    { en: 'Pixel Art', id: 'Seni Piksel' },
+    { en: 'Rotoscoping', id: 'Rotoskop' },
+  ],
+  artisticStyle: [
+    { en: 'Cinematic', id: 'Sinematik' },
+    { en: 'Realistic', id: 'Realistis' },
+    { en: 'Semi-realistic', id: 'Semi-realistis' },
+    { en: 'Cartoon', id: 'Kartun' },
+    { en: 'Anime', id: 'Anime' },
+    { en: 'Silhouette', id: 'Siluet' },
+    { en: 'Line Art', id: 'Seni Garis' },
+    { en: 'Flat Design', id: 'Desain Datar' },
+    { en: 'Papercut Style', id: 'Gaya Potongan Kertas' },
+    { en: 'Sketch/Doodle Style', id: 'Gaya Sketsa/Coretan' },
+    { en: 'Minimalist', id: 'Minimalis' },
+    { en: 'Surrealistic', id: 'Surealis' },
+    { en: 'Vaporwave', id: 'Vaporwave' },
+    { en: 'Cyberpunk', id: 'Cyberpunk' },
+    { en: 'Retro Futurism', id: 'Retro Futurisme' },
+    { en: 'Noir', id: 'Noir' },
+    { en: 'Steampunk', id: 'Steampunk' },
+  ],
+  studioBrandStyle: [
+    { en: 'Disney Style', id: 'Gaya Disney' },
+    { en: 'Pixar Style', id: 'Gaya Pixar' },
+    { en: 'DreamWorks Style', id: 'Gaya DreamWorks' },
+    { en: 'Illumination Style', id: 'Gaya Illumination' },
+    { en: 'Ghibli Style', id: 'Gaya Ghibli' },
+    { en: 'Laika Style', id: 'Gaya Laika' },
+    { en: 'Nickelodeon Style', id: 'Gaya Nickelodeon' },
+    { en: 'Cartoon Network Style', id: 'Gaya Cartoon Network' },
+    { en: 'Webtoon Style', id: 'Gaya Webtoon' },
+    { en: 'Marvel/Comic Book Style', id: 'Gaya Marvel/Buku Komik' },
+    { en: 'Roblox/Low Poly Style', id: 'Gaya Roblox/Low Poly' },
+  ],
+};
@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+
+// Undo/redo store for the form. All form fields live in one object; every change goes through
+// formHistoryReducer, which keeps the earlier states:
+//   { past: [fields], present: fields, future: [fields], last: { group, field, time } | null }
+// Changes dispatched together (in the same tick, e.g. one click handler setting several fields)
+// share a `group` and become one undo step. Typing into the same field within COALESCE_MS is
+// merged into one step as well, so Ctrl+Z undoes a word burst rather than a single letter.
+// A 'rebind' changes a field without an undo step, in the present and in the unbroken run of earlier
+// and later states around it that hold the same value; saving a form as a new draft rebinds its
+// currentDraftId this way, so undoing an edit afterwards still saves to that draft.
+
+export const HISTORY_LIMIT = 100;
+export const COALESCE_MS = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Typing-like changes keep the shape of the value: text, or a list/object with the same number of entries
+const isInPlaceEdit = (before, after) => typeof after === 'string'
+  || (Array.isArray(before) && Array.isArray(after) && before.length === after.length)
+  || (isPlainObject(before) && isPlainObject(after) && Object.keys(before).length === Object.keys(after).length);
+
+export const createFormHistory = (fields) => ({ past: [], present: fields, future: [], last: null });
+
+export const formHistoryReducer = (state, action) => {
+  switch (action.type) {
+    case 'set': {
+      const before = state.present[action.field];
+      const value = typeof action.value === 'function' ? action.value(before) : action.value;
+      if (Object.is(value, before)) return state;
+
+      const present = { ...state.present, [action.field]: value };
+      const last = { group: action.group, field: action.field, time: action.time };
+      const mergesWithLast = state.last && (
+        state.last.group === action.group
+        || (state.last.field === action.field && action.time - state.last.time < COALESCE_MS && isInPlaceEdit(before, value))
+      );
+      if (mergesWithLast) return { ...state, present, future: [], last };
+      return {
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+        last,
+      };
+    }
+    case 'rebind': {
+      const before = state.present[action.field];
+      if (Object.is(action.value, before)) return state;
+      // Walks the states outward from the present and stops at the first one holding another value
+      const rebindRun = (states) => {
+        const end = states.findIndex(fields => !Object.is(fields[action.field], before));
+        return states.map((fields, index) => (end === -1 || index < end ? { ...fields, [action.field]: action.value } : fields));
+      };
+      return {
+        past: rebindRun([...state.past].reverse()).reverse(),
+        present: { ...state.present, [action.field]: action.value },
+        future: rebindRun(state.future),
+        last: null,
+      };
+    }
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        last: null,
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        last: null,
+      };
+    }
+    default:
+      return state;
+  }
+};
+
+const setterName = (field) => `set${field[0].toUpperCase()}${field.slice(1)}`;
+
+// The form store as a hook. Returns the fields, a setter per field named like useState's
+// (setCharacterName for characterName; it takes a value or an updater), rebind(field, value), and undo/redo.
+// Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS) when the focus is inside an element marked
+// data-form-history, the parts of the page that edit the store. Everywhere else, and inside a
+// data-form-history="off" part of them, the browser's own text undo runs.
+export const useFormHistory = (createInitialFields) => {
+  const [history, dispatch] = useReducer(formHistoryReducer, undefined, () => createFormHistory(createInitialFields()));
+  const groupRef = useRef({ id: 0, open: false });
+
+  const [setters] = useState(() => {
+    const currentGroup = () => {
+      if (!groupRef.current.open) {
+        groupRef.current = { id: groupRef.current.id + 1, open: true };
+        Promise.resolve().then(() => {
+          groupRef.current.open = false;
+        });
+      }
+      return groupRef.current.id;
+    };
+    return Object.fromEntries(Object.keys(history.present).map(field => [
+      setterName(field),
+      (value) => dispatch({ type: 'set', field, value, group: currentGroup(), time: Date.now() }),
+    ]));
+  });
+
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const rebind = useCallback((field, value) => dispatch({ type: 'rebind', field, value }), []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const scope = e.target instanceof Element ? e.target.closest('[data-form-history]') : null;
+      if (!scope || scope.dataset.formHistory === 'off') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return {
+    fields: history.present,
+    setters,
+    rebind,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
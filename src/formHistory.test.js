@@ -0,0 +1,81 @@
+import { COALESCE_MS, HISTORY_LIMIT, createFormHistory, formHistoryReducer } from './formHistory';
+
+const set = (field, value, group, time = group * 10000) => ({ type: 'set', field, value, group, time });
+
+const run = (actions, fields = { location: '', selectedCharactersForActions: [], characterActions: [] }) =>
+  actions.reduce(formHistoryReducer, createFormHistory(fields));
+
+describe('formHistoryReducer', () => {
+  it('undoes and redoes single changes', () => {
+    let state = run([set('location', 'di pasar', 1), set('location', 'di pantai', 2)]);
+    state = formHistoryReducer(state, { type: 'undo' });
+    expect(state.present.location).toBe('di pasar');
+    state = formHistoryReducer(state, { type: 'undo' });
+    expect(state.present.location).toBe('');
+    expect(formHistoryReducer(state, { type: 'undo' })).toBe(state);
+    state = formHistoryReducer(state, { type: 'redo' });
+    expect(state.present.location).toBe('di pasar');
+    state = formHistoryReducer(state, set('location', 'di hutan', 3));
+    expect(state.future).toEqual([]);
+  });
+
+  it('applies updaters to the current value', () => {
+    const state = run([set('characterActions', prev => [...prev, { charId: 'a' }], 1), set('characterActions', prev => [...prev, { charId: 'b' }], 2)]);
+    expect(state.present.characterActions.map(a => a.charId)).toEqual(['a', 'b']);
+  });
+
+  it('undoes changes of one group in one step', () => {
+    let state = run([
+      set('selectedCharactersForActions', ['a'], 1),
+      set('characterActions', [{ charId: 'a', action: 'berlari' }], 1),
+      set('selectedCharactersForActions', [], 2),
+      set('characterActions', [], 2),
+    ]);
+    state = formHistoryReducer(state, { type: 'undo' });
+    expect(state.present.selectedCharactersForActions).toEqual(['a']);
+    expect(state.present.characterActions).toEqual([{ charId: 'a', action: 'berlari' }]);
+  });
+
+  it('merges typing into one step but keeps structural changes apart', () => {
+    let state = run([
+      set('location', 'd', 1, 0),
+      set('location', 'di', 2, COALESCE_MS / 2),
+      set('location', 'di pasar', 3, COALESCE_MS),
+      set('location', 'di pasar!', 4, COALESCE_MS * 3),
+    ]);
+    expect(state.past.map(fields => fields.location)).toEqual(['', 'di pasar']);
+
+    state = run([
+      set('selectedCharactersForActions', ['a'], 1, 0),
+      set('selectedCharactersForActions', ['a', 'b'], 2, 100),
+    ]);
+    state = formHistoryReducer(state, { type: 'undo' });
+    expect(state.present.selectedCharactersForActions).toEqual(['a']);
+  });
+
+  it('ignores changes that keep the value and caps the history', () => {
+    const initial = createFormHistory({ location: '' });
+    expect(formHistoryReducer(initial, set('location', '', 1))).toBe(initial);
+    const state = run(Array.from({ length: HISTORY_LIMIT + 20 }, (_, i) => set('location', `scene ${i}`, i + 1)), { location: '' });
+    expect(state.past).toHaveLength(HISTORY_LIMIT);
+  });
+
+  it('undoes an opened draft together with its id', () => {
+    let state = run([set('location', 'di taman', 1), set('location', 'di hutan', 2), set('currentDraftId', 'draft-1', 2)],
+      { location: '', currentDraftId: null });
+    state = formHistoryReducer(state, { type: 'undo' });
+    expect(state.present).toEqual({ location: 'di taman', currentDraftId: null });
+  });
+
+  it('rebinds a value across the history without an undo step', () => {
+    let state = run([
+      set('currentDraftId', 'draft-1', 1), set('location', 'di taman', 2),
+      set('currentDraftId', null, 3), set('location', 'di hutan', 4), set('location', 'di pantai', 5),
+    ], { location: '', currentDraftId: null });
+    state = formHistoryReducer(state, { type: 'undo' });
+    state = formHistoryReducer(state, { type: 'rebind', field: 'currentDraftId', value: 'draft-2' });
+    expect(state.present).toEqual({ location: 'di hutan', currentDraftId: 'draft-2' });
+    expect(state.past.map(fields => fields.currentDraftId)).toEqual([null, 'draft-1', 'draft-1', 'draft-2']);
+    expect(state.future.map(fields => fields.currentDraftId)).toEqual(['draft-2']);
+  });
+});
@@ -0,0 +1,82 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { messages } from './messages';
+
+// Translation layer for the interface (not for the prompts, which have their own languages).
+// Every message in messages.js is an { en, id } pair, like the dropdown options; a value is either text
+// with {placeholders} or { one, other } for text that depends on params.count.
+// Components read `t` and `language` from useI18n(); code outside React uses translate().
+
+export const uiLanguages = [
+  { code: 'en', label: 'English' },
+  { code: 'id', label: 'Bahasa Indonesia' },
+];
+
+export const DEFAULT_UI_LANGUAGE = 'en';
+
+// The chosen interface language stays in this browser
+const uiLanguageStorageKey = 'veo3-prompter:ui-language';
+
+const isUiLanguage = (code) => uiLanguages.some(language => language.code === code);
+
+export const readStoredUiLanguage = () => {
+  try {
+    const stored = window.localStorage.getItem(uiLanguageStorageKey);
+    if (isUiLanguage(stored)) return stored;
+  } catch (error) {
+    // Storage can be blocked, e.g. in sandboxed frames; fall back to the browser language
+  }
+  const browserLanguage = (typeof navigator !== 'undefined' && navigator.language) || '';
+  return browserLanguage.toLowerCase().startsWith('id') ? 'id' : DEFAULT_UI_LANGUAGE;
+};
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+// The message `key` in `language`, falling back to English and then to the key itself
+export const translate = (language, key, params = {}) => {
+  const entry = messages[key];
+  if (!entry) return key;
+  let text = entry[language] ?? entry[DEFAULT_UI_LANGUAGE];
+  if (text !== null && typeof text === 'object') {
+    text = params.count === 1 ? text.one : text.other;
+  }
+  return interpolate(text, params);
+};
+
+// Label of a dropdown option: { en, id } pairs as in dropdownData, or plain text shown as it is
+export const optionLabel = (option, language) => (
+  typeof option === 'string' ? option : option[language] ?? option[DEFAULT_UI_LANGUAGE]
+);
+
+const I18nContext = createContext({
+  language: DEFAULT_UI_LANGUAGE,
+  setLanguage: () => {},
+  t: (key, params) => translate(DEFAULT_UI_LANGUAGE, key, params),
+});
+
+export const I18nProvider = ({ children, initialLanguage }) => {
+  const [language, setLanguageState] = useState(() => initialLanguage || readStoredUiLanguage());
+
+  const setLanguage = useCallback((code) => {
+    if (!isUiLanguage(code)) return;
+    setLanguageState(code);
+    try {
+      window.localStorage.setItem(uiLanguageStorageKey, code);
+    } catch (error) {
+      console.error("Error storing the interface language:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    t: (key, params) => translate(language, key, params),
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,58 @@
+import { messages } from './messages';
+import { optionLabel, translate, uiLanguages } from './i18n';
+import { dropdownData, visualStyles } from '../dropdownData';
+
+const placeholdersOf = (value) => {
+  const texts = typeof value === 'string' ? [value] : [value.one, value.other];
+  return [...new Set(texts.flatMap(text => (text.match(/\{\w+\}/g) || [])))].sort();
+};
+
+describe('messages', () => {
+  it('has every message in every interface language', () => {
+    Object.entries(messages).forEach(([key, entry]) => {
+      uiLanguages.forEach(({ code }) => {
+        expect([key, code, typeof entry[code]]).toEqual([key, code, expect.stringMatching(/string|object/)]);
+      });
+    });
+  });
+
+  it('uses the same placeholders in both languages', () => {
+    Object.entries(messages).forEach(([key, entry]) => {
+      const english = placeholdersOf(entry.en).filter(name => name !== '{count}');
+      const indonesian = placeholdersOf(entry.id).filter(name => name !== '{count}');
+      expect([key, indonesian]).toEqual([key, english]);
+    });
+  });
+});
+
+describe('translate', () => {
+  it('fills in params', () => {
+    expect(translate('en', 'characters.saved', { name: 'Budi' })).toBe('Character "Budi" saved!');
+    expect(translate('id', 'scenes.defaultTitle', { number: 2 })).toBe('Adegan 2');
+  });
+
+  it('picks the plural form from params.count', () => {
+    expect(translate('en', 'count.scenes', { count: 1 })).toBe('1 scene');
+    expect(translate('en', 'count.scenes', { count: 3 })).toBe('3 scenes');
+    expect(translate('id', 'count.scenes', { count: 3 })).toBe('3 adegan');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('fr', 'common.cancel')).toBe('Cancel');
+    expect(translate('id', 'no.such.message')).toBe('no.such.message');
+  });
+});
+
+describe('optionLabel', () => {
+  it('labels { en, id } options and plain text', () => {
+    expect(optionLabel({ en: 'Happy', id: 'Bahagia' }, 'id')).toBe('Bahagia');
+    expect(optionLabel({ en: 'Happy', id: 'Bahagia' }, 'fr')).toBe('Happy');
+    expect(optionLabel('Pixar', 'id')).toBe('Pixar');
+  });
+
+  it('has both labels for every dropdown option', () => {
+    [...Object.values(dropdownData), ...Object.values(visualStyles)].flat().forEach(option => {
+      expect(option).toEqual(expect.objectContaining({ en: expect.any(String), id: expect.any(String) }));
+    });
+  });
+});
@@ -0,0 +1,544 @@
+// Interface texts in English (en) and Indonesian (id), read through translate() and useI18n() in i18n.js.
+// Keys are "<area>.<name>"; {name} is replaced by the param of that name, and a { one, other } value
+// is chosen by params.count. The prompts themselves are not translated here (see promptCompiler.js).
+export const messages = {
+  // Shared
+  'common.copyTitle': { en: '{title} (copy)', id: '{title} (salinan)' },
+  'common.pendingTimestamp': { en: 'Saving...', id: 'Menyimpan...' },
+  'count.characters': { en: { one: '{count} character', other: '{count} characters' }, id: '{count} karakter' },
+  'count.scenes': { en: { one: '{count} scene', other: '{count} scenes' }, id: '{count} adegan' },
+  'count.libraryCharacters': { en: { one: '{count} library character', other: '{count} library characters' }, id: '{count} karakter pustaka' },
+  'count.drafts': { en: { one: '{count} draft', other: '{count} drafts' }, id: '{count} draf' },
+  'count.looks': { en: { one: '{count} look', other: '{count} looks' }, id: '{count} tampilan' },
+  'characterType.human': { en: 'Human', id: 'Manusia' },
+  'characterType.animal4': { en: 'Animal (four-legged)', id: 'Hewan (berkaki empat)' },
+  'characterType.animal2': { en: 'Animal (two-legged)', id: 'Hewan (berkaki dua)' },
+  'characterType.fantasy': { en: 'Fantasy Creature', id: 'Makhluk Fantasi' },
+  'count.dialogueLines': { en: { one: '{count} dialogue line', other: '{count} dialogue lines' }, id: '{count} baris dialog' },
+
+  // Storage
+  'storage.notReady.saveDraft': { en: 'Storage is not ready yet. Cannot save draft.', id: 'Penyimpanan belum siap. Draf tidak dapat disimpan.' },
+  'storage.notReady.renameDraft': { en: 'Storage is not ready yet. Cannot rename draft.', id: 'Penyimpanan belum siap. Draf tidak dapat diganti namanya.' },
+  'storage.notReady.duplicateDraft': { en: 'Storage is not ready yet. Cannot duplicate draft.', id: 'Penyimpanan belum siap. Draf tidak dapat diduplikasi.' },
+  'storage.notReady.deleteDraft': { en: 'Storage is not ready yet. Cannot delete draft.', id: 'Penyimpanan belum siap. Draf tidak dapat dihapus.' },
+  'storage.notReady.saveCharacter': { en: 'Storage is not ready yet. Cannot save character.', id: 'Penyimpanan belum siap. Karakter tidak dapat disimpan.' },
+  'storage.notReady.deleteCharacter': { en: 'Storage is not ready yet. Cannot delete character.', id: 'Penyimpanan belum siap. Karakter tidak dapat dihapus.' },
+  'storage.notReady.saveLook': { en: 'Storage is not ready yet. Cannot save looks.', id: 'Penyimpanan belum siap. Tampilan tidak dapat disimpan.' },
+  'storage.notReady.deleteLook': { en: 'Storage is not ready yet. Cannot delete look.', id: 'Penyimpanan belum siap. Tampilan tidak dapat dihapus.' },
+  'storage.notReady.llmSettings': { en: 'Storage is not ready yet. AI settings apply to this session only.', id: 'Penyimpanan belum siap. Pengaturan AI hanya berlaku untuk sesi ini.' },
+  'storage.notReady.options': { en: 'Storage is not ready yet. Your choice lists apply to this session only.', id: 'Penyimpanan belum siap. Daftar pilihan Anda hanya berlaku untuk sesi ini.' },
+  'storage.uploaded': { en: { one: 'Uploaded {count} item from this browser to Firebase.', other: 'Uploaded {count} items from this browser to Firebase.' }, id: '{count} item dari browser ini diunggah ke Firebase.' },
+  'storage.uploadError': { en: 'Error uploading the items saved in this browser. Items not uploaded yet are kept there; please try again.', id: 'Gagal mengunggah item yang tersimpan di browser ini. Item yang belum terunggah tetap disimpan di sana; silakan coba lagi.' },
+  'storage.localNotice': { en: "Firebase isn't available, so drafts, library characters and settings are saved in this browser only. When the app can reach Firebase again, it offers to upload them.", id: 'Firebase tidak tersedia, jadi draf, karakter pustaka, dan pengaturan hanya disimpan di browser ini. Saat aplikasi bisa terhubung lagi ke Firebase, aplikasi akan menawarkan untuk mengunggahnya.' },
+  'storage.uploadOffer': { en: 'Found {items} saved in this browser while Firebase was unavailable. Upload them to your Firebase account? They are removed from the browser once uploaded.', id: 'Ditemukan {items} yang disimpan di browser ini saat Firebase tidak tersedia. Unggah ke akun Firebase Anda? Data akan dihapus dari browser setelah diunggah.' },
+  'storage.uploading': { en: 'Uploading...', id: 'Mengunggah...' },
+  'storage.upload': { en: 'Upload', id: 'Unggah' },
+  'storage.notNow': { en: 'Not now', id: 'Nanti saja' },
+
+  // Drafts
+  'drafts.untitled': { en: 'Untitled draft', id: 'Draf tanpa judul' },
+  'drafts.updated': { en: 'Draft updated successfully!', id: 'Draf berhasil diperbarui!' },
+  'drafts.saved': { en: 'Draft saved successfully!', id: 'Draf berhasil disimpan!' },
+  'drafts.saveError': { en: 'Error saving draft. Please try again.', id: 'Gagal menyimpan draf. Silakan coba lagi.' },
+  'drafts.confirmOverwrite': { en: 'Overwrite "{title}" with the current form?', id: 'Timpa "{title}" dengan formulir saat ini?' },
+  'drafts.overwritten': { en: 'Draft overwritten successfully!', id: 'Draf berhasil ditimpa!' },
+  'drafts.overwriteError': { en: 'Error overwriting draft. Please try again.', id: 'Gagal menimpa draf. Silakan coba lagi.' },
+  'drafts.renameError': { en: 'Error renaming draft. Please try again.', id: 'Gagal mengganti nama draf. Silakan coba lagi.' },
+  'drafts.duplicated': { en: 'Draft duplicated successfully!', id: 'Draf berhasil diduplikasi!' },
+  'drafts.duplicateError': { en: 'Error duplicating draft. Please try again.', id: 'Gagal menduplikasi draf. Silakan coba lagi.' },
+  'drafts.loaded': { en: 'Draft loaded successfully!', id: 'Draf berhasil dimuat!' },
+  'drafts.loadedWithProblems': { en: "Draft loaded, but some fields couldn't be recovered:\n{problems}\nTheir original values are kept with the draft when you save it.", id: 'Draf dimuat, tetapi beberapa isian tidak dapat dipulihkan:\n{problems}\nNilai aslinya tetap disimpan bersama draf saat Anda menyimpannya.' },
+  'drafts.deleted': { en: 'Draft deleted successfully!', id: 'Draf berhasil dihapus!' },
+  'drafts.deleteError': { en: 'Error deleting draft. Please try again.', id: 'Gagal menghapus draf. Silakan coba lagi.' },
+  'drafts.confirmDelete': { en: 'Delete "{title}"? This cannot be undone.', id: 'Hapus "{title}"? Tindakan ini tidak bisa dibatalkan.' },
+  'drafts.title': { en: 'Draft Title', id: 'Judul Draf' },
+  'drafts.titlePlaceholder': { en: 'e.g., Episode 3 - Kancil di pasar', id: 'mis., Episode 3 - Kancil di pasar' },
+  'drafts.editing': { en: 'Editing:', id: 'Sedang diubah:' },
+  'drafts.saving': { en: 'Saving...', id: 'Menyimpan...' },
+  'drafts.saveChanges': { en: 'Save Changes', id: 'Simpan Perubahan' },
+  'drafts.saveAsNew': { en: 'Save as New Draft', id: 'Simpan sebagai Draf Baru' },
+  'drafts.resetForm': { en: 'Reset Form', id: 'Reset Formulir' },
+  'drafts.search': { en: 'Search drafts by title', id: 'Cari draf berdasarkan judul' },
+  'drafts.empty': { en: 'No drafts saved yet.', id: 'Belum ada draf tersimpan.' },
+  'drafts.noMatch': { en: 'No drafts match "{term}".', id: 'Tidak ada draf yang cocok dengan "{term}".' },
+  'drafts.saveName': { en: 'Save Name', id: 'Simpan Nama' },
+  'drafts.open': { en: 'Open', id: 'Buka' },
+  'drafts.overwrite': { en: 'Overwrite', id: 'Timpa' },
+  'drafts.rename': { en: 'Rename', id: 'Ganti Nama' },
+
+  // Version history
+  'versions.saveError': { en: 'Error saving the prompt version. Please try again.', id: 'Gagal menyimpan versi prompt. Silakan coba lagi.' },
+  'versions.needsDraft': { en: 'Save or open a draft first to keep versions.', id: 'Simpan atau buka draf terlebih dahulu untuk menyimpan versi.' },
+  'versions.noteError': { en: 'Error updating the note. Please try again.', id: 'Gagal memperbarui catatan. Silakan coba lagi.' },
+  'versions.confirmRestore': { en: 'Restore this version? It replaces the characters, scenes and prompts in the form.', id: 'Pulihkan versi ini? Karakter, adegan, dan prompt di formulir akan diganti.' },
+  'versions.restored': { en: "Version restored. Save the draft to keep it as the draft's current state.", id: 'Versi dipulihkan. Simpan draf untuk menjadikannya isi draf saat ini.' },
+  'versions.restoredWithProblems': { en: "Version restored, but some fields couldn't be recovered:\n{problems}", id: 'Versi dipulihkan, tetapi beberapa isian tidak dapat dipulihkan:\n{problems}' },
+  'versions.untitled': { en: 'Version', id: 'Versi' },
+  'versions.confirmDelete': { en: 'Delete the version "{label}"? This cannot be undone.', id: 'Hapus versi "{label}"? Tindakan ini tidak dapat dibatalkan.' },
+  'versions.deleteError': { en: 'Error deleting the version. Please try again.', id: 'Gagal menghapus versi. Silakan coba lagi.' },
+  'versions.needsDraftHelp': { en: 'Save or open a draft to keep a version history. Every Generate Prompts, MAXIMIZE run and starred variant is then stored with the form that produced it.', id: 'Simpan atau buka draf untuk menyimpan riwayat versi. Setiap Buat Prompt, MAKSIMALKAN, dan varian berbintang lalu disimpan bersama formulir yang menghasilkannya.' },
+  'versions.theCurrentOutput': { en: 'the current output', id: 'hasil saat ini' },
+  'versions.notePlaceholder': { en: 'Optional note, e.g. "this one rendered well in Veo"', id: 'Catatan opsional, mis. "yang ini bagus hasilnya di Veo"' },
+  'versions.saveCurrent': { en: 'Save Current Output as Version', id: 'Simpan Hasil Saat Ini sebagai Versi' },
+  'versions.empty': { en: 'No versions yet. Generate a prompt to create the first one.', id: 'Belum ada versi. Buat prompt untuk membuat versi pertama.' },
+  'versions.saveNote': { en: 'Save Note', id: 'Simpan Catatan' },
+  'versions.hideDiff': { en: 'Hide Diff', id: 'Sembunyikan Perbedaan' },
+  'versions.diff': { en: 'Diff', id: 'Perbedaan' },
+  'versions.restore': { en: 'Restore', id: 'Pulihkan' },
+  'versions.editNote': { en: 'Edit Note', id: 'Ubah Catatan' },
+  'versions.addNote': { en: 'Add Note', id: 'Tambah Catatan' },
+  'versions.compareWith': { en: 'Compare with', id: 'Bandingkan dengan' },
+  'versions.currentOutput': { en: 'Current output', id: 'Hasil saat ini' },
+  'versions.diffLegend': { en: 'Red words are only in {label}; green words are only in this version.', id: 'Kata merah hanya ada di {label}; kata hijau hanya ada di versi ini.' },
+  'versions.indonesian': { en: 'Indonesian', id: 'Indonesia' },
+  'versions.english': { en: 'English', id: 'Inggris' },
+  'versions.label.manual': { en: 'Saved by hand', id: 'Disimpan manual' },
+  'versions.label.generated': { en: 'Generate Prompts', id: 'Buat Prompt' },
+  'versions.label.maximized': { en: 'MAXIMIZE', id: 'MAKSIMALKAN' },
+  'versions.label.maximizedPartial': { en: 'MAXIMIZE (incomplete)', id: 'MAKSIMALKAN (belum lengkap)' },
+  'versions.label.starred': { en: 'Starred variant: {style}', id: 'Varian berbintang: {style}' },
+
+  // Storyboard
+  'scenes.defaultTitle': { en: 'Scene {number}', id: 'Adegan {number}' },
+  'scenes.confirmDelete': { en: 'Delete "{title}" and everything in it?', id: 'Hapus "{title}" beserta seluruh isinya?' },
+  'storyboard.help': { en: 'Characters (sections 1-2) and the visual style (section 9) are shared by every scene. All other sections edit the selected scene, and each scene gets its own prompt.', id: 'Karakter (bagian 1-2) dan gaya visual (bagian 9) dipakai bersama oleh semua adegan. Bagian lainnya mengubah adegan yang dipilih, dan setiap adegan mendapat prompt sendiri.' },
+  'storyboard.editing': { en: 'Editing', id: 'Sedang Diubah' },
+  'storyboard.moveUp': { en: 'Move up', id: 'Pindah ke atas' },
+  'storyboard.moveDown': { en: 'Move down', id: 'Pindah ke bawah' },
+  'storyboard.addScene': { en: 'Add Scene', id: 'Tambah Adegan' },
+
+  // Characters
+  'characters.nameRequired': { en: 'Character Name is required to save a character.', id: 'Nama karakter wajib diisi untuk menyimpan karakter.' },
+  'characters.typeRequired': { en: 'Please select a character type.', id: 'Silakan pilih jenis karakter.' },
+  'characters.updated': { en: 'Character "{name}" updated!', id: 'Karakter "{name}" diperbarui!' },
+  'characters.saved': { en: 'Character "{name}" saved!', id: 'Karakter "{name}" disimpan!' },
+  'characters.variantName': { en: '{name} (variant)', id: '{name} (varian)' },
+  'characters.deleted': { en: 'Character "{name}" deleted.', id: 'Karakter "{name}" dihapus.' },
+  'characters.notFound': { en: 'Character not found.', id: 'Karakter tidak ditemukan.' },
+  'characters.savedHeading': { en: 'Saved Characters:', id: 'Karakter Tersimpan:' },
+  'characters.editing': { en: 'editing', id: 'sedang diubah' },
+  'characters.saveToLibrary': { en: 'Save to Library', id: 'Simpan ke Pustaka' },
+  'characters.updateLibrary': { en: 'Update Library', id: 'Perbarui Pustaka' },
+  'characters.confirmDelete': { en: 'Delete "{name}"? Its actions, expression and dialogue lines will be removed too.', id: 'Hapus "{name}"? Aksi, ekspresi, dan baris dialognya juga akan dihapus.' },
+
+  // Character library
+  'library.updated': { en: 'Library character "{name}" updated!', id: 'Karakter pustaka "{name}" diperbarui!' },
+  'library.added': { en: 'Character "{name}" added to the library!', id: 'Karakter "{name}" ditambahkan ke pustaka!' },
+  'library.saveError': { en: 'Error saving character to library. Please try again.', id: 'Gagal menyimpan karakter ke pustaka. Silakan coba lagi.' },
+  'looks.saved': { en: 'Look "{name}" saved!', id: 'Tampilan "{name}" disimpan!' },
+  'looks.updated': { en: 'Look "{name}" updated!', id: 'Tampilan "{name}" diperbarui!' },
+  'looks.saveError': { en: 'Error saving looks. Please try again.', id: 'Gagal menyimpan tampilan. Silakan coba lagi.' },
+  'looks.deleteError': { en: 'Error deleting look. Please try again.', id: 'Gagal menghapus tampilan. Silakan coba lagi.' },
+  'looks.needsName': { en: 'Give the look a name first.', id: 'Beri nama tampilan terlebih dahulu.' },
+  'looks.nothingToSave': { en: 'Choose a visual style, lighting, mood, camera motion or time of day first; a look saves those.', id: 'Pilih gaya visual, pencahayaan, suasana, gerakan kamera, atau waktu terlebih dahulu; tampilan menyimpan pilihan itu.' },
+  'looks.confirmDelete': { en: 'Delete the look "{name}"? Scenes that use it keep their settings.', id: 'Hapus tampilan "{name}"? Adegan yang memakainya tetap menyimpan pengaturannya.' },
+  'looks.importError': { en: 'Could not import the looks: {reason}', id: 'Tampilan tidak dapat diimpor: {reason}' },
+  'looks.imported': { en: 'Imported {added} and updated {updated}.', id: 'Mengimpor {added} dan memperbarui {updated}.' },
+  'library.alreadyImported': { en: '"{name}" is already in this scene.', id: '"{name}" sudah ada di adegan ini.' },
+  'library.imported': { en: 'Character "{name}" imported!', id: 'Karakter "{name}" diimpor!' },
+  'library.deleteError': { en: 'Error deleting library character. Please try again.', id: 'Gagal menghapus karakter pustaka. Silakan coba lagi.' },
+  'library.heading': { en: 'Character Library:', id: 'Pustaka Karakter:' },
+  'library.confirmRemove': { en: 'Remove "{name}" from the library? Characters already in drafts are kept.', id: 'Hapus "{name}" dari pustaka? Karakter yang sudah ada di draf tetap disimpan.' },
+  'library.empty': { en: 'The library is empty. Use "Save to Library" on a saved character to reuse it in other drafts.', id: 'Pustaka masih kosong. Gunakan "Simpan ke Pustaka" pada karakter tersimpan agar bisa dipakai lagi di draf lain.' },
+  'library.search': { en: 'Search library by name', id: 'Cari di pustaka berdasarkan nama' },
+  'library.inScene': { en: 'In Scene', id: 'Sudah di Adegan' },
+  'library.import': { en: 'Import', id: 'Impor' },
+  'library.remove': { en: 'Remove', id: 'Hapus' },
+
+  // AI settings and LLM errors
+  'llmSettings.saved': { en: 'AI settings saved!', id: 'Pengaturan AI disimpan!' },
+  'llmSettings.saveError': { en: 'Error saving AI settings. Please try again.', id: 'Gagal menyimpan pengaturan AI. Silakan coba lagi.' },
+  'options.saved': { en: 'Choice lists saved!', id: 'Daftar pilihan disimpan!' },
+  'options.saveError': { en: 'Error saving choice lists. Please try again.', id: 'Gagal menyimpan daftar pilihan. Silakan coba lagi.' },
+  'llmError.unexpected': { en: 'An unexpected error occurred. Please try again.', id: 'Terjadi kesalahan tak terduga. Coba lagi.' },
+  'llmError.auth': { en: 'The API key is missing or was rejected. Check AI Settings. The template English prompt works without an API key.', id: 'API key tidak ada atau ditolak. Periksa Pengaturan AI. Prompt bahasa Inggris dari template tetap bisa dipakai tanpa API key.' },
+  'llmError.quota': { en: 'The API quota or rate limit was exceeded. Wait a moment and try again.', id: 'Kuota atau batas permintaan API terlampaui. Tunggu sebentar lalu coba lagi.' },
+  'llmError.safety': { en: 'The request was blocked by the safety filters. Change the text and try again.', id: 'Permintaan diblokir oleh filter keamanan. Ubah teksnya lalu coba lagi.' },
+  'llmError.network': { en: "Can't reach the API. Check your internet connection or the endpoint URL in AI Settings.", id: 'Tidak dapat terhubung ke API. Periksa koneksi internet Anda atau URL endpoint di Pengaturan AI.' },
+  'llmError.timeout': { en: "The API didn't respond in time. Please try again.", id: 'API tidak merespons tepat waktu. Coba lagi.' },
+  'llmError.status': { en: 'Status: {status}. Detail: {detail}...', id: 'Status: {status}. Detail: {detail}...' },
+  'suggest.actionSuggested': { en: 'Suggested action for {name}: "{action}"', id: 'Aksi untuk {name} disarankan: "{action}"' },
+  'suggest.actionFailed': { en: "Couldn't suggest an action.", id: 'Gagal menyarankan aksi.' },
+  'suggest.dialogueNeedsSpeaker': { en: 'Choose a character and a dialogue type first.', id: 'Pilih karakter dan jenis dialog terlebih dahulu.' },
+  'suggest.dialogueSuggested': { en: 'Suggested line for {name}: "{sentence}"', id: 'Kalimat dialog disarankan untuk {name}: "{sentence}"' },
+  'suggest.dialogueFailed': { en: "Couldn't suggest a dialogue line.", id: 'Gagal menyarankan dialog.' },
+  'llmSettings.provider': { en: 'Provider', id: 'Penyedia' },
+  'llmSettings.provider.gemini': { en: 'Google Gemini', id: 'Google Gemini' },
+  'llmSettings.provider.openai': { en: 'OpenAI-compatible (chat completions)', id: 'Kompatibel OpenAI (chat completions)' },
+  'llmSettings.provider.local': { en: 'Local server (Ollama / llama.cpp)', id: 'Server lokal (Ollama / llama.cpp)' },
+  'llmSettings.endpoint': { en: 'Endpoint URL', id: 'URL Endpoint' },
+  'llmSettings.endpointHint': { en: 'The base URL of the chat-completions API, e.g. {url}.', id: 'URL dasar API chat-completions, mis. {url}.' },
+  'llmSettings.endpointHint.local': { en: 'The base URL of the chat-completions API, e.g. {url} (Ollama) or http://localhost:8080/v1 (llama.cpp server).', id: 'URL dasar API chat-completions, mis. {url} (Ollama) atau http://localhost:8080/v1 (server llama.cpp).' },
+  'llmSettings.model': { en: 'Model', id: 'Model' },
+  'llmSettings.apiKey': { en: 'API Key', id: 'Kunci API' },
+  'llmSettings.keyHint.bundled': { en: 'Optional: leave empty to use the key built into this app.', id: 'Opsional: kosongkan untuk memakai kunci bawaan aplikasi ini.' },
+  'llmSettings.keyHint.noBundled': { en: 'Required: this app has no built-in Gemini key.', id: 'Wajib: aplikasi ini tidak punya kunci Gemini bawaan.' },
+  'llmSettings.keyHint.required': { en: 'Required.', id: 'Wajib.' },
+  'llmSettings.keyHint.local': { en: 'Optional: local servers usually need no key.', id: 'Opsional: server lokal biasanya tidak perlu kunci.' },
+  'llmSettings.keyStorage': { en: 'The key is stored only in this browser; the provider, endpoint and model are saved to your account.', id: 'Kunci hanya disimpan di browser ini; penyedia, endpoint, dan model disimpan ke akun Anda.' },
+  'llmSettings.save': { en: 'Save AI Settings', id: 'Simpan Pengaturan AI' },
+  'llmSettings.retryNote': { en: 'Requests are retried with backoff when the API is busy (429/503) and can be stopped from each spinner.', id: 'Permintaan dicoba ulang dengan jeda saat API sibuk (429/503) dan bisa dihentikan dari setiap indikator proses.' },
+
+  // Output
+  'output.needsIndonesianPrompt': { en: 'Generate the Indonesian prompt first.', id: 'Buat prompt bahasa Indonesia terlebih dahulu.' },
+  'output.maximizeFailed': { en: "Couldn't optimize the prompt.", id: 'Gagal mengoptimalkan prompt.' },
+  'variants.needsStyle': { en: 'Select at least one variant style.', id: 'Pilih setidaknya satu gaya varian.' },
+  'variants.current': { en: 'Current English prompt', id: 'Prompt bahasa Inggris saat ini' },
+  'variants.failed': { en: '{failed} of {total} variants failed.', id: '{failed} dari {total} varian gagal dibuat.' },
+  'json.importError': { en: "Couldn't import the JSON. {reason}", id: 'Gagal mengimpor JSON. {reason}' },
+  'json.confirmImport': { en: 'Import "{fileName}"? This replaces the characters and scenes in the form.', id: 'Impor "{fileName}"? Karakter dan adegan di formulir akan diganti.' },
+  'json.imported': { en: 'Imported {characters} and {scenes}.', id: '{characters} dan {scenes} diimpor.' },
+  'clipboard.empty': { en: 'Nothing to copy!', id: 'Tidak ada yang bisa disalin!' },
+  'clipboard.copied.prompt': { en: 'Prompt copied to clipboard!', id: 'Prompt disalin ke clipboard!' },
+  'clipboard.failed.prompt': { en: 'Failed to copy prompt. Please try manually.', id: 'Gagal menyalin prompt. Silakan salin secara manual.' },
+  'clipboard.copied.shareLink': { en: 'Share link copied to clipboard!', id: 'Tautan berbagi disalin ke clipboard!' },
+  'clipboard.failed.shareLink': { en: 'Failed to copy share link. Please try manually.', id: 'Gagal menyalin tautan berbagi. Silakan salin secara manual.' },
+  'output.generate': { en: 'Generate Prompts', id: 'Buat Prompt' },
+  'output.generateScenes': { en: 'Generate Prompts ({count} scenes)', id: 'Buat Prompt ({count} adegan)' },
+  'output.heading': { en: 'Generated Prompts', id: 'Prompt yang Dihasilkan' },
+  'output.tab.text': { en: 'Indonesian & English', id: 'Indonesia & Inggris' },
+  'output.tab.json': { en: 'JSON', id: 'JSON' },
+  'output.indonesianHeading': { en: 'Editable Prompt in Bahasa Indonesia', id: 'Prompt Bahasa Indonesia (bisa diedit)' },
+  'output.indonesianPlaceholder': { en: 'Your generated Indonesian prompt will appear here. You can edit it.', id: 'Prompt bahasa Indonesia akan muncul di sini. Anda bisa mengeditnya.' },
+  'output.copyIndonesian': { en: 'Copy Indonesian Prompt', id: 'Salin Prompt Indonesia' },
+  'output.maximize': { en: 'MAXIMIZE', id: 'MAKSIMALKAN' },
+  'output.streaming': { en: 'Streaming...', id: 'Memproses...' },
+  'output.finalHeading': { en: 'FINAL PROMPT IN {language} (optimized for Veo 3)', id: 'PROMPT FINAL BAHASA {language} (dioptimalkan untuk Veo 3)' },
+  'output.incomplete': { en: 'Incomplete: the LLM output was stopped or cut off. The text below ends where it stopped.', id: 'Belum lengkap: keluaran LLM dihentikan atau terpotong. Teks di bawah berakhir di titik berhenti.' },
+  'output.source.template': { en: 'Built offline from the form. Press MAXIMIZE to polish it with the LLM (optional).', id: 'Disusun offline dari formulir. Tekan MAKSIMALKAN untuk memolesnya dengan LLM (opsional).' },
+  'output.source.templateFallback': { en: 'Built offline from the form in English, since there is no offline template in {language}. Press MAXIMIZE to have the LLM write it in {language}.', id: 'Disusun offline dari formulir dalam bahasa Inggris, karena belum ada templat offline berbahasa {language}. Tekan MAKSIMALKAN agar LLM menulisnya dalam bahasa {language}.' },
+  'output.source.llm': { en: 'Polished by the LLM (MAXIMIZE).', id: 'Dipoles oleh LLM (MAKSIMALKAN).' },
+  'output.finalPlaceholder': { en: 'Your {language} prompt will appear here. You can edit it.', id: 'Prompt bahasa {language} akan muncul di sini. Anda bisa mengeditnya.' },
+  'output.copyFinal': { en: 'Copy {language} Prompt', id: 'Salin Prompt {language}' },
+  'json.heading': { en: 'Structured JSON Prompt', id: 'Prompt JSON Terstruktur' },
+  'json.description': { en: 'Keys per scene: subject, action, scene, camera, lighting, style, audio, dialogue. The format is documented in src/promptJson.js.', id: 'Kunci per adegan: subject, action, scene, camera, lighting, style, audio, dialogue. Formatnya dijelaskan di src/promptJson.js.' },
+  'json.placeholder': { en: 'Press Generate Prompts to build the JSON prompt.', id: 'Tekan Buat Prompt untuk menyusun prompt JSON.' },
+  'json.copy': { en: 'Copy JSON', id: 'Salin JSON' },
+  'json.download': { en: 'Download JSON', id: 'Unduh JSON' },
+  'json.import': { en: 'Import JSON File', id: 'Impor Berkas JSON' },
+  'variants.style.faithful': { en: 'Faithful', id: 'Setia' },
+  'variants.style.cinematic': { en: 'Cinematic', id: 'Sinematik' },
+  'variants.style.concise': { en: 'Concise', id: 'Ringkas' },
+  'variants.style.detailed': { en: 'Detailed', id: 'Detail' },
+  'variants.style.dynamic': { en: 'Dynamic', id: 'Dinamis' },
+  'variants.heading': { en: 'Compare Variants', id: 'Bandingkan Varian' },
+  'variants.help': { en: 'Ask the LLM for several phrasings at once, compare them with the final prompt they started from, and star the one to keep.', id: 'Minta beberapa versi kalimat sekaligus dari LLM, bandingkan dengan prompt final awalnya, lalu beri bintang pada yang ingin disimpan.' },
+  'variants.generate': { en: { one: 'Generate {count} Variant', other: 'Generate {count} Variants' }, id: 'Buat {count} Varian' },
+  'variants.status.streaming': { en: 'Generating...', id: 'Membuat...' },
+  'variants.status.partial': { en: 'Incomplete', id: 'Belum lengkap' },
+  'variants.status.failed': { en: 'Failed', id: 'Gagal' },
+  'variants.starred': { en: 'This variant is the final English prompt', id: 'Varian ini adalah prompt bahasa Inggris final' },
+  'variants.star': { en: 'Keep this variant as the final English prompt', id: 'Jadikan varian ini prompt bahasa Inggris final' },
+  'variants.diffSummary': { en: '{percent}% of the words are kept from the original final prompt.', id: '{percent}% kata dipertahankan dari prompt final awal.' },
+  'variants.noText': { en: 'No text was generated.', id: 'Tidak ada teks yang dihasilkan.' },
+  'variants.showText': { en: 'Show Text', id: 'Tampilkan Teks' },
+  'variants.showDiff': { en: 'Diff vs Original', id: 'Beda dengan Awal' },
+
+  // Share links
+  'share.openError': { en: 'Error opening the share link.', id: 'Gagal membuka tautan berbagi.' },
+  'share.createError': { en: 'Error creating the share link. Please try again.', id: 'Gagal membuat tautan berbagi. Silakan coba lagi.' },
+  'share.copyTitle': { en: '{title} (shared copy)', id: '{title} (salinan bersama)' },
+  'share.copied': { en: 'The shared form is now yours to edit. Save it as a draft to keep it.', id: 'Formulir bersama kini bisa Anda ubah. Simpan sebagai draf untuk menyimpannya.' },
+  'share.error.tooLong': { en: 'The share link is too long.', id: 'Tautan berbagi terlalu panjang.' },
+  'share.error.damaged': { en: 'The share link is damaged or incomplete.', id: 'Tautan berbagi rusak atau tidak lengkap.' },
+  'share.error.unsupported': { en: "This browser can't open compressed share links. Try a current version of Chrome, Firefox or Safari.", id: 'Browser ini tidak dapat membuka tautan berbagi yang dikompresi. Coba versi terbaru Chrome, Firefox, atau Safari.' },
+  'share.error.tooLarge': { en: 'The shared form is too large.', id: 'Formulir yang dibagikan terlalu besar.' },
+  'share.error.invalid': { en: "The share link doesn't contain a valid form.", id: 'Tautan berbagi tidak berisi formulir yang valid.' },
+  'shared.banner': { en: 'Shared with you · read-only', id: 'Dibagikan kepada Anda · baca saja' },
+  'shared.help': { en: 'Nothing here is saved. Make your own copy to edit it; it replaces your current form, and Undo brings that back.', id: 'Tidak ada yang disimpan di sini. Buat salinan sendiri untuk mengeditnya; salinan itu mengganti formulir Anda saat ini, dan Urungkan mengembalikannya.' },
+  'shared.copy': { en: 'Make My Own Copy', id: 'Buat Salinan Saya' },
+  'shared.close': { en: 'Back to My Form', id: 'Kembali ke Formulir Saya' },
+  'shared.problems': { en: "Some shared values couldn't be used and were left out:", id: 'Beberapa nilai yang dibagikan tidak bisa dipakai dan dilewati:' },
+  'shared.characters': { en: 'Characters', id: 'Karakter' },
+  'shared.noCharacters': { en: 'No characters.', id: 'Tidak ada karakter.' },
+  'shared.unknownCharacter': { en: 'Unknown character', id: 'Karakter tidak dikenal' },
+  'shared.field.location': { en: 'Location', id: 'Lokasi' },
+  'shared.field.timeOfDay': { en: 'Time of day', id: 'Waktu' },
+  'shared.field.cameraMoves': { en: 'Camera', id: 'Kamera' },
+  'shared.field.shotSize': { en: 'Shot size', id: 'Ukuran bidikan' },
+  'shared.field.cameraAngle': { en: 'Camera angle', id: 'Sudut kamera' },
+  'shared.field.focalLength': { en: 'Lens', id: 'Lensa' },
+  'shared.field.focusBehavior': { en: 'Focus', id: 'Fokus' },
+  'shared.field.lighting': { en: 'Lighting', id: 'Pencahayaan' },
+  'shared.field.videoMood': { en: 'Mood', id: 'Suasana' },
+  'shared.field.soundMusic': { en: 'Sound & music', id: 'Suara & musik' },
+  'shared.field.additionalDetails': { en: 'Additional details', id: 'Detail tambahan' },
+  'shared.actions': { en: 'Actions', id: 'Aksi' },
+  'shared.main': { en: 'main', id: 'utama' },
+  'shared.dialogue': { en: 'Dialogue', id: 'Dialog' },
+  'shared.prompts': { en: 'Prompts', id: 'Prompt' },
+  'shared.indonesianPrompt': { en: 'Indonesian Prompt', id: 'Prompt Indonesia' },
+  'shared.finalPrompt': { en: '{language} Prompt', id: 'Prompt {language}' },
+
+  // Loading
+  'drafts.loadError': { en: 'Error loading drafts. Please try again.', id: 'Gagal memuat draf. Silakan coba lagi.' },
+  'versions.loadError': { en: 'Error loading version history. Please try again.', id: 'Gagal memuat riwayat versi. Silakan coba lagi.' },
+  'library.loadError': { en: 'Error loading character library. Please try again.', id: 'Gagal memuat pustaka karakter. Silakan coba lagi.' },
+  'looks.loadError': { en: 'Error loading looks. Please try again.', id: 'Gagal memuat tampilan. Silakan coba lagi.' },
+  'llmSettings.loadError': { en: 'Error loading AI settings. Please try again.', id: 'Gagal memuat pengaturan AI. Silakan coba lagi.' },
+  'options.loadError': { en: 'Error loading your choice lists. Please try again.', id: 'Gagal memuat daftar pilihan Anda. Silakan coba lagi.' },
+
+  // App
+  'app.title': { en: 'VEO 3 ANIMATION PROMPTER', id: 'VEO 3 ANIMATION PROMPTER' },
+  'app.byline': { en: '[BY ANAK BOJONEGORO]', id: '[OLEH ANAK BOJONEGORO]' },
+
+  // Common
+  'common.ok': { en: 'OK', id: 'OK' },
+  'common.cancel': { en: 'Cancel', id: 'Batal' },
+  'common.confirm': { en: 'Confirm', id: 'Konfirmasi' },
+  'common.dismiss': { en: 'Dismiss', id: 'Tutup' },
+  'common.edit': { en: 'Edit', id: 'Ubah' },
+  'common.duplicate': { en: 'Duplicate', id: 'Duplikat' },
+  'common.delete': { en: 'Delete', id: 'Hapus' },
+  'common.stop': { en: 'Stop', id: 'Berhenti' },
+  'common.and': { en: 'and', id: 'dan' },
+  'common.copy': { en: 'Copy', id: 'Salin' },
+  'diff.bothEmpty': { en: 'Both texts are empty.', id: 'Kedua teks kosong.' },
+
+  // Toolbar
+  'toolbar.share': { en: 'Copy Share Link', id: 'Salin Tautan Berbagi' },
+  'toolbar.shareHint': { en: 'Copy a link that opens this form read-only, no account needed', id: 'Salin tautan yang membuka formulir ini dalam mode baca saja, tanpa perlu akun' },
+  'toolbar.undo': { en: 'Undo', id: 'Urungkan' },
+  'toolbar.undoHint': { en: 'Undo (Ctrl+Z)', id: 'Urungkan (Ctrl+Z)' },
+  'toolbar.redo': { en: 'Redo', id: 'Ulangi' },
+  'toolbar.redoHint': { en: 'Redo (Ctrl+Shift+Z)', id: 'Ulangi (Ctrl+Shift+Z)' },
+  'toolbar.language': { en: 'Interface language', id: 'Bahasa tampilan' },
+  'reset.done': { en: 'Form reset.', id: 'Formulir direset.' },
+  'recovery.confirmRestore': { en: 'Restore the autosaved form? It replaces what is in the form now.', id: 'Pulihkan formulir yang tersimpan otomatis? Isi formulir saat ini akan diganti.' },
+
+  // Sections
+  'section.drafts': { en: 'Drafts', id: 'Draf' },
+  'section.templates': { en: 'Starter Templates', id: 'Template Awal' },
+  'section.storyboard': { en: 'Storyboard', id: 'Storyboard' },
+  'section.looks': { en: 'Looks', id: 'Tampilan (Look)' },
+  'section.characterName': { en: 'Character Name', id: 'Nama Karakter' },
+  'section.characterDescription': { en: 'Character Description', id: 'Deskripsi Karakter' },
+  'section.characterActions': { en: 'Character Actions', id: 'Aksi Karakter' },
+  'section.expression': { en: 'Expression (optional)', id: 'Ekspresi (opsional)' },
+  'section.location': { en: 'Location', id: 'Lokasi' },
+  'section.timeOfDay': { en: 'Time of Day', id: 'Waktu' },
+  'section.cameraMotion': { en: 'Camera Motion', id: 'Gerakan Kamera' },
+  'section.camera': { en: 'Camera', id: 'Kamera' },
+  'section.lighting': { en: 'Lighting', id: 'Pencahayaan' },
+  'section.visualStyle': { en: 'Visual/Video Style', id: 'Gaya Visual/Video' },
+  'section.videoMood': { en: 'Video Mood / Atmosphere', id: 'Suasana Video' },
+  'section.soundMusic': { en: 'Sound / Music (optional)', id: 'Suara / Musik (opsional)' },
+  'section.spokenDialogue': { en: 'Spoken Dialogue', id: 'Dialog' },
+  'section.additionalDetails': { en: 'Additional Details (optional)', id: 'Detail Tambahan (opsional)' },
+  'section.promptLanguage': { en: 'Prompt & Dialogue Language', id: 'Bahasa Prompt & Dialog' },
+  'section.llmSettings': { en: 'AI Settings', id: 'Pengaturan AI' },
+  'section.options': { en: 'Choice Lists', id: 'Daftar Pilihan' },
+  'section.output': { en: 'Output Prompts', id: 'Hasil Prompt' },
+  'section.versionHistory': { en: 'Version History', id: 'Riwayat Versi' },
+
+  // Character form
+  'characterForm.name': { en: 'Character Name (optional)', id: 'Nama Karakter (opsional)' },
+  'characterForm.namePlaceholder': { en: 'e.g., Kucing Ajaib, Pahlawan Super', id: 'mis., Kucing Ajaib, Pahlawan Super' },
+  'characterForm.type': { en: 'Character Type', id: 'Jenis Karakter' },
+  'characterForm.typeSelect': { en: 'Select Character Type', id: 'Pilih Jenis Karakter' },
+  'characterForm.type.human': { en: 'Human', id: 'Manusia' },
+  'characterForm.type.animal4': { en: 'Animals (normal four-legged walking)', id: 'Hewan (berjalan normal dengan empat kaki)' },
+  'characterForm.type.animal2': { en: 'Animals (realistic body/posture but walks on two legs)', id: 'Hewan (tubuh/postur realistis tetapi berjalan dengan dua kaki)' },
+  'characterForm.type.fantasy': { en: 'Fantasy Creature', id: 'Makhluk Fantasi' },
+  'characterForm.gender': { en: 'Gender', id: 'Jenis Kelamin' },
+  'characterForm.genderSelect': { en: 'Select Gender', id: 'Pilih Jenis Kelamin' },
+  'characterForm.faceShape': { en: 'Face Shape', id: 'Bentuk Wajah' },
+  'characterForm.faceShapeSelect': { en: 'Select Face Shape', id: 'Pilih Bentuk Wajah' },
+  'characterForm.skinColor': { en: 'Skin Color', id: 'Warna Kulit' },
+  'characterForm.skinColorSelect': { en: 'Select Skin Color', id: 'Pilih Warna Kulit' },
+  'characterForm.bodyTypePosture': { en: 'Body Type/Posture', id: 'Tipe Tubuh/Postur' },
+  'characterForm.bodyTypePostureSelect': { en: 'Select Body Type/Posture', id: 'Pilih Tipe Tubuh/Postur' },
+  'characterForm.age': { en: 'Age (optional)', id: 'Usia (opsional)' },
+  'characterForm.agePlaceholder': { en: 'e.g., 22 tahun', id: 'mis., 22 tahun' },
+  'characterForm.height': { en: 'Height (optional)', id: 'Tinggi Badan (opsional)' },
+  'characterForm.heightPlaceholder': { en: 'e.g., 170cm', id: 'mis., 170cm' },
+  'characterForm.clothingAccessories': { en: 'Clothing/Accessories (optional)', id: 'Pakaian/Aksesori (opsional)' },
+  'characterForm.clothingPlaceholder.human': { en: 'e.g., blue t-shirt, glasses', id: 'mis., kaos biru, kacamata' },
+  'characterForm.clothingPlaceholder.animal4': { en: 'e.g., small red collar', id: 'mis., kalung merah kecil' },
+  'characterForm.clothingPlaceholder.animal2': { en: 'e.g., small hat', id: 'mis., topi kecil' },
+  'characterForm.additionalDetail': { en: 'Additional Detail (optional)', id: 'Detail Tambahan (opsional)' },
+  'characterForm.additionalDetailPlaceholder': { en: 'e.g., has a scar on left cheek', id: 'mis., ada bekas luka di pipi kiri' },
+  'characterForm.animalType': { en: 'Animal Type', id: 'Jenis Hewan' },
+  'characterForm.animalTypeOptional': { en: 'Animal Type (optional)', id: 'Jenis Hewan (opsional)' },
+  'characterForm.animalTypePlaceholder.animal4': { en: 'e.g., Golden Retriever', id: 'mis., Golden Retriever' },
+  'characterForm.animalTypePlaceholder.animal2': { en: 'e.g., Bear', id: 'mis., Beruang' },
+  'characterForm.animalAge': { en: 'Character Age', id: 'Usia Karakter' },
+  'characterForm.animalAgeSelect': { en: 'Select Character Age', id: 'Pilih Usia Karakter' },
+  'characterForm.bodyShapePosture': { en: 'Body Shape/Posture', id: 'Bentuk Tubuh/Postur' },
+  'characterForm.bodyShapePostureSelect': { en: 'Select Body Shape/Posture', id: 'Pilih Bentuk Tubuh/Postur' },
+  'characterForm.noseShape': { en: 'Nose Shape (optional)', id: 'Bentuk Hidung (opsional)' },
+  'characterForm.noseShapePlaceholder': { en: 'e.g., button nose', id: 'mis., hidung kancing' },
+  'characterForm.faceFeature': { en: 'Face Feature', id: 'Ciri Wajah' },
+  'characterForm.faceFeatureSelect': { en: 'Select Face Feature', id: 'Pilih Ciri Wajah' },
+  'characterForm.earFeature': { en: 'Ear Feature', id: 'Ciri Telinga' },
+  'characterForm.earFeatureSelect': { en: 'Select Ear Feature', id: 'Pilih Ciri Telinga' },
+  'characterForm.furCharacteristic': { en: 'Fur Characteristic', id: 'Karakteristik Bulu' },
+  'characterForm.furCharacteristicSelect': { en: 'Select Fur Characteristic', id: 'Pilih Karakteristik Bulu' },
+  'characterForm.furColors': { en: 'Fur Colors (main + secondary)', id: 'Warna Bulu (utama + sekunder)' },
+  'characterForm.furColorsPlaceholder': { en: 'e.g., brown and white', id: 'mis., cokelat dan putih' },
+  'characterForm.fantasyDescription': { en: 'Manual Description Input (optional)', id: 'Deskripsi Manual (opsional)' },
+  'characterForm.fantasyPlaceholder': { en: 'e.g., A dragon with shimmering scales and four wings.', id: 'mis., Seekor naga bersisik berkilau dengan empat sayap.' },
+  'characterForm.save': { en: 'Save Character', id: 'Simpan Karakter' },
+  'characterForm.update': { en: 'Update Character', id: 'Perbarui Karakter' },
+  'characterForm.cancelEdit': { en: 'Cancel Edit', id: 'Batal Ubah' },
+
+  // Scene fields
+  'actions.selectCharacters': { en: 'Select Characters for Actions', id: 'Pilih Karakter untuk Aksi' },
+  'actions.noCharacters': { en: 'No characters saved yet. Please save characters in the section above.', id: 'Belum ada karakter tersimpan. Simpan karakter di bagian atas terlebih dahulu.' },
+  'actions.heading': { en: 'Actions for {name}', id: 'Aksi untuk {name}' },
+  'actions.individualAction': { en: 'Individual Action', id: 'Aksi Individu' },
+  'actions.actionPlaceholder': { en: 'e.g., berlari, terbang, berbicara', id: 'mis., berlari, terbang, berbicara' },
+  'actions.suggest': { en: 'Suggest Action', id: 'Sarankan Aksi' },
+  'actions.mainCharacter': { en: 'Main Character', id: 'Karakter Utama' },
+  'actions.dialogueLineCount': { en: { one: '{count} dialogue line in the Spoken Dialogue timeline.', other: '{count} dialogue lines in the Spoken Dialogue timeline.' }, id: '{count} baris dialog di linimasa Dialog.' },
+  'dialogue.addLine': { en: 'Add Dialogue Line', id: 'Tambah Baris Dialog' },
+  'dialogue.noCharacters': { en: 'No characters saved yet to add dialogue for.', id: 'Belum ada karakter tersimpan untuk diberi dialog.' },
+  'expressions.noCharacters': { en: 'No characters saved yet to set expressions for.', id: 'Belum ada karakter tersimpan untuk diberi ekspresi.' },
+  'expressions.label': { en: "{name}'s Expression", id: 'Ekspresi {name}' },
+  'expressions.select': { en: 'Select Expression', id: 'Pilih Ekspresi' },
+  'location.placeholder': { en: 'e.g., di hutan lebat, di kota futuristik, di dalam gua', id: 'mis., di hutan lebat, di kota futuristik, di dalam gua' },
+  'timeOfDay.select': { en: 'Select Time of Day', id: 'Pilih Waktu' },
+  'cameraMotion.select': { en: 'Select Camera Motion', id: 'Pilih Gerakan Kamera' },
+  'lighting.select': { en: 'Select Lighting', id: 'Pilih Pencahayaan' },
+  'visualStyle.technique': { en: 'By Visual Technique', id: 'Berdasarkan Teknik Visual' },
+  'visualStyle.artistic': { en: 'By Artistic Style', id: 'Berdasarkan Gaya Artistik' },
+  'visualStyle.studio': { en: 'By Studio/Brand Style', id: 'Berdasarkan Gaya Studio/Merek' },
+  'videoMood.select': { en: 'Select Mood', id: 'Pilih Suasana' },
+  'soundMusic.label': { en: 'Background Music or Sound Effects', id: 'Musik Latar atau Efek Suara' },
+  'soundMusic.placeholder': { en: 'e.g., cheerful piano music, sound of rain', id: 'mis., musik piano ceria, suara hujan' },
+  'additionalDetails.label': { en: 'Other Notes', id: 'Catatan Lain' },
+  'promptLanguage.label': { en: 'Final prompt language', id: 'Bahasa prompt final' },
+  'promptLanguage.help': { en: 'The language of the scene descriptions in the final prompt. The Indonesian prompt stays the source that MAXIMIZE works from.', id: 'Bahasa deskripsi adegan di prompt final. Prompt bahasa Indonesia tetap menjadi sumber yang diolah MAKSIMALKAN.' },
+  'dialogueLanguage.label': { en: 'Spoken dialogue language', id: 'Bahasa dialog yang diucapkan' },
+  'dialogueLanguage.asTyped': { en: 'As typed (no translation)', id: 'Sesuai ketikan (tanpa terjemahan)' },
+  'dialogueLanguage.help': { en: 'MAXIMIZE translates the dialogue into the chosen language and dialogue suggestions come back in it. The offline prompts keep the lines as typed and note the language.', id: 'MAKSIMALKAN menerjemahkan dialog ke bahasa yang dipilih dan saran dialog juga memakai bahasa itu. Prompt offline menyimpan kalimat sesuai ketikan dan mencatat bahasanya.' },
+  'additionalDetails.placeholder': { en: 'e.g., The video should have a fast pace. Ensure smooth transitions.', id: 'mis., Video harus bertempo cepat. Pastikan transisinya mulus.' },
+
+  // Choice lists
+  'options.help': { en: 'Add your own terms to the choice lists, hide the ones you never use and put the rest in your order. The changes apply to every draft once saved.', id: 'Tambahkan istilah Anda sendiri ke daftar pilihan, sembunyikan yang tidak pernah dipakai, dan urutkan sisanya. Perubahan berlaku untuk semua draf setelah disimpan.' },
+  'options.category': { en: 'List', id: 'Daftar' },
+  'options.customBadge': { en: 'custom', id: 'kustom' },
+  'options.moveUp': { en: 'Move up', id: 'Naikkan' },
+  'options.moveDown': { en: 'Move down', id: 'Turunkan' },
+  'options.hide': { en: 'Hide', id: 'Sembunyikan' },
+  'options.show': { en: 'Show', id: 'Tampilkan' },
+  'options.englishPlaceholder': { en: 'English label (used in the prompts), e.g. Neon rim light', id: 'Label bahasa Inggris (dipakai di prompt), mis. Neon rim light' },
+  'options.indonesianPlaceholder': { en: 'Indonesian label, e.g. Cahaya tepi neon', id: 'Label bahasa Indonesia, mis. Cahaya tepi neon' },
+  'options.valueNote': { en: 'Drafts store the English label. Hidden entries stay selected where they are already used.', id: 'Draf menyimpan label bahasa Inggris. Entri yang disembunyikan tetap terpilih di tempat yang sudah memakainya.' },
+  'options.add': { en: 'Add Entry', id: 'Tambah Entri' },
+  'options.resetCategory': { en: 'Reset This List', id: 'Kembalikan Daftar Ini' },
+  'options.save': { en: 'Save Choice Lists', id: 'Simpan Daftar Pilihan' },
+  'options.needsEnglish': { en: 'Enter the English label.', id: 'Masukkan label bahasa Inggris.' },
+  'options.duplicate': { en: '"{label}" is already in this list.', id: '"{label}" sudah ada di daftar ini.' },
+  'options.tooMany': { en: 'This list already has the maximum number of custom entries.', id: 'Daftar ini sudah mencapai jumlah maksimum entri kustom.' },
+
+  // Autosave recovery
+  'recovery.found': { en: 'Unsaved work from {time} was found.', id: 'Ditemukan pekerjaan yang belum disimpan dari {time}.' },
+  'recovery.foundForDraft': { en: 'Unsaved work from {time} was found for the draft "{title}".', id: 'Ditemukan pekerjaan yang belum disimpan dari {time} untuk draf "{title}".' },
+  'recovery.contents': { en: '{characters}, {scenes}. Restoring replaces the current form.', id: '{characters}, {scenes}. Memulihkan akan mengganti formulir saat ini.' },
+  'recovery.contentsWithPrompts': { en: '{characters}, {scenes} and generated prompts. Restoring replaces the current form.', id: '{characters}, {scenes}, dan prompt yang sudah dibuat. Memulihkan akan mengganti formulir saat ini.' },
+  'recovery.characters': { en: 'Characters:', id: 'Karakter:' },
+  'recovery.unnamedCharacter': { en: 'Unnamed character', id: 'Karakter tanpa nama' },
+  'recovery.characterForm': { en: 'Character form:', id: 'Formulir karakter:' },
+  'recovery.notAdded': { en: '{name} (not added yet)', id: '{name} (belum ditambahkan)' },
+  'recovery.visualStyle': { en: 'Visual style:', id: 'Gaya visual:' },
+  'recovery.restore': { en: 'Restore', id: 'Pulihkan' },
+  'recovery.preview': { en: 'Preview', id: 'Pratinjau' },
+  'recovery.hidePreview': { en: 'Hide Preview', id: 'Sembunyikan Pratinjau' },
+  'recovery.discard': { en: 'Discard', id: 'Buang' },
+
+  // Dialogue timeline
+  'dialogue.help': { en: 'Lines are spoken top to bottom. Start times are optional, e.g. 3.5 or 0:03.', id: 'Baris diucapkan dari atas ke bawah. Waktu mulai bersifat opsional, mis. 3.5 atau 0:03.' },
+  'dialogue.dragHint': { en: 'Drag to reorder', id: 'Seret untuk mengubah urutan' },
+  'dialogue.moveUp': { en: 'Move line up', id: 'Pindahkan baris ke atas' },
+  'dialogue.moveDown': { en: 'Move line down', id: 'Pindahkan baris ke bawah' },
+  'dialogue.speaker': { en: 'Speaker', id: 'Pembicara' },
+  'dialogue.type': { en: 'Type', id: 'Jenis' },
+  'dialogue.typeSelect': { en: 'Select Type', id: 'Pilih Jenis' },
+  'dialogue.target': { en: 'To whom', id: 'Kepada siapa' },
+  'dialogue.targetSelect': { en: 'To whom?', id: 'Kepada siapa?' },
+  'dialogue.startPlaceholder': { en: 'Start (optional)', id: 'Mulai (opsional)' },
+  'dialogue.startTime': { en: 'Start time', id: 'Waktu mulai' },
+  'dialogue.sentencePlaceholder': { en: 'Enter dialogue sentence', id: 'Tulis kalimat dialog' },
+  'dialogue.suggest': { en: 'Suggest Line', id: 'Sarankan Kalimat' },
+  'dialogue.remove': { en: 'Remove line', id: 'Hapus baris' },
+
+  // Camera block
+  'camera.moves': { en: 'Camera Moves', id: 'Gerakan Kamera' },
+  'camera.movesHelp': { en: 'Moves run top to bottom, one after another in the same shot. Start times are optional, e.g. 3.5 or 0:03.', id: 'Gerakan berjalan dari atas ke bawah, berurutan dalam satu bidikan. Waktu mulai bersifat opsional, mis. 3.5 atau 0:03.' },
+  'camera.startTime': { en: 'Move start time', id: 'Waktu mulai gerakan' },
+  'camera.moveUp': { en: 'Move camera move up', id: 'Pindahkan gerakan ke atas' },
+  'camera.moveDown': { en: 'Move camera move down', id: 'Pindahkan gerakan ke bawah' },
+  'camera.removeMove': { en: 'Remove camera move', id: 'Hapus gerakan kamera' },
+  'camera.addMove': { en: 'Add Camera Move', id: 'Tambah Gerakan Kamera' },
+  'camera.framing': { en: 'Framing', id: 'Pembingkaian' },
+  'camera.shotSize': { en: 'Shot Size', id: 'Ukuran Bidikan' },
+  'camera.shotSizeSelect': { en: 'Select Shot Size', id: 'Pilih Ukuran Bidikan' },
+  'camera.angle': { en: 'Camera Angle', id: 'Sudut Kamera' },
+  'camera.angleSelect': { en: 'Select Camera Angle', id: 'Pilih Sudut Kamera' },
+  'camera.focalLength': { en: 'Focal Length', id: 'Panjang Fokus Lensa' },
+  'camera.focalLengthSelect': { en: 'Select Focal Length', id: 'Pilih Panjang Fokus Lensa' },
+  'camera.focus': { en: 'Focus', id: 'Fokus' },
+  'camera.focusSelect': { en: 'Select Focus', id: 'Pilih Fokus' },
+
+  // Veo check
+  'lint.heading': { en: 'Veo Check', id: 'Pemeriksaan Veo' },
+  'lint.none': { en: 'No problems found. Every scene fits a Veo clip.', id: 'Tidak ada masalah. Setiap adegan muat dalam satu klip Veo.' },
+  'lint.summary': { en: '{errors}, {warnings}. Click an item to jump to the section.', id: '{errors}, {warnings}. Klik salah satu untuk menuju bagiannya.' },
+  'lint.count.errors': { en: { one: '{count} error', other: '{count} errors' }, id: '{count} kesalahan' },
+  'lint.count.warnings': { en: { one: '{count} warning', other: '{count} warnings' }, id: '{count} peringatan' },
+  'lint.severity.error': { en: 'Error', id: 'Kesalahan' },
+  'lint.severity.warning': { en: 'Warning', id: 'Peringatan' },
+  'lint.section.actions': { en: 'Character Actions', id: 'Aksi Karakter' },
+  'lint.section.location': { en: 'Location', id: 'Lokasi' },
+  'lint.section.time': { en: 'Time of Day', id: 'Waktu' },
+  'lint.section.camera': { en: 'Camera', id: 'Kamera' },
+  'lint.section.lighting': { en: 'Lighting', id: 'Pencahayaan' },
+  'lint.section.style': { en: 'Visual/Video Style', id: 'Gaya Visual/Video' },
+  'lint.section.dialogue': { en: 'Spoken Dialogue', id: 'Dialog' },
+  'lint.section.notes': { en: 'Additional Details', id: 'Detail Tambahan' },
+  'lint.style-conflict.techniques': { en: 'Several visual techniques are selected: {styles}. Veo tends to blend them unpredictably.', id: 'Beberapa teknik visual dipilih sekaligus: {styles}. Veo cenderung mencampurnya secara tak terduga.' },
+  'lint.style-conflict.looks': { en: 'Realistic and stylized looks are mixed: {styles}. Veo tends to blend them unpredictably.', id: 'Tampilan realistis dan bergaya tercampur: {styles}. Veo cenderung mencampurnya secara tak terduga.' },
+  'lint.no-characters': { en: 'No character is selected for this scene.', id: 'Belum ada karakter yang dipilih untuk adegan ini.' },
+  'lint.too-many-characters': { en: '{count} characters in one clip; Veo keeps up to {max} consistent at best.', id: '{count} karakter dalam satu klip; Veo paling baik menjaga konsistensi hingga {max} karakter.' },
+  'lint.invalid-start-time': { en: 'Line {line}: "{value}" is not a start time. Use seconds like 3.5 or a timecode like 0:03.', id: 'Baris {line}: "{value}" bukan waktu mulai. Gunakan detik seperti 3.5 atau kode waktu seperti 0:03.' },
+  'lint.start-after-clip': { en: 'Line {line} starts at {start}, after the end of the {clip} s clip.', id: 'Baris {line} mulai pada {start}, setelah klip {clip} detik berakhir.' },
+  'lint.start-out-of-order': { en: 'Line {line} starts at {start}, before the line above it. Reorder the lines or fix the times.', id: 'Baris {line} mulai pada {start}, sebelum baris di atasnya. Ubah urutan baris atau perbaiki waktunya.' },
+  'lint.invalid-move-time': { en: 'Camera move {move}: "{value}" is not a start time. Use seconds like 3.5 or a timecode like 0:03.', id: 'Gerakan kamera {move}: "{value}" bukan waktu mulai. Gunakan detik seperti 3.5 atau kode waktu seperti 0:03.' },
+  'lint.move-after-clip': { en: 'Camera move {move} starts at {start}, after the end of the {clip} s clip.', id: 'Gerakan kamera {move} mulai pada {start}, setelah klip {clip} detik berakhir.' },
+  'lint.move-out-of-order': { en: 'Camera move {move} starts at {start}, before the move above it. Reorder the moves or fix the times.', id: 'Gerakan kamera {move} mulai pada {start}, sebelum gerakan di atasnya. Ubah urutan gerakan atau perbaiki waktunya.' },
+  'lint.unknown-speaker': { en: 'Line {line} belongs to a character that no longer exists.', id: 'Baris {line} milik karakter yang sudah tidak ada.' },
+  'lint.speaker-not-in-scene': { en: "{speaker} has a dialogue line but isn't in this scene.", id: '{speaker} punya baris dialog tetapi tidak ada di adegan ini.' },
+  'lint.target-not-in-scene': { en: "{speaker} speaks to {target}, who isn't in this scene.", id: '{speaker} berbicara kepada {target}, yang tidak ada di adegan ini.' },
+  'lint.target-not-in-scene.removed': { en: "{speaker} speaks to a removed character, who isn't in this scene.", id: '{speaker} berbicara kepada karakter yang sudah dihapus dan tidak ada di adegan ini.' },
+  'lint.empty-dialogue': { en: '{speaker} has an empty dialogue line.', id: '{speaker} punya baris dialog yang kosong.' },
+  'lint.empty-dialogue.unknown': { en: 'A character has an empty dialogue line.', id: 'Ada karakter dengan baris dialog yang kosong.' },
+  'lint.dialogue-too-long': { en: 'The dialogue needs about {seconds} s of speech, more than one {clip} s clip. Shorten it or split the scene.', id: 'Dialog butuh sekitar {seconds} detik ucapan, lebih dari satu klip {clip} detik. Persingkat atau pecah adegannya.' },
+  'lint.dialogue-tight': { en: 'The dialogue needs about {seconds} s of a {clip} s clip, leaving little room for action.', id: 'Dialog butuh sekitar {seconds} detik dari klip {clip} detik, sehingga hanya sedikit ruang untuk aksi.' },
+  'lint.time-lighting-conflict.daylight': { en: '"{lighting}" suggests daylight, but the time of day is "{timeOfDay}".', id: '"{lighting}" mengesankan siang hari, padahal waktunya "{timeOfDay}".' },
+  'lint.time-lighting-conflict.night': { en: '"{lighting}" suggests night-time, but the time of day is "{timeOfDay}".', id: '"{lighting}" mengesankan malam hari, padahal waktunya "{timeOfDay}".' },
+  'lint.time-text-conflict.daylight': { en: '"{text}" describes daylight, but the time of day is "{timeOfDay}".', id: '"{text}" menggambarkan siang hari, padahal waktunya "{timeOfDay}".' },
+  'lint.time-text-conflict.night': { en: '"{text}" describes night-time, but the time of day is "{timeOfDay}".', id: '"{text}" menggambarkan malam hari, padahal waktunya "{timeOfDay}".' },
+  'lint.prompt-too-long': { en: "The compiled prompt has {count} words; keep it under {max} so Veo doesn't drop details.", id: 'Prompt yang disusun berisi {count} kata; jaga di bawah {max} agar Veo tidak melewatkan detail.' },
+  'lint.prompt-long': { en: 'The compiled prompt has {count} words; around {max} or fewer works best.', id: 'Prompt yang disusun berisi {count} kata; sekitar {max} kata atau kurang memberi hasil terbaik.' },
+
+  // Looks
+  'looks.help': { en: 'A look stores the visual style with the lighting, mood, camera moves and time of day of the selected scene. Applying one changes only those, never characters or dialogue; export looks as a file to share them with your team.', id: 'Tampilan menyimpan gaya visual beserta pencahayaan, suasana, gerakan kamera, dan waktu dari adegan yang dipilih. Menerapkannya hanya mengubah itu, tidak pernah karakter atau dialog; ekspor tampilan sebagai file untuk dibagikan ke tim Anda.' },
+  'looks.namePlaceholder': { en: 'Look name, e.g. Ghibli dusk cozy', id: 'Nama tampilan, mis. Ghibli senja hangat' },
+  'looks.save': { en: 'Save Current Look', id: 'Simpan Tampilan Saat Ini' },
+  'looks.empty': { en: 'No looks yet.', id: 'Belum ada tampilan.' },
+  'looks.nothingSet': { en: 'Nothing set', id: 'Tidak ada pengaturan' },
+  'looks.apply': { en: 'Apply', id: 'Terapkan' },
+  'looks.applyTitle': { en: 'Apply to {scene}', id: 'Terapkan ke {scene}' },
+  'looks.export': { en: 'Export', id: 'Ekspor' },
+  'looks.exportAll': { en: 'Export All Looks', id: 'Ekspor Semua Tampilan' },
+  'looks.import': { en: 'Import Looks', id: 'Impor Tampilan' },
+
+  // Templates
+  'templates.help': { en: 'Start from a complete example with characters, actions, dialogue, setting and style already filled in, then change what you need. The template opens as a new draft; save it to keep it.', id: 'Mulai dari contoh lengkap dengan karakter, aksi, dialog, latar, dan gaya yang sudah terisi, lalu ubah sesuai kebutuhan. Template dibuka sebagai draf baru; simpan untuk menyimpannya.' },
+  'templates.contents': { en: 'Characters: {characters} · {scenes}', id: 'Karakter: {characters} · {scenes}' },
+  'templates.preview': { en: 'Preview the prompt', id: 'Pratinjau prompt' },
+  'templates.use': { en: 'Use This Template', id: 'Gunakan Template Ini' },
+  'templates.confirmUse': { en: 'Replace the current form with the template "{name}"? Unsaved changes can be brought back with Undo.', id: 'Ganti formulir saat ini dengan template "{name}"? Perubahan yang belum disimpan dapat dikembalikan dengan Urungkan.' },
+  'templates.applied': { en: 'Template "{name}" loaded. Save it as a draft to keep your changes.', id: 'Template "{name}" dimuat. Simpan sebagai draf untuk menyimpan perubahan Anda.' },
+};
@@ -0,0 +1,45 @@
+// Typed errors for every LLM call, so the UI can tell a bad key from a busy server
+
+export class LlmError extends Error {
+  constructor(message, { status = null, detail = '' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// 429 / RESOURCE_EXHAUSTED that did not clear up after retrying
+export class QuotaError extends LlmError {}
+
+// Missing, invalid or unauthorized API key
+export class AuthError extends LlmError {}
+
+// The provider refused to answer because of its safety filters
+export class SafetyBlockError extends LlmError {}
+
+// fetch failed before any response arrived (offline, DNS, CORS)
+export class NetworkError extends LlmError {}
+
+// The provider did not answer within the timeout
+export class TimeoutError extends LlmError {}
+
+// The user pressed Stop
+export class AbortedError extends LlmError {}
+
+// Any other non-OK status or a response without usable text
+export class ResponseError extends LlmError {}
+
+// Statuses worth retrying with backoff
+export const isRetryableStatus = (status) => status === 429 || status === 503;
+
+export const errorFromResponse = (status, bodyText = '') => {
+  const detail = bodyText.substring(0, 300);
+  if (status === 401 || status === 403 || (status === 400 && /API_KEY_INVALID|API key not valid/i.test(bodyText))) {
+    return new AuthError(`The API key was rejected (status ${status}).`, { status, detail });
+  }
+  if (status === 429) {
+    return new QuotaError('The API quota or rate limit was exceeded.', { status, detail });
+  }
+  return new ResponseError(`The API returned status ${status}.`, { status, detail });
+};
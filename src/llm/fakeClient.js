@@ -0,0 +1,36 @@
+import { AbortedError } from './errors';
+
+// Local stand-in with the same shape as the real clients, for tests and offline development.
+// `respond(prompt)` returns the answer (or throws an LlmError); every prompt is recorded.
+export const createFakeLlmClient = (respond = () => 'Fake LLM response') => {
+  const prompts = [];
+  return {
+    provider: 'fake',
+    model: 'fake',
+    prompts,
+    generateText: async (prompt, { signal } = {}) => {
+      if (signal && signal.aborted) {
+        throw new AbortedError('The request was cancelled.');
+      }
+      prompts.push(prompt);
+      return respond(prompt);
+    },
+    // Streams the answer word by word
+    streamText: async (prompt, { signal, onText = () => {} } = {}) => {
+      if (signal && signal.aborted) {
+        throw new AbortedError('The request was cancelled.');
+      }
+      prompts.push(prompt);
+      const answer = await respond(prompt);
+      let text = '';
+      for (const word of answer.split(/(?<=\s)/)) {
+        if (signal && signal.aborted) {
+          throw new AbortedError('The request was cancelled.');
+        }
+        text += word;
+        onText(text);
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,83 @@
+import { fetchWithRetry } from './request';
+import { readServerSentEvents } from './sse';
+import { AuthError, ResponseError, SafetyBlockError } from './errors';
+
+export const DEFAULT_GEMINI_MODEL = (typeof process !== 'undefined' && process.env.REACT_APP_GEMINI_MODEL) || 'gemini-2.0-flash';
+
+const blockedFinishReasons = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+// Pull the generated text out of a generateContent response
+export const extractGeminiText = (result) => {
+  const blockReason = result && result.promptFeedback && result.promptFeedback.blockReason;
+  if (blockReason) {
+    throw new SafetyBlockError(`The prompt was blocked by the safety filters (${blockReason}).`);
+  }
+  const candidate = result && result.candidates && result.candidates[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const text = parts.map(part => part.text || '').join('');
+  if (!text) {
+    if (candidate && blockedFinishReasons.includes(candidate.finishReason)) {
+      throw new SafetyBlockError(`The answer was blocked by the safety filters (${candidate.finishReason}).`);
+    }
+    throw new ResponseError('The API response contained no text.', { detail: JSON.stringify(result).substring(0, 300) });
+  }
+  return text;
+};
+
+// Text of one streamGenerateContent chunk; the last chunk often carries only the finishReason
+const streamChunkText = (result) => {
+  const candidate = result && result.candidates && result.candidates[0];
+  const hasText = candidate && candidate.content && (candidate.content.parts || []).some(part => part.text);
+  if (!hasText && !(result && result.promptFeedback && result.promptFeedback.blockReason)
+    && !(candidate && blockedFinishReasons.includes(candidate.finishReason))) {
+    return '';
+  }
+  return extractGeminiText(result);
+};
+
+// Client for the Gemini generateContent API. Every LLM feature goes through generateText
+// (or streamText), so a fake with the same shape (see fakeClient.js) can stand in for it.
+export const createGeminiClient = ({
+  apiKey,
+  model = DEFAULT_GEMINI_MODEL,
+  fetchImpl,
+  ...retryOptions
+} = {}) => {
+  const post = (method, query, prompt, signal) => {
+    if (!apiKey) {
+      throw new AuthError('No Gemini API key is configured.');
+    }
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}?${query}key=${apiKey}`;
+    const payload = { contents: [{ role: 'user', parts: [{ text: prompt }] }] };
+    return fetchWithRetry(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }, { fetchImpl, signal, ...retryOptions });
+  };
+
+  return {
+    provider: 'gemini',
+    model,
+    generateText: async (prompt, { signal } = {}) => {
+      const response = await post('generateContent', '', prompt, signal);
+      return extractGeminiText(await response.json());
+    },
+    // Calls onText(textSoFar) as chunks arrive and resolves with the full text
+    streamText: async (prompt, { signal, onText = () => {} } = {}) => {
+      const response = await post('streamGenerateContent', 'alt=sse&', prompt, signal);
+      let text = '';
+      await readServerSentEvents(response, (data) => {
+        const chunk = streamChunkText(JSON.parse(data));
+        if (chunk) {
+          text += chunk;
+          onText(text);
+        }
+      }, { signal, idleTimeoutMs: retryOptions.timeoutMs });
+      if (!text) {
+        throw new ResponseError('The API stream contained no text.');
+      }
+      return text;
+    },
+  };
+};
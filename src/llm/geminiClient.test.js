@@ -0,0 +1,129 @@
+import { createGeminiClient, extractGeminiText } from './geminiClient';
+import { createFakeLlmClient } from './fakeClient';
+import {
+  AbortedError,
+  AuthError,
+  NetworkError,
+  QuotaError,
+  ResponseError,
+  SafetyBlockError,
+  TimeoutError,
+} from './errors';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] || null },
+  json: async () => body,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const textResult = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+
+const noSleep = () => Promise.resolve();
+
+const clientWith = (responses, options = {}) => {
+  const fetchImpl = jest.fn();
+  responses.forEach(response => {
+    if (response instanceof Error) {
+      fetchImpl.mockRejectedValueOnce(response);
+    } else {
+      fetchImpl.mockResolvedValueOnce(response);
+    }
+  });
+  const client = createGeminiClient({ apiKey: 'test-key', fetchImpl, sleep: noSleep, ...options });
+  return { client, fetchImpl };
+};
+
+describe('createGeminiClient', () => {
+  it('posts the prompt to the configured model and returns the text', async () => {
+    const { client, fetchImpl } = clientWith([jsonResponse(200, textResult('Halo'))], { model: 'gemini-test' });
+    await expect(client.generateText('Sapa aku')).resolves.toBe('Halo');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toContain('/models/gemini-test:generateContent?key=test-key');
+    expect(JSON.parse(init.body)).toEqual({ contents: [{ role: 'user', parts: [{ text: 'Sapa aku' }] }] });
+  });
+
+  it('retries 429 and 503 with backoff before succeeding', async () => {
+    const sleep = jest.fn(noSleep);
+    const { client, fetchImpl } = clientWith([
+      jsonResponse(503, 'busy'),
+      jsonResponse(429, 'slow down', { 'Retry-After': '5' }),
+      jsonResponse(200, textResult('OK')),
+    ], { sleep, baseDelayMs: 10 });
+    await expect(client.generateText('x')).resolves.toBe('OK');
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep.mock.calls[1][0]).toBeGreaterThanOrEqual(5000);
+  });
+
+  it('throws QuotaError when 429 persists', async () => {
+    const { client, fetchImpl } = clientWith(Array(3).fill(jsonResponse(429, 'quota')), { maxRetries: 2 });
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(QuotaError);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('throws AuthError without retrying a rejected key', async () => {
+    const { client, fetchImpl } = clientWith([jsonResponse(400, 'API key not valid. Please pass a valid API key.')]);
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(AuthError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('throws AuthError when no key is configured', async () => {
+    const client = createGeminiClient({ apiKey: '' });
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('throws ResponseError for other statuses', async () => {
+    const { client } = clientWith([jsonResponse(500, 'boom')]);
+    await expect(client.generateText('x')).rejects.toMatchObject({ name: 'ResponseError', status: 500, detail: 'boom' });
+  });
+
+  it('retries network failures and then throws NetworkError', async () => {
+    const { client, fetchImpl } = clientWith([new TypeError('Failed to fetch'), new TypeError('Failed to fetch')], { maxRetries: 1 });
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(NetworkError);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws TimeoutError when the server never answers', async () => {
+    const fetchImpl = jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const client = createGeminiClient({ apiKey: 'k', fetchImpl, timeoutMs: 5, maxRetries: 0 });
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('throws AbortedError when the caller cancels', async () => {
+    const controller = new AbortController();
+    const fetchImpl = jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      controller.abort();
+    }));
+    const client = createGeminiClient({ apiKey: 'k', fetchImpl });
+    await expect(client.generateText('x', { signal: controller.signal })).rejects.toBeInstanceOf(AbortedError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('extractGeminiText', () => {
+  it('joins every text part', () => {
+    expect(extractGeminiText({ candidates: [{ content: { parts: [{ text: 'a' }, { text: 'b' }] } }] })).toBe('ab');
+  });
+
+  it('reports safety blocks', () => {
+    expect(() => extractGeminiText({ promptFeedback: { blockReason: 'SAFETY' } })).toThrow(SafetyBlockError);
+    expect(() => extractGeminiText({ candidates: [{ finishReason: 'SAFETY' }] })).toThrow(SafetyBlockError);
+  });
+
+  it('reports responses without text', () => {
+    expect(() => extractGeminiText({ candidates: [] })).toThrow(ResponseError);
+  });
+});
+
+describe('createFakeLlmClient', () => {
+  it('answers locally and records prompts', async () => {
+    const client = createFakeLlmClient(prompt => prompt.toUpperCase());
+    await expect(client.generateText('halo')).resolves.toBe('HALO');
+    expect(client.prompts).toEqual(['halo']);
+  });
+});
@@ -0,0 +1,82 @@
+import { fetchWithRetry } from './request';
+import { readServerSentEvents } from './sse';
+import { AuthError, ResponseError, SafetyBlockError } from './errors';
+
+// Pull the generated text out of a chat-completions response
+export const extractChatCompletionText = (result) => {
+  const choice = result && result.choices && result.choices[0];
+  const text = (choice && choice.message && choice.message.content) || '';
+  if (!text) {
+    if (choice && choice.finish_reason === 'content_filter') {
+      throw new SafetyBlockError('The answer was blocked by the content filter.');
+    }
+    throw new ResponseError('The API response contained no text.', { detail: JSON.stringify(result).substring(0, 300) });
+  }
+  return text;
+};
+
+// "http://localhost:11434/v1/" and "http://localhost:11434/v1/chat/completions" both mean the same server
+export const chatCompletionsUrl = (baseUrl) => {
+  const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+};
+
+// Client for any OpenAI-compatible chat-completions endpoint: OpenAI itself, proxies,
+// and local servers such as Ollama and llama.cpp (which don't need an API key).
+export const createOpenAiCompatibleClient = ({
+  provider = 'openai',
+  baseUrl,
+  apiKey = '',
+  model,
+  requiresApiKey = true,
+  fetchImpl,
+  ...retryOptions
+} = {}) => {
+  const post = (prompt, signal, stream) => {
+    if (requiresApiKey && !apiKey) {
+      throw new AuthError('No API key is configured for this endpoint.');
+    }
+    if (!(baseUrl || '').trim()) {
+      throw new ResponseError('No endpoint URL is configured.');
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const payload = { model, messages: [{ role: 'user', content: prompt }] };
+    if (stream) payload.stream = true;
+    return fetchWithRetry(chatCompletionsUrl(baseUrl), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+    }, { fetchImpl, signal, ...retryOptions });
+  };
+
+  return {
+    provider,
+    model,
+    generateText: async (prompt, { signal } = {}) => {
+      const response = await post(prompt, signal, false);
+      return extractChatCompletionText(await response.json());
+    },
+    // Calls onText(textSoFar) as deltas arrive and resolves with the full text
+    streamText: async (prompt, { signal, onText = () => {} } = {}) => {
+      const response = await post(prompt, signal, true);
+      let text = '';
+      await readServerSentEvents(response, (data) => {
+        if (data.trim() === '[DONE]') return;
+        const choice = (JSON.parse(data).choices || [])[0] || {};
+        if (choice.finish_reason === 'content_filter') {
+          throw new SafetyBlockError('The answer was blocked by the content filter.');
+        }
+        const delta = (choice.delta && choice.delta.content) || '';
+        if (delta) {
+          text += delta;
+          onText(text);
+        }
+      }, { signal, idleTimeoutMs: retryOptions.timeoutMs });
+      if (!text) {
+        throw new ResponseError('The API stream contained no text.');
+      }
+      return text;
+    },
+  };
+};
@@ -0,0 +1,71 @@
+import { DIALOGUE_AS_TYPED, findOutputLanguage } from '../promptLanguages';
+
+// Instructions sent to the LLM by MAKSIMALKAN and the variant generator
+
+// Phrasings offered by "Generate Variants"; each adds its instruction to the optimizer prompt
+export const promptVariantStyles = [
+  {
+    id: 'faithful',
+    label: 'Faithful',
+    instruction: 'Stay as close as possible to the source: translate every detail, add nothing new and keep the original order.',
+  },
+  {
+    id: 'cinematic',
+    label: 'Cinematic',
+    instruction: 'Write it like a film director\'s shot description: vivid camera language, atmosphere, texture and motion, without changing any facts.',
+  },
+  {
+    id: 'concise',
+    label: 'Concise',
+    instruction: 'Make it as short as possible while keeping every character, action, setting and dialogue line. Use compact phrases.',
+  },
+  {
+    id: 'detailed',
+    label: 'Detailed',
+    instruction: 'Expand every element with precise visual detail (materials, colors, light direction, background elements) without inventing new events.',
+  },
+  {
+    id: 'dynamic',
+    label: 'Dynamic',
+    instruction: 'Emphasize movement and timing: describe the actions beat by beat in the order they happen on screen.',
+  },
+];
+
+export const defaultVariantStyleIds = ['faithful', 'cinematic', 'concise'];
+
+// The optimizer prompt for one scene. `templateBody` is the offline draft for the scene, if any, written in
+// templateLanguage. The result is written in promptLanguage, with the dialogue kept as typed or translated
+// into dialogueLanguage (codes from promptLanguages.js).
+export const buildMaximizePrompt = ({
+  sceneBody,
+  templateBody = '',
+  sceneIndex = 0,
+  sceneCount = 1,
+  styleInstruction = '',
+  promptLanguage = 'en',
+  dialogueLanguage = DIALOGUE_AS_TYPED,
+  templateLanguage = 'en',
+}) => {
+  const outputName = (findOutputLanguage(promptLanguage) || findOutputLanguage('en')).en;
+  const templateName = (findOutputLanguage(templateLanguage) || findOutputLanguage('en')).en;
+  const dialogueTranslation = findOutputLanguage(dialogueLanguage);
+  const dialogueNote = dialogueTranslation
+    ? `Translate every direct dialogue sentence into natural, spoken ${dialogueTranslation.en} and keep it in quotes.`
+    : 'Keep any direct dialogue sentences exactly as written, in their original language.';
+  const storyboardNote = sceneCount > 1
+    ? ` This is scene ${sceneIndex + 1} of ${sceneCount} in a storyboard, so describe every character in full, exactly as given, to keep them identical across shots.`
+    : '';
+  const styleNote = styleInstruction ? ` ${styleInstruction}` : '';
+  const templateNote = templateBody
+    ? `
+
+      Structured ${templateName} Draft (keep its structure and facts, polish the wording):
+      ${templateBody}`
+    : '';
+  return `Optimize the following Indonesian animation prompt for Google Veo 3 and write it in ${outputName}. Ensure the output is clean, polished, detailed, and follows a Veo-style structure. ${dialogueNote}${storyboardNote}${styleNote}
+
+      Indonesian Prompt:
+      ${sceneBody}${templateNote}
+
+      Veo 3 Optimized ${outputName} Prompt:`;
+};
@@ -0,0 +1,52 @@
+import { buildMaximizePrompt, promptVariantStyles, defaultVariantStyleIds } from './prompts';
+
+describe('buildMaximizePrompt', () => {
+  it('wraps a single scene without storyboard or style notes', () => {
+    const prompt = buildMaximizePrompt({ sceneBody: 'Budi berlari.' });
+    expect(prompt).toContain('Indonesian Prompt:\n      Budi berlari.');
+    expect(prompt).not.toContain('storyboard');
+    expect(prompt).not.toContain('Structured English Draft');
+  });
+
+  it('adds the storyboard position, the variant instruction and the template draft', () => {
+    const prompt = buildMaximizePrompt({
+      sceneBody: 'Budi berlari.',
+      templateBody: 'Budi runs.',
+      sceneIndex: 1,
+      sceneCount: 3,
+      styleInstruction: 'Be brief.',
+    });
+    expect(prompt).toContain('scene 2 of 3 in a storyboard');
+    expect(prompt).toContain('Be brief.');
+    expect(prompt).toContain('Structured English Draft (keep its structure and facts, polish the wording):\n      Budi runs.');
+  });
+
+  it('writes an English prompt with the dialogue as typed unless told otherwise', () => {
+    const prompt = buildMaximizePrompt({ sceneBody: 'Budi berkata: "Ayo!"' });
+    expect(prompt).toContain('write it in English.');
+    expect(prompt).toContain('Keep any direct dialogue sentences exactly as written');
+    expect(prompt.endsWith('Veo 3 Optimized English Prompt:')).toBe(true);
+  });
+
+  it('asks for the prompt language and the dialogue translation separately', () => {
+    const prompt = buildMaximizePrompt({
+      sceneBody: 'Budi berkata: "Ayo!"',
+      templateBody: 'Budi berkata: "Ayo!"',
+      promptLanguage: 'id',
+      dialogueLanguage: 'jv',
+      templateLanguage: 'id',
+    });
+    expect(prompt).toContain('write it in Indonesian.');
+    expect(prompt).toContain('Translate every direct dialogue sentence into natural, spoken Javanese');
+    expect(prompt).toContain('Structured Indonesian Draft');
+    expect(prompt.endsWith('Veo 3 Optimized Indonesian Prompt:')).toBe(true);
+  });
+});
+
+describe('promptVariantStyles', () => {
+  it('has unique ids and includes the defaults', () => {
+    const ids = promptVariantStyles.map(style => style.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    defaultVariantStyleIds.forEach(id => expect(ids).toContain(id));
+  });
+});
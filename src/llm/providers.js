@@ -0,0 +1,66 @@
+import { createGeminiClient, DEFAULT_GEMINI_MODEL } from './geminiClient';
+import { createOpenAiCompatibleClient } from './openAiClient';
+
+// Every backend the LLM features can be routed to. `baseUrl` and `model` are the defaults shown
+// in AI Settings; local servers get a longer timeout because models run on the user's machine.
+export const llmProviders = [
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    baseUrl: '',
+    model: DEFAULT_GEMINI_MODEL,
+    requiresApiKey: true,
+    hasBaseUrl: false,
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible (chat completions)',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true,
+    hasBaseUrl: true,
+  },
+  {
+    id: 'local',
+    label: 'Local server (Ollama / llama.cpp)',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.2',
+    requiresApiKey: false,
+    hasBaseUrl: true,
+    timeoutMs: 120000,
+  },
+];
+
+export const getLlmProvider = (id) => llmProviders.find(p => p.id === id) || llmProviders[0];
+
+// Provider settings as saved per user: { provider, baseUrl, model }. API keys are not part of it.
+export const defaultLlmSettings = (providerId = 'gemini') => {
+  const provider = getLlmProvider(providerId);
+  return { provider: provider.id, baseUrl: provider.baseUrl, model: provider.model };
+};
+
+// Fill in defaults for missing or unknown values, e.g. settings saved by an older version
+export const normalizeLlmSettings = (settings) => {
+  const provider = getLlmProvider(settings && settings.provider);
+  const defaults = defaultLlmSettings(provider.id);
+  const pick = (key) => (settings && typeof settings[key] === 'string' && settings[key].trim() ? settings[key].trim() : defaults[key]);
+  return { provider: provider.id, baseUrl: provider.hasBaseUrl ? pick('baseUrl') : '', model: pick('model') };
+};
+
+// Build the client for the saved settings. `apiKey` comes from the browser (or the bundled Gemini key).
+export const createLlmClient = (settings, { apiKey = '', fetchImpl } = {}) => {
+  const { provider, baseUrl, model } = normalizeLlmSettings(settings);
+  const definition = getLlmProvider(provider);
+  if (provider === 'gemini') {
+    return createGeminiClient({ apiKey, model, fetchImpl });
+  }
+  return createOpenAiCompatibleClient({
+    provider,
+    baseUrl,
+    apiKey,
+    model,
+    requiresApiKey: definition.requiresApiKey,
+    fetchImpl,
+    ...(definition.timeoutMs ? { timeoutMs: definition.timeoutMs } : {}),
+  });
+};
@@ -0,0 +1,70 @@
+import { createLlmClient, normalizeLlmSettings } from './providers';
+import { chatCompletionsUrl, extractChatCompletionText } from './openAiClient';
+import { AuthError, SafetyBlockError } from './errors';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+const chatResult = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+describe('normalizeLlmSettings', () => {
+  it('falls back to Gemini and the provider defaults', () => {
+    expect(normalizeLlmSettings(undefined)).toEqual({ provider: 'gemini', baseUrl: '', model: 'gemini-2.0-flash' });
+    expect(normalizeLlmSettings({ provider: 'local', model: ' ' })).toEqual({
+      provider: 'local',
+      baseUrl: 'http://localhost:11434/v1',
+      model: 'llama3.2',
+    });
+    expect(normalizeLlmSettings({ provider: 'nope', model: 'gemini-1.5-pro' }).provider).toBe('gemini');
+  });
+});
+
+describe('createLlmClient', () => {
+  it('sends chat completions to a local server without a key', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, chatResult('Halo dari lokal')));
+    const client = createLlmClient({ provider: 'local', baseUrl: 'http://127.0.0.1:8080/v1/', model: 'qwen' }, { fetchImpl });
+    await expect(client.generateText('Sapa aku')).resolves.toBe('Halo dari lokal');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body)).toEqual({ model: 'qwen', messages: [{ role: 'user', content: 'Sapa aku' }] });
+  });
+
+  it('sends the bearer key to an OpenAI-compatible endpoint', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(200, chatResult('Hi')));
+    const client = createLlmClient({ provider: 'openai', model: 'gpt-test' }, { apiKey: 'sk-test', fetchImpl });
+    await client.generateText('x');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer sk-test');
+  });
+
+  it('requires a key for hosted endpoints', async () => {
+    const client = createLlmClient({ provider: 'openai' }, { fetchImpl: jest.fn() });
+    await expect(client.generateText('x')).rejects.toBeInstanceOf(AuthError);
+  });
+
+  it('uses the Gemini client for the gemini provider', () => {
+    expect(createLlmClient({ provider: 'gemini', model: 'gemini-test' }, { apiKey: 'k' })).toMatchObject({
+      provider: 'gemini',
+      model: 'gemini-test',
+    });
+  });
+});
+
+describe('openAiClient helpers', () => {
+  it('accepts a base URL or the full chat-completions URL', () => {
+    expect(chatCompletionsUrl('http://localhost:11434/v1')).toBe('http://localhost:11434/v1/chat/completions');
+    expect(chatCompletionsUrl('http://localhost:11434/v1/chat/completions/')).toBe('http://localhost:11434/v1/chat/completions');
+  });
+
+  it('reports content-filtered answers', () => {
+    expect(() => extractChatCompletionText({ choices: [{ finish_reason: 'content_filter', message: { content: null } }] }))
+      .toThrow(SafetyBlockError);
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  LlmError,
+  AbortedError,
+  NetworkError,
+  TimeoutError,
+  errorFromResponse,
+  isRetryableStatus,
+} from './errors';
+
+const abortedError = () => new AbortedError('The request was cancelled.');
+
+// setTimeout that rejects as soon as the caller's signal aborts
+const abortableSleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortedError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortedError());
+    }, { once: true });
+  }
+});
+
+// Exponential backoff with jitter: ~1s, 2s, 4s... for the default base delay
+export const backoffDelay = (attempt, baseDelayMs) => baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+
+const retryAfterMs = (response) => {
+  const seconds = Number(response.headers && response.headers.get && response.headers.get('Retry-After'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+};
+
+// fetch() with a per-attempt timeout, cancellation through `signal`, and backoff retries on
+// 429/503, timeouts and network failures. Resolves with the OK response or throws an LlmError.
+// The caller's signal stays linked after success, so aborting also stops reading a streamed body.
+export const fetchWithRetry = async (url, init, {
+  fetchImpl = (...args) => fetch(...args),
+  signal,
+  timeoutMs = 30000,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  sleep = abortableSleep,
+} = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    if (signal && signal.aborted) throw abortedError();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    let error;
+    let delay = 0;
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      if (response.ok) return response;
+      const bodyText = await response.text().catch(() => '');
+      error = errorFromResponse(response.status, bodyText);
+      if (!isRetryableStatus(response.status)) throw error;
+      delay = retryAfterMs(response);
+    } catch (caught) {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (caught instanceof LlmError) throw caught;
+      if (signal && signal.aborted) throw abortedError();
+      error = timedOut
+        ? new TimeoutError(`No response within ${Math.round(timeoutMs / 1000)} seconds.`)
+        : new NetworkError(`Network error: ${caught.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (attempt >= maxRetries) throw error;
+    await sleep(Math.max(delay, backoffDelay(attempt, baseDelayMs)), signal);
+  }
+};
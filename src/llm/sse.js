@@ -0,0 +1,56 @@
+import { AbortedError, NetworkError, TimeoutError } from './errors';
+
+// Split a server-sent events buffer into complete `data:` payloads plus the unfinished remainder
+export const parseSseChunk = (buffer) => {
+  const events = buffer.split(/\r?\n\r?\n/);
+  const rest = events.pop();
+  const payloads = events
+    .map(event => event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n'))
+    .filter(Boolean);
+  return { payloads, rest };
+};
+
+// Read an SSE response body and call onData(payload) for every `data:` event, in order.
+// A stream that stalls for idleTimeoutMs or breaks off midway throws, so callers can keep what arrived.
+export const readServerSentEvents = async (response, onData, { signal, idleTimeoutMs = 30000 } = {}) => {
+  // Environments without streaming bodies still get every event, just all at once
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    parseSseChunk(`${await response.text()}\n\n`).payloads.forEach(onData);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    let timer;
+    const idle = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new TimeoutError(`The stream stalled for ${Math.round(idleTimeoutMs / 1000)} seconds.`)), idleTimeoutMs);
+    });
+    let chunk;
+    try {
+      chunk = await Promise.race([reader.read(), idle]);
+    } catch (error) {
+      reader.cancel().catch(() => {});
+      if (signal && signal.aborted) throw new AbortedError('The request was cancelled.');
+      if (error instanceof TimeoutError) throw error;
+      throw new NetworkError(`The stream was cut off: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (chunk.done) break;
+    const { payloads, rest } = parseSseChunk(buffer + decoder.decode(chunk.value, { stream: true }));
+    buffer = rest;
+    try {
+      payloads.forEach(onData);
+    } catch (error) {
+      reader.cancel().catch(() => {});
+      throw error;
+    }
+  }
+  parseSseChunk(`${buffer}${decoder.decode()}\n\n`).payloads.forEach(onData);
+};
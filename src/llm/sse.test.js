@@ -0,0 +1,86 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { parseSseChunk, readServerSentEvents } from './sse';
+import { createGeminiClient } from './geminiClient';
+import { createLlmClient } from './providers';
+import { createFakeLlmClient } from './fakeClient';
+import { NetworkError, SafetyBlockError } from './errors';
+
+// jsdom has no TextDecoder; the browser does
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// A response whose body yields the given string chunks, then optionally fails
+const streamResponse = (chunks, failure = null) => {
+  const encoder = new TextEncoder();
+  const queue = [...chunks];
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (queue.length) return { done: false, value: encoder.encode(queue.shift()) };
+          if (failure) throw failure;
+          return { done: true };
+        },
+        cancel: async () => {},
+      }),
+    },
+  };
+};
+
+const textOnlyResponse = (text) => ({ ok: true, status: 200, headers: { get: () => null }, text: async () => text });
+
+const geminiChunk = (text, finishReason) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] }, finishReason }] })}\r\n\r\n`;
+
+describe('parseSseChunk', () => {
+  it('returns complete events and keeps the unfinished tail', () => {
+    expect(parseSseChunk('data: a\n\n: comment\n\ndata: b\ndata: c\n\ndata: d')).toEqual({ payloads: ['a', 'b\nc'], rest: 'data: d' });
+  });
+});
+
+describe('readServerSentEvents', () => {
+  it('joins events split across network chunks', async () => {
+    const seen = [];
+    await readServerSentEvents(streamResponse(['data: {"n":', '1}\n\ndata: {"n":2}\n', '\n']), data => seen.push(JSON.parse(data).n));
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('delivers what arrived before the stream was cut off', async () => {
+    const seen = [];
+    await expect(readServerSentEvents(streamResponse(['data: a\n\n'], new TypeError('network reset')), data => seen.push(data)))
+      .rejects.toBeInstanceOf(NetworkError);
+    expect(seen).toEqual(['a']);
+  });
+});
+
+describe('streamText', () => {
+  it('streams Gemini chunks and reports the growing text', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(streamResponse([geminiChunk('A fox '), geminiChunk('runs.', 'STOP')]));
+    const client = createGeminiClient({ apiKey: 'k', fetchImpl });
+    const onText = jest.fn();
+    await expect(client.streamText('x', { onText })).resolves.toBe('A fox runs.');
+    expect(onText.mock.calls.map(call => call[0])).toEqual(['A fox ', 'A fox runs.']);
+    expect(fetchImpl.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=k');
+  });
+
+  it('reports a Gemini stream blocked midway', async () => {
+    const blocked = `data: ${JSON.stringify({ candidates: [{ finishReason: 'SAFETY' }] })}\n\n`;
+    const client = createGeminiClient({ apiKey: 'k', fetchImpl: jest.fn().mockResolvedValue(textOnlyResponse(geminiChunk('Hi') + blocked)) });
+    await expect(client.streamText('x')).rejects.toBeInstanceOf(SafetyBlockError);
+  });
+
+  it('streams chat-completion deltas until [DONE]', async () => {
+    const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const fetchImpl = jest.fn().mockResolvedValue(streamResponse([delta('Halo'), delta(' dunia'), 'data: [DONE]\n\n']));
+    const client = createLlmClient({ provider: 'local' }, { fetchImpl });
+    await expect(client.streamText('x')).resolves.toBe('Halo dunia');
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  it('streams the fake answer word by word', async () => {
+    const onText = jest.fn();
+    await createFakeLlmClient(() => 'one two').streamText('x', { onText });
+    expect(onText.mock.calls.map(call => call[0])).toEqual(['one ', 'one two']);
+  });
+});
@@ -0,0 +1,112 @@
+// Look presets: a named combination of the shared visual style and the scene's lighting, mood, camera
+// moves and time of day, stored in the 'looks' collection as
+//   { name: 'Ghibli dusk cozy', visualStyles: ['2D', 'Ghibli Style'], lighting, videoMood, timeOfDay,
+//     cameraMoves: ['Dolly In', 'Whip Pan'] }
+// Values are the English labels the form stores, so looks that use custom choice-list entries
+// (customOptions.js) work wherever those entries exist and compile as free text elsewhere. Camera moves
+// are kept without their timing. Looks saved before the camera block have a single `cameraMotion`.
+//
+// Looks are shared as files:
+//   { "schema": "veo3-animation-prompter/looks", "version": 2, "looks": [{ "name": ..., ... }] }
+// Version 1 files, with cameraMotion, still import.
+
+export const LOOKS_FILE_SCHEMA = 'veo3-animation-prompter/looks';
+export const LOOKS_FILE_VERSION = 2;
+
+export const MAX_LOOK_NAME_LENGTH = 80;
+
+// The text fields of the scene a look sets, besides the shared visual style and the camera moves
+export const lookSceneFields = ['lighting', 'videoMood', 'timeOfDay'];
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// A clean look from stored or imported data, or null when it has no name
+export const normalizeLookPreset = (data) => {
+  const name = asText(data && data.name).slice(0, MAX_LOOK_NAME_LENGTH);
+  if (!name) return null;
+  const visualStyles = (Array.isArray(data.visualStyles) ? data.visualStyles : []).map(asText).filter(Boolean);
+  const cameraMoves = Array.isArray(data.cameraMoves) ? data.cameraMoves : [data.cameraMotion];
+  return {
+    name,
+    visualStyles: [...new Set(visualStyles)],
+    ...Object.fromEntries(lookSceneFields.map(field => [field, asText(data[field])])),
+    cameraMoves: cameraMoves.map(asText).filter(Boolean),
+  };
+};
+
+// The look of the form: selectedVisualStyles plus the active scene's fields and the motions of its camera moves
+export const createLookPreset = (name, { selectedVisualStyles, cameraMoves = [], ...sceneFields }) => normalizeLookPreset({
+  name,
+  visualStyles: selectedVisualStyles,
+  ...sceneFields,
+  cameraMoves: cameraMoves.map(move => move.motion),
+});
+
+// True when a look would change nothing
+export const isEmptyLook = (look) => look.visualStyles.length === 0 && look.cameraMoves.length === 0
+  && lookSceneFields.every(field => !look[field]);
+
+// "2D, Ghibli Style · Soft lighting · Cozy · Dusk · Dolly In → Whip Pan"
+export const summarizeLook = (look) => [
+  look.visualStyles.join(', '),
+  ...lookSceneFields.map(field => look[field]),
+  look.cameraMoves.join(' → '),
+]
+  .filter(Boolean)
+  .join(' · ');
+
+export const findLookByName = (looks, name) => {
+  const wanted = asText(name).toLowerCase();
+  return looks.find(look => asText(look.name).toLowerCase() === wanted) || null;
+};
+
+export const toLooksFile = (looks) => ({
+  schema: LOOKS_FILE_SCHEMA,
+  version: LOOKS_FILE_VERSION,
+  looks: looks.map(normalizeLookPreset).filter(Boolean),
+});
+
+// Parse a looks file into clean looks. Throws an Error with a readable message when the file can't be used.
+export const fromLooksFile = (input) => {
+  let json = input;
+  if (typeof input === 'string') {
+    try {
+      json = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!json || typeof json !== 'object') {
+    throw new Error('The looks file must be an object.');
+  }
+  if (json.schema !== LOOKS_FILE_SCHEMA) {
+    throw new Error(`Unknown schema "${json.schema}". Expected "${LOOKS_FILE_SCHEMA}".`);
+  }
+  if (json.version > LOOKS_FILE_VERSION) {
+    throw new Error(`Looks file version ${json.version} is newer than this app supports (${LOOKS_FILE_VERSION}).`);
+  }
+  const looks = (Array.isArray(json.looks) ? json.looks : []).map(normalizeLookPreset).filter(Boolean);
+  if (looks.length === 0) {
+    throw new Error('The file has no looks.');
+  }
+  // Within one file, the last look of a name wins
+  const looksByName = new Map();
+  looks.forEach(look => looksByName.set(look.name.toLowerCase(), look));
+  return [...looksByName.values()];
+};
+
+// Split imported looks into new ones and updates of stored looks with the same name, so importing
+// the team's file again refreshes the looks instead of duplicating them
+export const planLookImport = (storedLooks, importedLooks) => {
+  const added = [];
+  const updated = [];
+  importedLooks.forEach(look => {
+    const stored = findLookByName(storedLooks, look.name);
+    if (stored) {
+      updated.push({ id: stored.id, look: { ...look, name: stored.name } });
+    } else {
+      added.push(look);
+    }
+  });
+  return { added, updated };
+};
@@ -0,0 +1,90 @@
+import {
+  LOOKS_FILE_SCHEMA,
+  createLookPreset,
+  fromLooksFile,
+  isEmptyLook,
+  normalizeLookPreset,
+  planLookImport,
+  summarizeLook,
+  toLooksFile,
+} from './lookPresets';
+
+const form = {
+  selectedVisualStyles: ['2D', 'Ghibli Style'],
+  lighting: 'Soft lighting',
+  videoMood: 'Cozy',
+  timeOfDay: 'Dusk',
+  cameraMoves: [{ id: 'move-1', motion: 'Dolly In', startTime: '' }, { id: 'move-2', motion: 'Whip Pan', startTime: '3' }],
+};
+
+describe('createLookPreset', () => {
+  it('takes the visual style and the look fields of the scene only', () => {
+    expect(createLookPreset('  Ghibli dusk cozy ', { ...form, location: 'Hutan', spokenDialogue: [] })).toEqual({
+      name: 'Ghibli dusk cozy',
+      visualStyles: ['2D', 'Ghibli Style'],
+      lighting: 'Soft lighting',
+      videoMood: 'Cozy',
+      timeOfDay: 'Dusk',
+      cameraMoves: ['Dolly In', 'Whip Pan'],
+    });
+  });
+
+  it('needs a name', () => {
+    expect(createLookPreset(' ', form)).toBeNull();
+  });
+});
+
+describe('looks', () => {
+  it('summarizes and detects empty looks', () => {
+    const look = createLookPreset('Dusk', form);
+    expect(summarizeLook(look)).toBe('2D, Ghibli Style · Soft lighting · Cozy · Dusk · Dolly In → Whip Pan');
+    expect(isEmptyLook(look)).toBe(false);
+    expect(isEmptyLook(normalizeLookPreset({ name: 'Nothing' }))).toBe(true);
+    expect(isEmptyLook(normalizeLookPreset({ name: 'Moves', cameraMoves: ['Pan Left'] }))).toBe(false);
+  });
+
+  it('reads the single camera motion of looks saved before the move list', () => {
+    expect(normalizeLookPreset({ name: 'Old', cameraMotion: 'Dolly In' }).cameraMoves).toEqual(['Dolly In']);
+    expect(normalizeLookPreset({ name: 'Old', cameraMotion: '' }).cameraMoves).toEqual([]);
+  });
+});
+
+describe('looks files', () => {
+  it('round-trips looks, dropping stored ids and timestamps', () => {
+    const stored = [{ id: 'a1', timestamp: 1, ...createLookPreset('Dusk', form) }];
+    const file = toLooksFile(stored);
+    expect(file.schema).toBe(LOOKS_FILE_SCHEMA);
+    expect(file.looks[0]).not.toHaveProperty('id');
+    expect(fromLooksFile(JSON.stringify(file))).toEqual([createLookPreset('Dusk', form)]);
+  });
+
+  it('cleans imported looks and keeps the last of each name', () => {
+    expect(fromLooksFile({
+      schema: LOOKS_FILE_SCHEMA,
+      looks: [{ name: 'Noir', lighting: 'Harsh light' }, { name: '' }, { name: 'noir', lighting: 42, visualStyles: ['Noir', 'Noir'] }],
+    })).toEqual([{ name: 'noir', visualStyles: ['Noir'], lighting: '', videoMood: '', timeOfDay: '', cameraMoves: [] }]);
+  });
+
+  it('imports version 1 files', () => {
+    expect(fromLooksFile({ schema: LOOKS_FILE_SCHEMA, version: 1, looks: [{ name: 'Dusk', cameraMotion: 'Dolly In' }] }))
+      .toEqual([expect.objectContaining({ name: 'Dusk', cameraMoves: ['Dolly In'] })]);
+  });
+
+  it('rejects files it cannot use with a readable message', () => {
+    expect(() => fromLooksFile('{oops')).toThrow('not valid JSON');
+    expect(() => fromLooksFile({ schema: 'veo3-animation-prompter/prompt', scenes: [] })).toThrow('Unknown schema');
+    expect(() => fromLooksFile({ schema: LOOKS_FILE_SCHEMA, version: 99, looks: [] })).toThrow('newer');
+    expect(() => fromLooksFile({ schema: LOOKS_FILE_SCHEMA, looks: [{ lighting: 'x' }] })).toThrow('no looks');
+  });
+});
+
+describe('planLookImport', () => {
+  it('updates looks of the same name and adds the rest', () => {
+    const dusk = createLookPreset('dusk', form);
+    const noir = normalizeLookPreset({ name: 'Noir' });
+    expect(planLookImport([{ id: 'a1', name: 'Dusk' }], [dusk, noir])).toEqual({
+      added: [noir],
+      updated: [{ id: 'a1', look: { ...dusk, name: 'Dusk' } }],
+    });
+  });
+});
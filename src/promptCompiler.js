@@ -0,0 +1,337 @@
+import { dropdownData, visualStyles as visualStyleLists } from './dropdownData';
+import { sceneDialogueTimeline, parseStartTime, formatStartTime } from './dialogueTimeline';
+import { findOutputLanguage } from './promptLanguages';
+import { findOption } from './customOptions';
+import { cameraShotFields, sceneCameraMoves } from './cameraMoves';
+
+// Pure prompt compiler. A scene spec is a plain object:
+//   {
+//     characters: [{ id, name, type, details }],   // shared cast (savedCharacters)
+//     visualStyles: ['3D', 'Pixar Style'],         // shared visual style (selectedVisualStyles)
+//     characterActions: [{ charId, action, isMain }],
+//     expressions: { [charId]: 'Happy' },
+//     location, timeOfDay, lighting, videoMood, soundMusic, additionalDetails,
+//     cameraMoves: [{ motion, startTime }], shotSize, cameraAngle, focalLength, focusBehavior,   // see cameraMoves.js
+//     spokenDialogue: [{ charId, type, sentence, targetCharId, startTime }],   // the dialogue timeline, in order
+//     dialogueLanguage: 'jv',                      // optional, see promptLanguages.js
+//     customOptions: { cameraMotion: { custom: [...] } },   // optional, the user's entries (customOptions.js)
+//   }
+// Missing fields are treated as empty, so partial specs compile too. Legacy per-character
+// characterActions[].dialogueLines are read through the dialogue timeline (see dialogueTimeline.js),
+// and a legacy single cameraMotion as a one-move list.
+// Every sentence comes from a per-language phrase table, so the same spec compiles to
+// Indonesian ('id') or to a structured English Veo prompt ('en') without any network call.
+// The compiler doesn't translate: a dialogueLanguage other than 'asTyped' adds a note saying which
+// language the lines are spoken in, and MAKSIMALKAN translates them.
+
+// Order in which sections are joined into the final prompt
+export const promptSectionOrder = ['characters', 'actions', 'setting', 'camera', 'style', 'audio', 'dialogue', 'notes'];
+
+const lower = (value) => (value ? String(value).toLowerCase() : '');
+
+const withArticle = (word) => `${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}`;
+
+const findCharacter = (characters, charId) => characters.find(c => c.id === charId);
+
+// The stored animal2 age is already the detailed prompt phrase from dropdownData.animalAge
+const animalAgePhrase = (age) => dropdownData.animalAge.find(opt => opt.value === age)?.value;
+
+const endSentence = (text) => `${text.trim().replace(/\.+$/, '')}.`;
+
+const englishSectionLabels = {
+  characters: 'Characters',
+  actions: 'Action',
+  setting: 'Setting',
+  camera: 'Camera',
+  style: 'Style',
+  audio: 'Audio',
+  dialogue: 'Dialogue',
+  notes: 'Notes',
+};
+
+const phrases = {
+  id: {
+    describeCharacter: (char) => {
+      const details = char.details || {};
+      let charDesc = `${char.name} adalah ${char.type === 'human' ? 'seorang' : 'seekor'} `;
+      switch (char.type) {
+        case 'human':
+          charDesc += `manusia ${lower(details.gender)}`;
+          if (details.age) charDesc += ` berusia ${lower(details.age)}`;
+          if (details.skinColor) charDesc += ` dengan kulit ${lower(details.skinColor)}`;
+          if (details.bodyTypePosture) charDesc += ` berbadan ${lower(details.bodyTypePosture)}`;
+          if (details.clothingAccessories) charDesc += ` mengenakan ${lower(details.clothingAccessories)}`;
+          if (details.additionalDetail) charDesc += `, ${lower(details.additionalDetail)}`;
+          break;
+        case 'animal4':
+          charDesc += `hewan ${lower(details.animalType)}`;
+          if (details.clothingAccessories) charDesc += ` mengenakan ${lower(details.clothingAccessories)}`;
+          break;
+        case 'animal2':
+          charDesc += `hewan ${lower(details.animalType)} berjalan dengan dua kaki`;
+          if (details.gender) charDesc += ` berjenis kelamin ${lower(details.gender)}`;
+          if (animalAgePhrase(details.age)) charDesc += ` (${animalAgePhrase(details.age)})`;
+          if (details.bodyShapePosture) charDesc += ` berbadan ${lower(details.bodyShapePosture)}`;
+          if (details.furColors) charDesc += ` dengan bulu ${lower(details.furColors)}`;
+          if (details.furCharacteristic) charDesc += ` yang ${lower(details.furCharacteristic)}`;
+          if (details.clothingAccessories) charDesc += ` mengenakan ${lower(details.clothingAccessories)}`;
+          break;
+        case 'fantasy':
+          charDesc += 'makhluk fantasi';
+          if (typeof char.details === 'string' && char.details.trim()) charDesc += `. ${lower(char.details.trim())}`;
+          break;
+        default:
+          charDesc += 'karakter';
+      }
+      return endSentence(charDesc);
+    },
+    mainCharacters: (names) => `Karakter utama adalah ${names.join(' dan ')}.`,
+    action: (name, action, expression) => (action
+      ? `${name} sedang ${lower(action)}${expression ? ` dengan ekspresi ${lower(expression.id)}` : ''}.`
+      : `${name} dengan ekspresi ${lower(expression.id)}.`),
+    dialogue: {
+      'Ask a question': (name, target, sentence) => `${name} bertanya${target ? ` kepada ${target}` : ''}: "${sentence}"`,
+      'Give an answer': (name, target, sentence) => `${name} menjawab${target ? ` kepada ${target}` : ''}: "${sentence}"`,
+      'Berbicara ke Audiens': (name, target, sentence) => `${name} berbicara kepada audiens: "${sentence}"`,
+      default: (name, target, sentence) => `${name} berkata: "${sentence}"`,
+    },
+    spokenLanguage: (language) => `Semua dialog diucapkan dalam bahasa ${language.id}.`,
+    location: (location) => `Adegan berlangsung di ${lower(location)}.`,
+    timeOfDay: (option) => `Waktu kejadian adalah ${lower(option.id)}.`,
+    lighting: (option) => `Pencahayaan: ${lower(option.id)}.`,
+    cameraMoves: (moves) => `Gerakan kamera: ${moves
+      .map(({ motion, timecode }) => `${motion.id}${timecode ? ` pada ${timecode}` : ''}`)
+      .join(', lalu ')}.`,
+    shotSize: (option) => `Ukuran bidikan: ${option.id}.`,
+    cameraAngle: (option) => `Sudut kamera: ${option.id}.`,
+    focalLength: (option) => `Lensa: ${option.id}.`,
+    focusBehavior: (option) => `Fokus: ${option.id}.`,
+    visualStyles: (styles) => `Gaya visual video adalah ${styles.map(style => lower(style.id)).join(', ')}.`,
+    videoMood: (option) => `Suasana video: ${lower(option.id)}.`,
+    soundMusic: (sound) => `Latar belakang musik/suara: ${lower(sound)}.`,
+    additionalDetails: (details) => `Detail tambahan: ${details}.`,
+    sceneHeading: (index, title) => `### Adegan ${index + 1}: ${title || `Scene ${index + 1}`}`,
+    joinSections: (sections) => promptSectionOrder.map(name => sections[name]).filter(Boolean).join(' '),
+  },
+  en: {
+    describeCharacter: (char) => {
+      const details = char.details || {};
+      let charDesc = `${char.name} is `;
+      switch (char.type) {
+        case 'human':
+          charDesc += withArticle(details.gender ? `${lower(details.gender)} human` : 'human');
+          if (details.age) charDesc += `, age ${lower(details.age)}`;
+          if (details.skinColor) charDesc += `, with ${lower(details.skinColor)} skin`;
+          if (details.bodyTypePosture) charDesc += `, ${lower(details.bodyTypePosture)} build`;
+          if (details.clothingAccessories) charDesc += `, wearing ${lower(details.clothingAccessories)}`;
+          if (details.additionalDetail) charDesc += `, ${lower(details.additionalDetail)}`;
+          break;
+        case 'animal4':
+          charDesc += `${withArticle(lower(details.animalType) || 'animal')} walking naturally on four legs`;
+          if (details.clothingAccessories) charDesc += `, wearing ${lower(details.clothingAccessories)}`;
+          break;
+        case 'animal2':
+          charDesc += `an anthropomorphic ${lower(details.animalType) || 'animal'} with a realistic body, walking upright on two legs`;
+          if (details.gender) charDesc += `, ${lower(details.gender)}`;
+          if (animalAgePhrase(details.age)) charDesc += ` (${animalAgePhrase(details.age)})`;
+          if (details.bodyShapePosture) charDesc += `, ${lower(details.bodyShapePosture)} body`;
+          if (details.furColors || details.furCharacteristic) {
+            charDesc += `, with ${[lower(details.furCharacteristic), lower(details.furColors)].filter(Boolean).join(' ')} fur`;
+          }
+          if (details.clothingAccessories) charDesc += `, wearing ${lower(details.clothingAccessories)}`;
+          break;
+        case 'fantasy':
+          charDesc += 'a fantasy creature';
+          if (typeof char.details === 'string' && char.details.trim()) charDesc += `. ${char.details.trim()}`;
+          break;
+        default:
+          charDesc += 'a character';
+      }
+      return endSentence(charDesc);
+    },
+    mainCharacters: (names) => `The main ${names.length > 1 ? 'characters are' : 'character is'} ${names.join(' and ')}.`,
+    action: (name, action, expression) => (action
+      ? `${name}: ${action}${expression ? `, with ${withArticle(lower(expression.en))} expression` : ''}.`
+      : `${name} has ${withArticle(lower(expression.en))} expression.`),
+    dialogue: {
+      'Ask a question': (name, target, sentence) => `${name} asks${target ? ` ${target}` : ''}: "${sentence}"`,
+      'Give an answer': (name, target, sentence) => `${name} answers${target ? ` ${target}` : ''}: "${sentence}"`,
+      'Berbicara ke Audiens': (name, target, sentence) => `${name} speaks directly to the camera: "${sentence}"`,
+      default: (name, target, sentence) => `${name} says: "${sentence}"`,
+    },
+    spokenLanguage: (language) => `All dialogue is spoken in ${language.en}.`,
+    location: (location) => `Location: ${location}.`,
+    timeOfDay: (option) => `Time of day: ${lower(option.en)}.`,
+    lighting: (option) => `Lighting: ${lower(option.en)}.`,
+    cameraMoves: (moves) => `${moves.length > 1 ? 'Camera moves' : 'Camera motion'}: ${moves
+      .map(({ motion, timecode }) => `${lower(motion.en)}${timecode ? ` at ${timecode}` : ''}`)
+      .join(', then ')}.`,
+    shotSize: (option) => `Shot size: ${option.en}.`,
+    cameraAngle: (option) => `Camera angle: ${option.en}.`,
+    focalLength: (option) => `Lens: ${option.en}.`,
+    focusBehavior: (option) => `Focus: ${option.en}.`,
+    visualStyles: (styles) => `Visual style: ${styles.map(style => style.en).join(', ')}.`,
+    videoMood: (option) => `Mood: ${lower(option.en)}.`,
+    soundMusic: (sound) => `Background music/sound: ${sound}.`,
+    additionalDetails: (details) => `Additional details: ${details}.`,
+    sceneHeading: (index, title) => `### Scene ${index + 1}: ${title || `Scene ${index + 1}`}`,
+    // One labeled line per section, the structure Veo follows best
+    joinSections: (sections) => promptSectionOrder
+      .filter(name => sections[name])
+      .map(name => `${englishSectionLabels[name]}: ${sections[name]}`)
+      .join('\n'),
+  },
+};
+
+export const promptLanguages = Object.keys(phrases);
+
+// The language the offline template is written in for a prompt language (see promptLanguages.js);
+// other languages start from the English template and get their final prompt from MAKSIMALKAN
+export const templateLanguage = (promptLanguage) => (promptLanguages.includes(promptLanguage) ? promptLanguage : 'en');
+
+// Compile one scene into the prompt plus each of its sections, in 'id' or 'en'
+export const compilePrompt = (spec, language = 'id') => {
+  const text = phrases[language] || phrases.id;
+  const characters = spec.characters || [];
+  const characterActions = spec.characterActions || [];
+  const expressions = spec.expressions || {};
+  const visualStyles = spec.visualStyles || [];
+  const dialogueTimeline = sceneDialogueTimeline(spec);
+
+  const sections = {};
+  promptSectionOrder.forEach(name => { sections[name] = []; });
+
+  // Values from the choice lists are translated through their list (built-in or the user's own entries);
+  // anything not in it compiles as typed
+  const option = (category, value) => findOption(spec.customOptions, category, value) || { en: value, id: value };
+  // A visual style can come from any of the style lists
+  const styleOption = (value) => Object.keys(visualStyleLists)
+    .map(category => findOption(spec.customOptions, category, value))
+    .find(Boolean) || { en: value, id: value };
+
+  // One dialogue line, prefixed with its timecode when it has a valid start time
+  const describeDialogueLine = (speaker, line) => {
+    const target = findCharacter(characters, line.targetCharId);
+    const describe = text.dialogue[line.type] || text.dialogue.default;
+    const startTime = parseStartTime(line.startTime);
+    const timecode = Number.isFinite(startTime) ? `[${formatStartTime(startTime)}] ` : '';
+    return `${timecode}${describe(speaker.name, target ? target.name : '', line.sentence)}`;
+  };
+
+  // Characters
+  if (characters.length > 0) {
+    const mainCharacters = characterActions
+      .filter(ca => ca.isMain)
+      .map(ca => findCharacter(characters, ca.charId)?.name)
+      .filter(Boolean);
+    if (mainCharacters.length > 0) {
+      sections.characters.push(text.mainCharacters(mainCharacters));
+    }
+    characters.forEach(char => sections.characters.push(text.describeCharacter(char)));
+  }
+
+  // Actions & expressions
+  characterActions.forEach(ca => {
+    const character = findCharacter(characters, ca.charId);
+    if (!character) return;
+    const action = (ca.action || '').trim();
+    const charExpression = expressions[ca.charId];
+    if (action || charExpression) {
+      sections.actions.push(text.action(character.name, action, charExpression ? option('expression', charExpression) : null));
+    }
+  });
+
+  // Setting
+  if (spec.location) sections.setting.push(text.location(spec.location));
+  if (spec.timeOfDay) sections.setting.push(text.timeOfDay(option('timeOfDay', spec.timeOfDay)));
+  if (spec.lighting) sections.setting.push(text.lighting(option('lighting', spec.lighting)));
+
+  // Camera: the moves in order, each with its timecode when it has a valid start time, then the framing
+  const cameraMoves = sceneCameraMoves(spec)
+    .filter(move => move.motion)
+    .map(move => {
+      const startTime = parseStartTime(move.startTime);
+      return {
+        motion: option('cameraMotion', move.motion),
+        timecode: Number.isFinite(startTime) ? formatStartTime(startTime) : '',
+      };
+    });
+  if (cameraMoves.length > 0) sections.camera.push(text.cameraMoves(cameraMoves));
+  cameraShotFields.forEach(field => {
+    if (spec[field]) sections.camera.push(text[field](option(field, spec[field])));
+  });
+
+  // Style & mood
+  if (visualStyles.length > 0) sections.style.push(text.visualStyles(visualStyles.map(styleOption)));
+  if (spec.videoMood) sections.style.push(text.videoMood(option('videoMood', spec.videoMood)));
+
+  // Audio
+  if (spec.soundMusic) sections.audio.push(text.soundMusic(spec.soundMusic));
+
+  // Dialogue, in timeline order
+  dialogueTimeline.forEach(sd => {
+    const speaker = findCharacter(characters, sd.charId);
+    if (speaker && sd.sentence) {
+      sections.dialogue.push(describeDialogueLine(speaker, sd));
+    }
+  });
+  const dialogueLanguage = findOutputLanguage(spec.dialogueLanguage);
+  if (dialogueLanguage && sections.dialogue.length > 0) {
+    sections.dialogue.unshift(text.spokenLanguage(dialogueLanguage));
+  }
+
+  // Additional details
+  if (spec.additionalDetails) sections.notes.push(text.additionalDetails(spec.additionalDetails));
+
+  const joinedSections = {};
+  promptSectionOrder.forEach(name => { joinedSections[name] = sections[name].join(' '); });
+
+  return {
+    prompt: text.joinSections(joinedSections),
+    sections: joinedSections,
+  };
+};
+
+export const compileIndonesianPrompt = (spec) => compilePrompt(spec, 'id');
+
+export const compileEnglishPrompt = (spec) => compilePrompt(spec, 'en');
+
+// Storyboard prompts are joined under "### Adegan N: title" (or "### Scene N: title") headings
+export const sceneHeading = (index, title, language = 'id') => (phrases[language] || phrases.id).sceneHeading(index, title);
+
+const sceneHeadingPattern = /^###\s*(?:Adegan|Scene)\s+\d+(?::\s*(.*))?$/;
+
+// Compile every scene of a project ({ characters, visualStyles, scenes, dialogueLanguage, customOptions }).
+// A single scene compiles without a heading, exactly like compilePrompt.
+export const compileStoryboard = ({ characters, visualStyles, scenes, dialogueLanguage, customOptions }, language = 'id') => {
+  const compiledScenes = (scenes || []).map(scene => ({
+    title: scene.title || '',
+    ...compilePrompt({ ...scene, characters, visualStyles, dialogueLanguage, customOptions }, language),
+  }));
+  const prompt = compiledScenes.length === 1
+    ? compiledScenes[0].prompt
+    : compiledScenes.map((scene, index) => `${sceneHeading(index, scene.title, language)}\n${scene.prompt}`).join('\n\n');
+  return { prompt, scenes: compiledScenes };
+};
+
+export const compileIndonesianStoryboard = (project) => compileStoryboard(project, 'id');
+
+export const compileEnglishStoryboard = (project) => compileStoryboard(project, 'en');
+
+// Split an (edited) storyboard prompt back into its scenes; text without headings is one scene
+export const splitScenePrompts = (text) => {
+  const blocks = [];
+  (text || '').split('\n').forEach(line => {
+    const heading = line.trim().match(sceneHeadingPattern);
+    if (heading) {
+      blocks.push({ title: heading[1] ? heading[1].trim() : '', lines: [] });
+    } else if (blocks.length > 0) {
+      blocks[blocks.length - 1].lines.push(line);
+    } else if (line.trim()) {
+      blocks.push({ title: '', lines: [line] });
+    }
+  });
+  return blocks
+    .map(block => ({ title: block.title, body: block.lines.join('\n').trim() }))
+    .filter(block => block.body);
+};
@@ -0,0 +1,474 @@
+import {
+  compileIndonesianPrompt,
+  compileEnglishPrompt,
+  compileIndonesianStoryboard,
+  compileEnglishStoryboard,
+  splitScenePrompts,
+  promptSectionOrder,
+  templateLanguage,
+} from './promptCompiler';
+
+const human = {
+  id: 'h1',
+  name: 'Budi',
+  type: 'human',
+  details: {
+    gender: 'Male',
+    age: '22 Tahun',
+    skinColor: 'Olive',
+    bodyTypePosture: 'Athletic',
+    clothingAccessories: 'Blue T-shirt',
+    additionalDetail: 'Has a scar on left cheek',
+  },
+};
+
+const dog = {
+  id: 'a4',
+  name: 'Bruno',
+  type: 'animal4',
+  details: { animalType: 'Golden Retriever', clothingAccessories: 'Small red collar' },
+};
+
+const bear = {
+  id: 'a2',
+  name: 'Pak Beruang',
+  type: 'animal2',
+  details: {
+    animalType: 'Bear',
+    gender: 'Male',
+    age: 'ancient creature, long beard, wise eyes, walking cane',
+    bodyShapePosture: 'Stocky',
+    furColors: 'Brown and White',
+    furCharacteristic: 'Fluffy',
+    clothingAccessories: 'Small hat',
+  },
+};
+
+const dragon = {
+  id: 'f1',
+  name: 'Naga',
+  type: 'fantasy',
+  details: 'A dragon with shimmering scales.',
+};
+
+describe('compileIndonesianPrompt', () => {
+  it('returns empty output for an empty spec', () => {
+    const { prompt, sections } = compileIndonesianPrompt({});
+    expect(prompt).toBe('');
+    expect(Object.keys(sections)).toEqual(promptSectionOrder);
+    promptSectionOrder.forEach(name => expect(sections[name]).toBe(''));
+  });
+
+  it('describes a human character', () => {
+    const { sections } = compileIndonesianPrompt({ characters: [human] });
+    expect(sections.characters).toBe(
+      'Budi adalah seorang manusia male berusia 22 tahun dengan kulit olive berbadan athletic mengenakan blue t-shirt, has a scar on left cheek.'
+    );
+  });
+
+  it('describes a four-legged animal', () => {
+    const { sections } = compileIndonesianPrompt({ characters: [dog] });
+    expect(sections.characters).toBe('Bruno adalah seekor hewan golden retriever mengenakan small red collar.');
+  });
+
+  it('describes a two-legged animal with its own age phrase', () => {
+    const { sections } = compileIndonesianPrompt({ characters: [bear] });
+    expect(sections.characters).toBe(
+      'Pak Beruang adalah seekor hewan bear berjalan dengan dua kaki berjenis kelamin male ' +
+      '(ancient creature, long beard, wise eyes, walking cane) berbadan stocky dengan bulu brown and white yang fluffy mengenakan small hat.'
+    );
+  });
+
+  it('describes a fantasy creature without doubling the final period', () => {
+    const { sections } = compileIndonesianPrompt({ characters: [dragon] });
+    expect(sections.characters).toBe('Naga adalah seekor makhluk fantasi. a dragon with shimmering scales.');
+  });
+
+  it('describes a fantasy creature without a manual description', () => {
+    const { sections } = compileIndonesianPrompt({ characters: [{ ...dragon, details: '' }] });
+    expect(sections.characters).toBe('Naga adalah seekor makhluk fantasi.');
+  });
+
+  it('names the main characters before the descriptions', () => {
+    const { sections } = compileIndonesianPrompt({
+      characters: [human, dog],
+      characterActions: [
+        { charId: 'h1', action: 'Berlari', isMain: true, dialogueLines: [] },
+        { charId: 'a4', action: 'Menggonggong', isMain: true, dialogueLines: [] },
+      ],
+    });
+    expect(sections.characters.startsWith('Karakter utama adalah Budi dan Bruno.')).toBe(true);
+  });
+
+  it('compiles actions with expressions and skips empty ones', () => {
+    const { sections } = compileIndonesianPrompt({
+      characters: [human, dog, bear],
+      characterActions: [
+        { charId: 'h1', action: 'Berlari', isMain: false, dialogueLines: [] },
+        { charId: 'a4', action: '', isMain: false, dialogueLines: [] },
+        { charId: 'a2', action: '', isMain: false, dialogueLines: [] },
+        { charId: 'missing', action: 'Terbang', isMain: false, dialogueLines: [] },
+      ],
+      expressions: { h1: 'Happy', a2: 'Worried' },
+    });
+    expect(sections.actions).toBe('Budi sedang berlari dengan ekspresi senang. Pak Beruang dengan ekspresi khawatir.');
+  });
+
+  it('compiles every dialogue type from legacy per-character lines', () => {
+    const { sections } = compileIndonesianPrompt({
+      characters: [human, dog],
+      characterActions: [{
+        charId: 'h1',
+        action: 'Berbicara',
+        isMain: false,
+        dialogueLines: [
+          { type: 'Ask a question', sentence: 'Mau ke mana?', targetCharId: 'a4' },
+          { type: 'Give an answer', sentence: 'Ke pasar.' },
+          { type: 'Berbicara ke Audiens', sentence: 'Halo semua!' },
+          { type: '', sentence: 'Hmm.' },
+          { type: 'Ask a question', sentence: '' },
+        ],
+      }],
+    });
+    expect(sections.dialogue).toBe(
+      'Budi bertanya kepada Bruno: "Mau ke mana?" Budi menjawab: "Ke pasar." ' +
+      'Budi berbicara kepada audiens: "Halo semua!" Budi berkata: "Hmm."'
+    );
+  });
+
+  it('compiles every dialogue type from spoken dialogue after the per-character lines', () => {
+    const { sections } = compileIndonesianPrompt({
+      characters: [human, dog],
+      characterActions: [{
+        charId: 'a4',
+        action: '',
+        isMain: false,
+        dialogueLines: [{ type: 'Berbicara ke Audiens', sentence: 'Guk!' }],
+      }],
+      spokenDialogue: [
+        { charId: 'h1', type: 'Ask a question', sentence: 'Lapar?', targetCharId: 'a4' },
+        { charId: 'a4', type: 'Give an answer', sentence: 'Guk guk.', targetCharId: 'h1' },
+        { charId: 'h1', type: 'Berbicara ke Audiens', sentence: 'Lihat dia!', targetCharId: '' },
+        { charId: '', type: 'Give an answer', sentence: 'Tanpa pembicara' },
+      ],
+    });
+    expect(sections.dialogue).toBe(
+      'Bruno berbicara kepada audiens: "Guk!" Budi bertanya kepada Bruno: "Lapar?" ' +
+      'Bruno menjawab kepada Budi: "Guk guk." Budi berbicara kepada audiens: "Lihat dia!"'
+    );
+  });
+
+  it('compiles the dialogue timeline in order with timecodes for valid start times', () => {
+    const { sections } = compileIndonesianPrompt({
+      characters: [human, dog],
+      spokenDialogue: [
+        { id: 'l1', charId: 'a4', type: '', sentence: 'Guk!', startTime: '0:01' },
+        { id: 'l2', charId: 'h1', type: 'Ask a question', sentence: 'Lapar?', targetCharId: 'a4', startTime: '2.5' },
+        { id: 'l3', charId: 'a4', type: '', sentence: 'Guk guk.', startTime: 'nanti' },
+      ],
+    });
+    expect(sections.dialogue).toBe(
+      '[0:01] Bruno berkata: "Guk!" [0:02.5] Budi bertanya kepada Bruno: "Lapar?" Bruno berkata: "Guk guk."'
+    );
+  });
+
+  it('names the spoken language when the dialogue is to be translated', () => {
+    const spec = { characters: [dog], spokenDialogue: [{ id: 'l1', charId: 'a4', type: '', sentence: 'Guk!' }] };
+    expect(compileIndonesianPrompt({ ...spec, dialogueLanguage: 'jv' }).sections.dialogue)
+      .toBe('Semua dialog diucapkan dalam bahasa Jawa. Bruno berkata: "Guk!"');
+    expect(compileEnglishPrompt({ ...spec, dialogueLanguage: 'jv' }).sections.dialogue)
+      .toBe('All dialogue is spoken in Javanese. Bruno says: "Guk!"');
+    expect(compileEnglishPrompt({ ...spec, dialogueLanguage: 'asTyped' }).sections.dialogue).toBe('Bruno says: "Guk!"');
+    expect(compileEnglishPrompt({ characters: [dog], dialogueLanguage: 'jv' }).sections.dialogue).toBe('');
+  });
+
+  it('compiles setting, camera, style, audio and notes', () => {
+    const { sections } = compileIndonesianPrompt({
+      location: 'Di Hutan Lebat',
+      timeOfDay: 'Golden Hour',
+      lighting: 'Soft lighting',
+      cameraMotion: 'Dolly In',
+      visualStyles: ['3D', 'Pixar Style'],
+      videoMood: 'Cozy',
+      soundMusic: 'Cheerful piano music',
+      additionalDetails: 'Fast pace',
+    });
+    expect(sections.setting).toBe('Adegan berlangsung di di hutan lebat. Waktu kejadian adalah jam emas (golden hour). Pencahayaan: pencahayaan lembut.');
+    expect(sections.camera).toBe('Gerakan kamera: Gerakan Dolly Masuk.');
+    expect(sections.style).toBe('Gaya visual video adalah 3d, gaya pixar. Suasana video: hangat.');
+    expect(sections.audio).toBe('Latar belakang musik/suara: cheerful piano music.');
+    expect(sections.notes).toBe('Detail tambahan: Fast pace.');
+  });
+
+  it("uses the Indonesian label of the user's own camera motions", () => {
+    const customOptions = { cameraMotion: { custom: [{ en: 'Snorricam', id: 'Kamera di badan' }] } };
+    expect(compileIndonesianPrompt({ cameraMotion: 'Snorricam', customOptions }).sections.camera).toBe('Gerakan kamera: Kamera di badan.');
+    expect(compileIndonesianPrompt({ cameraMotion: 'Snorricam' }).sections.camera).toBe('Gerakan kamera: Snorricam.');
+  });
+
+  it("uses the Indonesian label of the user's own lighting, time of day and mood", () => {
+    const customOptions = {
+      lighting: { custom: [{ en: 'Neon rim light', id: 'Cahaya tepi neon' }] },
+      timeOfDay: { custom: [{ en: 'Midnight', id: 'Tengah malam' }] },
+      videoMood: { custom: [{ en: 'Nostalgic', id: 'Penuh kenangan' }] },
+    };
+    const spec = { lighting: 'Neon rim light', timeOfDay: 'Midnight', videoMood: 'Nostalgic' };
+    const { sections } = compileIndonesianPrompt({ ...spec, customOptions });
+    expect(sections.setting).toBe('Waktu kejadian adalah tengah malam. Pencahayaan: cahaya tepi neon.');
+    expect(sections.style).toBe('Suasana video: penuh kenangan.');
+    expect(compileIndonesianPrompt(spec).sections.setting).toBe('Waktu kejadian adalah midnight. Pencahayaan: neon rim light.');
+    expect(compileEnglishPrompt({ ...spec, customOptions }).sections.setting).toBe('Time of day: midnight. Lighting: neon rim light.');
+  });
+
+  it("uses the Indonesian label of the user's own visual styles", () => {
+    const customOptions = { artisticStyle: { custom: [{ en: 'Paper cutout', id: 'Potongan kertas' }] } };
+    const spec = { visualStyles: ['Claymation', 'Paper cutout'], customOptions };
+    expect(compileIndonesianPrompt(spec).sections.style).toBe('Gaya visual video adalah animasi tanah liat, potongan kertas.');
+    expect(compileEnglishPrompt(spec).sections.style).toBe('Visual style: Claymation, Paper cutout.');
+    expect(compileIndonesianPrompt({ visualStyles: ['Paper cutout'] }).sections.style).toBe('Gaya visual video adalah paper cutout.');
+  });
+
+  it("uses the Indonesian label of the user's own expressions", () => {
+    const customOptions = { expression: { custom: [{ en: 'Smug', id: 'Puas diri' }] } };
+    const { sections } = compileIndonesianPrompt({
+      characters: [human],
+      characterActions: [{ charId: 'h1', action: 'Tersenyum', isMain: false }],
+      expressions: { h1: 'Smug' },
+      customOptions,
+    });
+    expect(sections.actions).toBe('Budi sedang tersenyum dengan ekspresi puas diri.');
+  });
+
+  describe('camera block', () => {
+    const camera = {
+      cameraMoves: [
+        { id: 'move-1', motion: 'Dolly In', startTime: '' },
+        { id: 'move-2', motion: '', startTime: '2' },
+        { id: 'move-3', motion: 'Whip Pan', startTime: '3.5' },
+      ],
+      shotSize: 'Medium Close-Up (MCU)',
+      cameraAngle: 'Low Angle',
+      focalLength: '85mm portrait',
+      focusBehavior: 'Rack focus',
+    };
+
+    it('compiles the moves in order with their timing, then the framing, in Indonesian', () => {
+      expect(compileIndonesianPrompt(camera).sections.camera).toBe(
+        'Gerakan kamera: Gerakan Dolly Masuk, lalu Geser Cepat pada 0:03.5. Ukuran bidikan: Setengah Dekat (MCU). '
+        + 'Sudut kamera: Sudut Rendah. Lensa: 85mm potret. Fokus: Pindah fokus (rack focus).'
+      );
+    });
+
+    it('compiles the same block in English', () => {
+      expect(compileEnglishPrompt(camera).sections.camera).toBe(
+        'Camera moves: dolly in, then whip pan at 0:03.5. Shot size: Medium Close-Up (MCU). '
+        + 'Camera angle: Low Angle. Lens: 85mm portrait. Focus: Rack focus.'
+      );
+      expect(compileEnglishPrompt({ cameraMoves: [{ motion: 'Dolly In', startTime: '1' }] }).sections.camera)
+        .toBe('Camera motion: dolly in at 0:01.');
+    });
+
+    it('reads the move list instead of a legacy camera motion and compiles unknown values as typed', () => {
+      expect(compileEnglishPrompt({ cameraMotion: 'Pan Left', cameraMoves: [], cameraAngle: 'Dutch tilt' }).sections.camera)
+        .toBe('Camera angle: Dutch tilt.');
+    });
+
+    it("uses the Indonesian labels of the user's own framing entries", () => {
+      const customOptions = { focalLength: { custom: [{ en: '200mm super telephoto', id: '200mm super telefoto' }] } };
+      expect(compileIndonesianPrompt({ focalLength: '200mm super telephoto', customOptions }).sections.camera)
+        .toBe('Lensa: 200mm super telefoto.');
+    });
+  });
+
+  it('joins the non-empty sections in order', () => {
+    const { prompt, sections } = compileIndonesianPrompt({
+      characters: [dog],
+      characterActions: [{ charId: 'a4', action: 'Berlari', isMain: false, dialogueLines: [] }],
+      location: 'Taman',
+      soundMusic: 'Burung berkicau',
+    });
+    expect(prompt).toBe([sections.characters, sections.actions, sections.setting, sections.audio].join(' '));
+  });
+});
+
+describe('compileEnglishPrompt', () => {
+  it('returns empty output for an empty spec', () => {
+    expect(compileEnglishPrompt({}).prompt).toBe('');
+  });
+
+  it('describes a human character', () => {
+    const { sections } = compileEnglishPrompt({ characters: [human] });
+    expect(sections.characters).toBe(
+      'Budi is a male human, age 22 tahun, with olive skin, athletic build, wearing blue t-shirt, has a scar on left cheek.'
+    );
+  });
+
+  it('describes a four-legged animal', () => {
+    const { sections } = compileEnglishPrompt({ characters: [dog] });
+    expect(sections.characters).toBe('Bruno is a golden retriever walking naturally on four legs, wearing small red collar.');
+  });
+
+  it('describes a two-legged animal', () => {
+    const { sections } = compileEnglishPrompt({ characters: [bear] });
+    expect(sections.characters).toBe(
+      'Pak Beruang is an anthropomorphic bear with a realistic body, walking upright on two legs, male ' +
+      '(ancient creature, long beard, wise eyes, walking cane), stocky body, with fluffy brown and white fur, wearing small hat.'
+    );
+  });
+
+  it('describes a fantasy creature', () => {
+    const { sections } = compileEnglishPrompt({ characters: [dragon] });
+    expect(sections.characters).toBe('Naga is a fantasy creature. A dragon with shimmering scales.');
+  });
+
+  it('uses the right article for characters without details', () => {
+    const { sections } = compileEnglishPrompt({
+      characters: [
+        { id: 'x', name: 'X', type: 'human', details: {} },
+        { id: 'y', name: 'Y', type: 'animal4', details: { animalType: 'Owl' } },
+      ],
+    });
+    expect(sections.characters).toBe('X is a human. Y is an owl walking naturally on four legs.');
+  });
+
+  it('compiles main characters, actions and expressions', () => {
+    const { sections } = compileEnglishPrompt({
+      characters: [human, dog],
+      characterActions: [
+        { charId: 'h1', action: 'running to the market', isMain: true, dialogueLines: [] },
+        { charId: 'a4', action: '', isMain: false, dialogueLines: [] },
+      ],
+      expressions: { h1: 'Happy', a4: 'Excited' },
+    });
+    expect(sections.characters.startsWith('The main character is Budi.')).toBe(true);
+    expect(sections.actions).toBe('Budi: running to the market, with a happy expression. Bruno has an excited expression.');
+  });
+
+  it('compiles every dialogue type from both dialogue lists', () => {
+    const { sections } = compileEnglishPrompt({
+      characters: [human, dog],
+      characterActions: [{
+        charId: 'h1',
+        action: '',
+        isMain: false,
+        dialogueLines: [
+          { type: 'Ask a question', sentence: 'Mau ke mana?', targetCharId: 'a4' },
+          { type: '', sentence: 'Hmm.' },
+        ],
+      }],
+      spokenDialogue: [
+        { charId: 'a4', type: 'Give an answer', sentence: 'Guk guk.', targetCharId: 'h1' },
+        { charId: 'h1', type: 'Berbicara ke Audiens', sentence: 'Lihat dia!' },
+      ],
+    });
+    expect(sections.dialogue).toBe(
+      'Budi asks Bruno: "Mau ke mana?" Budi says: "Hmm." Bruno answers Budi: "Guk guk." Budi speaks directly to the camera: "Lihat dia!"'
+    );
+  });
+
+  it('builds one labeled line per section', () => {
+    const { prompt } = compileEnglishPrompt({
+      characters: [dog],
+      location: 'A dense forest',
+      timeOfDay: 'Golden Hour',
+      lighting: 'Soft lighting',
+      cameraMotion: 'Dolly In',
+      visualStyles: ['3D', 'Pixar Style'],
+      videoMood: 'Cozy',
+      soundMusic: 'cheerful piano music',
+      additionalDetails: 'Fast pace',
+    });
+    expect(prompt.split('\n')).toEqual([
+      'Characters: Bruno is a golden retriever walking naturally on four legs, wearing small red collar.',
+      'Setting: Location: A dense forest. Time of day: golden hour. Lighting: soft lighting.',
+      'Camera: Camera motion: dolly in.',
+      'Style: Visual style: 3D, Pixar Style. Mood: cozy.',
+      'Audio: Background music/sound: cheerful piano music.',
+      'Notes: Additional details: Fast pace.',
+    ]);
+  });
+
+  it('is deterministic', () => {
+    const spec = { characters: [human, bear], location: 'Pasar', cameraMotion: 'Whip Pan' };
+    expect(compileEnglishPrompt(spec)).toEqual(compileEnglishPrompt(spec));
+  });
+});
+
+describe('compileIndonesianStoryboard', () => {
+  const project = {
+    characters: [dog],
+    visualStyles: ['2D'],
+    scenes: [
+      { title: 'Pagi', location: 'Rumah', characterActions: [] },
+      { title: '', location: 'Taman', characterActions: [] },
+    ],
+  };
+
+  it('compiles a single scene without a heading', () => {
+    const { prompt, scenes } = compileIndonesianStoryboard({ ...project, scenes: [project.scenes[0]] });
+    expect(prompt).toBe(scenes[0].prompt);
+    expect(prompt).not.toContain('###');
+  });
+
+  it('repeats the cast in every scene under numbered headings', () => {
+    const { prompt, scenes } = compileIndonesianStoryboard(project);
+    expect(scenes).toHaveLength(2);
+    scenes.forEach(scene => {
+      expect(scene.sections.characters).toBe('Bruno adalah seekor hewan golden retriever mengenakan small red collar.');
+      expect(scene.sections.style).toBe('Gaya visual video adalah 2d.');
+    });
+    expect(prompt).toBe(`### Adegan 1: Pagi\n${scenes[0].prompt}\n\n### Adegan 2: Scene 2\n${scenes[1].prompt}`);
+  });
+
+  it('round-trips through splitScenePrompts', () => {
+    const { prompt, scenes } = compileIndonesianStoryboard(project);
+    expect(splitScenePrompts(prompt)).toEqual([
+      { title: 'Pagi', body: scenes[0].prompt },
+      { title: 'Scene 2', body: scenes[1].prompt },
+    ]);
+  });
+});
+
+describe('compileEnglishStoryboard', () => {
+  it('uses English scene headings that splitScenePrompts understands', () => {
+    const { prompt, scenes } = compileEnglishStoryboard({
+      characters: [dog],
+      visualStyles: [],
+      scenes: [{ title: 'Morning', location: 'Home' }, { title: 'Park', location: 'Park' }],
+    });
+    expect(prompt.startsWith('### Scene 1: Morning\n')).toBe(true);
+    expect(splitScenePrompts(prompt)).toEqual([
+      { title: 'Morning', body: scenes[0].prompt },
+      { title: 'Park', body: scenes[1].prompt },
+    ]);
+  });
+
+  it('passes the dialogue language to every scene', () => {
+    const { scenes } = compileEnglishStoryboard({
+      characters: [dog],
+      dialogueLanguage: 'id',
+      scenes: [1, 2].map(n => ({ title: `${n}`, spokenDialogue: [{ id: `l${n}`, charId: 'a4', type: '', sentence: 'Guk!' }] })),
+    });
+    scenes.forEach(scene => expect(scene.sections.dialogue).toMatch(/^All dialogue is spoken in Indonesian\./));
+  });
+});
+
+describe('templateLanguage', () => {
+  it('uses the compiler for English and Indonesian and the English template otherwise', () => {
+    expect(['en', 'id', 'jv'].map(templateLanguage)).toEqual(['en', 'id', 'en']);
+  });
+});
+
+describe('splitScenePrompts', () => {
+  it('treats text without headings as one scene', () => {
+    expect(splitScenePrompts('Satu adegan saja.')).toEqual([{ title: '', body: 'Satu adegan saja.' }]);
+  });
+
+  it('drops empty scenes', () => {
+    expect(splitScenePrompts('### Adegan 1: Kosong\n\n### Adegan 2\nIsi')).toEqual([{ title: '', body: 'Isi' }]);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(splitScenePrompts('')).toEqual([]);
+  });
+});
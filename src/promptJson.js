@@ -0,0 +1,237 @@
+import { compileIndonesianPrompt, compileEnglishPrompt } from './promptCompiler';
+import { sceneDialogueTimeline, createDialogueLine, parseStartTime } from './dialogueTimeline';
+import { createCameraMove, sceneCameraMoves } from './cameraMoves';
+import { DIALOGUE_AS_TYPED, defaultLanguageSettings, findOutputLanguage } from './promptLanguages';
+
+// Structured JSON prompt format, for scripts that generate or consume Veo prompts in bulk.
+//
+//   {
+//     "schema": "veo3-animation-prompter/prompt",
+//     "version": 1,
+//     "language": { "prompt": "en", "dialogue": "asTyped" },         // codes from promptLanguages.js
+//     "scenes": [
+//       {
+//         "title": "Scene 1",
+//         "subject": [                      // the full cast, repeated in every scene
+//           { "id": "1718000000000", "name": "Budi", "type": "human" | "animal4" | "animal2" | "fantasy",
+//             "details": { ... } | "free text for fantasy", "main": true,
+//             "description": "Budi is a male human, ..." }            // derived, ignored on import
+//         ],
+//         "action": [{ "character": "<subject id>", "action": "berlari", "expression": "Happy" }],
+//         "scene": { "location": "di hutan lebat", "timeOfDay": "Golden Hour" },
+//         "camera": {                                                  // English values from dropdownData
+//           "moves": [{ "motion": "Dolly In" }, { "motion": "Whip Pan", "start": 3 }],   // in order; "start" is optional
+//           "motion": "Dolly In",                                      // the first move, for readers of the single motion
+//           "shotSize": "Medium Shot (MS)", "angle": "Low Angle", "focalLength": "35mm", "focus": "Rack focus"
+//         },
+//         "lighting": "Soft lighting",
+//         "style": { "visual": ["3D", "Pixar Style"], "mood": "Cozy" },
+//         "audio": { "music": "cheerful piano music" },
+//         "dialogue": [{ "speaker": "<subject id>", "type": "Ask a question" | "Give an answer" | "Berbicara ke Audiens" | "",
+//                        "target": "<subject id>", "line": "Mau ke mana?",
+//                        "start": 2.5 }],                               // in speaking order; "start" (seconds) is optional
+//         "notes": "Fast pace",
+//         "prompt": { "id": "...", "en": "..." }                       // derived, ignored on import
+//       }
+//     ]
+//   }
+//
+// Every key except "scenes" is optional on import, unknown languages fall back to an English prompt with
+// the dialogue as typed; "style.visual" is read from the first scene
+// because the visual style is shared by the whole storyboard.
+
+export const PROMPT_JSON_SCHEMA = 'veo3-animation-prompter/prompt';
+export const PROMPT_JSON_VERSION = 1;
+
+const characterTypes = ['human', 'animal4', 'animal2', 'fantasy'];
+
+const asString = (value) => (typeof value === 'string' ? value : value == null ? '' : String(value));
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// Serialize a project ({ characters, visualStyles, scenes, promptLanguage, dialogueLanguage, customOptions })
+// into the documented JSON shape
+export const toPromptJson = ({
+  characters,
+  visualStyles,
+  scenes,
+  customOptions,
+  promptLanguage = defaultLanguageSettings.promptLanguage,
+  dialogueLanguage = defaultLanguageSettings.dialogueLanguage,
+}) => ({
+  schema: PROMPT_JSON_SCHEMA,
+  version: PROMPT_JSON_VERSION,
+  language: { prompt: promptLanguage, dialogue: dialogueLanguage },
+  scenes: (scenes || []).map((scene, index) => {
+    const spec = { ...scene, characters, visualStyles, dialogueLanguage, customOptions };
+    const indonesian = compileIndonesianPrompt(spec);
+    const english = compileEnglishPrompt(spec);
+    const characterActions = scene.characterActions || [];
+    const expressions = scene.expressions || {};
+
+    const subject = (characters || []).map(char => ({
+      id: char.id,
+      name: char.name,
+      type: char.type,
+      details: char.details,
+      main: characterActions.some(ca => ca.charId === char.id && ca.isMain),
+      description: compileEnglishPrompt({ characters: [char] }).sections.characters,
+    }));
+
+    // Dialogue follows the timeline, the order the compiler emits it in
+    const dialogue = sceneDialogueTimeline(scene)
+      .filter(line => line.sentence)
+      .map(line => {
+        const start = parseStartTime(line.startTime);
+        return {
+          speaker: line.charId,
+          type: line.type || '',
+          target: line.targetCharId || '',
+          line: line.sentence,
+          ...(Number.isFinite(start) ? { start } : {}),
+        };
+      });
+
+    const moves = sceneCameraMoves(scene)
+      .filter(move => move.motion)
+      .map(move => {
+        const start = parseStartTime(move.startTime);
+        return { motion: move.motion, ...(Number.isFinite(start) ? { start } : {}) };
+      });
+
+    return {
+      title: scene.title || `Scene ${index + 1}`,
+      subject,
+      action: characterActions.map(ca => ({
+        character: ca.charId,
+        action: ca.action || '',
+        expression: expressions[ca.charId] || '',
+      })),
+      scene: { location: scene.location || '', timeOfDay: scene.timeOfDay || '' },
+      camera: {
+        moves,
+        motion: moves.length > 0 ? moves[0].motion : '',
+        shotSize: scene.shotSize || '',
+        angle: scene.cameraAngle || '',
+        focalLength: scene.focalLength || '',
+        focus: scene.focusBehavior || '',
+      },
+      lighting: scene.lighting || '',
+      style: { visual: visualStyles || [], mood: scene.videoMood || '' },
+      audio: { music: scene.soundMusic || '' },
+      dialogue,
+      notes: scene.additionalDetails || '',
+      prompt: { id: indonesian.prompt, en: english.prompt },
+    };
+  }),
+});
+
+// Parse and validate a JSON prompt document back into a project ({ characters, visualStyles, scenes,
+// promptLanguage, dialogueLanguage }).
+// Throws an Error with a readable message when the document can't be used.
+export const fromPromptJson = (input) => {
+  let json = input;
+  if (typeof input === 'string') {
+    try {
+      json = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!json || typeof json !== 'object') {
+    throw new Error('The JSON prompt must be an object.');
+  }
+  if (json.schema && json.schema !== PROMPT_JSON_SCHEMA) {
+    throw new Error(`Unknown schema "${json.schema}". Expected "${PROMPT_JSON_SCHEMA}".`);
+  }
+  if (json.version && json.version > PROMPT_JSON_VERSION) {
+    throw new Error(`JSON prompt version ${json.version} is newer than this app supports (${PROMPT_JSON_VERSION}).`);
+  }
+  const jsonScenes = asArray(json.scenes);
+  if (jsonScenes.length === 0) {
+    throw new Error('The JSON prompt has no scenes.');
+  }
+
+  // The cast is shared, so subjects from every scene are merged by id
+  const characters = [];
+  jsonScenes.forEach(jsonScene => {
+    asArray(jsonScene.subject).forEach(subject => {
+      if (!subject || !asString(subject.name).trim()) return;
+      const id = asString(subject.id) || `${Date.now()}-${characters.length}`;
+      if (characters.some(c => c.id === id)) return;
+      const type = characterTypes.includes(subject.type) ? subject.type : 'fantasy';
+      const details = type === 'fantasy'
+        ? asString(subject.details || subject.description)
+        : (subject.details && typeof subject.details === 'object' ? subject.details : {});
+      characters.push({ id, name: asString(subject.name).trim(), type, details });
+    });
+  });
+  const characterIds = characters.map(c => c.id);
+  const knownId = (id) => (characterIds.includes(asString(id)) ? asString(id) : '');
+
+  const firstStyle = jsonScenes[0].style || {};
+  const visualStyles = asArray(firstStyle.visual).map(asString).filter(Boolean);
+
+  const scenes = jsonScenes.map(jsonScene => {
+    const mainIds = asArray(jsonScene.subject).filter(s => s && s.main).map(s => knownId(s.id)).filter(Boolean);
+    const characterActions = [];
+    const expressions = {};
+    asArray(jsonScene.action).forEach(entry => {
+      const charId = knownId(entry && entry.character);
+      if (!charId || characterActions.some(ca => ca.charId === charId)) return;
+      characterActions.push({ charId, action: asString(entry.action), isMain: mainIds.includes(charId) });
+      if (entry.expression) expressions[charId] = asString(entry.expression);
+    });
+    // Main characters without an action still need an action entry to carry the flag
+    mainIds.forEach(charId => {
+      if (!characterActions.some(ca => ca.charId === charId)) {
+        characterActions.push({ charId, action: '', isMain: true });
+      }
+    });
+
+    const sceneInfo = jsonScene.scene || {};
+    const style = jsonScene.style || {};
+    const camera = jsonScene.camera || {};
+    // Documents written before the move list only have "motion"
+    const moves = Array.isArray(camera.moves) ? camera.moves : [{ motion: camera.motion }];
+    return {
+      title: asString(jsonScene.title),
+      selectedCharactersForActions: characterActions.map(ca => ca.charId),
+      characterActions,
+      expressions,
+      location: asString(sceneInfo.location),
+      timeOfDay: asString(sceneInfo.timeOfDay),
+      cameraMoves: moves
+        .filter(move => move && asString(move.motion))
+        .map(move => createCameraMove({
+          motion: asString(move.motion),
+          startTime: Number.isFinite(move.start) ? String(move.start) : '',
+        })),
+      shotSize: asString(camera.shotSize),
+      cameraAngle: asString(camera.angle),
+      focalLength: asString(camera.focalLength),
+      focusBehavior: asString(camera.focus),
+      lighting: asString(jsonScene.lighting),
+      videoMood: asString(style.mood),
+      soundMusic: asString((jsonScene.audio || {}).music),
+      spokenDialogue: asArray(jsonScene.dialogue)
+        .filter(entry => entry && knownId(entry.speaker))
+        .map(entry => createDialogueLine({
+          charId: knownId(entry.speaker),
+          type: asString(entry.type),
+          sentence: asString(entry.line),
+          targetCharId: knownId(entry.target),
+          startTime: Number.isFinite(entry.start) ? String(entry.start) : '',
+        })),
+      additionalDetails: asString(jsonScene.notes),
+    };
+  });
+
+  const language = json.language || {};
+  const promptLanguage = findOutputLanguage(language.prompt) ? language.prompt : defaultLanguageSettings.promptLanguage;
+  const dialogueLanguage = language.dialogue === DIALOGUE_AS_TYPED || findOutputLanguage(language.dialogue)
+    ? language.dialogue
+    : defaultLanguageSettings.dialogueLanguage;
+
+  return { characters, visualStyles, scenes, promptLanguage, dialogueLanguage };
+};
@@ -0,0 +1,120 @@
+import { toPromptJson, fromPromptJson, PROMPT_JSON_SCHEMA } from './promptJson';
+import { compileIndonesianPrompt } from './promptCompiler';
+
+const project = {
+  characters: [
+    { id: 'c1', name: 'Kancil', type: 'animal2', details: { animalType: 'Mouse deer', furColors: 'brown' } },
+    { id: 'c2', name: 'Buaya', type: 'fantasy', details: 'A giant crocodile with golden scales' },
+  ],
+  visualStyles: ['2D', 'Ghibli Style'],
+  scenes: [
+    {
+      title: 'Sungai',
+      characterActions: [
+        {
+          charId: 'c1',
+          action: 'Melompat',
+          isMain: true,
+          dialogueLines: [{ type: 'Ask a question', sentence: 'Boleh menyeberang?', targetCharId: 'c2' }],
+        },
+      ],
+      expressions: { c1: 'Excited' },
+      location: 'Tepi sungai',
+      timeOfDay: 'Morning',
+      cameraMoves: [{ id: 'move-1', motion: 'Pan Left', startTime: '' }, { id: 'move-2', motion: 'Crash Zoom', startTime: '0:05' }],
+      shotSize: 'Wide Shot (WS)',
+      cameraAngle: "Bird's-Eye View",
+      focalLength: '24mm wide',
+      focusBehavior: 'Deep focus',
+      lighting: 'Natural light',
+      videoMood: 'Whimsical',
+      soundMusic: 'Gemericik air',
+      spokenDialogue: [{ charId: 'c2', type: 'Give an answer', sentence: 'Silakan.', targetCharId: 'c1', startTime: '0:04' }],
+      additionalDetails: 'Slow pace',
+    },
+    { title: 'Seberang', location: 'Hutan' },
+  ],
+};
+
+describe('toPromptJson', () => {
+  it('writes every documented key for each scene', () => {
+    const json = toPromptJson(project);
+    expect(json.schema).toBe(PROMPT_JSON_SCHEMA);
+    expect(json.scenes).toHaveLength(2);
+    const [scene] = json.scenes;
+    expect(Object.keys(scene)).toEqual([
+      'title', 'subject', 'action', 'scene', 'camera', 'lighting', 'style', 'audio', 'dialogue', 'notes', 'prompt',
+    ]);
+    expect(scene.subject.map(s => [s.id, s.main])).toEqual([['c1', true], ['c2', false]]);
+    expect(scene.action).toEqual([{ character: 'c1', action: 'Melompat', expression: 'Excited' }]);
+    expect(scene.camera).toEqual({
+      moves: [{ motion: 'Pan Left' }, { motion: 'Crash Zoom', start: 5 }],
+      motion: 'Pan Left',
+      shotSize: 'Wide Shot (WS)',
+      angle: "Bird's-Eye View",
+      focalLength: '24mm wide',
+      focus: 'Deep focus',
+    });
+    expect(scene.style).toEqual({ visual: ['2D', 'Ghibli Style'], mood: 'Whimsical' });
+    expect(scene.dialogue).toEqual([
+      { speaker: 'c1', type: 'Ask a question', target: 'c2', line: 'Boleh menyeberang?' },
+      { speaker: 'c2', type: 'Give an answer', target: 'c1', line: 'Silakan.', start: 4 },
+    ]);
+    expect(scene.prompt.id).toBe(compileIndonesianPrompt({ ...project.scenes[0], characters: project.characters, visualStyles: project.visualStyles }).prompt);
+  });
+
+  it('records the languages and compiles the dialogue note into the prompts', () => {
+    expect(toPromptJson(project).language).toEqual({ prompt: 'en', dialogue: 'asTyped' });
+    const json = toPromptJson({ ...project, promptLanguage: 'id', dialogueLanguage: 'jv' });
+    expect(json.language).toEqual({ prompt: 'id', dialogue: 'jv' });
+    expect(json.scenes[0].prompt.en).toContain('All dialogue is spoken in Javanese.');
+  });
+});
+
+describe('fromPromptJson', () => {
+  it('round-trips to the same compiled prompts', () => {
+    const json = toPromptJson(project);
+    const imported = fromPromptJson(JSON.stringify(json));
+    expect(imported.characters).toEqual(project.characters);
+    expect(imported.visualStyles).toEqual(project.visualStyles);
+    expect(toPromptJson(imported).scenes.map(s => s.prompt)).toEqual(json.scenes.map(s => s.prompt));
+    expect(imported.scenes[0].cameraMoves.map(move => [move.motion, move.startTime])).toEqual([['Pan Left', ''], ['Crash Zoom', '5']]);
+    expect(imported.scenes[0].cameraAngle).toBe("Bird's-Eye View");
+  });
+
+  it('reads the single camera motion of documents without a move list', () => {
+    const imported = fromPromptJson({ scenes: [{ camera: { motion: 'Dolly In' } }, { camera: { motion: '' } }] });
+    expect(imported.scenes.map(scene => scene.cameraMoves.map(move => move.motion))).toEqual([['Dolly In'], []]);
+  });
+
+  it('reads the languages, ignoring unknown codes', () => {
+    const scenes = [{ title: 'Satu' }];
+    expect(fromPromptJson({ language: { prompt: 'jv', dialogue: 'id' }, scenes })).toEqual(
+      expect.objectContaining({ promptLanguage: 'jv', dialogueLanguage: 'id' }),
+    );
+    expect(fromPromptJson({ language: { prompt: 'xx', dialogue: 'yy' }, scenes })).toEqual(
+      expect.objectContaining({ promptLanguage: 'en', dialogueLanguage: 'asTyped' }),
+    );
+  });
+
+  it('accepts a minimal hand-written document', () => {
+    const imported = fromPromptJson({
+      scenes: [{
+        subject: [{ id: 'a', name: 'Ani', type: 'human', details: { gender: 'Female' }, main: true }],
+        dialogue: [{ speaker: 'a', type: 'Berbicara ke Audiens', line: 'Halo!' }, { speaker: 'ghost', line: 'Boo' }],
+      }],
+    });
+    expect(imported.scenes[0].characterActions).toEqual([{ charId: 'a', action: '', isMain: true }]);
+    expect(imported.scenes[0].spokenDialogue).toEqual([
+      { id: expect.stringMatching(/^line-/), charId: 'a', type: 'Berbicara ke Audiens', sentence: 'Halo!', targetCharId: '', startTime: '' },
+    ]);
+    expect(imported.scenes[0].title).toBe('');
+  });
+
+  it('rejects invalid documents with a readable message', () => {
+    expect(() => fromPromptJson('{oops')).toThrow('not valid JSON');
+    expect(() => fromPromptJson({ schema: 'other', scenes: [{}] })).toThrow('Unknown schema');
+    expect(() => fromPromptJson({ version: 99, scenes: [{}] })).toThrow('newer');
+    expect(() => fromPromptJson({ scenes: [] })).toThrow('no scenes');
+  });
+});
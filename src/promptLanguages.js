@@ -0,0 +1,19 @@
+// Languages a prompt can be written in and its dialogue spoken in. Drafts store the codes as
+// promptLanguage (the descriptive text of the final prompt) and dialogueLanguage (the spoken lines).
+// `en` is the English name, used in LLM instructions and English prompts; `id` the Indonesian one.
+export const outputLanguages = [
+  { code: 'en', en: 'English', id: 'Inggris' },
+  { code: 'id', en: 'Indonesian', id: 'Indonesia' },
+  { code: 'jv', en: 'Javanese', id: 'Jawa' },
+];
+
+// dialogueLanguage for lines spoken exactly as typed in the form, in whatever language that is
+export const DIALOGUE_AS_TYPED = 'asTyped';
+
+// What drafts saved before these settings existed produced: an English prompt with the dialogue as typed
+export const defaultLanguageSettings = {
+  promptLanguage: 'en',
+  dialogueLanguage: DIALOGUE_AS_TYPED,
+};
+
+export const findOutputLanguage = (code) => outputLanguages.find(language => language.code === code) || null;
@@ -0,0 +1,14 @@
+// What a prompt version (stored under prompt_drafts/<id>/versions) is called. The label is kept as a
+// message key with its parameters and translated when shown:
+//   { labelKey: 'versions.label.starred', labelParams: { styleId: 'cinematic' }, ... }
+// A `styleId` parameter is shown as the name of that variant style. Versions saved before labels were
+// translated only have an English `label`, shown as it is.
+
+export const versionLabelFields = (labelKey, labelParams = {}) => ({ labelKey, labelParams });
+
+// `t` is the translate function from useI18n
+export const versionLabel = (version, t) => {
+  if (!version.labelKey) return version.label || t('versions.untitled');
+  const { styleId, ...params } = version.labelParams || {};
+  return t(version.labelKey, styleId ? { ...params, style: t(`variants.style.${styleId}`) } : params);
+};
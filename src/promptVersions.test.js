@@ -0,0 +1,24 @@
+import { versionLabel, versionLabelFields } from './promptVersions';
+import { translate } from './i18n/i18n';
+
+const en = (key, params) => translate('en', key, params);
+const id = (key, params) => translate('id', key, params);
+
+describe('versionLabel', () => {
+  it('translates stored labels when they are shown', () => {
+    const version = versionLabelFields('versions.label.generated');
+    expect(versionLabel(version, en)).toBe('Generate Prompts');
+    expect(versionLabel(version, id)).toBe('Buat Prompt');
+  });
+
+  it('shows a starred variant with the name of its style', () => {
+    const version = versionLabelFields('versions.label.starred', { styleId: 'concise' });
+    expect(versionLabel(version, en)).toBe('Starred variant: Concise');
+    expect(versionLabel(version, id)).toBe('Varian berbintang: Ringkas');
+  });
+
+  it('keeps the English label of older versions', () => {
+    expect(versionLabel({ label: 'MAKSIMALKAN' }, id)).toBe('MAKSIMALKAN');
+    expect(versionLabel({}, id)).toBe('Versi');
+  });
+});
@@ -0,0 +1,55 @@
+// Crash recovery for the form. App autosaves the whole form (a "session") to a single slot in the
+// browser's offline storage, debounced, and offers it back on the next visit:
+//   { ...draft fields (see draftSchema.js), englishPromptSource, currentDraftId, draftTitle,
+//     hasUnsavedChanges, savedAt }
+// `hasUnsavedChanges` is false when the form matches what was last saved to or opened from a draft;
+// only sessions with unsaved changes are offered.
+
+export const RECOVERY_PATH = 'recovery';
+export const RECOVERY_SLOT_ID = 'session';
+export const RECOVERY_DEBOUNCE_MS = 1500;
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// cameraMotion is read too, for sessions autosaved before the camera block
+const sceneContentKeys = [
+  'location', 'timeOfDay', 'cameraMotion', 'shotSize', 'cameraAngle', 'focalLength', 'focusBehavior',
+  'lighting', 'videoMood', 'soundMusic', 'additionalDetails',
+];
+
+const isEmptyScene = (scene) => sceneContentKeys.every(key => !hasText(scene[key]))
+  && (scene.cameraMoves || []).length === 0
+  && (scene.selectedCharactersForActions || []).length === 0
+  && (scene.characterActions || []).every(action => !hasText(action.action))
+  && (scene.spokenDialogue || []).length === 0;
+
+// True for a form with nothing worth recovering, like the one a fresh visit starts with
+export const isEmptySession = (session) => (session.savedCharacters || []).length === 0
+  && !hasText(session.characterName)
+  && (session.selectedVisualStyles || []).length === 0
+  && (session.scenes || []).length <= 1
+  && (session.scenes || []).every(isEmptyScene)
+  && !hasText(session.indonesianPrompt)
+  && !hasText(session.englishPrompt);
+
+const excerpt = (text, length = 160) => {
+  const trimmed = (text || '').trim().replace(/\s+/g, ' ');
+  return trimmed.length > length ? `${trimmed.slice(0, length - 1)}…` : trimmed;
+};
+
+// What restoring the session would bring back, for the preview. Unnamed characters and untitled
+// scenes are left empty for the preview to show in the interface language.
+export const summarizeSession = (session) => ({
+  draftTitle: session.draftTitle || '',
+  savedAt: session.savedAt || null,
+  characterNames: (session.savedCharacters || []).map(character => character.name || ''),
+  unsavedCharacterName: (session.characterName || '').trim(),
+  visualStyles: session.selectedVisualStyles || [],
+  scenes: (session.scenes || []).map((scene, index) => ({
+    title: scene.title || '',
+    location: excerpt(scene.location, 60),
+    characterCount: (scene.selectedCharactersForActions || []).length,
+    dialogueLineCount: (scene.spokenDialogue || []).length,
+  })),
+  promptExcerpt: excerpt(session.englishPrompt) || excerpt(session.indonesianPrompt),
+});
@@ -0,0 +1,56 @@
+import { isEmptySession, summarizeSession } from './sessionRecovery';
+
+const emptyScene = {
+  id: 'scene-1', title: 'Scene 1', selectedCharactersForActions: [], characterActions: [], expressions: {},
+  location: '', timeOfDay: '', cameraMoves: [], shotSize: '', cameraAngle: '', focalLength: '', focusBehavior: '',
+  lighting: '', videoMood: '', soundMusic: '', spokenDialogue: [], additionalDetails: '',
+};
+
+const freshSession = {
+  characterName: '', characterType: '', humanDetails: {}, animal4Details: {}, animal2Details: {}, fantasyDetails: '',
+  savedCharacters: [], selectedVisualStyles: [], scenes: [emptyScene], activeSceneIndex: 0,
+  indonesianPrompt: '', englishPrompt: '', englishPromptSource: '', currentDraftId: null, draftTitle: '',
+};
+
+describe('isEmptySession', () => {
+  it('treats a fresh form as empty', () => {
+    expect(isEmptySession(freshSession)).toBe(true);
+    expect(isEmptySession({ ...freshSession, draftTitle: 'Episode 1' })).toBe(true);
+  });
+
+  it('treats any entered content as worth recovering', () => {
+    expect(isEmptySession({ ...freshSession, characterName: 'Budi' })).toBe(false);
+    expect(isEmptySession({ ...freshSession, scenes: [{ ...emptyScene, location: 'di pasar' }] })).toBe(false);
+    expect(isEmptySession({ ...freshSession, scenes: [{ ...emptyScene, cameraMoves: [{ id: 'move-1', motion: '' }] }] })).toBe(false);
+    expect(isEmptySession({ ...freshSession, scenes: [{ ...emptyScene, shotSize: 'Close-Up (CU)' }] })).toBe(false);
+    expect(isEmptySession({ ...freshSession, scenes: [emptyScene, { ...emptyScene, id: 'scene-2' }] })).toBe(false);
+    expect(isEmptySession({ ...freshSession, englishPrompt: 'A cat.' })).toBe(false);
+  });
+});
+
+describe('summarizeSession', () => {
+  it('lists what a restore brings back', () => {
+    const summary = summarizeSession({
+      ...freshSession,
+      draftTitle: 'Pasar',
+      savedAt: 1718000000000,
+      savedCharacters: [{ id: '1', name: 'Budi' }, { id: '2', name: '' }],
+      scenes: [
+        { ...emptyScene, location: 'di pasar yang ramai', selectedCharactersForActions: ['1'], spokenDialogue: [{ id: 'line-1' }] },
+        { ...emptyScene, id: 'scene-2', title: '' },
+      ],
+      englishPrompt: `  A busy market ${'word '.repeat(60)}`,
+    });
+    expect(summary).toEqual(expect.objectContaining({
+      draftTitle: 'Pasar',
+      savedAt: 1718000000000,
+      characterNames: ['Budi', ''],
+      scenes: [
+        { title: 'Scene 1', location: 'di pasar yang ramai', characterCount: 1, dialogueLineCount: 1 },
+        { title: '', location: '', characterCount: 0, dialogueLineCount: 0 },
+      ],
+    }));
+    expect(summary.promptExcerpt).toHaveLength(160);
+    expect(summary.promptExcerpt.startsWith('A busy market word')).toBe(true);
+  });
+});
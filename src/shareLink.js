@@ -0,0 +1,162 @@
+import { DRAFT_SCHEMA_VERSION, createEmptyScene, upgradeDraft } from './draftSchema';
+
+// Share links carry the whole form in the URL fragment, so they work without a backend:
+//   #share=<format><base64url data>
+// The format is 'z' for deflate-raw compressed JSON (CompressionStream) or 'j' for plain JSON where the
+// browser can't compress. The JSON is a draft (see draftSchema.js) without ids of stored documents.
+// A link is untrusted input: decoding limits its size, drops keys that could reach prototypes, keeps
+// only the draft fields, and runs it through upgradeDraft plus the stricter checks below.
+
+export const SHARE_PARAM = 'share';
+export const MAX_SHARE_LINK_LENGTH = 100000; // Characters after "#share="
+export const MAX_SHARE_JSON_BYTES = 1000000; // Decompressed size, so a small link can't unpack into gigabytes
+
+// `code` names the problem for translated messages: 'tooLong', 'damaged', 'unsupported', 'tooLarge' or 'invalid'
+export class ShareLinkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+const sharedDraftKeys = [
+  'title', 'characterName', 'characterType', 'humanDetails', 'animal4Details', 'animal2Details', 'fantasyDetails',
+  'savedCharacters', 'selectedVisualStyles', 'scenes', 'activeSceneIndex', 'indonesianPrompt', 'englishPrompt',
+  'promptLanguage', 'dialogueLanguage', 'schemaVersion',
+];
+
+const sceneKeys = Object.keys(createEmptyScene(''));
+
+const characterKeys = ['id', 'name', 'type', 'details'];
+
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const pick = (object, keys) => Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+
+// Objects of text only, like character details and expressions
+const textEntries = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => typeof value === 'string'));
+
+const bytesToBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlToBytes = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// Push `bytes` through a (de)compression stream, giving up once the output passes `limit` bytes
+const transform = async (stream, bytes, limit = Infinity) => {
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      reader.cancel().catch(() => {});
+      throw new ShareLinkError('tooLarge', 'The shared form is too large.');
+    }
+    chunks.push(value);
+  }
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+// Just what a share link carries; the draft's stored id, timestamps and unrecovered values stay behind
+export const toSharedDraft = (form) => ({
+  ...pick(form, sharedDraftKeys),
+  schemaVersion: DRAFT_SCHEMA_VERSION,
+});
+
+// Encode a form (draft fields plus `title`) for the fragment. `env` supplies the browser globals.
+export const encodeShareData = async (form, env = window) => {
+  const bytes = new env.TextEncoder().encode(JSON.stringify(toSharedDraft(form)));
+  if (env.CompressionStream) {
+    return `z${bytesToBase64Url(await transform(new env.CompressionStream('deflate-raw'), bytes))}`;
+  }
+  return `j${bytesToBase64Url(bytes)}`;
+};
+
+export const shareFragment = (encoded) => `#${SHARE_PARAM}=${encoded}`;
+
+// The encoded form in a location hash, or null when the hash isn't a share link
+export const readShareFragment = (hash) => {
+  const prefix = `#${SHARE_PARAM}=`;
+  return typeof hash === 'string' && hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+};
+
+// Stricter than validateDraft: shared drafts only keep known fields and text values, since nothing
+// of the sender's (unrecovered values, extra keys) should travel into the recipient's drafts
+const sanitizeDraft = (draft) => ({
+  ...pick(draft, sharedDraftKeys),
+  humanDetails: textEntries(draft.humanDetails),
+  animal4Details: textEntries(draft.animal4Details),
+  animal2Details: textEntries(draft.animal2Details),
+  savedCharacters: draft.savedCharacters.map(character => ({
+    ...pick(character, characterKeys),
+    details: isPlainObject(character.details) ? textEntries(character.details) : character.details,
+  })),
+  scenes: draft.scenes.map(scene => ({
+    ...pick(scene, sceneKeys),
+    characterActions: scene.characterActions.map(({ charId, action, isMain }) => ({ charId, action, isMain })),
+    expressions: textEntries(scene.expressions),
+  })),
+});
+
+// Decode what readShareFragment returned into { draft, problems }; throws ShareLinkError when the link is unusable
+export const decodeShareData = async (encoded, env = window) => {
+  if (encoded.length > MAX_SHARE_LINK_LENGTH) {
+    throw new ShareLinkError('tooLong', 'The share link is too long.');
+  }
+  const match = encoded.match(/^([zj])([A-Za-z0-9_-]*)$/);
+  if (!match) {
+    throw new ShareLinkError('damaged', 'The share link is damaged or incomplete.');
+  }
+
+  let json;
+  try {
+    let bytes = base64UrlToBytes(match[2]);
+    if (match[1] === 'z') {
+      if (!env.DecompressionStream) {
+        throw new ShareLinkError('unsupported', "This browser can't open compressed share links. Try a current version of Chrome, Firefox or Safari.");
+      }
+      bytes = await transform(new env.DecompressionStream('deflate-raw'), bytes, MAX_SHARE_JSON_BYTES);
+    } else if (bytes.length > MAX_SHARE_JSON_BYTES) {
+      throw new ShareLinkError('tooLarge', 'The shared form is too large.');
+    }
+    json = new env.TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    if (error instanceof ShareLinkError) throw error;
+    throw new ShareLinkError('damaged', 'The share link is damaged or incomplete.');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json, (key, value) => (unsafeKeys.includes(key) ? undefined : value));
+  } catch (error) {
+    throw new ShareLinkError('invalid', "The share link doesn't contain a valid form.");
+  }
+  if (!isPlainObject(data)) {
+    throw new ShareLinkError('invalid', "The share link doesn't contain a valid form.");
+  }
+
+  const { draft, problems } = upgradeDraft(data);
+  return { draft: sanitizeDraft(draft), problems };
+};
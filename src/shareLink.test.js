@@ -0,0 +1,122 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import {
+  MAX_SHARE_LINK_LENGTH, ShareLinkError, decodeShareData, encodeShareData, readShareFragment, shareFragment,
+} from './shareLink';
+import { DRAFT_SCHEMA_VERSION } from './draftSchema';
+
+// jsdom has neither the encoders nor the compression streams, so the tests pass Node's
+const browser = { TextEncoder, TextDecoder, CompressionStream, DecompressionStream };
+const oldBrowser = { TextEncoder, TextDecoder };
+
+const form = {
+  title: 'Pasar pagi',
+  characterName: '',
+  characterType: '',
+  humanDetails: {},
+  animal4Details: {},
+  animal2Details: {},
+  fantasyDetails: '',
+  savedCharacters: [{ id: 'c1', name: 'Budi', type: 'human', details: { gender: 'male', hair: 'short' } }],
+  selectedVisualStyles: ['3D'],
+  scenes: [{
+    id: 'scene-1',
+    title: 'Scene 1',
+    selectedCharactersForActions: ['c1'],
+    characterActions: [{ charId: 'c1', action: 'berjalan', isMain: true }],
+    expressions: { c1: 'Happy' },
+    location: 'di pasar',
+    timeOfDay: 'Pagi',
+    cameraMoves: [{ id: 'move-1', motion: 'Dolly In', startTime: '' }],
+    shotSize: 'Medium Shot (MS)',
+    cameraAngle: '',
+    focalLength: '',
+    focusBehavior: '',
+    lighting: '',
+    videoMood: '',
+    soundMusic: '',
+    spokenDialogue: [{ id: 'line-1', charId: 'c1', targetCharId: '', type: '', sentence: 'Selamat pagi! 🌞', startTime: '1' }],
+    additionalDetails: '',
+  }],
+  activeSceneIndex: 0,
+  indonesianPrompt: 'Budi berjalan di pasar.',
+  englishPrompt: 'Budi walks through the market.',
+  englishPromptSource: 'template',
+  unrecoveredFields: { 'scenes[0].location': 42 },
+  currentDraftId: 'draft-1',
+};
+
+const encodePlain = (data) => `j${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+
+describe('share links', () => {
+  it('round-trips a form through a compressed link', async () => {
+    const encoded = await encodeShareData(form, browser);
+    expect(encoded).toMatch(/^z[A-Za-z0-9_-]+$/);
+    expect(readShareFragment(shareFragment(encoded))).toBe(encoded);
+
+    const { draft, problems } = await decodeShareData(encoded, browser);
+    expect(problems).toEqual([]);
+    expect(draft.title).toBe('Pasar pagi');
+    expect(draft.schemaVersion).toBe(DRAFT_SCHEMA_VERSION);
+    expect(draft.savedCharacters).toEqual(form.savedCharacters);
+    expect(draft.scenes).toEqual(form.scenes);
+    expect(draft.englishPrompt).toBe(form.englishPrompt);
+  });
+
+  it('leaves the sender-only fields out of the link', async () => {
+    const { draft } = await decodeShareData(await encodeShareData(form, browser), browser);
+    expect(draft).not.toHaveProperty('unrecoveredFields');
+    expect(draft).not.toHaveProperty('currentDraftId');
+    expect(draft).not.toHaveProperty('englishPromptSource');
+  });
+
+  it('falls back to plain JSON without compression streams', async () => {
+    const encoded = await encodeShareData(form, oldBrowser);
+    expect(encoded[0]).toBe('j');
+    const { draft } = await decodeShareData(encoded, oldBrowser);
+    expect(draft.scenes[0].spokenDialogue[0].sentence).toBe('Selamat pagi! 🌞');
+    await expect(decodeShareData(await encodeShareData(form, browser), oldBrowser)).rejects.toThrow(/compressed share links/);
+  });
+
+  it('ignores hashes that are not share links', () => {
+    expect(readShareFragment('')).toBeNull();
+    expect(readShareFragment('#section-3')).toBeNull();
+  });
+
+  it('rejects damaged, oversized and non-form links', async () => {
+    await expect(decodeShareData('x123', browser)).rejects.toThrow(ShareLinkError);
+    await expect(decodeShareData('z<script>', browser)).rejects.toThrow(/damaged/);
+    await expect(decodeShareData('zAAAA', browser)).rejects.toThrow(/damaged/);
+    await expect(decodeShareData(`j${'A'.repeat(MAX_SHARE_LINK_LENGTH)}`, browser)).rejects.toThrow(/too long/);
+    await expect(decodeShareData(encodePlain([1, 2]), browser)).rejects.toThrow(/valid form/);
+    await expect(decodeShareData(`j${Buffer.from('{"title":').toString('base64url')}`, browser)).rejects.toThrow(/valid form/);
+  });
+
+  it('refuses links that decompress into too much data', async () => {
+    const huge = { ...form, scenes: [{ ...form.scenes[0], additionalDetails: 'a'.repeat(2000000) }] };
+    const encoded = await encodeShareData(huge, browser);
+    expect(encoded.length).toBeLessThan(MAX_SHARE_LINK_LENGTH);
+    await expect(decodeShareData(encoded, browser)).rejects.toThrow(/too large/);
+  });
+
+  it('sanitizes what it decodes', async () => {
+    const hostile = JSON.parse(JSON.stringify(form));
+    hostile.savedCharacters[0].details.hair = { html: '<img onerror=alert(1)>' };
+    hostile.savedCharacters[0].isAdmin = true;
+    hostile.scenes[0].expressions.c1 = ['Happy'];
+    hostile.scenes[0].characterActions[0].onClick = 'alert(1)';
+    hostile.scenes[0].location = { toString: 'x' };
+    hostile.currentDraftId = 'someone-elses-draft';
+    const json = JSON.stringify(hostile).replace('{', '{"__proto__":{"polluted":true},');
+
+    const { draft, problems } = await decodeShareData(`j${Buffer.from(json).toString('base64url')}`, browser);
+    expect({}.polluted).toBeUndefined();
+    expect(draft).not.toHaveProperty('currentDraftId');
+    expect(draft.savedCharacters[0]).toEqual({ id: 'c1', name: 'Budi', type: 'human', details: { gender: 'male' } });
+    expect(draft.scenes[0].expressions).toEqual({});
+    expect(draft.scenes[0].characterActions[0]).toEqual({ charId: 'c1', action: 'berjalan', isMain: true });
+    expect(draft.scenes[0].location).toBe('');
+    expect(problems.map(problem => problem.path)).toEqual(['scenes[0].location']);
+    expect(draft).not.toHaveProperty('unrecoveredFields');
+  });
+});
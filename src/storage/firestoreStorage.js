@@ -0,0 +1,34 @@
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  onSnapshot,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+
+// Storage backed by Firestore. Collection paths are relative to `basePath`, the user's root document
+// (e.g. 'prompt_drafts' or 'prompt_drafts/<draftId>/versions'). See localStore.js for the interface.
+export const createFirestoreStorage = (db, basePath) => {
+  const collectionRef = (path) => collection(db, `${basePath}/${path}`);
+  const docRef = (path, id) => doc(db, `${basePath}/${path}`, id);
+  const withIds = (snapshot) => snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+
+  return {
+    kind: 'firestore',
+    subscribeCollection: (path, onItems, onError) =>
+      onSnapshot(query(collectionRef(path)), snapshot => onItems(withIds(snapshot)), onError),
+    subscribeItem: (path, id, onItem, onError) =>
+      onSnapshot(docRef(path, id), snapshot => onItem(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null), onError),
+    listItems: async (path) => withIds(await getDocs(collectionRef(path))),
+    addItem: async (path, data) => (await addDoc(collectionRef(path), data)).id,
+    setItem: (path, id, data) => setDoc(docRef(path, id), data),
+    updateItem: (path, id, fields) => updateDoc(docRef(path, id), fields),
+    deleteItem: (path, id) => deleteDoc(docRef(path, id)),
+    timestamp: () => serverTimestamp(),
+  };
+};
@@ -0,0 +1,42 @@
+// Key-value backend for localStore.js on top of IndexedDB: one object store of records keyed by `path`
+const STORE_NAME = 'items';
+
+const openDatabase = (indexedDB, name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'path' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('The local database is blocked by another tab of the app.'));
+});
+
+// Resolves with the request's result once its transaction has committed
+const runTransaction = (database, mode, action) => new Promise((resolve, reject) => {
+  const transaction = database.transaction(STORE_NAME, mode);
+  const request = action(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('The local database transaction was aborted.'));
+});
+
+export const createIndexedDbBackend = ({ indexedDB, name = 'veo3-prompter' }) => {
+  let opening = null;
+  const database = () => {
+    if (!opening) {
+      opening = openDatabase(indexedDB, name).catch(error => {
+        opening = null; // Try again on the next call
+        throw error;
+      });
+    }
+    return opening;
+  };
+
+  return {
+    getAll: async () => runTransaction(await database(), 'readonly', store => store.getAll()),
+    put: async (record) => {
+      await runTransaction(await database(), 'readwrite', store => store.put(record));
+    },
+    delete: async (path) => {
+      await runTransaction(await database(), 'readwrite', store => store.delete(path));
+    },
+  };
+};
@@ -0,0 +1,114 @@
+import { createIndexedDbBackend } from './indexedDbBackend';
+
+// Storage kept in the browser, used when Firebase isn't configured or can't be reached.
+// It has the same interface as createFirestoreStorage, so App doesn't care where items live:
+//
+//   kind                                            'local' | 'firestore'
+//   subscribeCollection(path, onItems, onError)     calls onItems([{ id, ...data }]) now and after every change; returns unsubscribe
+//   subscribeItem(path, id, onItem, onError)        calls onItem({ id, ...data } | null); returns unsubscribe
+//   listItems(path)                                 -> Promise<[{ id, ...data }]>
+//   addItem(path, data)                             -> Promise<id>
+//   setItem(path, id, data) / updateItem(path, id, fields) / deleteItem(path, id)
+//   timestamp()                                     value for `timestamp` fields (see timestamps.js)
+//
+// Items are kept by a key-value backend as records { path: '<collection>/<id>', collection, id, data }.
+
+// Backend that forgets everything on reload; for tests and browsers without IndexedDB
+export const createMemoryBackend = (records = []) => {
+  const stored = new Map(records.map(record => [record.path, record]));
+  return {
+    getAll: async () => [...stored.values()],
+    put: async (record) => { stored.set(record.path, record); },
+    delete: async (path) => { stored.delete(path); },
+  };
+};
+
+const createLocalId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const createLocalStore = (backend) => {
+  let records = null; // Map of path -> record, loaded once
+  let loading = null;
+  const listeners = new Set();
+
+  const load = () => {
+    if (!loading) {
+      loading = backend.getAll().then(all => {
+        records = new Map(all.map(record => [record.path, record]));
+      });
+    }
+    return loading;
+  };
+
+  const itemsOf = (collectionPath) => [...records.values()]
+    .filter(record => record.collection === collectionPath)
+    .map(record => ({ id: record.id, ...record.data }));
+
+  const itemOf = (collectionPath, id) => {
+    const record = records.get(`${collectionPath}/${id}`);
+    return record ? { id, ...record.data } : null;
+  };
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  // The backend is written first, so a failed write leaves the cache as it was
+  const write = async (collectionPath, id, data) => {
+    await load();
+    const record = { path: `${collectionPath}/${id}`, collection: collectionPath, id, data };
+    await backend.put(record);
+    records.set(record.path, record);
+    notify();
+  };
+
+  const subscribe = (read, onChange, onError) => {
+    let active = true;
+    const listener = () => {
+      if (active) onChange(read());
+    };
+    listeners.add(listener);
+    load().then(listener, error => {
+      if (active && onError) onError(error);
+    });
+    return () => {
+      active = false;
+      listeners.delete(listener);
+    };
+  };
+
+  return {
+    kind: 'local',
+    subscribeCollection: (path, onItems, onError) => subscribe(() => itemsOf(path), onItems, onError),
+    subscribeItem: (path, id, onItem, onError) => subscribe(() => itemOf(path, id), onItem, onError),
+    listItems: async (path) => {
+      await load();
+      return itemsOf(path);
+    },
+    addItem: async (path, data) => {
+      const id = createLocalId();
+      await write(path, id, data);
+      return id;
+    },
+    setItem: (path, id, data) => write(path, id, data),
+    updateItem: async (path, id, fields) => {
+      await load();
+      const existing = records.get(`${path}/${id}`);
+      if (!existing) throw new Error(`No item ${path}/${id} to update.`);
+      await write(path, id, { ...existing.data, ...fields });
+    },
+    deleteItem: async (path, id) => {
+      await load();
+      await backend.delete(`${path}/${id}`);
+      records.delete(`${path}/${id}`);
+      notify();
+    },
+    timestamp: () => Date.now(),
+  };
+};
+
+// The browser's store: IndexedDB where available, otherwise memory for this session only
+export const createOfflineStorage = () => {
+  if (typeof indexedDB === 'undefined') {
+    console.warn('IndexedDB is not available; local drafts last until the page is closed.');
+    return createLocalStore(createMemoryBackend());
+  }
+  return createLocalStore(createIndexedDbBackend({ indexedDB }));
+};
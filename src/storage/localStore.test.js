@@ -0,0 +1,54 @@
+import { createLocalStore, createMemoryBackend } from './localStore';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createLocalStore', () => {
+  it('adds, updates and deletes items of a collection', async () => {
+    const store = createLocalStore(createMemoryBackend());
+    const id = await store.addItem('prompt_drafts', { title: 'Taman', scenes: [] });
+    expect(id).toMatch(/^local-/);
+    await store.updateItem('prompt_drafts', id, { title: 'Pantai' });
+    await store.addItem(`prompt_drafts/${id}/versions`, { label: 'v1' });
+    expect(await store.listItems('prompt_drafts')).toEqual([{ id, title: 'Pantai', scenes: [] }]);
+    expect(await store.listItems(`prompt_drafts/${id}/versions`)).toHaveLength(1);
+
+    await store.deleteItem('prompt_drafts', id);
+    expect(await store.listItems('prompt_drafts')).toEqual([]);
+    await expect(store.updateItem('prompt_drafts', id, { title: 'x' })).rejects.toThrow(/No item/);
+  });
+
+  it('reads what an earlier session stored in the backend', async () => {
+    const backend = createMemoryBackend();
+    await createLocalStore(backend).setItem('settings', 'llm', { provider: 'local' });
+    const items = await createLocalStore(backend).listItems('settings');
+    expect(items).toEqual([{ id: 'llm', provider: 'local' }]);
+  });
+
+  it('notifies collection and item subscribers after every change', async () => {
+    const store = createLocalStore(createMemoryBackend());
+    const collections = [];
+    const settings = [];
+    const unsubscribe = store.subscribeCollection('characters', items => collections.push(items.map(i => i.name)));
+    store.subscribeItem('settings', 'llm', item => settings.push(item && item.provider));
+    await flush();
+    const id = await store.addItem('characters', { name: 'Budi' });
+    await store.setItem('settings', 'llm', { provider: 'openai' });
+    unsubscribe();
+    await store.deleteItem('characters', id);
+    expect(collections).toEqual([[], ['Budi'], ['Budi']]);
+    expect(settings).toEqual([null, null, 'openai', 'openai']);
+  });
+
+  it('reports a backend that cannot be read and keeps the cache on failed writes', async () => {
+    const onError = jest.fn();
+    const broken = createLocalStore({ getAll: () => Promise.reject(new Error('blocked')), put: jest.fn(), delete: jest.fn() });
+    broken.subscribeCollection('prompt_drafts', jest.fn(), onError);
+    await flush();
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'blocked' }));
+
+    const backend = { ...createMemoryBackend(), put: () => Promise.reject(new Error('quota')) };
+    const store = createLocalStore(backend);
+    await expect(store.addItem('prompt_drafts', { title: 'x' })).rejects.toThrow('quota');
+    expect(await store.listItems('prompt_drafts')).toEqual([]);
+  });
+});
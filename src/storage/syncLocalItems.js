@@ -0,0 +1,59 @@
+// Items saved in the browser while Firebase was unavailable, uploaded once it is.
+// Each entry is a top-level collection plus the subcollections stored under each of its items;
+// `countKey` is the message (see i18n/messages.js) that counts its items.
+// Characters go first so drafts can point their scene characters at the uploaded library entries.
+export const syncedCollections = [
+  { path: 'characters', countKey: 'count.libraryCharacters', subcollections: [] },
+  { path: 'looks', countKey: 'count.looks', subcollections: [] },
+  { path: 'prompt_drafts', countKey: 'count.drafts', subcollections: ['versions'] },
+];
+
+// Scene characters imported from the library keep the library id, which changes on upload
+const withUploadedLibraryIds = (data, uploadedIds) => (Array.isArray(data.savedCharacters)
+  ? {
+    ...data,
+    savedCharacters: data.savedCharacters.map(character => (
+      character && uploadedIds[character.libraryId] ? { ...character, libraryId: uploadedIds[character.libraryId] } : character
+    )),
+  }
+  : data);
+
+// { [collection path]: number of local items }, only for collections that have any
+export const countLocalItems = async (local) => {
+  const counts = {};
+  for (const { path } of syncedCollections) {
+    const items = await local.listItems(path);
+    if (items.length > 0) counts[path] = items.length;
+  }
+  return counts;
+};
+
+// "2 library characters and 1 draft", in the language of `t` (the translate function from useI18n)
+export const describeLocalItemCounts = (counts, t) => syncedCollections
+  .filter(({ path }) => counts[path])
+  .map(({ path, countKey }) => t(countKey, { count: counts[path] }))
+  .join(` ${t('common.and')} `);
+
+// Copy every local item to `remote` as a new item. Each local copy is deleted as soon as it is uploaded,
+// so running the sync again after an error continues with what is left. An item with subcollections
+// records its remote id (`uploadedId`) before its children go up, so a retry adds the rest of the
+// children to that remote item instead of uploading it twice. Returns the number of top-level items uploaded.
+export const syncLocalItems = async (local, remote) => {
+  const uploadedIds = {};
+  for (const { path, subcollections } of syncedCollections) {
+    for (const { id, uploadedId, ...data } of await local.listItems(path)) {
+      const remoteId = uploadedId || await remote.addItem(path, withUploadedLibraryIds(data, uploadedIds));
+      if (!uploadedId && subcollections.length > 0) await local.updateItem(path, id, { uploadedId: remoteId });
+      uploadedIds[id] = remoteId;
+      for (const subcollection of subcollections) {
+        const localPath = `${path}/${id}/${subcollection}`;
+        for (const { id: childId, ...childData } of await local.listItems(localPath)) {
+          await remote.addItem(`${path}/${remoteId}/${subcollection}`, withUploadedLibraryIds(childData, uploadedIds));
+          await local.deleteItem(localPath, childId);
+        }
+      }
+      await local.deleteItem(path, id);
+    }
+  }
+  return Object.keys(uploadedIds).length;
+};
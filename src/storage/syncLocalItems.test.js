@@ -0,0 +1,79 @@
+import { createLocalStore, createMemoryBackend } from './localStore';
+import { countLocalItems, describeLocalItemCounts, syncLocalItems } from './syncLocalItems';
+import { translate } from '../i18n/i18n';
+
+describe('syncLocalItems', () => {
+  it('uploads drafts with their versions and library characters, then clears them locally', async () => {
+    const local = createLocalStore(createMemoryBackend());
+    const remote = createLocalStore(createMemoryBackend());
+    const budiId = await local.addItem('characters', { name: 'Budi' });
+    const savedCharacters = [{ id: '1', name: 'Budi', libraryId: budiId }, { id: '2', name: 'Ani' }];
+    const draftId = await local.addItem('prompt_drafts', { title: 'Taman', savedCharacters });
+    await local.addItem(`prompt_drafts/${draftId}/versions`, { label: 'Generate Prompts', savedCharacters });
+    await local.addItem('characters', { name: 'Kiki' });
+    await local.setItem('settings', 'llm', { provider: 'local' });
+
+    const counts = await countLocalItems(local);
+    expect(counts).toEqual({ prompt_drafts: 1, characters: 2 });
+    expect(describeLocalItemCounts(counts, (key, params) => translate('en', key, params))).toBe('2 library characters and 1 draft');
+    expect(describeLocalItemCounts(counts, (key, params) => translate('id', key, params))).toBe('2 karakter pustaka dan 1 draf');
+
+    expect(await syncLocalItems(local, remote)).toBe(3);
+    const [remoteDraft] = await remote.listItems('prompt_drafts');
+    expect(remoteDraft.title).toBe('Taman');
+    expect(await remote.listItems(`prompt_drafts/${remoteDraft.id}/versions`)).toEqual([
+      expect.objectContaining({ label: 'Generate Prompts' }),
+    ]);
+    const remoteCharacters = await remote.listItems('characters');
+    expect(remoteCharacters.map(c => c.name).sort()).toEqual(['Budi', 'Kiki']);
+    const remoteBudi = remoteCharacters.find(c => c.name === 'Budi');
+    expect(remoteDraft.savedCharacters).toEqual([{ id: '1', name: 'Budi', libraryId: remoteBudi.id }, { id: '2', name: 'Ani' }]);
+    expect(await countLocalItems(local)).toEqual({});
+    expect(await local.listItems('settings')).toHaveLength(1); // Settings stay with the browser
+  });
+
+  it('keeps items that failed to upload', async () => {
+    const local = createLocalStore(createMemoryBackend());
+    await local.addItem('characters', { name: 'Budi' });
+    const remote = { addItem: () => Promise.reject(new Error('permission-denied')) };
+    await expect(syncLocalItems(local, remote)).rejects.toThrow('permission-denied');
+    expect(await countLocalItems(local)).toEqual({ characters: 1 });
+  });
+
+  it('continues a draft whose versions failed to upload without copying it again', async () => {
+    const local = createLocalStore(createMemoryBackend());
+    const remote = createLocalStore(createMemoryBackend());
+    const draftId = await local.addItem('prompt_drafts', { title: 'Taman' });
+    await local.addItem(`prompt_drafts/${draftId}/versions`, { label: 'Generate Prompts' });
+    await local.addItem(`prompt_drafts/${draftId}/versions`, { label: 'MAKSIMALKAN' });
+
+    let versionUploads = 0;
+    const flakyRemote = {
+      ...remote,
+      addItem: (path, data) => {
+        if (path.endsWith('/versions') && ++versionUploads === 2) return Promise.reject(new Error('unavailable'));
+        return remote.addItem(path, data);
+      },
+    };
+    await expect(syncLocalItems(local, flakyRemote)).rejects.toThrow('unavailable');
+    expect(await local.listItems(`prompt_drafts/${draftId}/versions`)).toHaveLength(1);
+
+    expect(await syncLocalItems(local, remote)).toBe(1);
+    const remoteDrafts = await remote.listItems('prompt_drafts');
+    expect(remoteDrafts).toEqual([expect.objectContaining({ title: 'Taman' })]);
+    expect(remoteDrafts[0].uploadedId).toBeUndefined();
+    expect(await remote.listItems(`prompt_drafts/${remoteDrafts[0].id}/versions`)).toHaveLength(2);
+    expect(await countLocalItems(local)).toEqual({});
+  });
+
+  it('uploads look presets', async () => {
+    const local = createLocalStore(createMemoryBackend());
+    const remote = createLocalStore(createMemoryBackend());
+    await local.addItem('looks', { name: 'Ghibli dusk cozy', visualStyles: ['Ghibli Style'] });
+
+    const counts = await countLocalItems(local);
+    expect(describeLocalItemCounts(counts, (key, params) => translate('en', key, params))).toBe('1 look');
+    expect(await syncLocalItems(local, remote)).toBe(1);
+    expect(await remote.listItems('looks')).toEqual([expect.objectContaining({ name: 'Ghibli dusk cozy' })]);
+  });
+});
@@ -0,0 +1,36 @@
+import { upgradeDraft } from '../draftSchema';
+import fableWiseAnimal from './fable-wise-animal.json';
+import vlogToCamera from './vlog-to-camera.json';
+import productAd from './product-ad.json';
+import twoCharacterArgument from './two-character-argument.json';
+
+// Starter templates: complete example projects offered in the template gallery. Each is a JSON file
+//   {
+//     "id": "fable-wise-animal",
+//     "name": { "en": ..., "id": ... },
+//     "description": { "en": ..., "id": ... },   // one or two sentences for the gallery card
+//     "draft": { "schemaVersion": 4, "savedCharacters": [...], "selectedVisualStyles": [...], "scenes": [...] }
+//   }
+// where "draft" is a prompt draft as drafts store it (see draftSchema.js). Characters need fixed ids
+// that the scenes refer to; scene and dialogue-line ids are left out and generated on load. Free text is
+// written in English, the default prompt language, and dialogue in the language it should be spoken in.
+// To add a template, put its file next to these and list it below; the tests check that it loads cleanly.
+export const starterTemplates = [
+  fableWiseAnimal,
+  vlogToCamera,
+  productAd,
+  twoCharacterArgument,
+];
+
+// The template's draft, upgraded and validated like an opened draft: { draft, fromVersion, problems }
+export const loadStarterTemplate = (template) => upgradeDraft(template.draft);
+
+// The project compileStoryboard() reads, from a loaded template draft
+export const templateProject = (draft, customOptions) => ({
+  characters: draft.savedCharacters,
+  visualStyles: draft.selectedVisualStyles,
+  scenes: draft.scenes,
+  promptLanguage: draft.promptLanguage,
+  dialogueLanguage: draft.dialogueLanguage,
+  customOptions,
+});
@@ -0,0 +1,54 @@
+import { loadStarterTemplate, starterTemplates, templateProject } from './index';
+import { compileStoryboard, templateLanguage } from '../promptCompiler';
+import { DRAFT_SCHEMA_VERSION } from '../draftSchema';
+import { dropdownData } from '../dropdownData';
+
+describe('starterTemplates', () => {
+  it('have unique ids', () => {
+    const ids = starterTemplates.map(template => template.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it.each(starterTemplates.map(template => [template.id, template]))('%s has an English and Indonesian name and description', (id, template) => {
+    ['name', 'description'].forEach(field => {
+      expect(template[field].en).toBeTruthy();
+      expect(template[field].id).toBeTruthy();
+    });
+  });
+
+  it.each(starterTemplates.map(template => [template.id, template]))('%s loads as a current draft without problems', (id, template) => {
+    const { draft, problems } = loadStarterTemplate(template);
+    expect(problems).toEqual([]);
+    expect(template.draft.schemaVersion).toBe(DRAFT_SCHEMA_VERSION);
+    expect(draft.savedCharacters.length).toBeGreaterThan(0);
+    const characterIds = draft.savedCharacters.map(character => character.id);
+    draft.scenes.forEach(scene => {
+      expect(scene.id).toBeTruthy();
+      scene.selectedCharactersForActions.forEach(charId => expect(characterIds).toContain(charId));
+      scene.spokenDialogue.forEach(line => {
+        expect(line.id).toBeTruthy();
+        expect(characterIds).toContain(line.charId);
+      });
+    });
+  });
+
+  it.each(starterTemplates.map(template => [template.id, template]))('%s compiles to a prompt', (id, template) => {
+    const { draft } = loadStarterTemplate(template);
+    const { prompt, scenes } = compileStoryboard(templateProject(draft), templateLanguage(draft.promptLanguage));
+    expect(scenes).toHaveLength(draft.scenes.length);
+    expect(prompt.length).toBeGreaterThan(100);
+  });
+
+  it('get fresh scene ids on every load', () => {
+    const first = loadStarterTemplate(starterTemplates[0]).draft.scenes[0].id;
+    const second = loadStarterTemplate(starterTemplates[0]).draft.scenes[0].id;
+    expect(first).not.toBe(second);
+  });
+
+  it('include a fable with the old and wise animal age and a vlog spoken to the audience', () => {
+    const drafts = starterTemplates.map(template => loadStarterTemplate(template).draft);
+    const wiseAge = dropdownData.animalAge.find(option => option.en === 'Old & Wise Character (Fable)').value;
+    expect(drafts.some(draft => draft.savedCharacters.some(character => character.details.age === wiseAge))).toBe(true);
+    expect(drafts.some(draft => draft.scenes.some(scene => scene.spokenDialogue.some(line => line.type === 'Berbicara ke Audiens')))).toBe(true);
+  });
+});
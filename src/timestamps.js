@@ -0,0 +1,12 @@
+// Firestore timestamps are null until the server write lands (pending local snapshot).
+// `t` is the translate function from useI18n
+export const formatTimestamp = (timestamp, t) => {
+  if (!timestamp) return t('common.pendingTimestamp');
+  const date = typeof timestamp.toDate === 'function' ? timestamp.toDate() : new Date(timestamp);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString();
+};
+
+export const timestampValue = (timestamp) => {
+  if (!timestamp) return Number.MAX_SAFE_INTEGER; // Pending writes are the newest
+  return typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : new Date(timestamp).getTime() || 0;
+};
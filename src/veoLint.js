@@ -0,0 +1,246 @@
+import { compilePrompt, templateLanguage } from './promptCompiler';
+import { sceneDialogueTimeline, parseStartTime, formatStartTime } from './dialogueTimeline';
+import { sceneCameraMoves } from './cameraMoves';
+import { findOption } from './customOptions';
+import { defaultLanguageSettings } from './promptLanguages';
+
+// Pure Veo constraint linter. It checks each scene of a project ({ characters, visualStyles, scenes,
+// promptLanguage, dialogueLanguage, customOptions }, the same shape the prompt compiler takes) and returns issues:
+//   { rule, severity: 'error' | 'warning', sceneIndex, section, message, messageKey, params }
+// `section` names the form section to jump to (see lintSections); sceneIndex is null for shared sections.
+// `message` is the English text; the interface translates messageKey with params (see i18n/messages.js).
+
+export const veoLintDefaults = {
+  clipSeconds: 8, // Length of one Veo clip
+  wordsPerSecond: 2.5, // Natural speaking pace
+  pausePerLineSeconds: 0.5, // Breath and turn-taking between lines
+  warnPromptWords: 200,
+  maxPromptWords: 350,
+  maxCharactersPerScene: 4,
+};
+
+// Form section of each issue, in page order
+export const lintSections = {
+  actions: 'Character Actions',
+  location: 'Location',
+  time: 'Time of Day',
+  camera: 'Camera',
+  lighting: 'Lighting',
+  style: 'Visual/Video Style',
+  dialogue: 'Spoken Dialogue',
+  notes: 'Additional Details',
+};
+
+const countWords = (text) => ((text || '').match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+
+// Seconds needed to say the lines at `wordsPerSecond`, with a pause between lines
+export const estimateSpeakingSeconds = (lines, options = {}) => {
+  const { wordsPerSecond, pausePerLineSeconds } = { ...veoLintDefaults, ...options };
+  const spoken = lines.filter(line => (line.sentence || '').trim());
+  const words = spoken.reduce((sum, line) => sum + countWords(line.sentence), 0);
+  return words / wordsPerSecond + Math.max(0, spoken.length - 1) * pausePerLineSeconds;
+};
+
+// When the last line finishes: lines start at their start time, or right after the previous line
+export const estimateDialogueEnd = (lines, options = {}) => {
+  const { wordsPerSecond, pausePerLineSeconds } = { ...veoLintDefaults, ...options };
+  let end = 0;
+  lines.filter(line => (line.sentence || '').trim()).forEach((line, index) => {
+    const start = parseStartTime(line.startTime);
+    const earliest = index === 0 ? 0 : end + pausePerLineSeconds;
+    end = Math.max(earliest, Number.isFinite(start) ? start : earliest) + countWords(line.sentence) / wordsPerSecond;
+  });
+  return end;
+};
+
+// Options that describe a different time of day than the one selected. A lighting value conflicts when
+// it is one of `lighting` or when either of its labels (built-in or the user's own entry) matches
+// `lightingPattern`; `pattern` is looked for in the free text.
+const timeConflicts = [
+  {
+    times: ['Night', 'Evening', 'Blue Hour', 'Dusk'],
+    lighting: ['Harsh light'],
+    lightingPattern: /sun|daylight|midday|noon|bright|harsh|matahari|siang|terik|terang/i,
+    pattern: /golden hour|sunlight|sunny|daylight|midday|noon|matahari|siang|terik/i,
+    id: 'daylight',
+    describe: 'daylight',
+  },
+  {
+    times: ['Morning', 'Afternoon', 'Golden Hour', 'Dawn'],
+    lighting: [],
+    lightingPattern: /moon|starlight|night|bulan|malam/i,
+    pattern: /moonlight|starlight|midnight|night sky|cahaya bulan|tengah malam|malam hari/i,
+    id: 'night',
+    describe: 'night-time',
+  },
+];
+
+// Visual styles that pull the look in opposite directions
+const styleConflicts = [
+  { id: 'techniques', group: ['2D', '2.5D', '3D', 'Stop-motion', 'Claymation', 'Pixel Art', 'Rotoscoping'], message: 'Several visual techniques are selected' },
+  { id: 'looks', group: ['Realistic', 'Cartoon', 'Anime', 'Flat Design', 'Pixel Art', 'Line Art'], message: 'Realistic and stylized looks are mixed' },
+];
+
+const issue = (rule, severity, sceneIndex, section, message, params = {}, messageKey = `lint.${rule}`) => (
+  { rule, severity, sceneIndex, section, message, messageKey, params }
+);
+
+// Checks that depend only on the shared cast and visual style
+const lintShared = ({ visualStyles = [] }) => styleConflicts
+  .map(({ group, message }) => visualStyles.filter(style => group.includes(style)))
+  .map((conflicting, index) => (conflicting.length > 1
+    ? issue('style-conflict', 'warning', null, 'style', `${styleConflicts[index].message}: ${conflicting.join(', ')}. Veo tends to blend them unpredictably.`,
+      { styles: conflicting.join(', ') }, `lint.style-conflict.${styleConflicts[index].id}`)
+    : null))
+  .filter(Boolean);
+
+export const lintScene = (scene, { characters = [], visualStyles = [], promptLanguage, dialogueLanguage, customOptions } = {}, sceneIndex = 0, options = {}) => {
+  const settings = { ...veoLintDefaults, ...options };
+  const issues = [];
+  const nameOf = (charId) => (characters.find(c => c.id === charId) || {}).name;
+  const sceneCharacterIds = [...new Set([
+    ...(scene.selectedCharactersForActions || []),
+    ...(scene.characterActions || []).map(ca => ca.charId),
+  ])];
+
+  // Cast
+  if (sceneCharacterIds.length === 0) {
+    issues.push(issue('no-characters', 'warning', sceneIndex, 'actions', 'No character is selected for this scene.'));
+  } else if (sceneCharacterIds.length > settings.maxCharactersPerScene) {
+    issues.push(issue('too-many-characters', 'warning', sceneIndex, 'actions',
+      `${sceneCharacterIds.length} characters in one clip; Veo keeps up to ${settings.maxCharactersPerScene} consistent at best.`,
+      { count: sceneCharacterIds.length, max: settings.maxCharactersPerScene }));
+  }
+
+  // Camera moves: start times must be usable and in order, within the clip
+  let previousMoveStart = -1;
+  sceneCameraMoves(scene).forEach((move, moveIndex) => {
+    const moveNumber = moveIndex + 1;
+    const start = parseStartTime(move.startTime);
+    if (Number.isNaN(start)) {
+      issues.push(issue('invalid-move-time', 'warning', sceneIndex, 'camera',
+        `Camera move ${moveNumber}: "${move.startTime}" is not a start time. Use seconds like 3.5 or a timecode like 0:03.`,
+        { move: moveNumber, value: move.startTime }));
+    } else if (start !== null) {
+      if (start >= settings.clipSeconds) {
+        issues.push(issue('move-after-clip', 'error', sceneIndex, 'camera',
+          `Camera move ${moveNumber} starts at ${formatStartTime(start)}, after the end of the ${settings.clipSeconds} s clip.`,
+          { move: moveNumber, start: formatStartTime(start), clip: settings.clipSeconds }));
+      }
+      if (start < previousMoveStart) {
+        issues.push(issue('move-out-of-order', 'warning', sceneIndex, 'camera',
+          `Camera move ${moveNumber} starts at ${formatStartTime(start)}, before the move above it. Reorder the moves or fix the times.`,
+          { move: moveNumber, start: formatStartTime(start) }));
+      }
+      previousMoveStart = start;
+    }
+  });
+
+  // Dialogue: speakers and listeners must be in the scene, start times must be usable, and the lines must fit the clip
+  const lines = sceneDialogueTimeline(scene);
+  let previousStart = -1;
+  lines.forEach((line, lineIndex) => {
+    const lineNumber = lineIndex + 1;
+    const label = `Line ${lineNumber}`;
+    const start = parseStartTime(line.startTime);
+    if (Number.isNaN(start)) {
+      issues.push(issue('invalid-start-time', 'warning', sceneIndex, 'dialogue',
+        `${label}: "${line.startTime}" is not a start time. Use seconds like 3.5 or a timecode like 0:03.`,
+        { line: lineNumber, value: line.startTime }));
+    } else if (start !== null) {
+      if (start >= settings.clipSeconds) {
+        issues.push(issue('start-after-clip', 'error', sceneIndex, 'dialogue',
+          `${label} starts at ${formatStartTime(start)}, after the end of the ${settings.clipSeconds} s clip.`,
+          { line: lineNumber, start: formatStartTime(start), clip: settings.clipSeconds }));
+      }
+      if (start < previousStart) {
+        issues.push(issue('start-out-of-order', 'warning', sceneIndex, 'dialogue',
+          `${label} starts at ${formatStartTime(start)}, before the line above it. Reorder the lines or fix the times.`,
+          { line: lineNumber, start: formatStartTime(start) }));
+      }
+      previousStart = start;
+    }
+    if (!line.charId) return;
+    const speaker = nameOf(line.charId);
+    if (!speaker) {
+      issues.push(issue('unknown-speaker', 'error', sceneIndex, 'dialogue', `${label} belongs to a character that no longer exists.`,
+        { line: lineNumber }));
+    } else if (!sceneCharacterIds.includes(line.charId)) {
+      issues.push(issue('speaker-not-in-scene', 'error', sceneIndex, 'dialogue', `${speaker} has a dialogue line but isn't in this scene.`,
+        { speaker }));
+    }
+    if (line.targetCharId && speaker && !sceneCharacterIds.includes(line.targetCharId)) {
+      const target = nameOf(line.targetCharId);
+      issues.push(issue('target-not-in-scene', 'warning', sceneIndex, 'dialogue',
+        `${speaker} speaks to ${target || 'a removed character'}, who isn't in this scene.`,
+        { speaker, target }, target ? 'lint.target-not-in-scene' : 'lint.target-not-in-scene.removed'));
+    }
+    if (!(line.sentence || '').trim()) {
+      issues.push(issue('empty-dialogue', 'warning', sceneIndex, 'dialogue', `${speaker || 'A character'} has an empty dialogue line.`,
+        { speaker }, speaker ? 'lint.empty-dialogue' : 'lint.empty-dialogue.unknown'));
+    }
+  });
+
+  const speakingSeconds = Math.max(estimateSpeakingSeconds(lines, settings), estimateDialogueEnd(lines, settings));
+  if (speakingSeconds > settings.clipSeconds) {
+    issues.push(issue('dialogue-too-long', 'error', sceneIndex, 'dialogue',
+      `The dialogue needs about ${speakingSeconds.toFixed(1)} s of speech, more than one ${settings.clipSeconds} s clip. Shorten it or split the scene.`,
+      { seconds: speakingSeconds.toFixed(1), clip: settings.clipSeconds }));
+  } else if (speakingSeconds > settings.clipSeconds * 0.75) {
+    issues.push(issue('dialogue-tight', 'warning', sceneIndex, 'dialogue',
+      `The dialogue needs about ${speakingSeconds.toFixed(1)} s of a ${settings.clipSeconds} s clip, leaving little room for action.`,
+      { seconds: speakingSeconds.toFixed(1), clip: settings.clipSeconds }));
+  }
+
+  // Time of day against lighting and free text
+  const lightingOption = scene.lighting ? findOption(customOptions, 'lighting', scene.lighting) : null;
+  const lightingLabels = lightingOption ? [lightingOption.en, lightingOption.id] : [scene.lighting || ''];
+  timeConflicts.forEach(conflict => {
+    if (!conflict.times.includes(scene.timeOfDay)) return;
+    if (scene.lighting && (conflict.lighting.includes(scene.lighting)
+      || lightingLabels.some(label => conflict.lightingPattern.test(label)))) {
+      issues.push(issue('time-lighting-conflict', 'warning', sceneIndex, 'lighting',
+        `"${scene.lighting}" suggests ${conflict.describe}, but the time of day is "${scene.timeOfDay}".`,
+        { lighting: scene.lighting, timeOfDay: scene.timeOfDay }, `lint.time-lighting-conflict.${conflict.id}`));
+    }
+    [['location', scene.location], ['notes', scene.additionalDetails]].forEach(([section, text]) => {
+      const match = (text || '').match(conflict.pattern);
+      if (match) {
+        issues.push(issue('time-text-conflict', 'warning', sceneIndex, section,
+          `"${match[0]}" describes ${conflict.describe}, but the time of day is "${scene.timeOfDay}".`,
+          { text: match[0], timeOfDay: scene.timeOfDay }, `lint.time-text-conflict.${conflict.id}`));
+      }
+    });
+  });
+
+  // Length of the compiled prompt, in the template the final prompt is written from
+  const promptSpec = { ...scene, characters, visualStyles, dialogueLanguage, customOptions };
+  const promptWords = countWords(compilePrompt(promptSpec, templateLanguage(promptLanguage || defaultLanguageSettings.promptLanguage)).prompt);
+  if (promptWords > settings.maxPromptWords) {
+    issues.push(issue('prompt-too-long', 'error', sceneIndex, 'notes',
+      `The compiled prompt has ${promptWords} words; keep it under ${settings.maxPromptWords} so Veo doesn't drop details.`,
+      { count: promptWords, max: settings.maxPromptWords }));
+  } else if (promptWords > settings.warnPromptWords) {
+    issues.push(issue('prompt-long', 'warning', sceneIndex, 'notes',
+      `The compiled prompt has ${promptWords} words; around ${settings.warnPromptWords} or fewer works best.`,
+      { count: promptWords, max: settings.warnPromptWords }));
+  }
+
+  return issues;
+};
+
+// Lint every scene plus the shared settings; errors first, then in scene and page order
+export const lintProject = (project, options = {}) => {
+  const sectionOrder = Object.keys(lintSections);
+  const issues = [
+    ...lintShared(project),
+    ...(project.scenes || []).flatMap((scene, index) => lintScene(scene, project, index, options)),
+  ];
+  return issues
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (a.item.severity === b.item.severity ? 0 : a.item.severity === 'error' ? -1 : 1)
+      || (a.item.sceneIndex ?? -1) - (b.item.sceneIndex ?? -1)
+      || sectionOrder.indexOf(a.item.section) - sectionOrder.indexOf(b.item.section)
+      || a.index - b.index)
+    .map(({ item }) => item);
+};
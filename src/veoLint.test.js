@@ -0,0 +1,153 @@
+import { lintProject, lintScene, estimateSpeakingSeconds } from './veoLint';
+
+const characters = [
+  { id: 'a', name: 'Ani', type: 'human', details: { gender: 'Female' } },
+  { id: 'b', name: 'Budi', type: 'human', details: { gender: 'Male' } },
+  { id: 'c', name: 'Cici', type: 'human', details: { gender: 'Female' } },
+];
+
+const scene = (fields = {}) => ({
+  selectedCharactersForActions: ['a', 'b'],
+  characterActions: [
+    { charId: 'a', action: 'berjalan', isMain: true, dialogueLines: [] },
+    { charId: 'b', action: 'duduk', isMain: false, dialogueLines: [] },
+  ],
+  location: 'di taman',
+  timeOfDay: 'Morning',
+  lighting: 'Soft lighting',
+  spokenDialogue: [],
+  ...fields,
+});
+
+const rules = (issues) => issues.map(i => i.rule);
+
+describe('estimateSpeakingSeconds', () => {
+  it('counts words at the speaking pace plus pauses between lines', () => {
+    const lines = [{ sentence: 'Satu dua tiga empat lima.' }, { sentence: 'Enam tujuh delapan sembilan sepuluh.' }, { sentence: ' ' }];
+    expect(estimateSpeakingSeconds(lines, { wordsPerSecond: 2, pausePerLineSeconds: 1 })).toBe(6);
+  });
+});
+
+describe('lintScene', () => {
+  it('passes a simple scene', () => {
+    expect(lintScene(scene(), { characters })).toEqual([]);
+  });
+
+  it('reports dialogue that cannot fit one clip', () => {
+    const sentence = 'Aku sudah menunggu di sini sejak pagi tadi dan kamu belum juga datang.';
+    const issues = lintScene(scene({
+      spokenDialogue: [1, 2, 3, 4].map(() => ({ charId: 'a', type: '', sentence })),
+    }), { characters });
+    expect(issues).toEqual([expect.objectContaining({ rule: 'dialogue-too-long', severity: 'error', section: 'dialogue' })]);
+    expect(issues[0].message).toMatch(/about 2\d\.\d s/);
+  });
+
+  it('warns when the dialogue nearly fills the clip', () => {
+    const issues = lintScene(scene({
+      spokenDialogue: [{ charId: 'a', sentence: 'Satu dua tiga empat lima enam tujuh delapan sembilan sepuluh sebelas dua belas tiga belas empat.' }],
+    }), { characters });
+    expect(rules(issues)).toEqual(['dialogue-tight']);
+  });
+
+  it('reports speakers and listeners who are not in the scene', () => {
+    const issues = lintScene(scene({
+      spokenDialogue: [
+        { charId: 'c', type: 'Ask a question', sentence: 'Halo?', targetCharId: 'a' },
+        { charId: 'a', type: 'Give an answer', sentence: 'Hai.', targetCharId: 'c' },
+        { charId: 'ghost', sentence: 'Boo' },
+      ],
+    }), { characters });
+    expect(rules(issues)).toEqual(['speaker-not-in-scene', 'target-not-in-scene', 'unknown-speaker']);
+  });
+
+  it('reads legacy per-character dialogue lines through the timeline', () => {
+    const issues = lintScene(scene({
+      characterActions: [{ charId: 'a', action: '', isMain: true, dialogueLines: [{ type: '', sentence: '' }] }],
+      selectedCharactersForActions: ['a'],
+    }), { characters });
+    expect(issues).toEqual([expect.objectContaining({ rule: 'empty-dialogue', section: 'dialogue' })]);
+  });
+
+  it('checks start times and counts them into the clip length', () => {
+    const issues = lintScene(scene({
+      spokenDialogue: [
+        { charId: 'a', sentence: 'Halo.', startTime: '0:05' },
+        { charId: 'b', sentence: 'Hai juga, apa kabar hari ini?', startTime: '2' },
+        { charId: 'a', sentence: 'Baik.', startTime: 'nanti' },
+        { charId: 'b', sentence: 'Dadah.', startTime: '9' },
+      ],
+    }), { characters });
+    expect(rules(issues)).toEqual(['start-out-of-order', 'invalid-start-time', 'start-after-clip', 'dialogue-too-long']);
+  });
+
+  it('checks the start times of camera moves', () => {
+    const issues = lintScene(scene({
+      cameraMoves: [
+        { id: 'move-1', motion: 'Dolly In', startTime: '4' },
+        { id: 'move-2', motion: 'Whip Pan', startTime: '2' },
+        { id: 'move-3', motion: 'Crash Zoom', startTime: 'akhir' },
+        { id: 'move-4', motion: 'Crane Up', startTime: '0:08' },
+        { id: 'move-5', motion: 'Static Shot', startTime: '' },
+      ],
+    }), { characters });
+    expect(issues.map(i => [i.rule, i.section, i.params.move])).toEqual([
+      ['move-out-of-order', 'camera', 2],
+      ['invalid-move-time', 'camera', 3],
+      ['move-after-clip', 'camera', 4],
+    ]);
+  });
+
+  it('reports time of day conflicts with lighting and free text', () => {
+    const issues = lintScene(scene({ timeOfDay: 'Night', lighting: 'Harsh light', location: 'di pantai saat golden hour' }), { characters });
+    expect(issues.map(i => [i.rule, i.section])).toEqual([
+      ['time-lighting-conflict', 'lighting'],
+      ['time-text-conflict', 'location'],
+    ]);
+  });
+
+  it("checks the user's own lighting entries against the time of day", () => {
+    const customOptions = { lighting: { custom: [
+      { en: 'Tropical glare', id: 'Silau matahari tropis' },
+      { en: 'Moonlit haze', id: 'Kabut cahaya bulan' },
+      { en: 'Street lamps', id: 'Lampu jalan' },
+    ] } };
+    const lightingRules = (fields) => lintScene(scene(fields), { characters, customOptions })
+      .filter(i => i.rule === 'time-lighting-conflict')
+      .map(i => i.messageKey);
+    expect(lightingRules({ timeOfDay: 'Night', lighting: 'Tropical glare' })).toEqual(['lint.time-lighting-conflict.daylight']);
+    expect(lightingRules({ timeOfDay: 'Morning', lighting: 'Moonlit haze' })).toEqual(['lint.time-lighting-conflict.night']);
+    expect(lightingRules({ timeOfDay: 'Night', lighting: 'Street lamps' })).toEqual([]);
+    expect(lightingRules({ timeOfDay: 'Night', lighting: 'Soft lighting' })).toEqual([]);
+  });
+
+  it('reports an empty cast and an overlong prompt', () => {
+    const issues = lintScene(
+      { additionalDetails: 'kata '.repeat(400) },
+      { characters },
+    );
+    expect(rules(issues)).toEqual(['no-characters', 'prompt-too-long']);
+  });
+
+  it('counts the words of the prompt in the project prompt language', () => {
+    // Exactly 200 words in Indonesian; the English template labels its sections, one word more
+    const notes = scene({ additionalDetails: 'kata '.repeat(161).trim() });
+    const promptRules = (promptLanguage) => rules(lintScene(notes, { characters, promptLanguage }))
+      .filter(rule => rule.startsWith('prompt-'));
+    expect(promptRules('id')).toEqual([]);
+    expect(promptRules('en')).toEqual(['prompt-long']);
+  });
+});
+
+describe('lintProject', () => {
+  it('lints every scene and the shared style, errors first', () => {
+    const issues = lintProject({
+      characters,
+      visualStyles: ['2D', '3D', 'Pixar Style'],
+      scenes: [scene(), scene({ spokenDialogue: [{ charId: 'c', sentence: 'Halo' }] })],
+    });
+    expect(issues.map(i => [i.rule, i.sceneIndex])).toEqual([
+      ['speaker-not-in-scene', 1],
+      ['style-conflict', null],
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+// Word-level diff for comparing prompt texts (variants against the source, draft versions).
+// Words are compared without case and surrounding punctuation, so "Budi," matches "budi".
+
+const tokenize = (text) => (text || '').match(/\S+\s*/g) || [];
+
+const normalizeToken = (token) => token.trim().toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Merge neighbouring tokens of the same type into runs
+const pushRun = (runs, type, text) => {
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    runs.push({ type, text });
+  }
+};
+
+// Returns [{ type: 'same' | 'removed' | 'added', text }] turning `before` into `after`.
+// Removed runs carry the text of `before`, added and same runs the text of `after`.
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const keyA = a.map(normalizeToken);
+  const keyB = b.map(normalizeToken);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && keyA[start] === keyB[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && keyA[endA - 1] === keyB[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  // Longest common subsequence table over the middle part
+  const rows = endA - start;
+  const cols = endB - start;
+  const table = new Uint32Array((rows + 1) * (cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      table[i * (cols + 1) + j] = keyA[start + i] === keyB[start + j]
+        ? table[(i + 1) * (cols + 1) + j + 1] + 1
+        : Math.max(table[(i + 1) * (cols + 1) + j], table[i * (cols + 1) + j + 1]);
+    }
+  }
+
+  const runs = [];
+  b.slice(0, start).forEach(token => pushRun(runs, 'same', token));
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && keyA[start + i] === keyB[start + j]) {
+      pushRun(runs, 'same', b[start + j]);
+      i += 1;
+      j += 1;
+    } else if (j < cols && (i >= rows || table[i * (cols + 1) + j + 1] >= table[(i + 1) * (cols + 1) + j])) {
+      pushRun(runs, 'added', b[start + j]);
+      j += 1;
+    } else {
+      pushRun(runs, 'removed', a[start + i]);
+      i += 1;
+    }
+  }
+  b.slice(endB).forEach(token => pushRun(runs, 'same', token));
+  return runs;
+};
+
+// Share of `after`'s words that also appear, in order, in `before` (0..1)
+export const sharedWordRatio = (runs) => {
+  const count = (type) => runs.filter(run => run.type === type).reduce((sum, run) => sum + tokenize(run.text).length, 0);
+  const total = count('same') + count('added');
+  return total === 0 ? 1 : count('same') / total;
+};
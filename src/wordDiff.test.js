@@ -0,0 +1,44 @@
+import { diffWords, sharedWordRatio } from './wordDiff';
+
+const rebuild = (runs, keep) => runs.filter(run => keep.includes(run.type)).map(run => run.text).join('');
+
+describe('diffWords', () => {
+  it('marks removed and added words between a shared prefix and suffix', () => {
+    expect(diffWords('Budi berlari di hutan.', 'Budi walks slowly di hutan.')).toEqual([
+      { type: 'same', text: 'Budi ' },
+      { type: 'added', text: 'walks slowly ' },
+      { type: 'removed', text: 'berlari ' },
+      { type: 'same', text: 'di hutan.' },
+    ]);
+  });
+
+  it('ignores case and punctuation when matching words', () => {
+    expect(diffWords('budi berkata "Halo!"', 'Budi says: Halo')).toEqual([
+      { type: 'same', text: 'Budi ' },
+      { type: 'added', text: 'says: ' },
+      { type: 'removed', text: 'berkata ' },
+      { type: 'same', text: 'Halo' },
+    ]);
+  });
+
+  it('can rebuild both texts from the runs', () => {
+    const before = 'A red fox jumps over the lazy dog';
+    const after = 'The quick red fox leaps over a dog';
+    const runs = diffWords(before, after);
+    expect(rebuild(runs, ['same', 'added'])).toBe(after);
+    expect(rebuild(runs, ['same', 'removed']).split(/\s+/).length).toBe(before.split(/\s+/).length);
+  });
+
+  it('handles empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords('', 'new text')).toEqual([{ type: 'added', text: 'new text' }]);
+    expect(diffWords('old text', '')).toEqual([{ type: 'removed', text: 'old text' }]);
+  });
+});
+
+describe('sharedWordRatio', () => {
+  it('is the share of words kept from the source', () => {
+    expect(sharedWordRatio(diffWords('a b c d', 'a b x y'))).toBe(0.5);
+    expect(sharedWordRatio([])).toBe(1);
+  });
+});